@@ -1,225 +1,221 @@
 /**
  * Accessibility Module
  *
- * Font sizing, theme toggle, high contrast mode,
- * and keyboard navigation enhancements.
+ * Reading preferences dialog (see Preferences.res for the settings
+ * themselves), the navigation menu and skip links. Dialogs and the menu
+ * open and close through Dialog.res.
  * WCAG 2.3 AAA compliant.
  *
  * @package Sinople
  * @since 0.1.0
  */
 
-@val external document: Dom.document = "document"
-@val external window: Dom.window = "window"
-@val external console: {..} = "console"
-
-module LocalStorage = {
-  @val @scope("localStorage") external getItem: string => Nullable.t<string> = "getItem"
-  @val @scope("localStorage") external setItem: (string, string) => unit = "setItem"
-  @val @scope("localStorage") external removeItem: string => unit = "removeItem"
+open Web
+
+// Control values keyed by preference name (the controls' `name`s)
+let readForm = (form: element): JSON.t => {
+  let values = Dict.make()
+  form
+  ->Element.formControls
+  ->Array.fromArrayLike
+  ->Array.forEach(control =>
+    switch control->Element.name {
+    | "" => ()
+    | name =>
+      values->Dict.set(
+        name,
+        switch control->Element.type_ {
+        | "checkbox" => JSON.Encode.bool(control->Element.checked)
+        | "range" =>
+          JSON.Encode.float(control->Element.value->Float.fromString->Option.getOr(Float.Constants.nan))
+        | _ => JSON.Encode.string(control->Element.value)
+        },
+      )
+    }
+  )
+  JSON.Encode.object(values)
 }
 
-module Dom = {
-  @val @scope("document") external getElementById: string => Nullable.t<Dom.element> = "getElementById"
-  @val @scope("document") external querySelector: string => Nullable.t<Dom.element> = "querySelector"
-  @val @scope("document") external querySelectorAll: string => array<Dom.element> = "querySelectorAll"
-  @val @scope("document") external documentElement: Dom.element = "documentElement"
-
-  @send external addEventListener: (Dom.document, string, 'event => unit) => unit = "addEventListener"
-  @send external addElementEventListener: (Dom.element, string, 'event => unit) => unit = "addEventListener"
-  @send external setAttribute: (Dom.element, string, string) => unit = "setAttribute"
-  @send external getAttribute: (Dom.element, string) => Nullable.t<string> = "getAttribute"
-  @send external focus: Dom.element => unit = "focus"
-  @send external scrollIntoView: (Dom.element, {..}) => unit = "scrollIntoView"
-
-  @get external style: Dom.element => {..} = "style"
-  @get external dataset: Dom.element => {..} = "dataset"
-  @get external classList: Dom.element => {..} = "classList"
-  @get external id: Dom.element => string = "id"
+// Set the controls, and the <output> beside each slider, from preferences
+let fillForm = (form: element, prefs: Preferences.t) => {
+  let fields = prefs->Preferences.toJson->JSON.Decode.object->Option.getOr(Dict.make())
+  form
+  ->Element.formControls
+  ->Array.fromArrayLike
+  ->Array.forEach(control =>
+    fields
+    ->Dict.get(control->Element.name)
+    ->Option.forEach(field => {
+      switch field {
+      | Boolean(checked) if control->Element.type_ == "checkbox" =>
+        control->Element.setChecked(checked)
+      | Boolean(flag) => control->Element.setValue(flag ? "true" : "false")
+      | Number(number) => control->Element.setValue(Float.toString(number))
+      | String(text) => control->Element.setValue(text)
+      | _ => ()
+      }
+      switch control->Element.id {
+      | "" => ()
+      | id =>
+        form
+        ->Element.querySelector(`output[for="${id}"]`)
+        ->Option.forEach(output =>
+          output->Element.setValue(
+            control->Element.value ++ output->Element.dataset->Dict.get("unit")->Option.getOr(""),
+          )
+        )
+      }
+    })
+  )
 }
 
-// Apply font scale to document
-let applyFontScale = (scale: float) => {
-  let html = Dom.documentElement
-  let _ = %raw(`html.style.setProperty('--text-scale', scale.toString())`)
+// Offer text as a file download
+let download = (filename: string, text: string) => {
+  let url = Url.createObjectURL(Blob.make([text], {"type": "application/json"}))
+  let link = Document.createElement("a")
+  link->Element.setAttribute("href", url)
+  link->Element.setAttribute("download", filename)
+  link->Element.click
+  Url.revokeObjectURL(url)
 }
 
-// Font size controls (WCAG AAA)
-let initFontSizeControls = () => {
-  let decreaseBtn = Dom.getElementById("font-size-decrease")
-  let increaseBtn = Dom.getElementById("font-size-increase")
+// Text of the file picked in a file input, if any
+let pickedFile = async (input: element): option<string> => {
+  let file =
+    input->File.files->Nullable.toOption->Option.flatMap(files => Array.fromArrayLike(files)[0])
+  input->Element.setValue("")
+  switch file {
+  | Some(file) => Some(await File.text(file))
+  | None => None
+  }
+}
 
-  switch (Nullable.toOption(decreaseBtn), Nullable.toOption(increaseBtn)) {
-  | (Some(decBtn), Some(incBtn)) => {
-      // Get current scale from localStorage
-      let savedScale = LocalStorage.getItem("font-scale")
-      let currentScale = ref(
-        switch Nullable.toOption(savedScale) {
-        | Some(s) => Float.fromString(s)->Option.getOr(1.0)
-        | None => 1.0
+// Reading preferences dialog: every control applies as it changes
+let initPreferencesPanel = () => {
+  switch (
+    Document.getElementById("preferences-dialog"),
+    Document.querySelector(".preferences-toggle"),
+    Document.getElementById("preferences-form"),
+    Document.getElementById("preferences-status"),
+  ) {
+  | (Some(dialog), Some(toggle), Some(form), Some(status)) => {
+      toggle->Element.addEventListener("click", _ =>
+        if Dialog.isOpen(dialog) {
+          Dialog.close(dialog)
+        } else {
+          fillForm(form, Preferences.current.contents)
+          Dialog.open_(~trigger=toggle, dialog)
         }
       )
-
-      applyFontScale(currentScale.contents)
-
-      // Decrease handler
-      Dom.addElementEventListener(decBtn, "click", _ => {
-        currentScale := Math.max(0.8, currentScale.contents -. 0.1)
-        applyFontScale(currentScale.contents)
-        LocalStorage.setItem("font-scale", Float.toString(currentScale.contents))
-      })
-
-      // Increase handler
-      Dom.addElementEventListener(incBtn, "click", _ => {
-        currentScale := Math.min(1.5, currentScale.contents +. 0.1)
-        applyFontScale(currentScale.contents)
-        LocalStorage.setItem("font-scale", Float.toString(currentScale.contents))
+      dialog
+      ->Element.querySelectorAll("[data-preferences-close]")
+      ->Array.forEach(button => button->Element.addEventListener("click", _ => Dialog.close(dialog)))
+
+      // Sliders apply while dragging, selects and checkboxes on change
+      form->Element.addEventListener("input", _ => {
+        Preferences.fromJson(readForm(form))->Option.forEach(Preferences.set)
+        fillForm(form, Preferences.current.contents)
       })
-    }
-  | _ => ()
-  }
-}
-
-// Apply theme to document
-let applyTheme = (theme: string) => {
-  let html = Dom.documentElement
-  let _ = %raw(`html.dataset.theme = theme`)
-}
-
-// Update theme toggle button state
-let updateThemeButton = (button: Dom.element, theme: string) => {
-  Dom.setAttribute(button, "aria-pressed", theme == "dark" ? "true" : "false")
-  Dom.setAttribute(
-    button,
-    "aria-label",
-    theme == "dark" ? "Switch to light mode" : "Switch to dark mode",
-  )
-}
-
-// Theme toggle (dark/light mode)
-let initThemeToggle = () => {
-  let toggleBtn = Dom.getElementById("theme-toggle")
-
-  switch Nullable.toOption(toggleBtn) {
-  | Some(btn) => {
-      // Get initial theme
-      let savedTheme = LocalStorage.getItem("theme")
-      let systemDark: bool = %raw(`window.matchMedia('(prefers-color-scheme: dark)').matches`)
-
-      let currentTheme = switch Nullable.toOption(savedTheme) {
-      | Some(t) => t
-      | None => systemDark ? "dark" : "light"
-      }
-
-      applyTheme(currentTheme)
-      updateThemeButton(btn, currentTheme)
+      form->Element.addEventListener("submit", Event.preventDefault)
+
+      form
+      ->Element.querySelectorAll("[data-preferences-reset]")
+      ->Array.forEach(button =>
+        button->Element.addEventListener("click", _ => {
+          Preferences.set(Preferences.defaults)
+          fillForm(form, Preferences.current.contents)
+          status->Element.setTextContent(label("preferencesReset", "Preferences reset"))
+        })
+      )
 
-      // Toggle on click
-      Dom.addElementEventListener(btn, "click", _ => {
-        let html = Dom.documentElement
-        let currentDataTheme: string = %raw(`html.dataset.theme || 'light'`)
-        let newTheme = currentDataTheme == "dark" ? "light" : "dark"
-        applyTheme(newTheme)
-        updateThemeButton(btn, newTheme)
-        LocalStorage.setItem("theme", newTheme)
-      })
+      form
+      ->Element.querySelectorAll("[data-preferences-export]")
+      ->Array.forEach(button =>
+        button->Element.addEventListener("click", _ =>
+          download("sinople-preferences.json", Preferences.export(Preferences.current.contents))
+        )
+      )
 
-      // Listen for system preference changes
-      let _ = %raw(`
-        window.matchMedia('(prefers-color-scheme: dark)').addEventListener('change', (e) => {
-          if (!localStorage.getItem('theme')) {
-            const theme = e.matches ? 'dark' : 'light';
-            document.documentElement.dataset.theme = theme;
-          }
+      form
+      ->Element.querySelectorAll("[data-preferences-import]")
+      ->Array.forEach(input =>
+        input->Element.addEventListener("change", _ => {
+          let _ = pickedFile(input)->Promise.thenResolve(text =>
+            switch text->Option.flatMap(Preferences.import) {
+            | Some(prefs) => {
+                fillForm(form, prefs)
+                status->Element.setTextContent(label("preferencesImported", "Preferences imported"))
+              }
+            | None =>
+              status->Element.setTextContent(
+                label("preferencesImportFailed", "That file does not contain reading preferences"),
+              )
+            }
+          )
         })
-      `)
+      )
     }
-  | None => ()
+  | _ => ()
   }
 }
 
-// High contrast toggle
-let initContrastToggle = () => {
-  let toggleBtn = Dom.getElementById("contrast-toggle")
-
-  switch Nullable.toOption(toggleBtn) {
-  | Some(btn) => {
-      let savedContrast = LocalStorage.getItem("contrast")
+// Menu items in order, for arrow keys to move between
+let menuItems = (menu: element): array<element> =>
+  menu->Element.querySelectorAll("a")->Array.filter(Element.isRendered)
+
+// Roving focus: one item is in the Tab order, arrows move it
+let rove = (items: array<element>, current: element) =>
+  items->Array.forEach(item => item->Element.setAttribute("tabindex", item === current ? "0" : "-1"))
+
+// Item the arrow key moves focus to, given the focused item's position
+let nextItem = (~key: string, ~position: int, ~count: int): option<int> =>
+  switch key {
+  | "ArrowRight" | "ArrowDown" if position >= 0 => Some(mod(position + 1, count))
+  | "ArrowLeft" | "ArrowUp" if position >= 0 => Some(mod(position - 1 + count, count))
+  | "Home" if position >= 0 => Some(0)
+  | "End" if position >= 0 => Some(count - 1)
+  | _ => None
+  }
 
-      switch Nullable.toOption(savedContrast) {
-      | Some("high") => {
-          let _ = %raw(`document.documentElement.dataset.contrast = 'high'`)
-          Dom.setAttribute(btn, "aria-pressed", "true")
+// Navigation menu: on small screens the toggle opens it like a
+// non-modal dialog; at any size arrow keys, Home and End move between
+// its items
+let initMenu = () => {
+  switch (Document.querySelector(".menu-toggle"), Document.getElementById("primary-menu")) {
+  | (Some(toggle), Some(menu)) => {
+      let links = menu->Element.querySelectorAll("a")
+      links[0]->Option.forEach(first => rove(links, first))
+
+      toggle->Element.addEventListener("click", _ =>
+        if Dialog.isOpen(menu) {
+          Dialog.close(menu)
+        } else {
+          let current =
+            menuItems(menu)->Array.find(item => item->Element.getAttribute("tabindex") == Some("0"))
+          Dialog.open_(~modal=false, ~trigger=toggle, ~initialFocus=?current, menu)
         }
-      | _ => ()
-      }
-
-      Dom.addElementEventListener(btn, "click", _ => {
-        let isHigh: bool = %raw(`document.documentElement.dataset.contrast === 'high'`)
+      )
 
-        if isHigh {
-          let _ = %raw(`delete document.documentElement.dataset.contrast`)
-          Dom.setAttribute(btn, "aria-pressed", "false")
-          LocalStorage.removeItem("contrast")
-        } else {
-          let _ = %raw(`document.documentElement.dataset.contrast = 'high'`)
-          Dom.setAttribute(btn, "aria-pressed", "true")
-          LocalStorage.setItem("contrast", "high")
+      menu->Element.addEventListener("focusin", event => {
+        let target = Event.target(event)
+        if menuItems(menu)->Array.includes(target) {
+          rove(menu->Element.querySelectorAll("a"), target)
         }
       })
-    }
-  | None => ()
-  }
-}
-
-// Close modal helper
-let closeModal = (modal: Dom.element) => {
-  Dom.setAttribute(modal, "aria-hidden", "true")
-  let _ = %raw(`modal.classList.remove('is-open')`)
-
-  let modalId = Dom.id(modal)
-  let trigger = Dom.querySelector(`[aria-controls="${modalId}"]`)
-
-  switch Nullable.toOption(trigger) {
-  | Some(t) => Dom.focus(t)
-  | None => ()
-  }
-}
-
-// Enhanced keyboard navigation
-let initKeyboardNavigation = () => {
-  // Trap focus in modals with Escape key
-  Dom.addEventListener(document, "keydown", event => {
-    let key: string = %raw(`event.key`)
-
-    if key == "Escape" {
-      let openModal = Dom.querySelector(`[role="dialog"][aria-hidden="false"]`)
 
-      switch Nullable.toOption(openModal) {
-      | Some(modal) => closeModal(modal)
-      | None => ()
-      }
-    }
-  })
-
-  // Focus management for menu toggle
-  let menuToggle = Dom.querySelector(".menu-toggle")
-  let menu = Dom.getElementById("primary-menu")
-
-  switch (Nullable.toOption(menuToggle), Nullable.toOption(menu)) {
-  | (Some(toggle), Some(menuEl)) => {
-      Dom.addElementEventListener(toggle, "click", _ => {
-        let isExpanded: bool = %raw(`toggle.getAttribute('aria-expanded') === 'true'`)
-        Dom.setAttribute(toggle, "aria-expanded", !isExpanded ? "true" : "false")
-        let _ = %raw(`menuEl.classList.toggle('is-open')`)
-
-        if !isExpanded {
-          let firstLink = %raw(`menuEl.querySelector('a')`)
-          switch Nullable.toOption(firstLink) {
-          | Some(link) => Dom.focus(link)
-          | None => ()
-          }
+      menu->Element.addEventListener("keydown", event => {
+        let items = menuItems(menu)
+        let position = switch Document.activeElement->Nullable.toOption {
+        | Some(active) => items->Array.indexOf(active)
+        | None => -1
         }
+
+        nextItem(~key=Event.key(event), ~position, ~count=items->Array.length)
+        ->Option.flatMap(index => items[index])
+        ->Option.forEach(item => {
+          Event.preventDefault(event)
+          Element.focus(item)
+        })
       })
     }
   | _ => ()
@@ -227,36 +223,24 @@ let initKeyboardNavigation = () => {
 }
 
 // Skip links visibility
-let initSkipLinks = () => {
-  let skipLinks = Dom.querySelectorAll(".skip-link")
-
-  skipLinks->Array.forEach(link => {
-    Dom.addElementEventListener(link, "click", event => {
-      let _ = %raw(`event.preventDefault()`)
-      let href: Nullable.t<string> = %raw(`link.getAttribute('href')`)
-
-      switch Nullable.toOption(href) {
-      | Some(h) => {
-          let target = Dom.querySelector(h)
-          switch Nullable.toOption(target) {
-          | Some(t) => {
-              Dom.focus(t)
-              Dom.scrollIntoView(t, {"behavior": "smooth"})
-            }
-          | None => ()
-          }
-        }
-      | None => ()
-      }
+let initSkipLinks = () =>
+  Document.querySelectorAll(".skip-link")->Array.forEach(link =>
+    link->Element.addEventListener("click", event => {
+      Event.preventDefault(event)
+      link
+      ->Element.getAttribute("href")
+      ->Option.flatMap(Document.querySelector)
+      ->Option.forEach(target => {
+        Element.focus(target)
+        target->Element.scrollIntoViewWith({"behavior": "smooth"})
+      })
     })
-  })
-}
+  )
 
 // Initialize all accessibility features
 let init = () => {
-  initFontSizeControls()
-  initThemeToggle()
-  initContrastToggle()
-  initKeyboardNavigation()
+  Dialog.init()
+  initPreferencesPanel()
+  initMenu()
   initSkipLinks()
 }
@@ -0,0 +1,372 @@
+/**
+ * Consent Module
+ *
+ * Drives the consent banner from inc/privacy.php. The banner shows until
+ * the reader makes a choice, which is posted to `sinople_set_consent`
+ * (it sets the `sinople_consent` cookie the server reads) and kept in
+ * localStorage, so a choice made offline and queued by the service
+ * worker still counts. The footer's privacy settings button reopens it.
+ *
+ * What the reader allows is switched on in place: embed placeholders
+ * become their iframes, the external fonts stylesheet is added, and
+ * `<script type="text/plain" data-consent="…">` blocks run. Global
+ * Privacy Control and Do Not Track rule out analytics.
+ *
+ * Other modules follow the choices with `onChange`, and scripts outside
+ * the bundle with the `sinople:consent` event on the document (its
+ * detail is the choices) or `window.sinople.consent`.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+open Web
+
+type feature =
+  | @as("analytics") Analytics
+  | @as("external_fonts") ExternalFonts
+  | @as("external_media") ExternalMedia
+  | @as("webmentions") Webmentions
+
+// Keys match sinople_set_consent()
+type choices = {
+  analytics: bool,
+  @as("external_fonts") externalFonts: bool,
+  @as("external_media") externalMedia: bool,
+  webmentions: bool,
+}
+
+// Where consented content comes from (sinople.consent)
+type config = {embedOrigins: array<string>, fontsUrl: string}
+
+let storageKey = "sinople:consent"
+
+external toJson: choices => JSON.t = "%identity"
+
+// Check if the browser sends Global Privacy Control or Do Not Track
+let optedOut = (): bool =>
+  Navigator.globalPrivacyControl->Nullable.toOption == Some(true) ||
+    Navigator.doNotTrack->Nullable.toOption == Some("1")
+
+// Choices from untrusted JSON; anything but `true` is a refusal
+let fromJson = (json: JSON.t): option<choices> =>
+  switch json {
+  | Object(fields) => {
+      let allowed = key => fields->Dict.get(key) == Some(Boolean(true))
+      Some({
+        analytics: allowed("analytics") && !optedOut(),
+        externalFonts: allowed("external_fonts"),
+        externalMedia: allowed("external_media"),
+        webmentions: allowed("webmentions"),
+      })
+    }
+  | _ => None
+  }
+
+let parse = (text: string): option<choices> =>
+  try {
+    fromJson(JSON.parseOrThrow(text))
+  } catch {
+  | _ => None
+  }
+
+// The sinople_consent cookie, as set by the server
+let cookie = (): option<string> =>
+  switch %re("/(?:^|;\s*)sinople_consent=([^;]*)/")->RegExp.exec(Document.cookie) {
+  | Some(result) =>
+    switch result->RegExp.Result.matches {
+    | [Some(value)] =>
+      try {
+        Some(Url.decodeComponent(value))
+      } catch {
+      | _ => None
+      }
+    | _ => None
+    }
+  | None => None
+  }
+
+// The stored choice: the server's cookie, else the copy kept here
+let stored = (): option<choices> =>
+  switch cookie()->Option.flatMap(parse) {
+  | Some(choices) => Some(choices)
+  | None => LocalStorage.getItem(storageKey)->Option.flatMap(parse)
+  }
+
+let current: ref<option<choices>> = ref(None)
+
+let allows = (choices: choices, feature: feature): bool =>
+  switch feature {
+  | Analytics => choices.analytics
+  | ExternalFonts => choices.externalFonts
+  | ExternalMedia => choices.externalMedia
+  | Webmentions => choices.webmentions
+  }
+
+// Check if the reader has allowed a feature
+let has = (feature: feature): bool => current.contents->Option.mapOr(false, allows(_, feature))
+
+// Listeners run after every choice
+let listeners: array<choices => unit> = []
+
+let onChange = (listener: choices => unit) => listeners->Array.push(listener)
+
+// window.sinople, where scripts outside the bundle find the choices
+type page
+@val @scope("window") external page: Nullable.t<page> = "sinople"
+@set external setPageConsent: (page, choices) => unit = "consent"
+
+let announce = (choices: choices) => {
+  page->Nullable.forEach(setPageConsent(_, choices))
+  let _ = Document.dispatchEvent(Event.makeCustom("sinople:consent", {"detail": choices}))
+  listeners->Array.forEach(listener => listener(choices))
+}
+
+// Turn embed placeholders from allowed origins back into iframes.
+// `credentialless` lets them load under the theme's COEP.
+let activateEmbeds = (origins: array<string>) =>
+  Document.querySelectorAll(".privacy-embed[data-src]")->Array.forEach(placeholder => {
+    let data = Element.dataset(placeholder)
+    let url =
+      data
+      ->Dict.get("src")
+      ->Option.flatMap(Url.make(_, ~base=Location.href))
+      ->Option.filter(url => Url.protocol(url) == "https:" && origins->Array.includes(Url.origin(url)))
+
+    url->Option.forEach(url => {
+      let frame = Document.createElement("iframe")
+      frame->Element.setAttribute("src", Url.href(url))
+      frame->Element.setAttribute("loading", "lazy")
+      frame->Element.setAttribute("referrerpolicy", "strict-origin-when-cross-origin")
+      frame->Element.setAttribute("credentialless", "")
+      ["title", "width", "height", "allow"]->Array.forEach(name =>
+        data
+        ->Dict.get(name)
+        ->Option.filter(value => value != "")
+        ->Option.forEach(value => frame->Element.setAttribute(name, value))
+      )
+      placeholder->Element.replaceWith(frame)
+    })
+  })
+
+// Add the external fonts stylesheet, once
+let activateFonts = (href: string) =>
+  if href != "" && Document.getElementById("sinople-external-fonts")->Option.isNone {
+    let link = Document.createElement("link")
+    link->Element.setId("sinople-external-fonts")
+    link->Element.setAttribute("rel", "stylesheet")
+    link->Element.setAttribute("href", href)
+    link->Element.setAttribute("crossorigin", "anonymous")
+    Document.head->Element.append([link])
+  }
+
+external featureName: feature => string = "%identity"
+
+// Run scripts held back as text/plain until a feature is allowed
+let activateScripts = (feature: feature) =>
+  Document.querySelectorAll(
+    `script[type="text/plain"][data-consent="${featureName(feature)}"]`,
+  )->Array.forEach(held => {
+    let script = Document.createElement("script")
+    held
+    ->Element.attributes
+    ->Array.fromArrayLike
+    ->Array.forEach(({name, value}) =>
+      if name != "type" && name != "data-consent" {
+        script->Element.setAttribute(name, value)
+      }
+    )
+    // The nonce attribute reads empty once parsed; the property keeps it
+    script->Element.setNonce(Element.nonce(held))
+    script->Element.setTextContent(Element.textContent(held))
+    held->Element.replaceWith(script)
+  })
+
+let settings: ref<config> = ref({embedOrigins: [], fontsUrl: ""})
+
+// Switch on everything allowed so far. Nothing is switched off again
+// without a reload: a refusal stops loading, it can't unload.
+let activate = () =>
+  current.contents->Option.forEach(choices => {
+    if choices.externalMedia {
+      activateEmbeds(settings.contents.embedOrigins)
+    }
+    if choices.externalFonts {
+      activateFonts(settings.contents.fontsUrl)
+    }
+    [Analytics, ExternalFonts, ExternalMedia, Webmentions]->Array.forEach(feature =>
+      if allows(choices, feature) {
+        activateScripts(feature)
+      }
+    )
+  })
+
+// Post the choices; the service worker queues them when offline
+let push = async (ajaxUrl: string, choices: choices): bool => {
+  let body = FormData.make()
+  body->FormData.append("action", "sinople_set_consent")
+  body->FormData.append(
+    "sinople_consent_nonce",
+    Document.getElementById("sinople_consent_nonce")->Option.mapOr("", Element.value),
+  )
+  [
+    ("consent_analytics", choices.analytics),
+    ("consent_fonts", choices.externalFonts),
+    ("consent_media", choices.externalMedia),
+    ("consent_webmentions", choices.webmentions),
+  ]->Array.forEach(((name, allowed)) =>
+    if allowed {
+      body->FormData.append(name, "1")
+    }
+  )
+
+  let response = await Fetch.fetch(
+    ajaxUrl,
+    {method: "POST", body: FormData.asBody(body), credentials: "same-origin"},
+  )
+  if Fetch.ok(response) {
+    switch await Fetch.json(response) {
+    | Object(result) => result->Dict.get("success") == Some(Boolean(true))
+    | _ => false
+    }
+  } else {
+    false
+  }
+}
+
+// Record a choice: keep it, switch on what it allows and tell listeners
+let choose = (choices: choices) => {
+  let choices = {...choices, analytics: choices.analytics && !optedOut()}
+  LocalStorage.setItem(storageKey, JSON.stringify(toJson(choices)))
+  current := Some(choices)
+  activate()
+  announce(choices)
+}
+
+// Form fields of each choice, as sinople_set_consent() reads them
+let checkbox = (form: element, name: string): option<element> => form->Element.formControl(name)
+
+// Choices as set in the banner form
+let readForm = (form: element): choices => {
+  let checked = name => checkbox(form, name)->Option.mapOr(false, Element.checked)
+  {
+    analytics: checked("consent_analytics"),
+    externalFonts: checked("consent_fonts"),
+    externalMedia: checked("consent_media"),
+    webmentions: checked("consent_webmentions"),
+  }
+}
+
+let fillForm = (form: element, choices: choices) => {
+  let set = (name, value) => checkbox(form, name)->Option.forEach(Element.setChecked(_, value))
+  set("consent_analytics", choices.analytics)
+  set("consent_fonts", choices.externalFonts)
+  set("consent_media", choices.externalMedia)
+  set("consent_webmentions", choices.webmentions)
+}
+
+let setAll = (allowed: bool): choices => {
+  analytics: allowed,
+  externalFonts: allowed,
+  externalMedia: allowed,
+  webmentions: allowed,
+}
+
+// Initialize the banner, the privacy settings button and the "Load
+// content" buttons on embed placeholders
+let init = (~ajaxUrl: string, ~config: config) => {
+  settings := config
+  current := stored()
+
+  switch (
+    Document.getElementById("consent-banner"),
+    Document.getElementById("consent-form"),
+  ) {
+  | (Some(banner), Some(form)) => {
+      let status = Document.getElementById("consent-status")
+
+      // Analytics can't be turned on against the browser's signal
+      if optedOut() {
+        Element.querySelectorAll(form, `[name="consent_analytics"]`)->Array.forEach(box => {
+          Element.setChecked(box, false)
+          Element.setDisabled(box, true)
+        })
+        Document.getElementById("consent-opt-out")->Option.forEach(note =>
+          Element.setHidden(note, false)
+        )
+      }
+
+      let save = (choices: choices) => {
+        choose(choices)
+        Dialog.close(banner)
+        let _ =
+          push(ajaxUrl, choices)
+          ->Promise.thenResolve(saved =>
+            status->Option.forEach(status =>
+              Element.setTextContent(
+                status,
+                saved
+                  ? label("consentSaved", "Privacy choices saved")
+                  : label("consentFailed", "Privacy choices could not be saved, please try again"),
+              )
+            )
+          )
+          ->Promise.catch(_ => {
+            Console.warn("Privacy choices could not be sent")
+            Promise.resolve()
+          })
+      }
+
+      Element.addEventListener(form, "submit", event => {
+        Event.preventDefault(event)
+        save(readForm(form))
+      })
+      Element.querySelectorAll(form, `[data-action="accept-all"]`)->Array.forEach(button =>
+        Element.addEventListener(button, "click", _ => save(setAll(true)))
+      )
+      Element.querySelectorAll(form, `[data-action="reject-all"]`)->Array.forEach(button =>
+        Element.addEventListener(button, "click", _ => save(setAll(false)))
+      )
+
+      // Reopened from the footer it can be dismissed; the first time it
+      // waits for a choice without taking focus from the page
+      Document.querySelectorAll("[data-consent-open]")->Array.forEach(button => {
+        Element.setHidden(button, false)
+        Element.addEventListener(button, "click", _ => {
+          current.contents->Option.forEach(fillForm(form, _))
+          Dialog.toggle(~modal=false, ~trigger=button, banner)
+        })
+      })
+
+      // "Load content" on a placeholder allows that feature
+      Document.addEventListener("click", event => {
+        let feature =
+          event
+          ->Event.targetElement
+          ->Option.flatMap(Element.closest(_, ".consent-btn[data-feature]"))
+          ->Option.flatMap(button => button->Element.dataset->Dict.get("feature"))
+        switch feature {
+        | Some("external_media") =>
+          save({...current.contents->Option.getOr(readForm(form)), externalMedia: true})
+        | Some("external_fonts") =>
+          save({...current.contents->Option.getOr(readForm(form)), externalFonts: true})
+        | _ => ()
+        }
+      })
+
+      switch current.contents {
+      | Some(choices) => {
+          fillForm(form, choices)
+          activate()
+          announce(choices)
+        }
+      | None => Dialog.open_(~modal=false, ~dismissible=false, ~focus=false, banner)
+      }
+    }
+  | _ =>
+    current.contents->Option.forEach(choices => {
+      activate()
+      announce(choices)
+    })
+  }
+}
@@ -0,0 +1,337 @@
+/**
+ * Dialog Module
+ *
+ * One model for everything that opens over the page: the search and
+ * preferences dialogs, the navigation menu and the consent banner.
+ * Open dialogs form a stack; the top one gets the keyboard.
+ *
+ * - Modal dialogs make the rest of the page inert, lock scrolling and
+ *   keep Tab inside. A native <dialog> uses showModal(), which does the
+ *   inert part itself; anything else gets `inert` on the rest of <body>.
+ * - Non-modal ones (the menu, the consent banner) just open; an element
+ *   with a `popover` attribute is shown as a popover where supported.
+ * - Dismissible ones close on Escape, a backdrop click (modal) or a click
+ *   elsewhere (non-modal), and on soft navigation.
+ * - Closing returns focus to wherever it was when the dialog opened,
+ *   else to the trigger, whose aria-expanded follows the dialog.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+open Web
+
+type entry = {
+  element: element,
+  modal: bool,
+  dismissible: bool,
+  trigger: option<element>,
+  returnFocus: option<element>,
+  wasHidden: bool,
+  onClose: option<unit => unit>,
+}
+
+// Open dialogs, the top one last
+let stack: ref<array<entry>> = ref([])
+
+let top = (): option<entry> => stack.contents->Array.at(-1)
+
+let isOpen = (element: element): bool => stack.contents->Array.some(entry => entry.element === element)
+
+let focusableSelector = `a[href], area[href], button:not([disabled]), input:not([disabled]):not([type="hidden"]), select:not([disabled]), textarea:not([disabled]), iframe, [contenteditable="true"], [tabindex]:not([tabindex="-1"])`
+
+// Focusable elements inside a container, in Tab order, skipping hidden ones
+let focusables = (container: element): array<element> =>
+  container
+  ->Element.querySelectorAll(focusableSelector)
+  ->Array.filter(element => element->Element.closest("[inert]")->Option.isNone && Element.isRendered(element))
+
+// Check if an element is a <dialog> that can be shown natively
+let isNativeDialog = (element: element): bool =>
+  Element.localName(element) == "dialog" && Global.isFunction("HTMLDialogElement.prototype.showModal")
+
+// Check if an element is shown as a popover
+let isPopover = (element: element): bool =>
+  element->Element.hasAttribute("popover") && Element.supportsPopovers()
+
+let show = (element: element, modal: bool) => {
+  element->Element.setHidden(false)
+  if isNativeDialog(element) {
+    if !Element.Dialog.isOpen(element) {
+      modal ? Element.Dialog.showModal(element) : Element.Dialog.show(element)
+    }
+  } else if isPopover(element) {
+    Element.showPopover(element)
+  } else if Element.localName(element) == "dialog" {
+    element->Element.setAttribute("open", "")
+  }
+  if element->Element.hasAttribute("aria-hidden") {
+    element->Element.setAttribute("aria-hidden", "false")
+  }
+  element->Element.classList->Element.addClass("is-open")
+}
+
+let hide = (element: element, wasHidden: bool) => {
+  if isNativeDialog(element) {
+    Element.Dialog.close(element)
+  } else if isPopover(element) {
+    if element->Element.matches(":popover-open") {
+      Element.hidePopover(element)
+    }
+  } else if Element.localName(element) == "dialog" {
+    element->Element.removeAttribute("open")
+  }
+  if element->Element.hasAttribute("aria-hidden") {
+    element->Element.setAttribute("aria-hidden", "true")
+  }
+  element->Element.classList->Element.removeClass("is-open")
+  element->Element.setHidden(wasHidden)
+}
+
+// Elements this module made inert, so it only ever undoes its own
+let inerted: Set.t<element> = Set.make()
+
+// Make everything outside a modal dialog inert (none: undo it all)
+let makeInert = (dialog: option<element>) => {
+  inerted->Set.forEach(element => element->Element.setInert(false))
+  inerted->Set.clear
+  dialog->Option.forEach(dialog =>
+    Document.body
+    ->Element.children
+    ->Array.fromArrayLike
+    ->Array.forEach(child =>
+      if !(child->Element.contains(dialog)) && !Element.inert(child) {
+        child->Element.setInert(true)
+        inerted->Set.add(child)
+      }
+    )
+  )
+}
+
+// Inert the page behind the top modal, unless the browser already does
+// (a native modal <dialog>)
+let updateInert = () =>
+  switch stack.contents->Array.findLast(entry => entry.modal) {
+  | Some(entry) if !isNativeDialog(entry.element) => makeInert(Some(entry.element))
+  | _ => makeInert(None)
+  }
+
+// Stop the page scrolling under a modal, keeping the scrollbar's space
+let lockScroll = (locked: bool) => {
+  let root = Document.documentElement
+  let style = Element.style(root)
+  let isLocked = root->Element.hasAttribute("data-scroll-locked")
+  if locked && !isLocked {
+    let gap = Window.innerWidth -. Element.clientWidth(root)
+    root->Element.setAttribute("data-scroll-locked", "")
+    style->Element.setStyle("overflow", "hidden")
+    if gap > 0. {
+      style->Element.setStyle("padding-inline-end", Float.toString(gap) ++ "px")
+    }
+  } else if !locked && isLocked {
+    root->Element.removeAttribute("data-scroll-locked")
+    let _ = style->Element.removeStyle("overflow")
+    let _ = style->Element.removeStyle("padding-inline-end")
+  }
+}
+
+let update = () => {
+  updateInert()
+  lockScroll(stack.contents->Array.some(entry => entry.modal))
+}
+
+// Focus an element, making it focusable first if it isn't
+let focusElement = (element: element) => {
+  if !(element->Element.matches(focusableSelector)) && !(element->Element.hasAttribute("tabindex")) {
+    element->Element.setAttribute("tabindex", "-1")
+  }
+  Element.focus(element)
+}
+
+// Where focus goes on open: [autofocus], else the first focusable
+// element, else the dialog itself
+let focusInitial = (element: element) =>
+  switch (element->Element.querySelector("[autofocus]"), focusables(element)[0]) {
+  | (Some(target), _) | (None, Some(target)) => focusElement(target)
+  | (None, None) => focusElement(element)
+  }
+
+// Check if focus can go back to an element
+let canRefocus = (element: element): bool =>
+  Element.isConnected(element) &&
+  element->Element.closest("[inert]")->Option.isNone &&
+  element !== Document.body
+
+// Open a dialog. `trigger` is the control that opened it; `initialFocus`
+// overrides where focus goes, and `focus=false` leaves focus where it is
+// (for a banner that appears on its own).
+let open_ = (
+  ~modal=true,
+  ~dismissible=true,
+  ~trigger: option<element>=?,
+  ~initialFocus: option<element>=?,
+  ~focus=true,
+  ~onClose: option<unit => unit>=?,
+  element: element,
+) =>
+  if !isOpen(element) {
+    stack :=
+      stack.contents->Array.concat([
+        {
+          element,
+          modal,
+          dismissible,
+          trigger,
+          returnFocus: Document.activeElement->Nullable.toOption,
+          wasHidden: Element.hidden(element),
+          onClose,
+        },
+      ])
+    show(element, modal)
+    trigger->Option.forEach(control => control->Element.setAttribute("aria-expanded", "true"))
+    update()
+
+    if focus {
+      switch initialFocus {
+      | Some(target) => focusElement(target)
+      | None => focusInitial(element)
+      }
+    }
+  }
+
+// Close a dialog. Focus goes back only if it was on top.
+let close = (~restoreFocus=true, element: element) =>
+  switch stack.contents->Array.find(entry => entry.element === element) {
+  | None => ()
+  | Some(entry) => {
+      let wasTop = top()->Option.mapOr(false, current => current.element === element)
+      stack := stack.contents->Array.filter(other => other.element !== element)
+      hide(element, entry.wasHidden)
+      entry.trigger->Option.forEach(control => control->Element.setAttribute("aria-expanded", "false"))
+      update()
+      entry.onClose->Option.forEach(onClose => onClose())
+
+      if restoreFocus && wasTop {
+        switch (entry.returnFocus, entry.trigger) {
+        | (Some(target), _) if canRefocus(target) => focusElement(target)
+        | (_, Some(target)) if canRefocus(target) => focusElement(target)
+        | _ => ()
+        }
+      }
+    }
+  }
+
+let toggle = (~modal=true, ~trigger: option<element>=?, element: element) =>
+  isOpen(element) ? close(element) : open_(~modal, ~trigger?, element)
+
+// Close every dismissible dialog, leaving focus alone
+let closeAll = () =>
+  stack.contents
+  ->Array.toReversed
+  ->Array.forEach(entry =>
+    if entry.dismissible {
+      close(~restoreFocus=false, entry.element)
+    }
+  )
+
+// Keep Tab and Shift+Tab inside a dialog
+let trapTab = (dialog: element, event: event) => {
+  let items = focusables(dialog)
+  let active = Document.activeElement->Nullable.toOption
+  let isActive = (element: element) => active->Option.mapOr(false, active => active === element)
+  let shift = Event.shiftKey(event)
+  let moveTo = (element: element) => {
+    Event.preventDefault(event)
+    Element.focus(element)
+  }
+
+  switch (items[0], items->Array.at(-1)) {
+  | (Some(first), Some(last)) =>
+    if !(active->Option.mapOr(false, active => dialog->Element.contains(active))) {
+      moveTo(shift ? last : first)
+    } else if shift && (isActive(first) || isActive(dialog)) {
+      moveTo(last)
+    } else if !shift && isActive(last) {
+      moveTo(first)
+    }
+  | _ => {
+      Event.preventDefault(event)
+      focusElement(dialog)
+    }
+  }
+}
+
+// Check if a click landed outside an element's box (on a modal
+// <dialog>, a click on the backdrop targets the dialog itself)
+let outside = (element: element, event: event): bool => {
+  let box = Element.getBoundingClientRect(element)
+  let x = Event.clientX(event)
+  let y = Event.clientY(event)
+  x < box.left || x > box.right || y < box.top || y > box.bottom
+}
+
+let initialized = ref(false)
+
+// Install the keyboard, pointer and navigation handling (once)
+let init = () =>
+  if !initialized.contents {
+    initialized := true
+
+    Document.addEventListener("keydown", event =>
+      top()->Option.forEach(entry =>
+        switch Event.key(event) {
+        | "Escape" if entry.dismissible => {
+            Event.preventDefault(event)
+            close(entry.element)
+          }
+        | "Tab" if entry.modal => trapTab(entry.element, event)
+        | _ => ()
+        }
+      )
+    )
+
+    // Focus that lands outside the top modal (a screen reader's virtual
+    // cursor, say) is brought back in
+    Document.addEventListener("focusin", event =>
+      top()->Option.forEach(entry =>
+        if entry.modal && !(entry.element->Element.contains(Event.target(event))) {
+          focusInitial(entry.element)
+        }
+      )
+    )
+
+    Document.addEventListener("click", event =>
+      top()->Option.forEach(entry => {
+        let target = Event.target(event)
+        let onTrigger = entry.trigger->Option.mapOr(false, control => control->Element.contains(target))
+        if entry.dismissible && !onTrigger {
+          if entry.modal {
+            if target === entry.element && outside(entry.element, event) {
+              close(entry.element)
+            }
+          } else if !(entry.element->Element.contains(target)) {
+            close(~restoreFocus=false, entry.element)
+          }
+        }
+      })
+    )
+
+    // A native <dialog> asks to close itself on Escape or the back
+    // gesture ("cancel"), and closes itself for <form method="dialog">
+    Document.addEventListenerWith(
+      "cancel",
+      event =>
+        top()->Option.forEach(entry =>
+          if Event.target(event) === entry.element {
+            Event.preventDefault(event)
+            if entry.dismissible {
+              close(entry.element)
+            }
+          }
+        ),
+      {capture: true},
+    )
+    Document.addEventListenerWith("close", event => close(Event.target(event)), {capture: true})
+
+    ViewTransitions.onPageLoad(closeAll)
+  }
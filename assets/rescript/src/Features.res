@@ -0,0 +1,61 @@
+/**
+ * Features Module
+ *
+ * Detects the browser features the theme enhances with. Each one present
+ * becomes a has-* class on <html> for the stylesheets, and Sinople.res
+ * copies the results into sinople.features for other scripts.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+open Web
+
+type t = {
+  intersectionObserver: bool,
+  resizeObserver: bool,
+  containerQueries: bool,
+  hasSelector: bool,
+  viewTransitions: bool,
+  webCrypto: bool,
+  webGPU: bool,
+  webRTC: bool,
+  fileSystemAccess: bool,
+  webShare: bool,
+}
+
+// Detect what the browser supports now. A global that is present but
+// undefined counts as missing.
+let detect = (): t => {
+  intersectionObserver: Global.has("IntersectionObserver"),
+  resizeObserver: Global.has("ResizeObserver"),
+  containerQueries: Css.supports("container-type: inline-size"),
+  hasSelector: Css.supports("selector(:has(*))"),
+  viewTransitions: ViewTransition.isSupported(),
+  webCrypto: Global.isFunction("crypto.subtle.generateKey"),
+  webGPU: Global.has("navigator.gpu"),
+  webRTC: Global.has("RTCPeerConnection"),
+  fileSystemAccess: Global.has("showOpenFilePicker"),
+  webShare: Global.has("navigator.share"),
+}
+
+// Classes for the features present
+let classes = (features: t): array<string> =>
+  [
+    ("intersection-observer", features.intersectionObserver),
+    ("resize-observer", features.resizeObserver),
+    ("container-queries", features.containerQueries),
+    ("has-selector", features.hasSelector),
+    ("view-transitions", features.viewTransitions),
+    ("web-crypto", features.webCrypto),
+    ("web-gpu", features.webGPU),
+    ("web-rtc", features.webRTC),
+    ("file-system-access", features.fileSystemAccess),
+    ("web-share", features.webShare),
+  ]->Array.filterMap(((name, supported)) => supported ? Some("has-" ++ name) : None)
+
+// Add the classes to <html>
+let apply = (features: t) => {
+  let classList = Document.documentElement->Element.classList
+  features->classes->Array.forEach(name => classList->Element.addClass(name))
+}
@@ -0,0 +1,158 @@
+/**
+ * Kdf Module
+ *
+ * Password hashing for protected-post unlocks. Hashes are PHC strings that
+ * name their algorithm and carry their costs and salt, so any stored hash
+ * can be verified after the defaults change:
+ *
+ *   $argon2id$v=19$m=19456,t=2,p=1$<salt>$<hash>   (WASM, assets/wasm/kdf.rs)
+ *   $pbkdf2-sha256$i=600000,l=32$<salt>$<hash>      (Web Crypto, this module)
+ *
+ * Salt and hash are base64 without padding. WasmLoader.hashPassword picks
+ * Argon2id when the module loads and PBKDF2 otherwise;
+ * tests/fixtures/kdf-vectors.json pins both.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+// Uint8Array
+type bytes
+
+// Argon2id costs (OWASP password storage recommendations)
+let memoryCost = 19456 // KiB
+let timeCost = 2
+let parallelism = 1
+
+// PBKDF2-SHA256 iterations (OWASP password storage recommendations)
+let iterations = 600000
+
+// Most iterations a stored hash may ask for. Verifying runs as many as the
+// hash names, so without a ceiling one hash could stall every unlock.
+let maxIterations = iterations * 10
+
+let saltLength = 16
+let outputLength = 32
+
+let bytesLength: bytes => int = %raw(`(bytes) => bytes.length`)
+
+// Cryptographically random bytes, for salts
+let randomBytes: int => bytes = %raw(`(length) => crypto.getRandomValues(new Uint8Array(length))`)
+
+// Base64 without padding, as PHC strings use
+let encodeBase64: bytes => string = %raw(`
+  (bytes) => btoa(String.fromCharCode(...bytes)).replace(/=+$/, '')
+`)
+
+let decodeBase64: string => option<bytes> = %raw(`
+  (text) => {
+    try {
+      return Uint8Array.from(atob(text), (c) => c.charCodeAt(0));
+    } catch {
+      return undefined;
+    }
+  }
+`)
+
+// Compare without stopping at the first differing byte, so the time taken
+// says nothing about how much of a guess was right
+let equalBytes: (bytes, bytes) => bool = %raw(`
+  (a, b) => {
+    if (a.length !== b.length) {
+      return false;
+    }
+    let difference = 0;
+    for (let i = 0; i < a.length; i++) {
+      difference |= a[i] ^ b[i];
+    }
+    return difference === 0;
+  }
+`)
+
+// Derive `length` bytes with PBKDF2-HMAC-SHA256 through Web Crypto
+let pbkdf2: (string, bytes, int, int) => promise<bytes> = %raw(`
+  async (password, salt, iterations, length) => {
+    const key = await crypto.subtle.importKey(
+      'raw',
+      new TextEncoder().encode(password),
+      'PBKDF2',
+      false,
+      ['deriveBits'],
+    );
+    const bits = await crypto.subtle.deriveBits(
+      { name: 'PBKDF2', hash: 'SHA-256', salt, iterations },
+      key,
+      length * 8,
+    );
+    return new Uint8Array(bits);
+  }
+`)
+
+// Algorithm id of an encoded hash, e.g. "argon2id" or "pbkdf2-sha256"
+let algorithmOf = (encoded: string): option<string> =>
+  encoded->String.startsWith("$") ? encoded->String.split("$")->Array.get(1) : None
+
+// "i=600000,l=32" -> {"i": "600000", "l": "32"}
+let parseParams = (params: string): Dict.t<string> =>
+  params
+  ->String.split(",")
+  ->Array.filterMap(param =>
+    switch param->String.split("=") {
+    | [key, value] => Some((key, value))
+    | _ => None
+    }
+  )
+  ->Dict.fromArray
+
+// A positive decimal parameter
+let positiveParam = (params: Dict.t<string>, key: string): option<int> =>
+  switch params->Dict.get(key) {
+  | Some(value) if %re("/^[1-9][0-9]{0,8}$/")->RegExp.test(value) => Int.fromString(value)
+  | _ => None
+  }
+
+type pbkdf2Hash = {
+  iterations: int,
+  salt: bytes,
+  hash: bytes,
+}
+
+let parsePbkdf2 = (encoded: string): option<pbkdf2Hash> =>
+  switch encoded->String.split("$") {
+  | ["", "pbkdf2-sha256", params, salt, hash] => {
+      let params = parseParams(params)
+      switch (positiveParam(params, "i"), decodeBase64(salt), decodeBase64(hash)) {
+      | (Some(iterations), Some(salt), Some(hash))
+        if iterations <= maxIterations && positiveParam(params, "l") == Some(bytesLength(hash)) =>
+        Some({iterations, salt, hash})
+      | _ => None
+      }
+    }
+  | _ => None
+  }
+
+let encodePbkdf2 = ({iterations, salt, hash}: pbkdf2Hash): string =>
+  "$pbkdf2-sha256$i=" ++
+  Int.toString(iterations) ++
+  ",l=" ++
+  Int.toString(bytesLength(hash)) ++
+  "$" ++
+  encodeBase64(salt) ++
+  "$" ++
+  encodeBase64(hash)
+
+// Hash a password with PBKDF2-SHA256
+let hashPbkdf2 = async (password: string, salt: bytes, iterations: int): string => {
+  let hash = await pbkdf2(password, salt, iterations, outputLength)
+  encodePbkdf2({iterations, salt, hash})
+}
+
+// Check a password against an encoded PBKDF2 hash. Malformed hashes, and
+// those asking for more than maxIterations, never verify.
+let verifyPbkdf2 = async (password: string, encoded: string): bool => {
+  switch parsePbkdf2(encoded) {
+  | Some({iterations, salt, hash}) =>
+    equalBytes(await pbkdf2(password, salt, iterations, bytesLength(hash)), hash)
+  | None => false
+  }
+}
@@ -0,0 +1,225 @@
+/**
+ * Live Entries Module
+ *
+ * Subscribes to the NDJSON Server-Sent Events stream and announces
+ * entries published since the page loaded in a polite live region.
+ * Activating the banner inserts them at the top of the list. On archives
+ * the banner's data-stream narrows the stream to the archive's entries.
+ *
+ * The stream resumes from the newest entry seen (`since`), and is
+ * reopened with exponential backoff when it errors or its heartbeat
+ * stops arriving.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+open Web
+
+// EventSource bindings
+type eventSource
+type messageEvent = {data: string}
+
+@new external makeEventSource: (string, {"withCredentials": bool}) => eventSource = "EventSource"
+@send external addSourceListener: (eventSource, string, messageEvent => unit) => unit = "addEventListener"
+@send external close: eventSource => unit = "close"
+
+// Timers
+@val external setTimeout: (unit => unit, int) => int = "setTimeout"
+@val external clearTimeout: int => unit = "clearTimeout"
+
+// Entry fields used from Sinople_NDJSON_Feed::get_post_data()
+type entry = {
+  id: int,
+  title: string,
+  excerpt: string,
+  url: string,
+  published: string,
+}
+
+// The server heartbeats every 5 seconds; three missed beats means a dead stream
+let heartbeatTimeoutMs = 15000
+
+// Reconnect delays double from 1 second up to 1 minute
+let minBackoffMs = 1000
+let maxBackoffMs = 60000
+
+// Delay before reconnect attempt `attempt` (0-based)
+let backoffDelay = (attempt: int): int => {
+  let delay = minBackoffMs * Math.Int.pow(2, ~exp=Math.Int.min(attempt, 6))
+  Math.Int.min(delay, maxBackoffMs)
+}
+
+// Stream URL resuming after the newest entry seen
+let streamUrl = (endpoint: string, since: int): string => {
+  let separator = endpoint->String.includes("?") ? "&" : "?"
+  endpoint ++ separator ++ "since=" ++ Int.toString(since)
+}
+
+// "1 new entry" / "N new entries"
+let bannerText = (count: int): string => {
+  let template =
+    count == 1 ? label("newEntry", "%d new entry") : label("newEntries", "%d new entries")
+  template->String.replace("%d", Int.toString(count))
+}
+
+// Parse a `post` event payload
+let parseEntry = (data: string): option<entry> => {
+  try {
+    Some(JSON.parseOrThrow(data)->Obj.magic)
+  } catch {
+  | _ => None
+  }
+}
+
+// Build an archive article for an entry, mirroring templates/content.php
+let renderEntry = (entry: entry) => {
+  let article = Document.createElement("article")
+  Element.setAttribute(article, "id", "post-" ++ Int.toString(entry.id))
+  Element.setClassName(article, "post h-entry live-entry")
+
+  let header = Document.createElement("header")
+  Element.setClassName(header, "entry-header")
+
+  let heading = Document.createElement("h2")
+  Element.setClassName(heading, "entry-title p-name")
+  Element.setAttribute(heading, "tabindex", "-1")
+
+  let link = Document.createElement("a")
+  Element.setAttribute(link, "href", entry.url)
+  Element.setAttribute(link, "rel", "bookmark")
+  Element.setClassName(link, "u-url")
+  Element.setTextContent(link, entry.title)
+  Element.append(heading, [link])
+  Element.append(header, [heading])
+
+  let time = Document.createElement("time")
+  Element.setClassName(time, "entry-date published dt-published")
+  Element.setAttribute(time, "datetime", entry.published)
+  Element.setTextContent(time, %raw(`new Date(entry.published).toLocaleDateString()`))
+  Element.append(header, [time])
+  Element.append(article, [header])
+
+  let summary = Document.createElement("div")
+  Element.setClassName(summary, "entry-summary p-summary")
+  Element.setTextContent(summary, entry.excerpt)
+  Element.append(article, [summary])
+
+  article
+}
+
+// Closes the stream opened for the current page. Soft navigation
+// replaces the page, banner included, without unloading it.
+let stop: ref<unit => unit> = ref(() => ())
+
+// Initialize the live entries banner
+let init = (endpoint: string) => {
+  stop.contents()
+  stop := () => ()
+
+  switch Document.querySelector("[data-live-entries]") {
+  | None => ()
+  | Some(banner) =>
+    switch Document.querySelector(".live-entries-button") {
+    | None => ()
+    | Some(button) => {
+        let stream =
+          Element.getAttribute(banner, "data-stream")
+          ->Option.filter(url => url != "")
+          ->Option.getOr(endpoint)
+        let since = ref(
+          Element.getAttribute(banner, "data-since")
+          ->Option.flatMap(Int.fromString(_))
+          ->Option.getOr(0),
+        )
+        let pending: ref<array<entry>> = ref([])
+        let attempt = ref(0)
+        let source: ref<option<eventSource>> = ref(None)
+        let watchdog: ref<option<int>> = ref(None)
+        let retry: ref<option<int>> = ref(None)
+
+        let updateBanner = () => {
+          let count = pending.contents->Array.length
+          if count > 0 {
+            Element.setTextContent(button, bannerText(count))
+            Element.removeAttribute(button, "hidden")
+          } else {
+            Element.setAttribute(button, "hidden", "")
+          }
+        }
+
+        let rec connect = () => {
+          let events = makeEventSource(streamUrl(stream, since.contents), {"withCredentials": true})
+          source := Some(events)
+          resetWatchdog()
+
+          addSourceListener(events, "connected", _ => {
+            attempt := 0
+            resetWatchdog()
+          })
+
+          addSourceListener(events, "heartbeat", _ => resetWatchdog())
+
+          addSourceListener(events, "post", event => {
+            resetWatchdog()
+            switch parseEntry(event.data) {
+            | Some(entry) if entry.id > since.contents => {
+                since := entry.id
+                pending := pending.contents->Array.concat([entry])
+                updateBanner()
+              }
+            | _ => ()
+            }
+          })
+
+          // EventSource would retry with the original `since`; reconnect ourselves instead
+          addSourceListener(events, "error", _ => reconnect())
+        }
+        and resetWatchdog = () => {
+          watchdog.contents->Option.forEach(clearTimeout)
+          watchdog := Some(setTimeout(reconnect, heartbeatTimeoutMs))
+        }
+        and reconnect = () => {
+          watchdog.contents->Option.forEach(clearTimeout)
+          watchdog := None
+          source.contents->Option.forEach(close)
+          source := None
+
+          let delay = backoffDelay(attempt.contents)
+          attempt := attempt.contents + 1
+          retry := Some(setTimeout(connect, delay))
+        }
+
+        // Insert pending entries newest first, then move focus to the newest
+        Element.addEventListener(button, "click", _ => {
+          let entries = pending.contents->Array.toReversed
+          pending := []
+
+          let anchor = ref(banner)
+          entries->Array.forEach(entry => {
+            let article = renderEntry(entry)
+            Element.after(anchor.contents, article)
+            anchor := article
+          })
+
+          updateBanner()
+
+          switch entries[0] {
+          | Some(entry) =>
+            Document.querySelector("#post-" ++ Int.toString(entry.id) ++ " .entry-title")
+            ->Option.forEach(Element.focus)
+          | None => ()
+          }
+        })
+
+        stop := () => {
+          watchdog.contents->Option.forEach(clearTimeout)
+          retry.contents->Option.forEach(clearTimeout)
+          source.contents->Option.forEach(close)
+        }
+
+        connect()
+      }
+    }
+  }
+}
@@ -0,0 +1,95 @@
+/**
+ * Offline Reading Module
+ *
+ * "Save for offline" buttons on journal entries. The service worker
+ * stores the entry HTML, its images and its metadata; this module
+ * only asks it to and reflects the result on the button.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+open Web
+
+type entry = {
+  url: string,
+  title: string,
+  excerpt: string,
+  published: string,
+}
+
+// Read an attribute, empty when absent
+let attribute = (element, name) => {
+  Element.getAttribute(element, name)->Option.getOr("")
+}
+
+// Entry metadata rendered by sinople_entry_actions()
+let entryFromButton = (button): entry => {
+  url: attribute(button, "data-offline-url"),
+  title: attribute(button, "data-offline-title"),
+  excerpt: attribute(button, "data-offline-excerpt"),
+  published: attribute(button, "data-offline-published"),
+}
+
+// Reflect the saved state on the button
+let updateButton = (button, saved: bool) => {
+  Element.setAttribute(button, "aria-pressed", saved ? "true" : "false")
+  Element.setTextContent(
+    button,
+    saved ? label("savedOffline", "Saved for offline") : label("saveOffline", "Save for offline"),
+  )
+}
+
+// Save or remove the entry behind a button
+let toggle = async button => {
+  let entry = entryFromButton(button)
+  let saved = attribute(button, "aria-pressed") == "true"
+
+  Element.setAttribute(button, "aria-busy", "true")
+
+  try {
+    if saved {
+      let _ = await ServiceWorkerClient.send({"type": "offline:remove", "url": entry.url})
+    } else {
+      let _ = await ServiceWorkerClient.send({"type": "offline:save", "entry": entry})
+    }
+    updateButton(button, !saved)
+  } catch {
+  | _ => {
+      Console.warn2("Offline save failed for", entry.url)
+      Element.setTextContent(button, label("saveOfflineFailed", "Could not save for offline"))
+    }
+  }
+
+  Element.removeAttribute(button, "aria-busy")
+}
+
+// Show a button once the worker can tell us whether its entry is saved
+let initButton = async button => {
+  let url = attribute(button, "data-offline-url")
+
+  let saved = try {
+    await ServiceWorkerClient.send({"type": "offline:has", "url": url})
+  } catch {
+  | _ => false
+  }
+
+  updateButton(button, saved)
+  Element.removeAttribute(button, "hidden")
+
+  Element.addEventListener(button, "click", _ => {
+    let _ = toggle(button)
+  })
+}
+
+// Initialize offline reading buttons
+let init = async () => {
+  let buttons = Document.querySelectorAll("[data-offline-save]")
+
+  if buttons->Array.length > 0 {
+    await ServiceWorkerClient.whenControlled()
+    buttons->Array.forEach(button => {
+      let _ = initButton(button)
+    })
+  }
+}
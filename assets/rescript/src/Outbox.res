@@ -0,0 +1,155 @@
+/**
+ * Outbox Module
+ *
+ * Status of comments, consent choices and micropub posts the service
+ * worker queued while offline. Lists each item with a cancel button,
+ * and asks the worker to replay on `online` where Background Sync is
+ * unavailable.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+open Web
+
+type item = {
+  id: int,
+  kind: string,
+  summary: string,
+  status: string,
+  error: string,
+}
+
+// Check if the browser replays the outbox by itself
+let hasBackgroundSync = (): bool => Global.has("SyncManager")
+
+// Human name for what was queued
+let kindLabel = (kind: string): string => {
+  switch kind {
+  | "comment" => label("outboxComment", "Comment")
+  | "consent" => label("outboxConsent", "Privacy choices")
+  | "micropub" => label("outboxMicropub", "Post")
+  | "webmention" => label("outboxWebmention", "Webmention")
+  | other => other
+  }
+}
+
+// Human status for an item
+let statusLabel = (item: item): string => {
+  switch item.status {
+  | "sending" => label("outboxSending", "Sending…")
+  | "failed" =>
+    item.error == ""
+      ? label("outboxFailed", "Could not be sent")
+      : label("outboxFailed", "Could not be sent") ++ " (" ++ item.error ++ ")"
+  | _ => label("outboxQueued", "Waiting for a connection")
+  }
+}
+
+// Ask the worker to drop an item; the broadcast that follows re-renders
+let cancel = async (id: int) => {
+  try {
+    let _ = await ServiceWorkerClient.send({"type": "outbox:cancel", "id": id})
+  } catch {
+  | _ => Console.warn2("Could not cancel outbox item", id)
+  }
+}
+
+// One list entry: what, its status, and a cancel button
+let renderItem = (item: item) => {
+  let li = Document.createElement("li")
+  Element.setClassName(li, "outbox-item outbox-item--" ++ item.status)
+
+  let description = Document.createElement("span")
+  Element.setClassName(description, "outbox-item-description")
+  Element.setTextContent(
+    description,
+    item.summary == "" ? kindLabel(item.kind) : kindLabel(item.kind) ++ ": " ++ item.summary,
+  )
+  Element.append(li, [description])
+
+  let status = Document.createElement("span")
+  Element.setClassName(status, "outbox-item-status")
+  Element.setTextContent(status, statusLabel(item))
+  Element.append(li, [status])
+
+  if item.status != "sending" {
+    let button = Document.createElement("button")
+    Element.setAttribute(button, "type", "button")
+    Element.setClassName(button, "outbox-cancel")
+    Element.setTextContent(button, label("outboxCancel", "Cancel"))
+    Element.addEventListener(button, "click", _ => {
+      Element.setAttribute(button, "disabled", "")
+      let _ = cancel(item.id)
+    })
+    Element.append(li, [button])
+  }
+
+  li
+}
+
+// Render the outbox section, hiding it when nothing is waiting
+let render = (section, items: array<item>) => {
+  switch (
+    Document.querySelector("[data-outbox-list]"),
+    Document.querySelector(".outbox-status"),
+  ) {
+  | (Some(list), Some(status)) => {
+      Element.replaceChildren(list, [])
+      items->Array.forEach(item => Element.append(list, [renderItem(item)]))
+
+      Element.setTextContent(
+        status,
+        label("outboxSummary", "%d item(s) waiting to be sent")->String.replace(
+          "%d",
+          items->Array.length->Int.toString,
+        ),
+      )
+
+      if items->Array.length > 0 {
+        Element.removeAttribute(section, "hidden")
+      } else {
+        Element.setAttribute(section, "hidden", "")
+      }
+    }
+  | _ => ()
+  }
+}
+
+// Ask the worker to send what it holds
+let replay = async () => {
+  try {
+    let _ = await ServiceWorkerClient.send({"type": "outbox:replay"})
+  } catch {
+  | _ => Console.warn("Outbox replay failed, will retry when online")
+  }
+}
+
+// Initialize the outbox status list
+let init = async () => {
+  switch Document.querySelector("[data-outbox]") {
+  | Some(section) => {
+      await ServiceWorkerClient.whenControlled()
+
+      ServiceWorkerClient.listen("outbox:changed", message => render(section, message["items"]))
+
+      let items = try {
+        await ServiceWorkerClient.send({"type": "outbox:list"})
+      } catch {
+      | _ => []
+      }
+      render(section, items)
+
+      // Without Background Sync, the next online event is the retry
+      if !hasBackgroundSync() {
+        Window.addEventListener("online", _ => {
+          let _ = replay()
+        })
+        if items->Array.length > 0 {
+          let _ = replay()
+        }
+      }
+    }
+  | None => ()
+  }
+}
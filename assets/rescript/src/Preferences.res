@@ -0,0 +1,359 @@
+/**
+ * Preferences Module
+ *
+ * Reading preferences: text size, line height, letter and word spacing,
+ * colour theme, high contrast, tinting entries with their colour term, a
+ * dyslexia-friendly font, a reduced motion override, underlined links
+ * and reading width. They are kept
+ * as one JSON object in localStorage, and for logged-in readers also in
+ * user meta through the `sinople_save_preferences` AJAX action. The
+ * newer copy (by `updated`) wins.
+ *
+ * The inline bootstrap in inc/accessibility.php applies the stored
+ * preferences before first paint; `applyToRoot` here must stay in step
+ * with it, as must the ranges with sinople_sanitize_preferences().
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+@val external setTimeout: (unit => unit, int) => int = "setTimeout"
+@val external clearTimeout: int => unit = "clearTimeout"
+@val @scope("Date") external now: unit => float = "now"
+
+type theme =
+  | @as("system") SystemTheme
+  | @as("light") Light
+  | @as("dark") Dark
+  | @as("sepia") Sepia
+  | @as("night") Night
+  | @as("forest") Forest
+
+type motion =
+  | @as("system") SystemMotion
+  | @as("reduce") Reduce
+  | @as("full") Full
+
+type readingWidth =
+  | @as("narrow") Narrow
+  | @as("normal") Normal
+  | @as("wide") Wide
+
+type t = {
+  fontScale: float,
+  lineHeight: float,
+  letterSpacing: float, // em
+  wordSpacing: float, // em
+  theme: theme, // palettes are in inc/palettes.php
+  highContrast: bool,
+  entryTint: bool,
+  dyslexiaFont: bool,
+  motion: motion,
+  underlineLinks: bool,
+  readingWidth: readingWidth,
+  updated: float, // ms since the epoch; 0 for never changed
+}
+
+type range = {min: float, max: float, default: float}
+
+// Numeric ranges; spacing maxima are the WCAG 1.4.12 text spacing values
+let fontScaleRange = {min: 0.8, max: 1.5, default: 1.0}
+let lineHeightRange = {min: 1.2, max: 2.2, default: 1.5}
+let letterSpacingRange = {min: 0.0, max: 0.12, default: 0.0}
+let wordSpacingRange = {min: 0.0, max: 0.16, default: 0.0}
+
+let defaults = {
+  fontScale: fontScaleRange.default,
+  lineHeight: lineHeightRange.default,
+  letterSpacing: letterSpacingRange.default,
+  wordSpacing: wordSpacingRange.default,
+  theme: SystemTheme,
+  highContrast: false,
+  entryTint: false,
+  dyslexiaFont: false,
+  motion: SystemMotion,
+  underlineLinks: false,
+  readingWidth: Normal,
+  updated: 0.0,
+}
+
+let storageKey = "sinople:preferences"
+
+// Keys used before the preferences panel
+let legacyKeys = ["font-scale", "theme", "contrast"]
+
+external toJson: t => JSON.t = "%identity"
+
+// Read one field, falling back to the default when missing or invalid
+let number = (fields: Dict.t<JSON.t>, key: string, range: range): float =>
+  switch fields->Dict.get(key) {
+  | Some(Number(value)) if Float.isFinite(value) => Math.min(range.max, Math.max(range.min, value))
+  | _ => range.default
+  }
+
+let flag = (fields: Dict.t<JSON.t>, key: string): bool =>
+  switch fields->Dict.get(key) {
+  | Some(Boolean(value)) => value
+  | _ => false
+  }
+
+let text = (fields: Dict.t<JSON.t>, key: string): option<string> =>
+  switch fields->Dict.get(key) {
+  | Some(String(value)) => Some(value)
+  | _ => None
+  }
+
+// Preferences from untrusted JSON (an import, storage, the server):
+// numbers are clamped to their range, anything else unknown is dropped
+let fromJson = (json: JSON.t): option<t> =>
+  switch json {
+  | Object(fields) =>
+    Some({
+      fontScale: number(fields, "fontScale", fontScaleRange),
+      lineHeight: number(fields, "lineHeight", lineHeightRange),
+      letterSpacing: number(fields, "letterSpacing", letterSpacingRange),
+      wordSpacing: number(fields, "wordSpacing", wordSpacingRange),
+      theme: switch text(fields, "theme") {
+      | Some("light") => Light
+      | Some("dark") => Dark
+      | Some("sepia") => Sepia
+      | Some("night") => Night
+      | Some("forest") => Forest
+      | _ => SystemTheme
+      },
+      highContrast: flag(fields, "highContrast"),
+      entryTint: flag(fields, "entryTint"),
+      dyslexiaFont: flag(fields, "dyslexiaFont"),
+      motion: switch text(fields, "motion") {
+      | Some("reduce") => Reduce
+      | Some("full") => Full
+      | _ => SystemMotion
+      },
+      underlineLinks: flag(fields, "underlineLinks"),
+      readingWidth: switch text(fields, "readingWidth") {
+      | Some("narrow") => Narrow
+      | Some("wide") => Wide
+      | _ => Normal
+      },
+      updated: switch fields->Dict.get("updated") {
+      | Some(Number(value)) if Float.isFinite(value) && value > 0.0 => value
+      | _ => 0.0
+      },
+    })
+  | _ => None
+  }
+
+let parse = (text: string): option<t> =>
+  try {
+    fromJson(JSON.parseOrThrow(text))
+  } catch {
+  | _ => None
+  }
+
+// The newer of two copies; the first on a tie
+let newest = (a: option<t>, b: option<t>): option<t> =>
+  switch (a, b) {
+  | (Some(first), Some(second)) => Some(second.updated > first.updated ? second : first)
+  | (Some(_), None) => a
+  | (None, _) => b
+  }
+
+// Preferences saved by the old separate toggles
+let fromLegacy = (): option<t> => {
+  let stored = key => Web.LocalStorage.getItem(key)
+  switch (stored("font-scale"), stored("theme"), stored("contrast")) {
+  | (None, None, None) => None
+  | (scale, theme, contrast) =>
+    Some({
+      ...defaults,
+      fontScale: scale
+      ->Option.flatMap(Float.fromString)
+      ->Option.mapOr(defaults.fontScale, value =>
+        Math.min(fontScaleRange.max, Math.max(fontScaleRange.min, value))
+      ),
+      theme: switch theme {
+      | Some("dark") => Dark
+      | Some("light") => Light
+      | _ => SystemTheme
+      },
+      highContrast: contrast == Some("high"),
+      updated: now(),
+    })
+  }
+}
+
+let save = (prefs: t) => Web.LocalStorage.setItem(storageKey, JSON.stringify(toJson(prefs)))
+
+// Stored preferences, moving any from the old keys over
+let load = (): option<t> =>
+  switch Web.LocalStorage.getItem(storageKey)->Option.flatMap(parse) {
+  | Some(prefs) => Some(prefs)
+  | None =>
+    let legacy = fromLegacy()
+    legacy->Option.forEach(prefs => {
+      save(prefs)
+      legacyKeys->Array.forEach(Web.LocalStorage.removeItem)
+    })
+    legacy
+  }
+
+// Reflect preferences on <html>. Keep in step with the inline bootstrap
+// (sinople_preferences_bootstrap), which does the same before first paint.
+let applyToRoot: t => unit = %raw(`
+  (prefs) => {
+    const root = document.documentElement;
+    const toggle = (name, value) => {
+      if (value) {
+        root.setAttribute(name, value === true ? '' : value);
+      } else {
+        root.removeAttribute(name);
+      }
+    };
+    root.style.setProperty('--text-scale', String(prefs.fontScale));
+    root.style.setProperty('--leading-body', String(prefs.lineHeight));
+    root.style.setProperty('--letter-spacing', prefs.letterSpacing + 'em');
+    root.style.setProperty('--word-spacing', prefs.wordSpacing + 'em');
+    toggle('data-line-height', prefs.lineHeight !== 1.5);
+    toggle('data-text-spacing', prefs.letterSpacing > 0 || prefs.wordSpacing > 0);
+    toggle('data-theme', prefs.theme !== 'system' && prefs.theme);
+    toggle('data-contrast', prefs.highContrast && 'high');
+    toggle('data-entry-tint', prefs.entryTint);
+    toggle('data-font', prefs.dyslexiaFont && 'dyslexia');
+    toggle('data-motion', prefs.motion !== 'system' && prefs.motion);
+    toggle('data-underline-links', prefs.underlineLinks);
+    toggle('data-reading-width', prefs.readingWidth !== 'normal' && prefs.readingWidth);
+  }
+`)
+
+let current = ref(defaults)
+
+// Check if motion should be reduced: the override, else the system setting
+let prefersReducedMotion = (): bool =>
+  switch current.contents.motion {
+  | Reduce => true
+  | Full => false
+  | SystemMotion =>
+    Web.Global.isFunction("matchMedia") && Web.MediaQuery.test("(prefers-reduced-motion: reduce)")
+  }
+
+// Listeners run after every change
+let listeners: array<t => unit> = []
+
+let onChange = (listener: t => unit) => listeners->Array.push(listener)
+
+// Server sync for logged-in readers
+type sync = {ajaxUrl: string, nonce: string}
+
+let syncTo: ref<option<sync>> = ref(None)
+let syncTimer: ref<option<int>> = ref(None)
+
+// Changes settle for a second before they are sent
+let syncDelayMs = 1000
+
+let push: (sync, t) => promise<bool> = %raw(`
+  async ({ ajaxUrl, nonce }, prefs) => {
+    const body = new FormData();
+    body.append('action', 'sinople_save_preferences');
+    body.append('nonce', nonce);
+    body.append('preferences', JSON.stringify(prefs));
+    const response = await fetch(ajaxUrl, { method: 'POST', body, credentials: 'same-origin' });
+    const result = response.ok ? await response.json() : undefined;
+    return result?.success === true;
+  }
+`)
+
+let scheduleSync = (prefs: t) =>
+  syncTo.contents->Option.forEach(sync => {
+    syncTimer.contents->Option.forEach(clearTimeout)
+    syncTimer :=
+      Some(
+        setTimeout(() => {
+          syncTimer := None
+          let _ =
+            push(sync, prefs)
+            ->Promise.thenResolve(saved =>
+              if !saved {
+                Console.warn("Preferences could not be saved to your account")
+              }
+            )
+            ->Promise.catch(_ => {
+              Console.warn("Preferences could not be saved to your account")
+              Promise.resolve()
+            })
+        }, syncDelayMs),
+      )
+  })
+
+// Replace the preferences: apply, store, sync and tell listeners
+let set = (prefs: t) => {
+  let prefs = {...prefs, updated: now()}
+  current := prefs
+  applyToRoot(prefs)
+  save(prefs)
+  scheduleSync(prefs)
+  listeners->Array.forEach(listener => listener(prefs))
+}
+
+// Preferences as a downloadable JSON file
+let export = (prefs: t): string => JSON.stringify(toJson(prefs), ~space=2)
+
+// Keys of the preferences in an exported file, `updated` aside
+let exportedKeys = [
+  "fontScale",
+  "lineHeight",
+  "letterSpacing",
+  "wordSpacing",
+  "theme",
+  "highContrast",
+  "entryTint",
+  "dyslexiaFont",
+  "motion",
+  "underlineLinks",
+  "readingWidth",
+]
+
+// Check if JSON is an exported file: an object with at least one of
+// the preferences, rather than `{}` or some other file
+let isExport = (json: JSON.t): bool =>
+  switch json {
+  | Object(fields) => exportedKeys->Array.some(key => fields->Dict.get(key)->Option.isSome)
+  | _ => false
+  }
+
+// Take preferences from an exported file; None if it isn't one
+let import = (text: string): option<t> => {
+  let json = try {
+    Some(JSON.parseOrThrow(text))
+  } catch {
+  | _ => None
+  }
+  json
+  ->Option.filter(isExport)
+  ->Option.flatMap(fromJson)
+  ->Option.map(prefs => {
+    set(prefs)
+    current.contents
+  })
+}
+
+// Initialize from storage and, for logged-in readers, the copy saved to
+// their account (`server`). The newer one is kept on both sides.
+let init = (~server: option<JSON.t>, ~sync: option<sync>) => {
+  syncTo := sync
+  let local = load()
+  let remote = server->Option.flatMap(fromJson)
+
+  switch newest(local, remote) {
+  | Some(prefs) => {
+      current := prefs
+      applyToRoot(prefs)
+      if Some(prefs) != local {
+        save(prefs)
+      }
+      if sync != None && remote->Option.mapOr(true, saved => prefs.updated > saved.updated) {
+        scheduleSync(prefs)
+      }
+    }
+  | None => ()
+  }
+}
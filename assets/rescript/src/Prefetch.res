@@ -0,0 +1,168 @@
+/**
+ * Prefetch Module
+ *
+ * Warms the pages a reader is likely to open next, so a soft navigation
+ * doesn't start waiting on the network only after the click. Links are
+ * prefetched on intent (hover, focus or touchstart), and journal
+ * navigation links marked data-view-transition also once they scroll
+ * into view.
+ *
+ * While the router runs, pages are fetched into its cache with
+ * ViewTransitions.prefetch, as its fetch() can't use the browser's
+ * prefetch cache. Without the router the same choices are handed to the
+ * browser as Speculation Rules, where supported.
+ *
+ * Nothing is prefetched when the reader asks to save data, and each page
+ * gets a fixed budget of requests and bytes.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+@val external setTimeout: (unit => unit, int) => int = "setTimeout"
+@val external clearTimeout: int => unit = "clearTimeout"
+
+type intersectionObserver
+@send external disconnect: intersectionObserver => unit = "disconnect"
+
+// Budget per page
+let requestBudget = 10
+let byteBudget = 1024 * 1024
+
+type budget = {mutable requests: int, mutable bytes: int}
+
+let spent = {requests: 0, bytes: 0}
+
+let withinBudget = (): bool => spent.requests < requestBudget && spent.bytes < byteBudget
+
+// Hovering this long counts as intent; passing over a link doesn't
+let hoverDelayMs = 65
+
+// Journal navigation links, prefetched once visible
+let viewportSelector = `a[data-view-transition]:not([data-view-transition="false"])`
+
+// Check if the reader asked to save data
+let savesData = (): bool => {
+  %raw(`
+    navigator.connection?.saveData === true ||
+      window.matchMedia?.('(prefers-reduced-data: reduce)').matches === true
+  `)
+}
+
+// Check if the browser takes Speculation Rules
+let supportsSpeculationRules = (): bool => {
+  %raw(`HTMLScriptElement.supports?.('speculationrules') === true`)
+}
+
+// A single page to prefetch now
+let listRules = (url: string): JSON.t => {
+  %raw(`({ prefetch: [{ source: 'list', urls: [url] }] })`)
+}
+
+// Add rules in a script of their own, with the page's nonce as the policy
+// asks of any inline script
+let addRules: (JSON.t, string) => unit = %raw(`
+  (rules, nonce) => {
+    const script = document.createElement('script');
+    script.type = 'speculationrules';
+    script.nonce = nonce;
+    script.textContent = JSON.stringify(rules);
+    document.head.append(script);
+  }
+`)
+
+// Call `onVisible` with each matching link's URL the first time it shows
+let observeViewport: (string => unit) => intersectionObserver = %raw(`
+  (onVisible) => {
+    const observer = new IntersectionObserver((entries) => {
+      for (const entry of entries) {
+        if (entry.isIntersecting) {
+          observer.unobserve(entry.target);
+          onVisible(entry.target.href);
+        }
+      }
+    });
+    document.querySelectorAll(viewportSelector).forEach((link) => observer.observe(link));
+    return observer;
+  }
+`)
+
+// Check if a page is worth a request now
+let wanted = (url: string): bool =>
+  !savesData() && withinBudget() && ViewTransitions.isRoutable(url)
+
+// Fetch a page into the router's cache
+let warm = async (url: string) => {
+  if wanted(url) && !ViewTransitions.isCached(url) {
+    spent.requests = spent.requests + 1
+    let bytes = await ViewTransitions.prefetch(url)
+    spent.bytes = spent.bytes + bytes
+  }
+}
+
+// Ask the browser to prefetch a page, one list rule per page rather than
+// a document rule, so that each counts against the budget and none is
+// added once the reader asks to save data. Its size isn't known to us, so
+// only the request counts.
+let speculated: Set.t<string> = Set.make()
+
+let speculate = (url: string) => {
+  let page = ViewTransitions.pageUrl(url)
+  if wanted(url) && !(speculated->Set.has(page)) {
+    speculated->Set.add(page)
+    spent.requests = spent.requests + 1
+    addRules(listRules(page), ViewTransitions.pageNonce())
+  }
+}
+
+// Prefetch on hover (after a short delay), focus and touchstart
+let setupIntent = (onIntent: string => unit) => {
+  let hover: ref<option<int>> = ref(None)
+
+  let cancelHover = () => {
+    hover.contents->Option.forEach(clearTimeout)
+    hover := None
+  }
+
+  Web.Document.addEventListener("mouseover", event => {
+    cancelHover()
+    ViewTransitions.linkOf(event)->Option.forEach(url =>
+      hover := Some(setTimeout(() => onIntent(url), hoverDelayMs))
+    )
+  })
+  Web.Document.addEventListener("mouseout", _ => cancelHover())
+  Web.Document.addEventListener("focusin", event => ViewTransitions.linkOf(event)->Option.forEach(onIntent))
+  Web.Document.addEventListenerWith(
+    "touchstart",
+    event => ViewTransitions.linkOf(event)->Option.forEach(onIntent),
+    {passive: true},
+  )
+}
+
+let observer: ref<option<intersectionObserver>> = ref(None)
+
+// A new page starts a new budget and a new set of visible links
+let startPage = (~viewport: bool, onVisible: string => unit) => {
+  spent.requests = 0
+  spent.bytes = 0
+  observer.contents->Option.forEach(disconnect)
+  observer := (viewport ? Some(observeViewport(onVisible)) : None)
+}
+
+// Initialize prefetching. `viewport` enables prefetch of visible journal
+// navigation links and needs IntersectionObserver.
+let init = (~viewport: bool) => {
+  if savesData() {
+    Console.log("Prefetch disabled to save data")
+  } else if ViewTransitions.active.contents {
+    let onPage = url => {
+      let _ = warm(url)
+    }
+    setupIntent(onPage)
+    startPage(~viewport, onPage)
+    ViewTransitions.onPageLoad(() => startPage(~viewport, onPage))
+  } else if supportsSpeculationRules() {
+    setupIntent(speculate)
+    startPage(~viewport, speculate)
+  }
+}
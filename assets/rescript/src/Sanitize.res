@@ -0,0 +1,538 @@
+/**
+ * Sanitize Module
+ *
+ * JS port of the allow-list sanitizer in assets/wasm/sanitize.rs, used
+ * by WasmLoader.sanitizeHtml when the WASM module is unavailable. The two
+ * must produce identical output; tests/fixtures/sanitizer-corpus.json
+ * pins both. Input is walked in code points, as Rust walks chars.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+// Elements kept, with their own attributes on top of globalAttributes
+let allowed: Dict.t<array<string>> = Dict.fromArray([
+  ("a", ["href", "hreflang"]),
+  ("abbr", []),
+  ("b", []),
+  ("blockquote", ["cite"]),
+  ("br", []),
+  ("cite", []),
+  ("code", []),
+  ("dd", []),
+  ("del", ["cite", "datetime"]),
+  ("dfn", []),
+  ("dl", []),
+  ("dt", []),
+  ("em", []),
+  ("figcaption", []),
+  ("figure", []),
+  ("hr", []),
+  ("i", []),
+  ("img", ["src", "alt", "width", "height"]),
+  ("ins", ["cite", "datetime"]),
+  ("kbd", []),
+  ("li", ["value"]),
+  ("mark", []),
+  ("ol", ["start", "reversed"]),
+  ("p", []),
+  ("pre", []),
+  ("q", ["cite"]),
+  ("s", []),
+  ("samp", []),
+  ("small", []),
+  ("span", []),
+  ("strong", []),
+  ("sub", []),
+  ("sup", []),
+  ("time", ["datetime"]),
+  ("ul", []),
+])
+
+let globalAttributes = ["title", "lang", "dir"]
+
+let void = ["br", "hr", "img"]
+
+// Elements whose content is raw text to the browser; dropped with it
+let rawText = [
+  "script",
+  "style",
+  "textarea",
+  "title",
+  "xmp",
+  "iframe",
+  "noembed",
+  "noframes",
+  "noscript",
+  "plaintext",
+]
+
+// Elements dropped together with their subtree. SVG and MathML switch the
+// parser into foreign content, where the rules above no longer hold.
+let dropSubtree = ["svg", "math", "template", "object", "applet", "select", "frameset", "head"]
+
+// Attributes holding URLs, and the schemes each accepts
+let urlAttributes: Dict.t<array<string>> = Dict.fromArray([
+  ("href", ["http", "https", "mailto"]),
+  ("src", ["http", "https"]),
+  ("cite", ["http", "https"]),
+])
+
+// Links out of user content are never endorsed
+let linkRel = "nofollow ugc"
+
+// Named references decoded inside attribute values; anything else is kept
+// as literal text
+let namedReferences: Dict.t<string> = Dict.fromArray([
+  ("amp", "&"),
+  ("lt", "<"),
+  ("gt", ">"),
+  ("quot", "\""),
+  ("apos", "'"),
+  ("nbsp", "\u00a0"),
+  ("colon", ":"),
+  ("tab", "\t"),
+  ("newline", "\n"),
+  ("sol", "/"),
+])
+
+type tag = {
+  name: string,
+  closing: bool,
+  mutable selfClosing: bool,
+  attributes: array<(string, string)>,
+}
+
+let codePoints = (text: string): array<string> => {
+  %raw(`Array.from(text)`)
+}
+
+let isSpace = (c: string): bool => [" ", "\t", "\n", "\r", "\u000c"]->Array.includes(c)
+
+let isAsciiAlpha = (c: string): bool => (c >= "a" && c <= "z") || (c >= "A" && c <= "Z")
+
+let isDigit = (c: string, radix: int): bool =>
+  (c >= "0" && c <= "9") ||
+    (radix == 16 && ((c >= "a" && c <= "f") || (c >= "A" && c <= "F")))
+
+// Only ASCII letters fold, as Rust's to_ascii_lowercase
+let asciiLower = (c: string): string => c >= "A" && c <= "Z" ? String.toLowerCase(c) : c
+
+// Length of a well-formed character reference at `i` (`&name;`, `&#123;`
+// or `&#x1F;`), if there is one
+let referenceLength = (chars: array<string>, i: int): option<int> => {
+  let at = offset => chars->Array.get(i + offset)
+  let isAlnum = c => isAsciiAlpha(c) || isDigit(c, 10)
+
+  let form = switch (at(0), at(1), at(2)) {
+  | (Some("&"), Some("#"), Some("x" | "X")) => Some((3, c => isDigit(c, 16)))
+  | (Some("&"), Some("#"), _) => Some((2, c => isDigit(c, 10)))
+  | (Some("&"), Some(c), _) if isAsciiAlpha(c) => Some((1, isAlnum))
+  | _ => None
+  }
+
+  switch form {
+  | Some((start, valid)) => {
+      let digits = ref(0)
+      while at(start + digits.contents)->Option.mapOr(false, valid) {
+        digits := digits.contents + 1
+      }
+      digits.contents > 0 && at(start + digits.contents) == Some(";")
+        ? Some(start + digits.contents + 1)
+        : None
+    }
+  | None => None
+  }
+}
+
+// Named references browsers also decode without the semicolon
+let legacyReferences = ["amp", "lt", "gt", "quot", "nbsp"]
+
+// Legacy reference at `i` written without its semicolon (`&amp`), if there is one
+let legacyReference = (chars: array<string>, i: int): option<string> =>
+  chars->Array.get(i) == Some("&")
+    ? legacyReferences->Array.find(name =>
+        codePoints(name)->Array.everyWithIndex((c, offset) => chars->Array.get(i + 1 + offset) == Some(c))
+      )
+    : None
+
+let codePoint = (value: int): string =>
+  value == 0 || (value >= 0xd800 && value <= 0xdfff) || value > 0x10ffff
+    ? "\ufffd"
+    : String.fromCodePoint(value)
+
+// Decode numeric references (the semicolon is optional, as in browsers)
+// and the named references in namedReferences. Legacy references need no
+// semicolon either, unless followed by a letter, digit or `=`.
+let decodeReferences = (raw: string): string => {
+  let chars = codePoints(raw)
+  let decoded = ref("")
+  let i = ref(0)
+
+  while i.contents < chars->Array.length {
+    let c = chars->Array.getUnsafe(i.contents)
+    let handled = ref(false)
+
+    if c == "&" && chars->Array.get(i.contents + 1) == Some("#") {
+      let hex = switch chars->Array.get(i.contents + 2) {
+      | Some("x" | "X") => true
+      | _ => false
+      }
+      let start = i.contents + (hex ? 3 : 2)
+      let radix = hex ? 16 : 10
+      let end = ref(start)
+      let value = ref(0)
+      while chars->Array.get(end.contents)->Option.mapOr(false, d => isDigit(d, radix)) {
+        let digit = Int.fromString(chars->Array.getUnsafe(end.contents), ~radix)->Option.getOr(0)
+        value := Math.Int.min(value.contents * radix + digit, 0x110000)
+        end := end.contents + 1
+      }
+
+      if end.contents > start {
+        decoded := decoded.contents ++ codePoint(value.contents)
+        i := (chars->Array.get(end.contents) == Some(";") ? end.contents + 1 : end.contents)
+        handled := true
+      }
+    }
+
+    if !handled.contents && c == "&" {
+      switch referenceLength(chars, i.contents) {
+      | Some(length) => {
+          let name = chars->Array.slice(~start=i.contents + 1, ~end=i.contents + length - 1)->Array.join("")
+          switch namedReferences->Dict.get(name) {
+          | Some(character) => {
+              decoded := decoded.contents ++ character
+              i := i.contents + length
+              handled := true
+            }
+          | None => ()
+          }
+        }
+      | None =>
+        switch legacyReference(chars, i.contents) {
+        | Some(name) => {
+            let length = String.length(name) + 1
+            let next = chars->Array.get(i.contents + length)
+            if !(next->Option.mapOr(false, n => isAsciiAlpha(n) || isDigit(n, 10) || n == "=")) {
+              decoded := decoded.contents ++ namedReferences->Dict.getUnsafe(name)
+              i := i.contents + length
+              handled := true
+            }
+          }
+        | None => ()
+        }
+      }
+    }
+
+    if !handled.contents {
+      if c != "\u0000" {
+        decoded := decoded.contents ++ c
+      }
+      i := i.contents + 1
+    }
+  }
+
+  decoded.contents
+}
+
+// Scheme of a URL as the browser resolves it, ignoring the whitespace and
+// control characters it strips. None for relative URLs.
+let urlScheme = (url: string): option<string> => {
+  let compact = codePoints(url)->Array.filter(c => c > " ")
+  switch compact->Array.findIndex(c => [":", "/", "?", "#"]->Array.includes(c)) {
+  | -1 => None
+  | end if compact->Array.getUnsafe(end) == ":" =>
+    Some(compact->Array.slice(~start=0, ~end)->Array.map(asciiLower)->Array.join(""))
+  | _ => None
+  }
+}
+
+let urlAllowed = (attribute: string, value: string): bool =>
+  switch urlAttributes->Dict.get(attribute) {
+  | None => true
+  | Some(schemes) =>
+    switch urlScheme(value) {
+    | None => true
+    | Some(scheme) => schemes->Array.includes(scheme)
+    }
+  }
+
+let escapeAttribute = (value: string): string =>
+  value
+  ->String.replaceAll("&", "&amp;")
+  ->String.replaceAll("\"", "&quot;")
+  ->String.replaceAll("<", "&lt;")
+  ->String.replaceAll(">", "&gt;")
+
+// Escape text, keeping well-formed character references as they are and
+// completing legacy ones written without the semicolon
+let escapeText = (text: array<string>): string => {
+  let output = ref("")
+  let i = ref(0)
+
+  while i.contents < text->Array.length {
+    switch text->Array.getUnsafe(i.contents) {
+    | "&" =>
+      switch referenceLength(text, i.contents) {
+      | Some(length) => {
+          output :=
+            output.contents ++
+            text->Array.slice(~start=i.contents, ~end=i.contents + length)->Array.join("")
+          i := i.contents + length - 1
+        }
+      | None =>
+        switch legacyReference(text, i.contents) {
+        | Some(name) => {
+            output := output.contents ++ "&" ++ name ++ ";"
+            i := i.contents + String.length(name)
+          }
+        | None => output := output.contents ++ "&amp;"
+        }
+      }
+    | "<" => output := output.contents ++ "&lt;"
+    | ">" => output := output.contents ++ "&gt;"
+    | "\u0000" => ()
+    | c => output := output.contents ++ c
+    }
+    i := i.contents + 1
+  }
+
+  output.contents
+}
+
+let startTag = (tag: tag, own: array<string>): string => {
+  let attributes =
+    tag.attributes
+    // Event handlers, style and anything else unlisted never get here
+    ->Array.filter(((name, value)) =>
+      (own->Array.includes(name) || globalAttributes->Array.includes(name)) && urlAllowed(name, value)
+    )
+    ->Array.map(((name, value)) => ` ${name}="${escapeAttribute(value)}"`)
+    ->Array.join("")
+
+  let rel = tag.name == "a" ? ` rel="${linkRel}"` : ""
+  `<${tag.name}${attributes}${rel}>`
+}
+
+// Sanitize an HTML fragment against the allow-list
+let html = (input: string): string => {
+  let chars = codePoints(input)
+  let pos = ref(0)
+  let peek = offset => chars->Array.get(pos.contents + offset)
+  let atEnd = () => pos.contents >= chars->Array.length
+  let startsWith = text =>
+    codePoints(text)->Array.everyWithIndex((c, i) => peek(i) == Some(c))
+  let isSpaceAt = offset => peek(offset)->Option.mapOr(false, isSpace)
+
+  // Move past the next occurrence of `text`, or to the end
+  let skipPast = text => {
+    while !atEnd() && !startsWith(text) {
+      pos := pos.contents + 1
+    }
+    pos := Math.Int.min(pos.contents + Array.length(codePoints(text)), chars->Array.length)
+  }
+
+  let skipSpaces = () =>
+    while isSpaceAt(0) {
+      pos := pos.contents + 1
+    }
+
+  // Skip a raw text element's content and its end tag
+  let skipRawText = name => {
+    let close = codePoints("</" ++ name)
+    let finished = ref(false)
+    while !finished.contents && !atEnd() {
+      let matches = close->Array.everyWithIndex((c, i) => peek(i)->Option.map(asciiLower) == Some(c))
+      let boundary = peek(close->Array.length)
+      if (
+        matches &&
+        boundary->Option.mapOr(true, c => isSpace(c) || c == "/" || c == ">")
+      ) {
+        skipPast(">")
+        finished := true
+      } else {
+        pos := pos.contents + 1
+      }
+    }
+  }
+
+  // Read up to a stop character, folding ASCII case if asked
+  let readWhile = (continues, fold) => {
+    let read = ref("")
+    let more = ref(true)
+    while more.contents {
+      switch peek(0) {
+      | Some(c) if continues(c, read.contents) => {
+          read := read.contents ++ (fold ? asciiLower(c) : c)
+          pos := pos.contents + 1
+        }
+      | _ => more := false
+      }
+    }
+    read.contents
+  }
+
+  let attribute = (): option<(string, string)> => {
+    // A leading `=` is part of the name
+    let name = readWhile(
+      (c, read) => !(isSpace(c) || c == "/" || c == ">" || (c == "=" && read != "")),
+      true,
+    )
+
+    skipSpaces()
+    if peek(0) != Some("=") {
+      Some((name, ""))
+    } else {
+      pos := pos.contents + 1
+      skipSpaces()
+
+      switch peek(0) {
+      | None => None
+      | Some(("\"" | "'") as quote) => {
+          pos := pos.contents + 1
+          let raw = readWhile((c, _) => c != quote, false)
+          if atEnd() {
+            None
+          } else {
+            pos := pos.contents + 1
+            Some((name, decodeReferences(raw)))
+          }
+        }
+      | Some(_) => {
+          let raw = readWhile((c, _) => !(isSpace(c) || c == ">"), false)
+          Some((name, decodeReferences(raw)))
+        }
+      }
+    }
+  }
+
+  // Read a tag after its `<` or `</`. None if the input ends inside it,
+  // which the browser also drops.
+  let readTag = (closing): option<tag> => {
+    let name = readWhile((c, _) => !(isSpace(c) || c == "/" || c == ">"), true)
+    let tag = {name, closing, selfClosing: false, attributes: []}
+    let result = ref(None)
+    let reading = ref(true)
+
+    while reading.contents {
+      skipSpaces()
+      switch peek(0) {
+      | None => reading := false
+      | Some(">") => {
+          pos := pos.contents + 1
+          result := Some(tag)
+          reading := false
+        }
+      | Some("/") => {
+          pos := pos.contents + 1
+          tag.selfClosing = peek(0) == Some(">")
+        }
+      | Some(_) =>
+        switch attribute() {
+        | None => reading := false
+        | Some((name, value)) =>
+          // The first occurrence of an attribute wins
+          if !(tag.attributes->Array.some(((existing, _)) => existing == name)) {
+            tag.attributes->Array.push((name, value))
+          }
+        }
+      }
+    }
+
+    result.contents
+  }
+
+  let output = ref("")
+  let open_: array<string> = []
+  // Subtree being dropped, with its nesting depth
+  let dropping: ref<option<(string, int)>> = ref(None)
+  let text: array<string> = []
+  let running = ref(true)
+
+  let flushText = () => {
+    if dropping.contents == None {
+      output := output.contents ++ escapeText(text)
+    }
+    text->Array.splice(~start=0, ~remove=Array.length(text), ~insert=[])
+  }
+
+  while running.contents && !atEnd() {
+    let c = chars->Array.getUnsafe(pos.contents)
+    let next = peek(1)
+    let isMarkup =
+      c == "<" &&
+        (next->Option.mapOr(false, n => isAsciiAlpha(n) || n == "!" || n == "?") ||
+          (next == Some("/") && peek(2) != None))
+
+    if !isMarkup {
+      text->Array.push(c)
+      pos := pos.contents + 1
+    } else {
+      flushText()
+
+      let closing = next == Some("/")
+      if startsWith("<!--") {
+        pos := pos.contents + 4
+        // `<!-->` and `<!--->` are complete, empty comments
+        if startsWith(">") || startsWith("->") {
+          skipPast(">")
+        } else {
+          skipPast("-->")
+        }
+      } else if (
+        (closing && !(peek(2)->Option.mapOr(false, isAsciiAlpha))) ||
+          next == Some("!") ||
+          next == Some("?")
+      ) {
+        // Bogus comment, up to the next `>`
+        skipPast(">")
+      } else {
+        pos := pos.contents + (closing ? 2 : 1)
+
+        switch readTag(closing) {
+        | None => running := false
+        | Some(tag) if !tag.closing && rawText->Array.includes(tag.name) => skipRawText(tag.name)
+        | Some(tag) =>
+          switch dropping.contents {
+          | Some((name, depth)) =>
+            if name == tag.name {
+              let depth = tag.closing ? depth - 1 : tag.selfClosing ? depth : depth + 1
+              dropping := (depth == 0 ? None : Some((name, depth)))
+            }
+          | None if dropSubtree->Array.includes(tag.name) =>
+            if !tag.closing && !tag.selfClosing {
+              dropping := Some((tag.name, 1))
+            }
+          | None =>
+            switch allowed->Dict.get(tag.name) {
+            // Unknown elements are unwrapped: their content stays
+            | None => ()
+            | Some(own) =>
+              if !tag.closing {
+                output := output.contents ++ startTag(tag, own)
+                if !(void->Array.includes(tag.name)) {
+                  open_->Array.push(tag.name)
+                }
+              } else {
+                switch open_->Array.findLastIndex(name => name == tag.name) {
+                | -1 => ()
+                | position => {
+                    // Close anything left open inside it first
+                    let closed = open_->Array.slice(~start=position, ~end=Array.length(open_))
+                    open_->Array.splice(~start=position, ~remove=Array.length(closed), ~insert=[])
+                    output :=
+                      output.contents ++
+                      closed->Array.toReversed->Array.map(name => `</${name}>`)->Array.join("")
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }
+  }
+
+  flushText()
+  output.contents ++ open_->Array.toReversed->Array.map(name => `</${name}>`)->Array.join("")
+}
@@ -0,0 +1,168 @@
+/**
+ * Search Dialog Module
+ *
+ * Instant search over the client index, opened with the header search
+ * button or the `/` key. Dialog.res opens and closes it, and handles
+ * Escape, the focus trap and returning focus.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+open Web
+
+// Check if a key press came from somewhere the reader is typing
+let isTyping = (event: event): bool =>
+  switch Event.targetElement(event) {
+  | Some(target) =>
+    Element.isContentEditable(target) ||
+    ["INPUT", "TEXTAREA", "SELECT"]->Array.includes(Element.tagName(target))
+  | None => false
+  }
+
+// One result: a link to the entry with its span type and excerpt
+let renderResult = (result: SearchIndex.result) => {
+  let {document} = result
+  let li = Document.createElement("li")
+  Element.setClassName(li, "search-result span-" ++ document.spanType)
+
+  let link = Document.createElement("a")
+  Element.setAttribute(link, "href", document.url)
+  Element.setClassName(link, "search-result-link")
+
+  let title = Document.createElement("span")
+  Element.setClassName(title, "search-result-title")
+  Element.setTextContent(title, document.title)
+  Element.append(link, [title])
+
+  let span = Document.createElement("span")
+  Element.setClassName(span, "search-result-type")
+  Element.setTextContent(span, document.spanType)
+  Element.append(link, [span])
+
+  if document.excerpt != "" {
+    let excerpt = Document.createElement("span")
+    Element.setClassName(excerpt, "search-result-excerpt")
+    Element.setTextContent(excerpt, document.excerpt)
+    Element.append(link, [excerpt])
+  }
+
+  Element.append(li, [link])
+  li
+}
+
+// Initialize the search dialog
+let init = (endpoint: string) => {
+  switch (
+    Document.getElementById("search-dialog"),
+    Document.querySelector(".search-toggle"),
+    Document.getElementById("search-dialog-input"),
+    Document.getElementById("search-dialog-results"),
+    Document.getElementById("search-dialog-status"),
+  ) {
+  | (Some(dialog), Some(toggle), Some(input), Some(results), Some(status)) => {
+      let index: ref<option<SearchIndex.searchable>> = ref(None)
+      let loading: ref<option<promise<unit>>> = ref(None)
+
+      let render = () => {
+        Element.replaceChildren(results, [])
+        let query = Element.value(input)->String.trim
+
+        switch (index.contents, query) {
+        | (_, "") => Element.setTextContent(status, "")
+        | (None, _) => Element.setTextContent(status, label("searchIndexing", "Preparing search…"))
+        | (Some(loaded), _) => {
+            let matches = SearchIndex.search(loaded, query)
+            matches->Array.forEach(result => Element.append(results, [renderResult(result)]))
+            Element.setTextContent(
+              status,
+              matches->Array.length == 0
+                ? label("searchNoResults", "No matching entries")
+                : label("searchResults", "%d results")->String.replace(
+                    "%d",
+                    matches->Array.length->Int.toString,
+                  ),
+            )
+          }
+        }
+      }
+
+      // Load (and refresh) the index once per page, on first open
+      let ensureIndex = () => {
+        switch loading.contents {
+        | Some(_) => ()
+        | None =>
+          loading :=
+            Some(
+              SearchIndex.load(endpoint)
+              ->Promise.thenResolve(loaded => {
+                index := Some(loaded)
+                render()
+              })
+              ->Promise.catch(_ => {
+                // Without an index the form still submits a WordPress search
+                Console.warn("Search index unavailable")
+                loading := None
+                Promise.resolve()
+              }),
+            )
+        }
+      }
+
+      let open_ = () => {
+        Dialog.open_(~trigger=toggle, ~initialFocus=input, dialog)
+        ensureIndex()
+        render()
+      }
+
+      let close = () => Dialog.close(dialog)
+
+      Element.addEventListener(toggle, "click", _ => Dialog.isOpen(dialog) ? close() : open_())
+
+      // `/` opens search from anywhere the reader isn't typing
+      Document.addEventListener("keydown", event => {
+        let key = Event.key(event)
+        let modified = Event.ctrlKey(event) || Event.metaKey(event) || Event.altKey(event)
+
+        if key == "/" && !modified && !Dialog.isOpen(dialog) && !isTyping(event) {
+          Event.preventDefault(event)
+          open_()
+        }
+      })
+
+      Element.addEventListener(input, "input", _ => render())
+
+      // Arrows move between the input and the results
+      Element.addEventListener(dialog, "keydown", event => {
+        let key = Event.key(event)
+        let links = Element.querySelectorAll(results, "a[href]")
+        let position = switch Document.activeElement->Nullable.toOption {
+        | Some(active) => links->Array.indexOf(active)
+        | None => -1
+        }
+
+        switch key {
+        | "ArrowDown" =>
+          switch links->Array.get(position + 1) {
+          | Some(link) => {
+              Event.preventDefault(event)
+              Element.focus(link)
+            }
+          | None => ()
+          }
+        | "ArrowUp" if position >= 0 => {
+            Event.preventDefault(event)
+            Element.focus(position == 0 ? input : links->Array.getUnsafe(position - 1))
+          }
+        | _ => ()
+        }
+      })
+
+      switch Document.querySelector("[data-search-close]") {
+      | Some(button) => Element.addEventListener(button, "click", _ => close())
+      | None => ()
+      }
+    }
+  | _ => ()
+  }
+}
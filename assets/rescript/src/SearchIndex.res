@@ -0,0 +1,296 @@
+/**
+ * Search Index Module
+ *
+ * Journal entries for instant search, fetched by streaming the NDJSON
+ * feed line by line and kept in IndexedDB. Later visits load the stored
+ * entries and only fetch those modified since the last sync.
+ *
+ * Tokenizing, stemming and BM25 ranking happen in WasmLoader's search
+ * corpus (WASM, or its JS fallback), rebuilt in memory from the stored
+ * entries on each page.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+// Bump when the stored shape changes; older indexes are rebuilt
+let schemaVersion = 2
+
+// Feed page size (the feed caps ndjson_limit at 1000)
+let pageSize = 500
+
+// Stored excerpts are trimmed to keep the index compact
+let excerptLength = 160
+
+type document = {
+  id: int,
+  title: string,
+  excerpt: string,
+  url: string,
+  spanType: string,
+  // Span type and emotion/motif/symbol/archetype terms, space-separated
+  taxonomy: string,
+  published: string,
+  modified: string,
+}
+
+type index = {
+  version: int,
+  mutable syncedAt: string,
+  documents: Dict.t<document>,
+}
+
+// A loaded index with its ranking corpus
+type searchable = {
+  index: index,
+  corpus: WasmLoader.searchCorpus,
+}
+
+type result = {document: document}
+
+// Fields read from Sinople_NDJSON_Feed::get_post_data()
+type feedEntry = {
+  id: int,
+  title: string,
+  excerpt: Nullable.t<string>,
+  url: string,
+  span_type: Nullable.t<string>,
+  published: string,
+  modified: string,
+  emotions: Nullable.t<array<string>>,
+  motifs: Nullable.t<array<string>>,
+  symbols: Nullable.t<array<string>>,
+  archetypes: Nullable.t<array<string>>,
+}
+
+// Feed metadata line
+type feedMeta = {
+  count: int,
+  total: int,
+}
+
+let empty = (): index => {
+  version: schemaVersion,
+  syncedAt: "",
+  documents: Dict.make(),
+}
+
+// Decode the HTML entities WordPress leaves in titles and excerpts
+let decodeEntities = (text: string): string => {
+  %raw(`
+    (() => {
+      const textarea = document.createElement('textarea');
+      textarea.innerHTML = text;
+      return textarea.value;
+    })()
+  `)
+}
+
+let listOf = (values: Nullable.t<array<string>>) => values->Nullable.toOption->Option.getOr([])
+
+// Turn a feed entry into a stored document
+let documentOf = (entry: feedEntry): document => {
+  let excerpt = decodeEntities(entry.excerpt->Nullable.toOption->Option.getOr(""))
+  let spanType = entry.span_type->Nullable.toOption->Option.getOr("entry")
+  let terms = [entry.emotions, entry.motifs, entry.symbols, entry.archetypes]->Array.flatMap(listOf)
+
+  {
+    id: entry.id,
+    title: decodeEntities(entry.title),
+    excerpt: excerpt->String.length > excerptLength
+      ? excerpt->String.slice(~start=0, ~end=excerptLength - 1) ++ "…"
+      : excerpt,
+    url: entry.url,
+    spanType,
+    taxonomy: [spanType]->Array.concat(terms)->Array.join(" "),
+    published: entry.published,
+    modified: entry.modified,
+  }
+}
+
+// Add or replace a feed entry
+let upsert = (index: index, entry: feedEntry) => {
+  let document = documentOf(entry)
+  index.documents->Dict.set(Int.toString(document.id), document)
+
+  if document.modified > index.syncedAt {
+    index.syncedAt = document.modified
+  }
+}
+
+// Number of indexed documents
+let size = (index: index): int => index.documents->Dict.keysToArray->Array.length
+
+// Build the ranking corpus from stored documents. Waits for the WASM
+// module, which loads on first use.
+let corpusOf = async (index: index): WasmLoader.searchCorpus => {
+  let corpus = await WasmLoader.createSearchCorpus()
+  index.documents->Dict.forEach(document =>
+    corpus.addEntry(document.id, document.title, document.taxonomy, document.excerpt)
+  )
+  corpus
+}
+
+// Documents matching every query term, best first
+let search = (searchable: searchable, query: string, ~limit: int=20): array<result> => {
+  searchable.corpus.rank(query, limit)->Array.filterMap(id =>
+    searchable.index.documents
+    ->Dict.get(Int.toString(id))
+    ->Option.map(document => {document: document})
+  )
+}
+
+// Stream a URL as NDJSON, calling onLine with each parsed line
+let streamLines = (url: string, onLine: JSON.t => unit): promise<unit> => {
+  %raw(`
+    (async () => {
+      const response = await fetch(url, { credentials: 'same-origin', cache: 'no-cache' });
+      if (!response.ok || !response.body) {
+        throw new Error('Search feed request failed: ' + response.status);
+      }
+
+      const reader = response.body.pipeThrough(new TextDecoderStream()).getReader();
+      let buffer = '';
+
+      for (;;) {
+        const { value, done } = await reader.read();
+        buffer += value || '';
+
+        const lines = buffer.split('\n');
+        buffer = done ? '' : lines.pop();
+
+        for (const line of lines) {
+          if (line.trim() !== '') {
+            onLine(JSON.parse(line));
+          }
+        }
+
+        if (done) {
+          return;
+        }
+      }
+    })()
+  `)
+}
+
+// Add query parameters to the feed URL
+let feedUrl = (endpoint: string, params: array<(string, string)>): string => {
+  let query = params->Array.map(((key, value)) => key ++ "=" ++ encodeURIComponent(value))
+  let separator = endpoint->String.includes("?") ? "&" : "?"
+  endpoint ++ separator ++ query->Array.join("&")
+}
+
+// Stream one feed page into the index; resolves to its metadata line
+let fetchPage = async (index: index, url: string): option<feedMeta> => {
+  let meta = ref(None)
+
+  await streamLines(url, line => {
+    let isMeta: bool = %raw(`line && line.feed_version !== undefined`)
+    if isMeta {
+      meta := Some((Obj.magic(line): feedMeta))
+    } else {
+      upsert(index, Obj.magic(line))
+    }
+  })
+
+  meta.contents
+}
+
+// Build the index from scratch, one feed page at a time
+let rebuild = async (endpoint: string): index => {
+  let index = empty()
+  let offset = ref(0)
+  let finished = ref(false)
+
+  while !finished.contents {
+    let meta = await fetchPage(
+      index,
+      feedUrl(
+        endpoint,
+        [("ndjson_limit", Int.toString(pageSize)), ("ndjson_offset", Int.toString(offset.contents))],
+      ),
+    )
+    offset := offset.contents + pageSize
+
+    finished :=
+      switch meta {
+      | Some({count}) => count < pageSize
+      | None => true
+      }
+  }
+
+  index
+}
+
+// Fetch only entries modified since the last sync. Deletions don't show
+// up as changes, so a total that disagrees with the index forces a rebuild.
+let refresh = async (index: index, endpoint: string): index => {
+  let meta = await fetchPage(
+    index,
+    feedUrl(endpoint, [("ndjson_modified_after", index.syncedAt), ("ndjson_limit", "1000")]),
+  )
+
+  switch meta {
+  | Some({total}) if total != size(index) => await rebuild(endpoint)
+  | _ => index
+  }
+}
+
+// IndexedDB persistence: one record holding the whole index
+let databaseName = "sinople-search"
+let storeName = "index"
+let recordKey = "journal"
+
+let withStore = (mode: string, operation: {..} => 'request): promise<'a> => {
+  %raw(`
+    new Promise((resolve, reject) => {
+      const open = indexedDB.open(databaseName, 1);
+      open.onupgradeneeded = () => open.result.createObjectStore(storeName);
+      open.onerror = () => reject(open.error);
+      open.onsuccess = () => {
+        const db = open.result;
+        const transaction = db.transaction(storeName, mode);
+        const request = operation(transaction.objectStore(storeName));
+        transaction.oncomplete = () => {
+          db.close();
+          resolve(request.result);
+        };
+        transaction.onerror = () => {
+          db.close();
+          reject(transaction.error);
+        };
+      };
+    })
+  `)
+}
+
+let loadStored = async (): option<index> => {
+  try {
+    let stored: Nullable.t<index> = await withStore("readonly", store => store["get"](recordKey))
+    switch stored->Nullable.toOption {
+    | Some(index) if index.version == schemaVersion => Some(index)
+    | _ => None
+    }
+  } catch {
+  | _ => None
+  }
+}
+
+let store = async (index: index) => {
+  try {
+    let _ = await withStore("readwrite", store => store["put"](index, recordKey))
+  } catch {
+  | _ => Console.warn("Search index could not be stored")
+  }
+}
+
+// Load the stored index (or build one), bring it up to date and rank it
+let load = async (endpoint: string): searchable => {
+  let index = switch await loadStored() {
+  | Some(stored) => await refresh(stored, endpoint)
+  | None => await rebuild(endpoint)
+  }
+
+  await store(index)
+  {index, corpus: await corpusOf(index)}
+}
@@ -0,0 +1,64 @@
+/**
+ * Service Worker Client Module
+ *
+ * Request/reply messaging with the theme's service worker
+ * over a MessageChannel.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+// Check if a service worker controls this page
+let isControlled = (): bool => {
+  %raw(`'serviceWorker' in navigator && navigator.serviceWorker.controller !== null`)
+}
+
+// Resolve once a service worker controls the page (first visits wait for claim)
+let whenControlled = (): promise<unit> => {
+  %raw(`
+    new Promise((resolve) => {
+      if (!('serviceWorker' in navigator)) {
+        return;
+      }
+      if (navigator.serviceWorker.controller) {
+        resolve();
+        return;
+      }
+      navigator.serviceWorker.addEventListener('controllerchange', () => resolve(), { once: true });
+    })
+  `)
+}
+
+// Send a message to the worker and resolve with its reply
+let send = (message: {..}): promise<'a> => {
+  %raw(`
+    new Promise((resolve, reject) => {
+      const controller = navigator.serviceWorker?.controller;
+      if (!controller) {
+        reject(new Error('No service worker controls this page'));
+        return;
+      }
+
+      const channel = new MessageChannel();
+      channel.port1.onmessage = (event) => {
+        if (event.data && event.data.ok) {
+          resolve(event.data.result);
+        } else {
+          reject(new Error(event.data?.error || 'Service worker request failed'));
+        }
+      };
+      controller.postMessage(message, [channel.port2]);
+    })
+  `)
+}
+
+// Listen for messages the worker broadcasts with a given type
+let listen = (messageType: string, handler: 'a => unit): unit => {
+  %raw(`
+    navigator.serviceWorker?.addEventListener('message', (event) => {
+      if (event.data && event.data.type === messageType) {
+        handler(event.data);
+      }
+    })
+  `)
+}
@@ -8,10 +8,7 @@
  * @since 0.1.0
  */
 
-// Global bindings
-@val external document: Dom.document = "document"
-@val external window: Dom.window = "window"
-@val external console: {..} = "console"
+open Web
 
 // Sinople configuration type
 type sinopleFeatures = {
@@ -28,12 +25,17 @@ type sinopleFeatures = {
   mutable webRTC: bool,
   mutable fileSystemAccess: bool,
   mutable webShare: bool,
+  preferencesSync: bool,
 }
 
 type sinopleEndpoints = {
   void: string,
   ndjson: string,
+  ndjsonStream: string,
   capnproto: string,
+  search: string,
+  glosses: string,
+  portals: string,
 }
 
 type sinopleConfig = {
@@ -45,123 +47,111 @@ type sinopleConfig = {
   i18n: Dict.t<string>,
   mutable features: sinopleFeatures,
   endpoints: sinopleEndpoints,
+  preferences: Nullable.t<JSON.t>,
+  consent: Consent.config,
 }
 
 @val @scope("window") external sinople: option<sinopleConfig> = "sinople"
 
-// DOM helpers
-module Dom = {
-  @val @scope("document") external getElementById: string => Nullable.t<Dom.element> = "getElementById"
-  @val @scope("document") external querySelector: string => Nullable.t<Dom.element> = "querySelector"
-  @val @scope("document") external querySelectorAll: string => array<Dom.element> = "querySelectorAll"
-  @val @scope("document") external documentElement: Dom.element = "documentElement"
-  @get external readyState: Dom.document => string = "readyState"
-
-  @send external addEventListener: (Dom.document, string, 'event => unit) => unit = "addEventListener"
-  @send external addElementEventListener: (Dom.element, string, 'event => unit) => unit = "addEventListener"
-  @send external classList: Dom.element => {..} = "classList"
-  @send external setAttribute: (Dom.element, string, string) => unit = "setAttribute"
-  @send external setStyle: (Dom.element, string, string) => unit = "setProperty"
-  @get external style: Dom.element => {..} = "style"
-  @get external dataset: Dom.element => {..} = "dataset"
+// Detect features, mark them on <html> and record them in sinople.features
+let detectFeatures = (config: sinopleConfig) => {
+  let detected = Features.detect()
+  Features.apply(detected)
+
+  config.features.intersectionObserver = detected.intersectionObserver
+  config.features.resizeObserver = detected.resizeObserver
+  config.features.containerQueries = detected.containerQueries
+  config.features.hasSelector = detected.hasSelector
+  config.features.viewTransitions = detected.viewTransitions
+  config.features.webCrypto = detected.webCrypto
+  config.features.webGPU = detected.webGPU
+  config.features.webRTC = detected.webRTC
+  config.features.fileSystemAccess = detected.fileSystemAccess
+  config.features.webShare = detected.webShare
+  config.features.prefersReducedMotion = Preferences.prefersReducedMotion()
+
+  // The system setting and the reader's override can change while the
+  // page is open
+  MediaQuery.make("(prefers-reduced-motion: reduce)")->MediaQuery.onChange(() =>
+    config.features.prefersReducedMotion = Preferences.prefersReducedMotion()
+  )
+  Preferences.onChange(_ => config.features.prefersReducedMotion = Preferences.prefersReducedMotion())
 }
 
-// CSS support check
-@val @scope("CSS") external cssSupports: string => bool = "supports"
-
 // Initialize theme functionality
 let init = async () => {
   switch sinople {
-  | None => console["error"]("Sinople: Configuration object not found")
+  | None => Console.error("Sinople: Configuration object not found")
   | Some(config) => {
-      console["log"]("🌿 Sinople theme initializing...")
+      Console.log("🌿 Sinople theme initializing...")
+
+      // Reading preferences, synced to the reader's account when logged in
+      Preferences.init(
+        ~server=config.preferences->Nullable.toOption,
+        ~sync=config.features.preferencesSync
+          ? Some({ajaxUrl: config.ajaxUrl, nonce: config.nonce})
+          : None,
+      )
 
       // Initialize accessibility features (critical)
       Accessibility.init()
 
-      // Initialize View Transitions API if supported
-      if config.features.viewTransitions {
-        ViewTransitions.init()
+      // Consent banner; switches on embeds, fonts and scripts once allowed
+      Consent.init(~ajaxUrl=config.ajaxUrl, ~config=config.consent)
+
+      // The WASM module loads on first use (see WasmLoader)
+
+      // Initialize web components
+      WebComponents.init(
+        ~glossEndpoint=config.endpoints.glosses,
+        ~portalEndpoint=config.endpoints.portals,
+      )
+
+      // Outbox of queued posts (needs the service worker)
+      if config.features.serviceWorker {
+        let _ = Outbox.init()
       }
 
-      // Load WASM module if supported
-      if config.features.wasm {
-        try {
-          await WasmLoader.load()
-          console["log"]("✓ WASM module loaded")
-        } catch {
-        | _ => console["warn"]("WASM module failed to load")
+      // Instant search over the client-side index
+      SearchDialog.init(config.endpoints.search)
+
+      // Enhancements of the page content, run again after each soft navigation
+      let initPage = () => {
+        // Embeds and held-back scripts in the new content
+        Consent.activate()
+
+        // Offline reading list (needs the service worker)
+        if config.features.serviceWorker {
+          let _ = OfflineReading.init()
         }
+
+        // Live new-entry notifications on the blog index and archives
+        LiveEntries.init(config.endpoints.ndjsonStream)
       }
+      initPage()
 
-      // Initialize web components
-      WebComponents.init()
+      // Soft navigation with view transitions
+      if config.features.viewTransitions {
+        ViewTransitions.onPageLoad(initPage)
+        ViewTransitions.init()
+      }
 
       // Feature detection
-      detectFeatures()
+      detectFeatures(config)
 
-      console["log"]("✓ Sinople theme initialized")
-    }
-  }
-}
+      // Prefetch likely next pages (after detection, which decides whether
+      // visible journal links can be watched)
+      Prefetch.init(~viewport=config.features.intersectionObserver)
 
-// Detect and add feature classes to HTML element
-let detectFeatures = () => {
-  let html = Dom.documentElement
-
-  // Feature detection using raw JS for browser APIs
-  let hasIntersectionObserver = %raw(`'IntersectionObserver' in window`)
-  let hasResizeObserver = %raw(`'ResizeObserver' in window`)
-  let hasContainerQueries = cssSupports("container-type: inline-size")
-  let hasHasSelector = cssSupports("selector(:has(*))")
-  let hasViewTransitions = %raw(`'startViewTransition' in document`)
-  let hasWebCrypto = %raw(`typeof window.crypto?.subtle?.generateKey === 'function'`)
-  let hasWebGPU = %raw(`'gpu' in navigator`)
-  let hasWebRTC = %raw(`'RTCPeerConnection' in window`)
-  let hasFileSystemAccess = %raw(`'showOpenFilePicker' in window`)
-  let hasWebShare = %raw(`'share' in navigator`)
-
-  // Add classes to HTML element
-  let addFeatureClass = (name: string, supported: bool) => {
-    if supported {
-      let _ = %raw(`html.classList.add('has-' + name)`)
-    }
-  }
-
-  addFeatureClass("intersection-observer", hasIntersectionObserver)
-  addFeatureClass("resize-observer", hasResizeObserver)
-  addFeatureClass("container-queries", hasContainerQueries)
-  addFeatureClass("has-selector", hasHasSelector)
-  addFeatureClass("view-transitions", hasViewTransitions)
-  addFeatureClass("web-crypto", hasWebCrypto)
-  addFeatureClass("web-gpu", hasWebGPU)
-  addFeatureClass("web-rtc", hasWebRTC)
-  addFeatureClass("file-system-access", hasFileSystemAccess)
-  addFeatureClass("web-share", hasWebShare)
-
-  // Update global features object
-  switch sinople {
-  | None => ()
-  | Some(config) => {
-      config.features.intersectionObserver = hasIntersectionObserver
-      config.features.resizeObserver = hasResizeObserver
-      config.features.containerQueries = hasContainerQueries
-      config.features.hasSelector = hasHasSelector
-      config.features.viewTransitions = hasViewTransitions
-      config.features.webCrypto = hasWebCrypto
-      config.features.webGPU = hasWebGPU
-      config.features.webRTC = hasWebRTC
-      config.features.fileSystemAccess = hasFileSystemAccess
-      config.features.webShare = hasWebShare
+      Console.log("✓ Sinople theme initialized")
     }
   }
 }
 
 // Initialize when DOM is ready
 let _ = {
-  let readyState = %raw(`document.readyState`)
-  if readyState == "loading" {
-    Dom.addEventListener(document, "DOMContentLoaded", _ => {
+  if Document.readyState == "loading" {
+    Document.addEventListener("DOMContentLoaded", _ => {
       let _ = init()
     })
   } else {
@@ -1,101 +1,542 @@
 /**
  * View Transitions Module
  *
- * Handles View Transitions API for smooth page transitions.
- * Falls back gracefully on unsupported browsers.
+ * Soft navigation between pages of the site. Clicking a same-origin link
+ * fetches the page (or takes it from an in-memory cache of visited
+ * pages), diffs its <head> into the current one and swaps in its <main>,
+ * inside a view transition where the browser has them. The page
+ * initialisers registered with `onPageLoad` then run over the new
+ * content, followed by a `sinople:pageload` event on the document for
+ * scripts outside this bundle; then focus moves to <main> and the new
+ * title is announced.
+ *
+ * Between an archive and an entry page, the entry's title, featured
+ * image and colour chips morph into place (see `nameEntry`). Under
+ * prefers-reduced-motion pages are swapped without a transition.
+ *
+ * Pages can also be fetched ahead of a click with `prefetch` (see
+ * Prefetch.res). Back/forward restores the page from the cache along
+ * with its scroll position. Anything the router can't swap in place (cross-origin links,
+ * non-2xx or non-HTML responses, network errors) becomes an ordinary
+ * navigation. Links opt out with data-view-transition="false".
  *
  * @package Sinople
  * @since 0.1.0
  */
 
-@val external document: Dom.document = "document"
-@val external console: {..} = "console"
+open Web
 
-module Dom = {
-  @val @scope("document") external querySelectorAll: string => array<Dom.element> = "querySelectorAll"
-  @send external addEventListener: (Dom.element, string, 'event => unit) => unit = "addEventListener"
-  @get external href: Dom.element => string = "href"
-}
+// Link click, hover, focus and touch events
+type event = Web.event
+
+type scroll = {x: float, y: float}
 
 // Check if View Transitions API is available
-let isSupported = (): bool => {
-  %raw(`'startViewTransition' in document`)
-}
-
-// Navigate with view transition
-let navigateWithTransition = (url: string): unit => {
-  if isSupported() {
-    let _ = %raw(`
-      document.startViewTransition(async () => {
-        const response = await fetch(url);
-        const html = await response.text();
-        const parser = new DOMParser();
-        const doc = parser.parseFromString(html, 'text/html');
-
-        // Update the main content
-        const newMain = doc.querySelector('main');
-        const currentMain = document.querySelector('main');
-        if (newMain && currentMain) {
-          currentMain.innerHTML = newMain.innerHTML;
-        }
+let isSupported = ViewTransition.isSupported
+
+// Absolute URL without its fragment; pages are cached and compared by it
+let pageUrl = (url: string): string =>
+  switch Url.make(url, ~base=Location.href) {
+  | Some(parsed) => {
+      parsed->Url.setHash("")
+      parsed->Url.href
+    }
+  | None => url
+  }
 
-        // Update the title
-        document.title = doc.title;
+let currentUrl = (): string => Location.href
 
-        // Update the URL
-        history.pushState({}, '', url);
-      });
-    `)
+// `url` with the fragment of `link`, if it has one
+let withFragment = (url: string, link: string): string => {
+  let parsed = Url.makeUnsafe(url, Location.href)
+  Url.make(link, ~base=Location.href)->Option.forEach(link => parsed->Url.setHash(Url.hash(link)))
+  parsed->Url.href
+}
+
+// Check if a URL is a page of this site the router can swap in. Links
+// within the current page are left to the browser, as are the admin and
+// login screens, which run their own scripts.
+let isRoutable = (url: string): bool =>
+  switch Url.make(url, ~base=Location.href) {
+  | Some(target) =>
+    let here = Url.makeUnsafe(Location.href, Location.href)
+    target->Url.origin == Location.origin &&
+    /^https?:$/->RegExp.test(target->Url.protocol) &&
+    !(/\/wp-admin\/|\/wp-login\.php/->RegExp.test(target->Url.pathname)) &&
+    !(
+      target->Url.hash != "" &&
+      target->Url.pathname == here->Url.pathname &&
+      target->Url.search == here->Url.search
+    )
+  | None => false
+  }
+
+// The link an event happened on, unless it opts out or opens elsewhere
+let linkOf = (event: event): option<string> =>
+  event
+  ->Event.targetElement
+  ->Option.flatMap(target => target->Element.closest("a[href]"))
+  ->Option.filter(link =>
+    link->Element.dataset->Dict.get("viewTransition") != Some("false") &&
+    !(link->Element.hasAttribute("download")) &&
+    switch link->Element.getAttribute("target") {
+    | None | Some("") | Some("_self") => true
+    | Some(_) => false
+    }
+  )
+  ->Option.map(Element.href)
+
+// The link a click should be routed through, if any. Modified clicks
+// keep their default (new tab, new window, download).
+let clickedLink = (event: event): option<string> =>
+  if (
+    Event.defaultPrevented(event) ||
+    Event.button(event) != 0 ||
+    Event.metaKey(event) ||
+    Event.ctrlKey(event) ||
+    Event.shiftKey(event) ||
+    Event.altKey(event)
+  ) {
+    None
   } else {
-    // Fallback: standard navigation
-    let _ = %raw(`window.location.href = url`)
+    linkOf(event)
+  }
+
+// A fetched page: its final URL, its HTML and the nonce its policy named
+// ("" for none)
+type page = {url: string, html: string, nonce: string}
+
+// Visited and prefetched pages, most recently used last
+let cacheLimit = 20
+let cache: Map.t<string, page> = Map.make()
+
+let remember = (url: string, page: page) => {
+  let _ = cache->Map.delete(url)
+  cache->Map.set(url, page)
+  if cache->Map.size > cacheLimit {
+    cache->Map.keys->Iterator.toArray->Array.get(0)->Option.forEach(oldest => {
+      let _ = cache->Map.delete(oldest)
+    })
   }
 }
 
-// Setup navigation handlers
-let setupNavigationHandlers = () => {
-  let links = Dom.querySelectorAll("a[data-view-transition]")
+// Page initialisers, run again over each page swapped in
+let pageInitialisers: array<unit => unit> = []
+
+// Register a function to run after every soft navigation
+let onPageLoad = (initialise: unit => unit) => {
+  pageInitialisers->Array.push(initialise)
+}
+
+// The nonce a Content-Security-Policy names (see inc/csp.php), or ""
+let policyNonce = (policy: string): string =>
+  switch policy->String.match(/'nonce-([A-Za-z0-9+\/=_-]+)'/) {
+  | Some([_, Some(nonce)]) => nonce
+  | _ => ""
+  }
 
-  links->Array.forEach(link => {
-    Dom.addEventListener(link, "click", event => {
-      let _ = %raw(`event.preventDefault()`)
-      let url = Dom.href(link)
-      navigateWithTransition(url)
+// Fetch a page; nothing when the response is not a same-origin HTML page.
+// Throws when aborted or offline.
+let request = async (url: string, signal: AbortController.signal): option<page> => {
+  let response = await Fetch.fetch(
+    url,
+    {signal, credentials: "same-origin", headers: dict{"Accept": "text/html"}},
+  )
+  let type_ = response->Fetch.headers->Fetch.header("content-type")->Option.getOr("")
+  if (
+    !Fetch.ok(response) || !(type_->String.includes("text/html")) || !isRoutable(Fetch.url(response))
+  ) {
+    None
+  } else {
+    let headers = response->Fetch.headers
+    let policy = switch headers->Fetch.header("content-security-policy") {
+    | Some(policy) => Some(policy)
+    | None => headers->Fetch.header("content-security-policy-report-only")
+    }
+    Some({
+      url: Fetch.url(response),
+      html: await Fetch.text(response),
+      nonce: policy->Option.mapOr("", policyNonce),
     })
+  }
+}
+
+let parse = ParsedDocument.parse
+
+let hasMain = (next: ParsedDocument.t): bool => next->ParsedDocument.querySelector("main")->Option.isSome
+
+// This page's CSP nonce (see inc/csp.php). Each response has its own, so
+// inline scripts and styles brought in from another page take this one.
+let pageNonce = () =>
+  Document.querySelector("script[nonce], style[nonce]")->Option.map(Element.nonce)->Option.getOr("")
+
+// Whether a fetched node's nonce, if it has one, is the one its response's
+// policy named. Any other, empty included, came from the markup rather
+// than the server, and must not be swapped for this page's.
+let issuedNonce = (node: element, ~nonce: string): bool =>
+  switch node->Element.getAttribute("nonce") {
+  | None => true
+  | Some(own) => own != "" && own == nonce
+  }
+
+let withPageNonce = (node: element): element => {
+  if node->Element.hasAttribute("nonce") {
+    node->Element.setAttribute("nonce", pageNonce())
+  }
+  node
+}
+
+// Scripts parsed by DOMParser never run; a fresh copy does. Nodes with a
+// nonce their page wasn't issued are dropped.
+let revive = (node: element, ~nonce: string): option<element> =>
+  if !issuedNonce(node, ~nonce) {
+    None
+  } else if node->Element.localName != "script" {
+    Some(Document.importNode(node)->withPageNonce)
+  } else {
+    let script = Document.createElement("script")
+    node
+    ->Element.attributes
+    ->Array.fromArrayLike
+    ->Array.forEach(({name, value}) => script->Element.setAttribute(name, value))
+    script->Element.setTextContent(node->Element.textContent)
+    Some(script->withPageNonce)
+  }
+
+// Whether two nodes are the same but for their nonces
+let sameNode = (a: element, b: element): bool => {
+  let withoutNonce = node => {
+    let copy = node->Element.cloneNode
+    copy->Element.removeAttribute("nonce")
+    copy
+  }
+  withoutNonce(a)->Element.isEqualNode(withoutNonce(b))
+}
+
+// Bring <head> in line with the new page: nodes only in the old head go,
+// nodes only in the new one are added. Unchanged stylesheets and scripts
+// stay put, so nothing reloads or runs twice. This carries the title,
+// meta tags, JSON-LD and rel=alternate links across. `nonce` is the one
+// the new page's policy named.
+let updateHead = (next: ParsedDocument.t, ~nonce: string) => {
+  let current = Document.head->Element.children->Array.fromArrayLike
+  let incoming = next->ParsedDocument.head->Element.children->Array.fromArrayLike
+  let isIn = (nodes, node) => nodes->Array.some(other => sameNode(other, node))
+  current->Array.filter(node => !isIn(incoming, node))->Array.forEach(Element.remove)
+  incoming
+  ->Array.filter(node => !isIn(current, node))
+  ->Array.forEach(node =>
+    revive(node, ~nonce)->Option.forEach(node => Document.head->Element.append([node]))
+  )
+}
+
+// Swap in the new <main>, body classes and language. Importing the
+// markup into this document upgrades its custom elements; its scripts
+// are revived so they run.
+let updateBody = (next: ParsedDocument.t, ~nonce: string) => {
+  switch (next->ParsedDocument.querySelector("main"), Document.querySelector("main")) {
+  | (Some(incoming), Some(current)) => {
+      let main = Document.importNode(incoming)
+      main
+      ->Element.querySelectorAll("script")
+      ->Array.forEach(script =>
+        switch revive(script, ~nonce) {
+        | Some(revived) => script->Element.replaceWith(revived)
+        | None => script->Element.remove
+        }
+      )
+      current->Element.replaceWith(main)
+    }
+  | _ => ()
+  }
+  Document.body->Element.setClassName(next->ParsedDocument.body->Element.className)
+  Document.documentElement->Element.setLang(next->ParsedDocument.documentElement->Element.lang)
+}
+
+let dispatchPageLoad = () => {
+  let _ = Document.dispatchEvent(Event.makeCustom("sinople:pageload", {"detail": Nullable.null}))
+}
+
+let scrollTo = ({x, y}: scroll) => Window.scrollTo(x, y)
+
+// Scroll to the URL's fragment target, or the top
+let scrollToFragment = (url: string) => {
+  let id = try {
+    Url.makeUnsafe(url, Location.href)->Url.hash->String.slice(~start=1)->Url.decodeComponent
+  } catch {
+  | _ => ""
+  }
+  switch id == "" ? None : Document.getElementById(id) {
+  | Some(target) => Element.scrollIntoView(target)
+  | None => Window.scrollTo(0.0, 0.0)
+  }
+}
+
+// Move focus to <main> and announce the page in the polite live region
+let announce = () => {
+  Document.querySelector("main")->Option.forEach(main => {
+    if !(main->Element.hasAttribute("tabindex")) {
+      main->Element.setAttribute("tabindex", "-1")
+    }
+    main->Element.focusWith({"preventScroll": true})
+  })
+
+  Document.getElementById("live-region-polite")->Option.forEach(region => {
+    // Clear first so the same title twice is still announced
+    region->Element.setTextContent("")
+    let _ = Window.requestAnimationFrame(() => region->Element.setTextContent(Document.title))
   })
 }
 
-// Handle back/forward navigation
-let setupPopStateHandler = () => {
-  let _ = %raw(`
-    window.addEventListener('popstate', () => {
-      if ('startViewTransition' in document) {
-        document.startViewTransition(async () => {
-          const response = await fetch(window.location.href);
-          const html = await response.text();
-          const parser = new DOMParser();
-          const doc = parser.parseFromString(html, 'text/html');
-
-          const newMain = doc.querySelector('main');
-          const currentMain = document.querySelector('main');
-          if (newMain && currentMain) {
-            currentMain.innerHTML = newMain.innerHTML;
+// Check if the reader asked for reduced motion; read on every
+// navigation, as the preference can change while the page is open
+let prefersReducedMotion = (): bool => Preferences.prefersReducedMotion()
+
+// Post IDs of the entries in a document, from their article#post-<id>
+let entryIds = (doc: ParsedDocument.t): array<string> =>
+  doc
+  ->ParsedDocument.querySelectorAll(`article[id^="post-"]`)
+  ->Array.map(article => article->Element.id->String.slice(~start=5))
+
+// The entry that morphs between an archive card and its own page: the
+// single entry on one side that is also listed on the other
+let sharedEntry = (current: array<string>, next: array<string>): option<string> =>
+  switch (current, next) {
+  | ([id], ids) if ids->Array.includes(id) => Some(id)
+  | (ids, [id]) if ids->Array.includes(id) => Some(id)
+  | _ => None
+  }
+
+// Name an entry's title, featured image and colour chips after its post
+// ID, so the browser pairs them across the transition. Names are only
+// set for the transition: a name on every card would capture them all.
+let nameEntry = (id: string) =>
+  Document.getElementById("post-" ++ id)->Option.forEach(article => {
+    let name = (element, value) => {
+      element->Element.style->Element.setStyle("view-transition-name", value)
+      element->Element.dataset->Dict.set("viewTransitionShared", "")
+    }
+    article
+    ->Element.querySelector(".entry-title")
+    ->Option.forEach(title => name(title, "entry-title-" ++ id))
+    article
+    ->Element.querySelector(".entry-thumbnail img")
+    ->Option.forEach(image => name(image, "entry-image-" ++ id))
+    article
+    ->Element.querySelectorAll(".term-chip[data-term-id]")
+    ->Array.forEach(chip =>
+      chip
+      ->Element.dataset
+      ->Dict.get("termId")
+      ->Option.forEach(term => name(chip, `entry-${id}-term-${term}`))
+    )
+  })
+
+let clearNames = () =>
+  Document.querySelectorAll("[data-view-transition-shared]")->Array.forEach(element => {
+    let _ = element->Element.style->Element.removeStyle("view-transition-name")
+    element->Element.dataset->Dict.delete("viewTransitionShared")
+  })
+
+// Run a DOM update inside a view transition where supported, morphing
+// the shared entry if there is one. Under reduced motion the update is
+// applied directly.
+let transition = (update: unit => unit, entry: option<string>) =>
+  if !isSupported() || prefersReducedMotion() {
+    update()
+  } else {
+    entry->Option.forEach(nameEntry)
+    let viewTransition = ViewTransition.start(() => {
+      clearNames()
+      update()
+      entry->Option.forEach(nameEntry)
+    })
+    let _ = viewTransition->ViewTransition.finished->Promise.finally(clearNames)
+  }
+
+// History entries are numbered so their scroll positions can be kept
+let entryKey = ref(0)
+let nextKey = ref(1)
+let positions: Map.t<int, scroll> = Map.make()
+
+let historyKey = (): option<int> =>
+  switch History.history->History.state->Nullable.toOption->Option.flatMap(Dict.get(_, "sinopleKey")) {
+  | Some(Number(key)) => Some(Float.toInt(key))
+  | _ => None
+  }
+
+let pushEntry = (url: string, key: int) =>
+  History.history->History.pushState(dict{"sinopleKey": JSON.Encode.int(key)}, "", url)
+
+let replaceEntry = (key: int) => {
+  let state =
+    History.history->History.state->Nullable.toOption->Option.mapOr(Dict.make(), Dict.copy)
+  state->Dict.set("sinopleKey", JSON.Encode.int(key))
+  History.history->History.replaceState(state, "")
+}
+
+// Pages being prefetched, shared with a navigation that starts meanwhile
+let prefetching: Map.t<string, promise<option<page>>> = Map.make()
+
+// Check if a page is cached or on its way
+let isCached = (url: string): bool => {
+  let key = pageUrl(url)
+  cache->Map.has(key) || prefetching->Map.has(key)
+}
+
+// Fetch a page into the cache ahead of a click. Resolves to the number of
+// characters fetched, roughly its size in bytes; 0 if nothing was fetched.
+let prefetch = async (url: string): int => {
+  if isCached(url) {
+    0
+  } else {
+    let key = pageUrl(url)
+    let loading = request(url, AbortController.make()->AbortController.signal)
+    prefetching->Map.set(key, loading)
+
+    let page = try {
+      await loading
+    } catch {
+    | _ => None
+    }
+    let _ = prefetching->Map.delete(key)
+
+    switch page {
+    | Some(page) => {
+        remember(key, page)
+        String.length(page.html)
+      }
+    | None => 0
+    }
+  }
+}
+
+let hardNavigate = Location.assign
+
+// The fetch in flight, aborted when another navigation starts
+let pending: ref<option<AbortController.t>> = ref(None)
+
+// Load a page in place. Forward navigations push a history entry and
+// scroll to the fragment or the top; back/forward restores the entry's
+// scroll position.
+let navigate = async (url: string, ~restore: option<scroll>=?) => {
+  pending.contents->Option.forEach(AbortController.abort)
+  let controller = AbortController.make()
+  pending := Some(controller)
+
+  let page = switch (cache->Map.get(pageUrl(url)), prefetching->Map.get(pageUrl(url))) {
+  | (Some(page), _) => Ok(Some(page))
+  | (None, loading) =>
+    try {
+      switch loading {
+      | Some(loading) => Ok(await loading)
+      | None => Ok(await request(url, AbortController.signal(controller)))
+      }
+    } catch {
+    | _ => Error()
+    }
+  }
+
+  if !(controller->AbortController.signal->AbortController.aborted) {
+    pending := None
+
+    switch page {
+    | Ok(Some(page)) => {
+        let next = parse(page.html)
+        // Redirects drop the fragment; keep the link's
+        let destination = withFragment(page.url, url)
+
+        if hasMain(next) {
+          remember(pageUrl(url), page)
+          remember(pageUrl(destination), page)
+
+          if restore == None && pageUrl(destination) != pageUrl(currentUrl()) {
+            let key = nextKey.contents
+            nextKey := key + 1
+            pushEntry(destination, key)
+            entryKey := key
           }
 
-          document.title = doc.title;
-        });
+          let shared = sharedEntry(entryIds(ParsedDocument.current), entryIds(next))
+          transition(() => {
+            updateHead(next, ~nonce=page.nonce)
+            updateBody(next, ~nonce=page.nonce)
+            pageInitialisers->Array.forEach(initialise => initialise())
+            dispatchPageLoad()
+
+            switch restore {
+            | Some(position) => scrollTo(position)
+            | None => scrollToFragment(destination)
+            }
+            announce()
+          }, shared)
+        } else {
+          hardNavigate(url)
+        }
+      }
+    | Ok(None) => hardNavigate(url)
+    | Error() => {
+        Console.warn("Soft navigation failed; loading the page normally")
+        hardNavigate(url)
+      }
+    }
+  }
+}
+
+// Route same-origin link clicks through the router
+let setupNavigationHandlers = () => {
+  Document.addEventListener("click", event => {
+    switch clickedLink(event) {
+    | Some(url) if isRoutable(url) => {
+        Event.preventDefault(event)
+        let _ = navigate(url)
       }
-    });
-  `)
+    | _ => ()
+    }
+  })
+}
+
+// Back/forward between routed pages. Moves within a page (fragment
+// links) are left to the browser.
+let setupPopStateHandler = () => {
+  let page = ref(pageUrl(currentUrl()))
+
+  Window.addEventListenerWith(
+    "scroll",
+    _ => positions->Map.set(entryKey.contents, {x: Window.scrollX, y: Window.scrollY}),
+    {passive: true},
+  )
+
+  onPageLoad(() => page := pageUrl(currentUrl()))
+
+  Window.addEventListener("popstate", _ => {
+    let url = currentUrl()
+    if pageUrl(url) != page.contents {
+      let key = historyKey()->Option.getOr(0)
+      entryKey := key
+      let _ = navigate(url, ~restore=positions->Map.get(key)->Option.getOr({x: 0.0, y: 0.0}))
+    }
+  })
 }
 
-// Initialize View Transitions
+// Whether the router is running
+let active = ref(false)
+
+// Initialize the router
 let init = () => {
-  if isSupported() {
-    console["log"]("View Transitions API available")
-    setupNavigationHandlers()
-    setupPopStateHandler()
-  } else {
-    console["log"]("View Transitions API not supported, using standard navigation")
+  active := true
+  History.history->History.setScrollRestoration("manual")
+
+  // Keys carry on after a reload, so new entries don't reuse one
+  let key = historyKey()->Option.getOr(0)
+  entryKey := key
+  nextKey := key + 1
+  replaceEntry(key)
+
+  setupNavigationHandlers()
+  setupPopStateHandler()
+
+  if !isSupported() {
+    Console.log("View Transitions API not supported, swapping pages without transitions")
   }
 }
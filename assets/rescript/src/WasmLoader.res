@@ -1,151 +1,481 @@
 /**
  * WASM Loader Module
  *
- * Loads and initializes WebAssembly module
- * for performance-critical operations.
+ * Loads the wasm-bindgen build of assets/wasm (generated glue in
+ * assets/js/dist/sinople.js, module in sinople_bg.wasm) on first use
+ * rather than at startup. Every export has a JS fallback, used until the
+ * module is ready and whenever it can't be loaded.
  *
  * @package Sinople
  * @since 0.1.0
  */
 
-@val external console: {..} = "console"
+// The SearchCorpus class the glue exports
+type wasmCorpusClass
 
-// WASM module instance
+// Exports of the generated glue, as declared in lib.rs
 type wasmExports = {
-  calculate_reading_time: (. string) => int,
-  sanitize_html: (. string) => string,
-  hash_password: (. string) => string,
+  @as("SearchCorpus") searchCorpus: wasmCorpusClass,
+  calculate_reading_time: (string, int) => float,
+  sanitize_html: string => string,
+  tokenize: string => array<string>,
+  stem: string => string,
+  hash_password: (string, Kdf.bytes, int, int, int) => string,
+  verify_password: (string, string) => bool,
 }
 
-type wasmModule = {exports: wasmExports}
+// Export paths and the parameter count lib.rs gives each. Checked against
+// the loaded glue so a stale or mismatched build falls back to JS instead
+// of being called with the wrong arguments.
+let signatures = [
+  ("calculate_reading_time", 2),
+  ("sanitize_html", 1),
+  ("tokenize", 1),
+  ("stem", 1),
+  ("hash_password", 5),
+  ("verify_password", 2),
+  ("SearchCorpus", 0),
+  ("SearchCorpus.prototype.add_entry", 4),
+  ("SearchCorpus.prototype.remove_entry", 1),
+  ("SearchCorpus.prototype.size", 0),
+  ("SearchCorpus.prototype.rank", 2),
+]
 
 // Check if WebAssembly is supported
-let isSupported = (): bool => {
-  %raw(`typeof WebAssembly !== 'undefined' && typeof WebAssembly.instantiate === 'function'`)
-}
+let isSupported = (): bool => Web.Global.isFunction("WebAssembly.instantiateStreaming")
+
+// Theme settings this module reads
+type config = {features?: Dict.t<bool>, themeUri?: string}
+@val @scope("window") external config: Nullable.t<config> = "sinople"
+
+// The theme can switch WASM off through sinople.features
+let isEnabled = (): bool =>
+  config
+  ->Nullable.toOption
+  ->Option.flatMap(config => config.features)
+  ->Option.flatMap(features => features->Dict.get("wasm")) != Some(false)
 
-// Get WASM module path
-let getWasmPath = (): string => {
-  // Try to get from sinople config
-  let path: option<string> = %raw(`
-    window.sinople?.themeUri
-      ? window.sinople.themeUri + '/assets/js/dist/sinople.wasm'
-      : null
-  `)
+// Get a build artifact's URL
+let distPath = (file: string): string =>
+  config
+  ->Nullable.toOption
+  ->Option.flatMap(config => config.themeUri)
+  ->Option.getOr("/wp-content/themes/sinople") ++ "/assets/js/dist/" ++ file
 
-  switch path {
-  | Some(p) => p
-  | None => "/wp-content/themes/sinople/assets/js/dist/sinople.wasm"
+// The generated glue module
+type glue
+external asValue: glue => unknown = "%identity"
+
+// Check that an export path resolves to a function taking `arity` parameters
+let hasSignature = (glue: glue, path: string, arity: int): bool =>
+  switch Web.Value.at(asValue(glue), path) {
+  | Some(value) => Web.Value.isFunction(value) && Web.Value.length(value) == arity
+  | None => false
   }
-}
 
-// Load WASM module
-let load = async (): promise<unit> => {
-  if !isSupported() {
-    console["warn"]("WebAssembly not supported")
-    Promise.resolve()
-  } else {
-    let wasmPath = getWasmPath()
-
-    // Fetch and instantiate WASM module
-    let _ = await %raw(`
-      (async () => {
-        try {
-          const response = await fetch(wasmPath);
-          if (!response.ok) {
-            throw new Error('Failed to fetch WASM module: ' + response.status);
-          }
+// Exports missing from the glue or taking a different number of parameters
+let signatureMismatches = (glue: glue): array<string> =>
+  signatures->Array.filterMap(((path, arity)) => hasSignature(glue, path, arity) ? None : Some(path))
 
-          const wasmBuffer = await response.arrayBuffer();
-          const wasmModule = await WebAssembly.instantiate(wasmBuffer, {
-            env: {
-              // Memory for string operations
-              memory: new WebAssembly.Memory({ initial: 256, maximum: 512 }),
-              // Logging from WASM
-              console_log: (ptr, len) => {
-                // Handle logging from WASM if needed
-              }
-            }
-          });
+// Dynamically import the generated glue. Its path is only known at run
+// time, which ReScript's module imports can't express.
+let importGlue: string => promise<glue> = %raw(`(path) => import(path)`)
 
-          // Store module globally for use
-          window.sinople = window.sinople || {};
-          window.sinople.wasm = wasmModule.instance.exports;
+// Instantiate the module through the glue, which streams the fetch into
+// WebAssembly.instantiateStreaming
+@send
+external initialise: (glue, {"module_or_path": promise<Web.Fetch.response>}) => promise<unit> =
+  "default"
+let initGlue = (glue: glue, wasmPath: string): promise<unit> =>
+  glue->initialise({"module_or_path": Web.Fetch.fetch(wasmPath, {credentials: "same-origin"})})
 
-          return wasmModule;
-        } catch (error) {
-          console.warn('WASM loading failed:', error);
-          throw error;
+// Load and check the module
+let instantiate = async (): option<wasmExports> => {
+  if !isSupported() || !isEnabled() {
+    None
+  } else {
+    try {
+      let glue = await importGlue(distPath("sinople.js"))
+      await initGlue(glue, distPath("sinople_bg.wasm"))
+
+      switch signatureMismatches(glue) {
+      | [] => Some(Obj.magic(glue))
+      | mismatched => {
+          Console.warn2("WASM exports do not match their declared signatures:", mismatched)
+          None
         }
-      })()
-    `)
+      }
+    } catch {
+    | _ => {
+        Console.warn("WASM module failed to load; using JS fallbacks")
+        None
+      }
+    }
+  }
+}
+
+let loaded: ref<option<wasmExports>> = ref(None)
+let loading: ref<option<promise<option<wasmExports>>>> = ref(None)
+
+// Load the module once; later calls share the same promise
+let load = (): promise<option<wasmExports>> => {
+  switch loading.contents {
+  | Some(pending) => pending
+  | None => {
+      let pending = instantiate()->Promise.thenResolve(exports => {
+        loaded := exports
+        exports
+      })
+      loading := Some(pending)
+      pending
+    }
+  }
+}
 
-    Promise.resolve()
+// Exports if already loaded. The first call starts loading, so
+// synchronous callers get WASM from then on and the fallback until then.
+let current = (): option<wasmExports> => {
+  if loading.contents == None {
+    let _ = load()
   }
+  loaded.contents
 }
 
-// Calculate reading time using WASM if available
+let wordsPerMinute = 200
+
+// Calculate reading time in minutes using WASM if available
 let calculateReadingTime = (content: string): int => {
-  let wasmResult: option<int> = %raw(`
-    window.sinople?.wasm?.calculate_reading_time
-      ? window.sinople.wasm.calculate_reading_time(content)
-      : null
-  `)
-
-  switch wasmResult {
-  | Some(time) => time
+  switch current() {
+  | Some(wasm) => Int.fromFloat(Math.ceil(wasm.calculate_reading_time(content, wordsPerMinute)))
   | None => {
-      // Fallback: JS implementation
-      let wordCount = content->String.split(" ")->Array.length
-      Int.fromFloat(Math.ceil(Float.fromInt(wordCount) /. 200.0))
+      // Fallback: JS implementation, counting words as split_whitespace does
+      let wordCount = content->String.splitByRegExp(/\s+/)->Array.filter(word =>
+        word->Option.getOr("") != ""
+      )->Array.length
+      Int.fromFloat(Math.ceil(Float.fromInt(wordCount) /. Float.fromInt(wordsPerMinute)))
     }
   }
 }
 
-// Sanitize HTML using WASM if available
+// Sanitize HTML using WASM if available. Both paths apply the same
+// allow-list (see Sanitize.res).
 let sanitizeHtml = (html: string): string => {
-  let wasmResult: option<string> = %raw(`
-    window.sinople?.wasm?.sanitize_html
-      ? window.sinople.wasm.sanitize_html(html)
-      : null
-  `)
-
-  switch wasmResult {
-  | Some(sanitized) => sanitized
-  | None => {
-      // Fallback: basic JS sanitization
-      let _ = %raw(`
-        const div = document.createElement('div');
-        div.textContent = html;
-        return div.innerHTML;
-      `)
-      html
+  switch current() {
+  | Some(wasm) => wasm.sanitize_html(html)
+  | None => Sanitize.html(html)
+  }
+}
+
+// Hash a password for storage: Argon2id in WASM if it loads, else
+// PBKDF2-SHA256 through Web Crypto. Either way the result is a PHC string
+// carrying its own salt and costs (see Kdf.res).
+let hashPassword = async (
+  password: string,
+  ~memoryCost=Kdf.memoryCost,
+  ~timeCost=Kdf.timeCost,
+  ~parallelism=Kdf.parallelism,
+  ~iterations=Kdf.iterations,
+): string => {
+  let salt = Kdf.randomBytes(Kdf.saltLength)
+  switch await load() {
+  | Some(wasm) => wasm.hash_password(password, salt, memoryCost, timeCost, parallelism)
+  | None => await Kdf.hashPbkdf2(password, salt, iterations)
+  }
+}
+
+// Check a password against a stored hash, comparing in constant time.
+// Argon2id hashes can only be checked by the WASM module.
+let verifyPassword = async (password: string, encoded: string): bool => {
+  switch Kdf.algorithmOf(encoded) {
+  | Some("argon2id") =>
+    switch await load() {
+    | Some(wasm) => wasm.verify_password(password, encoded)
+    | None => {
+        Console.warn("Argon2id hashes need the WASM module; password not verified")
+        false
+      }
     }
+  | Some("pbkdf2-sha256") => await Kdf.verifyPbkdf2(password, encoded)
+  | _ => false
   }
 }
 
-// Hash password using WASM if available
-let hashPassword = async (password: string): promise<string> => {
-  let wasmResult: option<string> = %raw(`
-    window.sinople?.wasm?.hash_password
-      ? window.sinople.wasm.hash_password(password)
-      : null
-  `)
+// Search ranking. The JS fallback mirrors assets/wasm/search.rs and must
+// rank identically; tests/fixtures/search-corpus.json pins both.
 
-  switch wasmResult {
-  | Some(hash) => hash
-  | None => {
-      // Fallback: Web Crypto API
-      let hash: string = await %raw(`
-        (async () => {
-          const encoder = new TextEncoder();
-          const data = encoder.encode(password);
-          const hashBuffer = await crypto.subtle.digest('SHA-256', data);
-          const hashArray = Array.from(new Uint8Array(hashBuffer));
-          return hashArray.map(b => b.toString(16).padStart(2, '0')).join('');
-        })()
-      `)
-      hash
+let stopWords = [
+  "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is", "it", "of", "on",
+  "or", "that", "the", "this", "to", "was", "with",
+]
+
+// Length in code points, as Rust's chars().count()
+let charCount = (text: string): int => Array.fromString(text)->Array.length
+
+let hasVowel = (word: string): bool => /[aeiouy]/->RegExp.test(word)
+
+// Drop one of a doubled final consonant ("runn" -> "run"), except l, s and z
+let undouble = (word: string): string => {
+  let chars = Array.fromString(word)
+  let n = chars->Array.length
+  switch (chars[n - 1], chars[n - 2]) {
+  | (Some(last), Some(before)) if last == before && !("aeiouylsz"->String.includes(last)) =>
+    chars->Array.slice(~start=0, ~end=n - 1)->Array.join("")
+  | _ => word
+  }
+}
+
+let dropEnd = (word: string, count: int): string =>
+  word->String.slice(~start=0, ~end=String.length(word) - count)
+
+// Light English suffix stripping: plurals, -ing, -ed and -ly
+let stemFallback = (word: string): string => {
+  if charCount(word) <= 3 {
+    word
+  } else {
+    let stemmed = ref(
+      if word->String.endsWith("ies") && charCount(word) > 4 {
+        dropEnd(word, 3) ++ "y"
+      } else if word->String.endsWith("sses") {
+        dropEnd(word, 2)
+      } else if ["ss", "us", "is"]->Array.some(suffix => word->String.endsWith(suffix)) {
+        word
+      } else if word->String.endsWith("s") {
+        dropEnd(word, 1)
+      } else {
+        word
+      },
+    )
+
+    switch ["ing", "ed"]->Array.find(suffix => stemmed.contents->String.endsWith(suffix)) {
+    | Some(suffix) => {
+        let base = dropEnd(stemmed.contents, String.length(suffix))
+        if charCount(base) >= 3 && hasVowel(base) {
+          stemmed := undouble(base)
+        }
+      }
+    | None => ()
     }
+
+    if stemmed.contents->String.endsWith("ly") && charCount(stemmed.contents) > 5 {
+      stemmed := dropEnd(stemmed.contents, 2)
+    }
+
+    stemmed.contents
+  }
+}
+
+// Lowercase, strip diacritics, split on anything but letters and digits, stem
+let tokenizeFallback = (text: string): array<string> => {
+  text
+  ->String.normalizeByForm(#NFKD)
+  ->String.replaceRegExp(/\p{M}/gu, "")
+  ->String.toLowerCase
+  ->String.splitByRegExp(/[^\p{Alphabetic}\p{N}]+/u)
+  ->Array.keepSome
+  ->Array.filter(word => charCount(word) > 1 && !(stopWords->Array.includes(word)))
+  ->Array.map(stemFallback)
+}
+
+// Stem a word using WASM if available
+let stem = (word: string): string => {
+  switch current() {
+  | Some(wasm) => wasm.stem(word)
+  | None => stemFallback(word)
+  }
+}
+
+// Tokenize text into search terms using WASM if available
+let tokenize = (text: string): array<string> => {
+  switch current() {
+  | Some(wasm) => wasm.tokenize(text)
+  | None => tokenizeFallback(text)
+  }
+}
+
+// A corpus of entries ranked with BM25 over weighted fields
+type searchCorpus = {
+  addEntry: (int, string, string, string) => unit,
+  removeEntry: int => unit,
+  size: unit => int,
+  rank: (string, int) => array<int>,
+}
+
+// BM25 parameters and field weights (see search.rs)
+let k1 = 1.2
+let b = 0.75
+let titleWeight = 3
+let taxonomyWeight = 2
+let excerptWeight = 1
+
+type corpusDocument = {
+  length: int,
+  terms: array<string>,
+}
+
+// JS fallback corpus
+let searchCorpusFallback = (): searchCorpus => {
+  let documents: Map.t<int, corpusDocument> = Map.make()
+  // term -> entry id -> weighted term frequency
+  let postings: Map.t<string, Map.t<int, int>> = Map.make()
+  let totalLength = ref(0)
+
+  let removeEntry = id => {
+    switch documents->Map.get(id) {
+    | Some(document) => {
+        document.terms->Array.forEach(term => {
+          switch postings->Map.get(term) {
+          | Some(entries) => {
+              let _ = entries->Map.delete(id)
+              if entries->Map.size == 0 {
+                let _ = postings->Map.delete(term)
+              }
+            }
+          | None => ()
+          }
+        })
+        totalLength := totalLength.contents - document.length
+        let _ = documents->Map.delete(id)
+      }
+    | None => ()
+    }
+  }
+
+  let addEntry = (id, title, taxonomy, excerpt) => {
+    removeEntry(id)
+
+    let frequencies: Map.t<string, int> = Map.make()
+    let length = ref(0)
+    [(title, titleWeight), (taxonomy, taxonomyWeight), (excerpt, excerptWeight)]->Array.forEach(((
+      text,
+      weight,
+    )) =>
+      tokenizeFallback(text)->Array.forEach(term => {
+        frequencies->Map.set(term, frequencies->Map.get(term)->Option.getOr(0) + weight)
+        length := length.contents + weight
+      })
+    )
+
+    frequencies->Map.forEachWithKey((frequency, term) => {
+      switch postings->Map.get(term) {
+      | Some(entries) => entries->Map.set(id, frequency)
+      | None => {
+          let entries = Map.make()
+          entries->Map.set(id, frequency)
+          postings->Map.set(term, entries)
+        }
+      }
+    })
+
+    totalLength := totalLength.contents + length.contents
+    documents->Map.set(id, {length: length.contents, terms: frequencies->Map.keys->Array.fromIterator})
+  }
+
+  // The last token is still being typed: it also matches longer terms
+  // and the stems of its prefixes
+  let matchingTerms = (token, prefix) =>
+    if prefix {
+      postings
+      ->Map.keys
+      ->Array.fromIterator
+      ->Array.filter(term =>
+        term->String.startsWith(token) || (charCount(term) >= 3 && token->String.startsWith(term))
+      )
+    } else if postings->Map.has(token) {
+      [token]
+    } else {
+      []
+    }
+
+  let rank = (query, limit) => {
+    let tokens = tokenizeFallback(query)
+    let count = Int.toFloat(documents->Map.size)
+
+    if tokens->Array.length == 0 || documents->Map.size == 0 {
+      []
+    } else {
+      let averageLength = Math.max(Int.toFloat(totalLength.contents) /. count, 1.0)
+      let last = tokens->Array.length - 1
+      let totals: ref<option<Map.t<int, float>>> = ref(None)
+
+      tokens->Array.forEachWithIndex((token, i) => {
+        // Best-scoring matched term per entry, so prefix expansion doesn't inflate scores
+        let best: Map.t<int, float> = Map.make()
+
+        matchingTerms(token, i == last)->Array.forEach(term => {
+          let entries = postings->Map.get(term)->Option.getUnsafe
+          let df = Int.toFloat(entries->Map.size)
+          let idf = Math.log(1.0 +. (count -. df +. 0.5) /. (df +. 0.5))
+
+          entries->Map.forEachWithKey((frequency, id) => {
+            let tf = Int.toFloat(frequency)
+            let length = Int.toFloat((documents->Map.get(id)->Option.getUnsafe).length)
+            let score =
+              idf *. (tf *. (k1 +. 1.0)) /. (tf +. k1 *. (1.0 -. b +. b *. length /. averageLength))
+
+            switch best->Map.get(id) {
+            | Some(previous) if previous >= score => ()
+            | _ => best->Map.set(id, score)
+            }
+          })
+        })
+
+        totals :=
+          switch totals.contents {
+          | None => Some(best)
+          | Some(previous) => {
+              let combined = Map.make()
+              previous->Map.forEachWithKey((total, id) => {
+                switch best->Map.get(id) {
+                | Some(score) => combined->Map.set(id, total +. score)
+                | None => ()
+                }
+              })
+              Some(combined)
+            }
+          }
+      })
+
+      totals.contents
+      ->Option.getOr(Map.make())
+      ->Map.entries
+      ->Array.fromIterator
+      ->Array.toSorted(((idA, scoreA), (idB, scoreB)) =>
+        scoreA != scoreB ? (scoreB > scoreA ? 1.0 : -1.0) : Int.toFloat(idB - idA)
+      )
+      ->Array.slice(~start=0, ~end=limit)
+      ->Array.map(((id, _)) => id)
+    }
+  }
+
+  {addEntry, removeEntry, size: () => documents->Map.size, rank}
+}
+
+// A SearchCorpus instance from the glue
+type wasmCorpus
+
+@val @scope("Reflect")
+external construct: (wasmCorpusClass, @as(json`[]`) _) => wasmCorpus = "construct"
+@send external addWasmEntry: (wasmCorpus, int, string, string, string) => unit = "add_entry"
+@send external removeWasmEntry: (wasmCorpus, int) => unit = "remove_entry"
+@send external wasmSize: wasmCorpus => int = "size"
+@send external wasmRank: (wasmCorpus, string, int) => Array.arrayLike<int> = "rank"
+
+// Wrap a corpus living in WASM memory
+let wasmSearchCorpus = (wasm: wasmExports): searchCorpus => {
+  let corpus = construct(wasm.searchCorpus)
+  {
+    addEntry: (id, title, taxonomy, excerpt) =>
+      corpus->addWasmEntry(id, title, taxonomy, excerpt),
+    removeEntry: id => corpus->removeWasmEntry(id),
+    size: () => corpus->wasmSize,
+    rank: (query, limit) => corpus->wasmRank(query, limit)->Array.fromArrayLike,
+  }
+}
+
+// Create a search corpus in WASM if it loads, else the JS fallback
+let createSearchCorpus = async (): searchCorpus => {
+  switch await load() {
+  | Some(wasm) => wasmSearchCorpus(wasm)
+  | None => searchCorpusFallback()
   }
 }
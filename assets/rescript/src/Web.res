@@ -0,0 +1,519 @@
+/**
+ * Web Module
+ *
+ * Typed bindings to the browser APIs the theme uses: the DOM and its
+ * events, storage, media queries, fetch, URLs, Intl formatting, custom
+ * elements and view transitions. Modules use these rather than %raw
+ * JavaScript or bindings of their own, so the compiler checks the calls.
+ *
+ * APIs a browser may lack are checked before use (`Global.has`,
+ * `ViewTransition.isSupported`). Nullable DOM results (querySelector,
+ * getAttribute) are options.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+type element = Dom.element
+type event = Dom.event
+type document = Dom.document
+type node = Dom.node
+type shadowRoot = Dom.shadowRoot
+
+module AbortController = {
+  type t
+  type signal
+  @new external make: unit => t = "AbortController"
+  @send external abort: t => unit = "abort"
+  @get external signal: t => signal = "signal"
+  @get external aborted: signal => bool = "aborted"
+}
+
+// Listeners added with a signal are all removed when it aborts
+type listenerOptions = {
+  capture?: bool,
+  passive?: bool,
+  once?: bool,
+  signal?: AbortController.signal,
+}
+
+type blob
+type file
+
+type attribute = {name: string, value: string}
+
+type rect = {top: float, right: float, bottom: float, left: float, width: float, height: float}
+
+// Values whose shape isn't known ahead: globals a browser may lack,
+// generated modules
+module Value = {
+  @get_index external property: (unknown, string) => Nullable.t<unknown> = ""
+  @get external length: unknown => int = "length"
+
+  let isFunction = (value: unknown): bool => typeof(value) == #function
+
+  // Follow a dotted path of properties; nothing where one is missing
+  let at = (value: unknown, path: string): option<unknown> =>
+    path
+    ->String.split(".")
+    ->Array.reduce(Some(value), (value, key) =>
+      switch value {
+      | Some(value) if typeof(value) == #object || isFunction(value) =>
+        property(value, key)->Nullable.toOption
+      | _ => None
+      }
+    )
+}
+
+module Global = {
+  @val external globalThis: unknown = "globalThis"
+
+  // A global by dotted path ("crypto.subtle", "navigator.gpu")
+  let get = (path: string): option<unknown> => Value.at(globalThis, path)
+
+  // Check if a global is defined
+  let has = (path: string): bool => get(path)->Option.isSome
+
+  // Check if a global is a function
+  let isFunction = (path: string): bool => get(path)->Option.mapOr(false, Value.isFunction)
+}
+
+module Event = {
+  @get external target: event => element = "target"
+  @get external key: event => string = "key"
+  @get external button: event => int = "button"
+  @get external shiftKey: event => bool = "shiftKey"
+  @get external metaKey: event => bool = "metaKey"
+  @get external ctrlKey: event => bool = "ctrlKey"
+  @get external altKey: event => bool = "altKey"
+  @get external defaultPrevented: event => bool = "defaultPrevented"
+  @get external pointerType: event => string = "pointerType"
+  @get external clientX: event => float = "clientX"
+  @get external clientY: event => float = "clientY"
+  @get external detail: event => 'detail = "detail"
+  @send external preventDefault: event => unit = "preventDefault"
+  @send external stopPropagation: event => unit = "stopPropagation"
+  @send external composedPath: event => array<element> = "composedPath"
+  @get external nodeType: element => Nullable.t<int> = "nodeType"
+
+  // The element an event happened on; nothing for text, the document or
+  // the window
+  let targetElement = (event: event): option<element> => {
+    let node = target(event)
+    node->nodeType->Nullable.toOption == Some(1) ? Some(node) : None
+  }
+
+  @new external make: string => event = "Event"
+  @new external makeCustom: (string, {"detail": 'detail}) => event = "CustomEvent"
+}
+
+module Node = {
+  @get external textContent: node => string = "textContent"
+  // Slot an element is assigned to; text nodes have none
+  @get external slot: node => Nullable.t<string> = "slot"
+}
+
+// Constructable stylesheets, which shadow roots adopt rather than
+// holding a <style> element
+module StyleSheet = {
+  type t
+  @new external make: unit => t = "CSSStyleSheet"
+  @send external replaceSync: (t, string) => unit = "replaceSync"
+}
+
+module Element = {
+  // Attributes
+  @send @return(nullable) external getAttribute: (element, string) => option<string> = "getAttribute"
+  @send external setAttribute: (element, string, string) => unit = "setAttribute"
+  @send external removeAttribute: (element, string) => unit = "removeAttribute"
+  @send external hasAttribute: (element, string) => bool = "hasAttribute"
+  @send external toggleAttribute: (element, string, bool) => bool = "toggleAttribute"
+
+  // Queries
+  @send @return(nullable) external querySelector: (element, string) => option<element> = "querySelector"
+  @send external querySelectorNodes: (element, string) => Array.arrayLike<element> = "querySelectorAll"
+  let querySelectorAll = (element, selector) => Array.fromArrayLike(querySelectorNodes(element, selector))
+  @send @return(nullable) external closest: (element, string) => option<element> = "closest"
+  @send external contains: (element, element) => bool = "contains"
+  @send external matches: (element, string) => bool = "matches"
+  @get external childNodes: element => Array.arrayLike<node> = "childNodes"
+  @get external children: element => Array.arrayLike<element> = "children"
+  @get external attributes: element => Array.arrayLike<attribute> = "attributes"
+  @send external isEqualNode: (element, element) => bool = "isEqualNode"
+  // Deep copy
+  @send external cloneNode: (element, @as(json`true`) _) => element = "cloneNode"
+  @get external localName: element => string = "localName"
+  @get external tagName: element => string = "tagName"
+  @get external isConnected: element => bool = "isConnected"
+
+  // Changing the tree
+  @send @variadic external append: (element, array<element>) => unit = "append"
+  @send @variadic external appendNodes: (element, array<node>) => unit = "append"
+  @send @variadic external prepend: (element, array<element>) => unit = "prepend"
+  @send @variadic external replaceChildren: (element, array<element>) => unit = "replaceChildren"
+  @send external replaceWith: (element, element) => unit = "replaceWith"
+  @send external after: (element, element) => unit = "after"
+  @send external remove: element => unit = "remove"
+
+  // Content and properties
+  @get external textContent: element => string = "textContent"
+  @set external setTextContent: (element, string) => unit = "textContent"
+  @get external className: element => string = "className"
+  @set external setClassName: (element, string) => unit = "className"
+  @get external lang: element => string = "lang"
+  @set external setLang: (element, string) => unit = "lang"
+  @get external id: element => string = "id"
+  @set external setId: (element, string) => unit = "id"
+  @get external hidden: element => bool = "hidden"
+  @set external setHidden: (element, bool) => unit = "hidden"
+  @get external inert: element => bool = "inert"
+  @set external setInert: (element, bool) => unit = "inert"
+  // CSP nonce; the attribute reads empty once parsed, the property keeps it
+  @get external nonce: element => string = "nonce"
+  @set external setNonce: (element, string) => unit = "nonce"
+  @get external dataset: element => Dict.t<string> = "dataset"
+  @get external isContentEditable: element => bool = "isContentEditable"
+
+  // Form controls
+  @get external name: element => string = "name"
+  @get external type_: element => string = "type"
+  @get external value: element => string = "value"
+  @set external setValue: (element, string) => unit = "value"
+  @get external checked: element => bool = "checked"
+  @set external setChecked: (element, bool) => unit = "checked"
+  @set external setDisabled: (element, bool) => unit = "disabled"
+  @get external formControls: element => Array.arrayLike<element> = "elements"
+  @send @return(nullable)
+  external namedItem: (Array.arrayLike<element>, string) => option<element> = "namedItem"
+  // A form's control by name
+  let formControl = (form: element, name: string): option<element> => form->formControls->namedItem(name)
+  @get external href: element => string = "href"
+
+  // Classes and style
+  @get external classList: element => Dom.domTokenList = "classList"
+  @send external addClass: (Dom.domTokenList, string) => unit = "add"
+  @send external removeClass: (Dom.domTokenList, string) => unit = "remove"
+  @send external toggleClass: (Dom.domTokenList, string, bool) => bool = "toggle"
+  @get external style: element => Dom.cssStyleDeclaration = "style"
+  @send external setStyle: (Dom.cssStyleDeclaration, string, string) => unit = "setProperty"
+  @send external removeStyle: (Dom.cssStyleDeclaration, string) => string = "removeProperty"
+
+  // Focus and layout
+  @send external focus: element => unit = "focus"
+  @send external focusWith: (element, {"preventScroll": bool}) => unit = "focus"
+  @send external click: element => unit = "click"
+  @send external scrollIntoView: element => unit = "scrollIntoView"
+  @send external scrollIntoViewWith: (element, {"behavior": string}) => unit = "scrollIntoView"
+  @send external getBoundingClientRect: element => rect = "getBoundingClientRect"
+  @send external getClientRects: element => Array.arrayLike<rect> = "getClientRects"
+  @get external offsetWidth: element => float = "offsetWidth"
+  @get external offsetHeight: element => float = "offsetHeight"
+  @get external clientWidth: element => float = "clientWidth"
+
+  // Check if an element is rendered (has a box)
+  let isRendered = (element: element): bool => Array.fromArrayLike(getClientRects(element))->Array.length > 0
+
+  // Native <dialog>
+  module Dialog = {
+    @get external isOpen: element => bool = "open"
+    @send external show: element => unit = "show"
+    @send external showModal: element => unit = "showModal"
+    @send external close: element => unit = "close"
+  }
+
+  // Popovers
+  let supportsPopovers = (): bool => Global.isFunction("HTMLElement.prototype.showPopover")
+  @send external showPopover: element => unit = "showPopover"
+  @send external hidePopover: element => unit = "hidePopover"
+
+  // Shadow DOM
+  @send external attachShadow: (element, {"mode": string}) => shadowRoot = "attachShadow"
+  @send @variadic external appendToShadow: (shadowRoot, array<element>) => unit = "append"
+  @send @variadic external replaceShadowChildren: (shadowRoot, array<element>) => unit = "replaceChildren"
+  @set external adoptStyleSheets: (shadowRoot, array<StyleSheet.t>) => unit = "adoptedStyleSheets"
+
+  // Events
+  @send external addEventListener: (element, string, event => unit) => unit = "addEventListener"
+  @send
+  external addEventListenerWith: (element, string, event => unit, listenerOptions) => unit =
+    "addEventListener"
+  @send external removeEventListener: (element, string, event => unit) => unit = "removeEventListener"
+  @send external dispatchEvent: (element, event) => bool = "dispatchEvent"
+}
+
+module Document = {
+  @val external document: document = "document"
+  @val @scope("document") @return(nullable)
+  external getElementById: string => option<element> = "getElementById"
+  @val @scope("document") @return(nullable)
+  external querySelector: string => option<element> = "querySelector"
+  @val @scope("document")
+  external querySelectorNodes: string => Array.arrayLike<element> = "querySelectorAll"
+  let querySelectorAll = (selector: string): array<element> =>
+    Array.fromArrayLike(querySelectorNodes(selector))
+  @val @scope("document") external createElement: string => element = "createElement"
+  @val @scope("document") external importNode: (element, @as(json`true`) _) => element = "importNode"
+  @val @scope("document") external documentElement: element = "documentElement"
+  @val @scope("document") external head: element = "head"
+  @val @scope("document") external body: element = "body"
+  @val @scope("document") external activeElement: Nullable.t<element> = "activeElement"
+  @val @scope("document") external title: string = "title"
+  @val @scope("document") external readyState: string = "readyState"
+  @val @scope("document") external cookie: string = "cookie"
+
+  @val @scope("document") external addEventListener: (string, event => unit) => unit = "addEventListener"
+  @val @scope("document")
+  external addEventListenerWith: (string, event => unit, listenerOptions) => unit = "addEventListener"
+  @val @scope("document")
+  external removeEventListenerWith: (string, event => unit, listenerOptions) => unit =
+    "removeEventListener"
+  @val @scope("document") external dispatchEvent: event => bool = "dispatchEvent"
+
+  // Create an element with a class and text
+  let make = (~className="", ~text="", name: string): element => {
+    let element = createElement(name)
+    if className != "" {
+      element->Element.setClassName(className)
+    }
+    if text != "" {
+      element->Element.setTextContent(text)
+    }
+    element
+  }
+}
+
+// Documents parsed from HTML (never attached, so their scripts don't run)
+module ParsedDocument = {
+  type t
+  type parser
+  @new external makeParser: unit => parser = "DOMParser"
+  @send external parseFromString: (parser, string, @as("text/html") _) => t = "parseFromString"
+  let parse = (html: string): t => makeParser()->parseFromString(html)
+  @send @return(nullable) external querySelector: (t, string) => option<element> = "querySelector"
+  @send external querySelectorNodes: (t, string) => Array.arrayLike<element> = "querySelectorAll"
+  let querySelectorAll = (doc, selector) => Array.fromArrayLike(querySelectorNodes(doc, selector))
+  @get external head: t => element = "head"
+  @get external body: t => element = "body"
+  @get external documentElement: t => element = "documentElement"
+  @val external current: t = "document"
+
+  // The text of an HTML fragment, tags dropped and entities decoded
+  let textOf = (html: string): string => (parse(html)->body->Element.textContent)->String.trim
+}
+
+module Location = {
+  @val @scope("location") external href: string = "href"
+  @val @scope("location") external origin: string = "origin"
+  @val @scope("location") external assign: string => unit = "assign"
+}
+
+module History = {
+  type t
+  @val external history: t = "history"
+  @get external state: t => Nullable.t<Dict.t<JSON.t>> = "state"
+  @send external pushState: (t, Dict.t<JSON.t>, string, string) => unit = "pushState"
+  @send external replaceState: (t, Dict.t<JSON.t>, string) => unit = "replaceState"
+  @set external setScrollRestoration: (t, string) => unit = "scrollRestoration"
+}
+
+module Window = {
+  @val @scope("window") external addEventListener: (string, event => unit) => unit = "addEventListener"
+  @val @scope("window")
+  external addEventListenerWith: (string, event => unit, listenerOptions) => unit = "addEventListener"
+  @val @scope("window")
+  external removeEventListenerWith: (string, event => unit, listenerOptions) => unit =
+    "removeEventListener"
+  @val @scope("window") external scrollX: float = "scrollX"
+  @val @scope("window") external scrollY: float = "scrollY"
+  @val @scope("window") external innerWidth: float = "innerWidth"
+  @val @scope("window") external innerHeight: float = "innerHeight"
+  @val @scope("window") external scrollTo: (float, float) => unit = "scrollTo"
+  @val external requestAnimationFrame: (unit => unit) => int = "requestAnimationFrame"
+}
+
+module Navigator = {
+  // Global Privacy Control and Do Not Track, where the browser sends them
+  @val @scope("navigator") external globalPrivacyControl: Nullable.t<bool> = "globalPrivacyControl"
+  @val @scope("navigator") external doNotTrack: Nullable.t<string> = "doNotTrack"
+}
+
+module LocalStorage = {
+  @val @scope("localStorage") @return(nullable) external getItem: string => option<string> = "getItem"
+  @val @scope("localStorage") external setItem: (string, string) => unit = "setItem"
+  @val @scope("localStorage") external removeItem: string => unit = "removeItem"
+}
+
+module SessionStorage = {
+  @val @scope("sessionStorage") @return(nullable)
+  external getItem: string => option<string> = "getItem"
+  @val @scope("sessionStorage") external setItem: (string, string) => unit = "setItem"
+}
+
+module MediaQuery = {
+  type t
+  @val @scope("window") external make: string => t = "matchMedia"
+  @get external matches: t => bool = "matches"
+  @send external onChange: (t, @as("change") _, unit => unit) => unit = "addEventListener"
+
+  // Check a media query now
+  let test = (query: string): bool => make(query)->matches
+}
+
+module Css = {
+  @val @scope("CSS") external supportsUnchecked: string => bool = "supports"
+
+  // Check if the browser supports a CSS declaration or condition
+  let supports = (condition: string): bool =>
+    Global.isFunction("CSS.supports") && supportsUnchecked(condition)
+}
+
+module Fetch = {
+  type response
+  type headers
+
+  type init = {
+    method?: string,
+    headers?: Dict.t<string>,
+    credentials?: string,
+    signal?: AbortController.signal,
+    body?: unknown,
+  }
+
+  @val external fetch: (string, init) => promise<response> = "fetch"
+  @get external ok: response => bool = "ok"
+  @get external status: response => int = "status"
+  @get external url: response => string = "url"
+  @get external headers: response => headers = "headers"
+  @send @return(nullable) external header: (headers, string) => option<string> = "get"
+  @send external text: response => promise<string> = "text"
+  @send external json: response => promise<JSON.t> = "json"
+}
+
+module Url = {
+  type t
+  @new external makeUnsafe: (string, string) => t = "URL"
+
+  // Parse a URL against a base; nothing if it doesn't parse
+  let make = (href: string, ~base: string): option<t> =>
+    try {
+      Some(makeUnsafe(href, base))
+    } catch {
+    | _ => None
+    }
+
+  @get external href: t => string = "href"
+  @get external origin: t => string = "origin"
+  @get external protocol: t => string = "protocol"
+  @get external host: t => string = "host"
+  @get external hostname: t => string = "hostname"
+  @get external pathname: t => string = "pathname"
+  @get external search: t => string = "search"
+  @get external hash: t => string = "hash"
+  @set external setHash: (t, string) => unit = "hash"
+  @val external decodeComponent: string => string = "decodeURIComponent"
+  type params
+  @get external searchParams: t => params = "searchParams"
+  @send external setParam: (params, string, string) => unit = "set"
+
+  @val @scope("URL") external createObjectURL: blob => string = "createObjectURL"
+  @val @scope("URL") external revokeObjectURL: string => unit = "revokeObjectURL"
+}
+
+module FormData = {
+  type t
+  @new external make: unit => t = "FormData"
+  @send external append: (t, string, string) => unit = "append"
+  // As a fetch body
+  external asBody: t => unknown = "%identity"
+}
+
+module Blob = {
+  @new external make: (array<string>, {"type": string}) => blob = "Blob"
+}
+
+module File = {
+  @get external files: element => Nullable.t<Array.arrayLike<file>> = "files"
+  @send external text: file => promise<string> = "text"
+}
+
+module Intl = {
+  type dateTimeFormat
+  type relativeTimeFormat
+  type numberFormat
+
+  @new @scope("Intl")
+  external dateTimeFormat: (@as(json`undefined`) _, {..}) => dateTimeFormat = "DateTimeFormat"
+  @send external formatDate: (dateTimeFormat, Date.t) => string = "format"
+
+  @new @scope("Intl")
+  external relativeTimeFormat: (@as(json`undefined`) _, {..}) => relativeTimeFormat =
+    "RelativeTimeFormat"
+  @send external formatRelative: (relativeTimeFormat, float, string) => string = "format"
+
+  @new @scope("Intl")
+  external numberFormat: (@as(json`undefined`) _, {..}) => numberFormat = "NumberFormat"
+  @send external formatNumber: (numberFormat, float) => string = "format"
+}
+
+module CustomElements = {
+  // An element's behaviour: `setup` runs in the constructor and returns
+  // the instance's state, which the other callbacks are given
+  type spec<'state> = {
+    observedAttributes: array<string>,
+    setup: element => 'state,
+    connected?: (element, 'state) => unit,
+    disconnected?: (element, 'state) => unit,
+    attributeChanged?: (element, 'state, string) => unit,
+  }
+
+  let isSupported = (): bool => Global.has("customElements")
+
+  // Define an element once. The class is the one part ReScript can't
+  // express, so this is written in JS; everything else is typed.
+  let define: (string, spec<'state>) => unit = %raw(`
+    (name, spec) => {
+      if (customElements.get(name)) {
+        return;
+      }
+      const states = new WeakMap();
+      customElements.define(name, class extends HTMLElement {
+        static observedAttributes = spec.observedAttributes;
+
+        constructor() {
+          super();
+          states.set(this, spec.setup(this));
+        }
+
+        connectedCallback() {
+          spec.connected?.(this, states.get(this));
+        }
+
+        disconnectedCallback() {
+          spec.disconnected?.(this, states.get(this));
+        }
+
+        attributeChangedCallback(attribute) {
+          spec.attributeChanged?.(this, states.get(this), attribute);
+        }
+      });
+    }
+  `)
+}
+
+module ViewTransition = {
+  type t
+  @val @scope("document") external start: (unit => unit) => t = "startViewTransition"
+  @get external finished: t => promise<unit> = "finished"
+
+  let isSupported = (): bool => Global.isFunction("document.startViewTransition")
+}
+
+// Translated label from sinople.i18n, with an English fallback
+@val @scope("window") external sinople: Nullable.t<{"i18n": Nullable.t<Dict.t<string>>}> = "sinople"
+let label = (key: string, fallback: string): string =>
+  sinople
+  ->Nullable.toOption
+  ->Option.flatMap(config => config["i18n"]->Nullable.toOption)
+  ->Option.flatMap(i18n => i18n->Dict.get(key))
+  ->Option.filter(text => text != "")
+  ->Option.getOr(fallback)
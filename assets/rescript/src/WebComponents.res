@@ -8,210 +8,1057 @@
  * @since 0.1.0
  */
 
-@val external console: {..} = "console"
-
-// Define sinople-gloss custom element for inline annotations
-let defineGlossComponent = () => {
-  let _ = %raw(`
-    if (!customElements.get('sinople-gloss')) {
-      class SinopolGloss extends HTMLElement {
-        constructor() {
-          super();
-          this.attachShadow({ mode: 'open' });
-        }
+open Web
+
+// Gloss and portal entries fetched from the REST API
+// (sinople.endpoints.glosses, sinople.endpoints.portals)
+let glossEndpoint = ref("")
+let portalEndpoint = ref("")
+
+// Space between a term and its definition, and kept clear of the
+// viewport edges
+let glossGap = 6.0
+let viewportMargin = 8.0
+
+type box = {top: float, left: float, width: float, height: float}
+type size = {width: float, height: float}
+
+type side =
+  | @as("above") Above
+  | @as("below") Below
+
+type placement = {top: float, left: float, side: side}
+
+// Where a definition goes when CSS anchor positioning isn't available:
+// above the term if it fits, else below, else on the roomier side;
+// centred on the term but kept inside the viewport
+let placeGloss = (term: box, tip: size, viewport: size): placement => {
+  let above = term.top -. glossGap -. tip.height
+  let below = term.top +. term.height +. glossGap
+  let side = if above >= viewportMargin {
+    Above
+  } else if below +. tip.height <= viewport.height -. viewportMargin {
+    Below
+  } else if term.top > viewport.height -. (term.top +. term.height) {
+    Above
+  } else {
+    Below
+  }
+  let centred = term.left +. term.width /. 2.0 -. tip.width /. 2.0
+
+  {
+    top: side == Above ? above : below,
+    left: Math.max(viewportMargin, Math.min(centred, viewport.width -. viewportMargin -. tip.width)),
+    side,
+  }
+}
+
+type glossEntry = {term: string, definition: string}
+
+// Posts by post type and slug, as the REST API returns them
+let spanCache: Map.t<string, promise<option<Dict.t<JSON.t>>>> = Map.make()
+
+let requestSpan = async (key: string, endpoint: string, slug: string): option<Dict.t<JSON.t>> =>
+  try {
+    let url = Url.makeUnsafe(endpoint, Location.href)
+    url->Url.searchParams->Url.setParam("slug", slug)
+    url->Url.searchParams->Url.setParam("_fields", "title,excerpt,content,meta")
+
+    let response = await Fetch.fetch(
+      Url.href(url),
+      {headers: dict{"Accept": "application/json"}, credentials: "same-origin"},
+    )
+    let post = switch response->Fetch.ok ? await Fetch.json(response) : JSON.Encode.array([]) {
+    | Array(posts) => posts[0]->Option.flatMap(JSON.Decode.object)
+    | _ => None
+    }
+    post->Option.forEach(post =>
+      try {
+        SessionStorage.setItem(key, JSON.stringify(JSON.Encode.object(post)))
+      } catch {
+      // Storage full or unavailable: the page cache still holds it
+      | _ => ()
+      }
+    )
+    post
+  } catch {
+  | _ => {
+      let _ = spanCache->Map.delete(key)
+      None
+    }
+  }
 
-        connectedCallback() {
-          const term = this.getAttribute('term') || '';
-          const definition = this.getAttribute('definition') || this.textContent;
-
-          this.shadowRoot.innerHTML = \`
-            <style>
-              :host {
-                position: relative;
-                display: inline;
-              }
-              .gloss-term {
-                text-decoration: underline dotted;
-                cursor: help;
-              }
-              .gloss-definition {
-                position: absolute;
-                bottom: 100%;
-                left: 50%;
-                transform: translateX(-50%);
-                padding: 0.5em 1em;
-                background: var(--color-surface-elevated, #333);
-                color: var(--color-text-inverse, #fff);
-                border-radius: 4px;
-                font-size: 0.875em;
-                white-space: nowrap;
-                opacity: 0;
-                visibility: hidden;
-                transition: opacity 0.2s, visibility 0.2s;
-                z-index: 1000;
-              }
-              :host(:hover) .gloss-definition,
-              :host(:focus-within) .gloss-definition {
-                opacity: 1;
-                visibility: visible;
-              }
-              @media (prefers-reduced-motion: reduce) {
-                .gloss-definition {
-                  transition: none;
-                }
-              }
-            </style>
-            <span class="gloss-term" tabindex="0" role="term" aria-describedby="def">
-              \${term}
-            </span>
-            <span class="gloss-definition" id="def" role="definition">
-              \${definition}
-            </span>
-          \`;
+// A span post (gloss, portal) by slug from the REST API. Cached for the
+// page and, in sessionStorage, for the visit; failed requests aren't
+// cached.
+let fetchSpan = (kind: string, endpoint: string, slug: string): promise<
+  option<Dict.t<JSON.t>>,
+> => {
+  let key = `sinople:${kind}:${slug}`
+  switch spanCache->Map.get(key) {
+  | Some(request) => request
+  | None => {
+      let stored = try {
+        SessionStorage.getItem(key)->Option.flatMap(text =>
+          JSON.parseOrThrow(text)->JSON.Decode.object
+        )
+      } catch {
+      | _ => None
+      }
+      switch (stored, endpoint) {
+      | (None, "") => Promise.resolve(None)
+      | _ => {
+          let request = switch stored {
+          | Some(post) => Promise.resolve(Some(post))
+          | None => requestSpan(key, endpoint, slug)
+          }
+          spanCache->Map.set(key, request)
+          request
         }
       }
+    }
+  }
+}
+
+// A post field as a string, if it is one
+let stringField = (fields: Dict.t<JSON.t>, key: string): string =>
+  fields->Dict.get(key)->Option.flatMap(JSON.Decode.string)->Option.getOr("")
+
+// A rendered post field (title, excerpt, content) as plain text
+let renderedText = (post: Dict.t<JSON.t>, field: string): string =>
+  switch post->Dict.get(field)->Option.flatMap(JSON.Decode.object) {
+  | Some(rendered) => ParsedDocument.textOf(rendered->stringField("rendered"))
+  | None => ""
+  }
+
+// A gloss from its post: the definition is the excerpt, else the content
+let readGloss = (post: Dict.t<JSON.t>): glossEntry => {
+  term: renderedText(post, "title"),
+  definition: switch renderedText(post, "excerpt") {
+  | "" => renderedText(post, "content")
+  | excerpt => excerpt
+  },
+}
+
+let fetchGloss = async (slug: string): option<glossEntry> =>
+  (await fetchSpan("gloss", glossEndpoint.contents, slug))->Option.map(readGloss)
 
-      customElements.define('sinople-gloss', SinopolGloss);
+// Stylesheets by their text, built once and adopted by every shadow root
+// using them: the policy has no nonce for <style> elements created here
+let styleSheets: Map.t<string, StyleSheet.t> = Map.make()
+
+let adoptStyles = (root: shadowRoot, styles: string) => {
+  let sheet = switch styleSheets->Map.get(styles) {
+  | Some(sheet) => sheet
+  | None => {
+      let sheet = StyleSheet.make()
+      sheet->StyleSheet.replaceSync(styles)
+      styleSheets->Map.set(styles, sheet)
+      sheet
     }
-  `)
+  }
+  root->Element.adoptStyleSheets([sheet])
+}
+
+let glossStyles = [
+  ":host {",
+  "  display: inline;",
+  "}",
+  ".gloss-term {",
+  "  all: unset;",
+  "  font: inherit;",
+  "  color: inherit;",
+  "  text-decoration: underline dotted;",
+  "  text-underline-offset: 0.2em;",
+  "  cursor: help;",
+  "}",
+  ".gloss-term:focus-visible {",
+  "  outline: var(--focus-width, 3px) solid var(--focus-color, #0066cc);",
+  "  outline-offset: var(--focus-offset, 2px);",
+  "}",
+  ".gloss-definition {",
+  "  position: fixed;",
+  "  inset: auto;",
+  "  margin: 0;",
+  "  box-sizing: border-box;",
+  "  max-inline-size: min(40ch, calc(100vw - 16px));",
+  "  padding: 0.5em 0.75em;",
+  "  border: 1px solid var(--color-border, #7e90a1);",
+  "  border-radius: 4px;",
+  "  background: var(--color-bg-subtle, #e4e7eb);",
+  "  color: var(--color-text, #323f4b);",
+  "  font-size: 0.875em;",
+  "  line-height: 1.4;",
+  "  white-space: normal;",
+  "  overflow-wrap: anywhere;",
+  "  z-index: 1000;",
+  "}",
+  ".gloss-definition[hidden] {",
+  "  display: none;",
+  "}",
+  "@supports (position-area: top) {",
+  "  .gloss-term {",
+  "    anchor-name: --gloss-term;",
+  "  }",
+  "  .gloss-definition {",
+  "    position-anchor: --gloss-term;",
+  "    position-area: top;",
+  "    position-try-fallbacks: flip-block, top span-right, top span-left, bottom span-right, bottom span-left;",
+  `    margin-block: ${Float.toString(glossGap)}px;`,
+  "  }",
+  "}",
+]->Array.join("\n")
+
+// A gloss's parts and what it's doing
+type gloss = {
+  term: element,
+  tip: element,
+  mutable open_: bool,
+  mutable pinned: bool,
+  mutable leaving: option<timeoutId>,
+  // The fetched entry and the slug it was fetched for
+  mutable fetched: option<(string, glossEntry)>,
+  mutable loading: bool,
+  // Aborted to remove the listeners added while open
+  mutable listening: option<AbortController.t>,
 }
 
-// Define sinople-fieldnote custom element for observational micro-essays
-let defineFieldNoteComponent = () => {
-  let _ = %raw(`
-    if (!customElements.get('sinople-fieldnote')) {
-      class SinopolFieldNote extends HTMLElement {
-        constructor() {
-          super();
-          this.attachShadow({ mode: 'open' });
+let glossCount = ref(0)
+
+let fetchedGloss = (host: element, gloss: gloss): option<glossEntry> =>
+  switch gloss.fetched {
+  | Some((slug, entry)) if host->Element.getAttribute("slug") == Some(slug) => Some(entry)
+  | _ => None
+  }
+
+// The definition: attribute, else the element's text, else fetched
+let glossDefinition = (host: element, gloss: gloss): string =>
+  switch (
+    host->Element.getAttribute("definition")->Option.getOr(""),
+    host->Element.textContent->String.trim,
+  ) {
+  | ("", "") => fetchedGloss(host, gloss)->Option.mapOr("", entry => entry.definition)
+  | ("", text) => text
+  | (definition, _) => definition
+  }
+
+let renderGloss = (host: element, gloss: gloss) => {
+  let term = switch host->Element.getAttribute("term") {
+  | Some(term) if term != "" => term
+  | _ =>
+    switch fetchedGloss(host, gloss) {
+    | Some(entry) if entry.term != "" => entry.term
+    | _ => host->Element.getAttribute("slug")->Option.getOr("")
+    }
+  }
+  gloss.term->Element.setTextContent(term)
+  gloss.tip->Element.setTextContent(
+    switch glossDefinition(host, gloss) {
+    | "" if gloss.loading => label("loading", "Loading...")
+    | definition => definition
+    },
+  )
+}
+
+// Anchor positioning places the definition in CSS where supported
+let anchored = (): bool => Css.supports("position-area: top")
+
+let placeTip = (gloss: gloss) =>
+  if !anchored() {
+    let {top, left, width, height} = gloss.term->Element.getBoundingClientRect
+    let placement = placeGloss(
+      {top, left, width, height},
+      {width: gloss.tip->Element.offsetWidth, height: gloss.tip->Element.offsetHeight},
+      {width: Document.documentElement->Element.clientWidth, height: Window.innerHeight},
+    )
+    let style = gloss.tip->Element.style
+    style->Element.setStyle("top", `${Float.toString(placement.top)}px`)
+    style->Element.setStyle("left", `${Float.toString(placement.left)}px`)
+    gloss.tip->Element.dataset->Dict.set("side", (placement.side :> string))
+  }
+
+let stopLeaving = (gloss: gloss) => gloss.leaving->Option.forEach(clearTimeout)
+
+let hideGloss = (gloss: gloss) => {
+  stopLeaving(gloss)
+  if gloss.open_ {
+    gloss.open_ = false
+    gloss.pinned = false
+    if Element.supportsPopovers() {
+      gloss.tip->Element.hidePopover
+    } else {
+      gloss.tip->Element.setHidden(true)
+    }
+    gloss.term->Element.setAttribute("aria-expanded", "false")
+    gloss.listening->Option.forEach(AbortController.abort)
+    gloss.listening = None
+  }
+}
+
+let rec showGloss = (host: element, gloss: gloss) => {
+  stopLeaving(gloss)
+  switch host->Element.getAttribute("slug") {
+  | Some(slug) if slug != "" && glossDefinition(host, gloss) == "" && !gloss.loading => {
+      gloss.loading = true
+      renderGloss(host, gloss)
+      let _ = fetchGloss(slug)->Promise.thenResolve(entry => {
+        gloss.loading = false
+        gloss.fetched = entry->Option.map(entry => (slug, entry))
+        renderGloss(host, gloss)
+        if glossDefinition(host, gloss) == "" {
+          hideGloss(gloss)
+        } else if gloss.open_ {
+          placeTip(gloss)
         }
+      })
+    }
+  | _ => ()
+  }
+
+  if !gloss.open_ && (glossDefinition(host, gloss) != "" || gloss.loading) {
+    gloss.open_ = true
+    if Element.supportsPopovers() {
+      gloss.tip->Element.showPopover
+    } else {
+      gloss.tip->Element.setHidden(false)
+    }
+    gloss.term->Element.setAttribute("aria-expanded", "true")
+    placeTip(gloss)
+    listenWhileOpen(host, gloss)
+  }
+}
+
+// Keep the definition placed, and close it on Escape wherever focus is
+// (WCAG 1.4.13), before any dialog underneath sees the key, or on a
+// press outside
+and listenWhileOpen = (host: element, gloss: gloss) => {
+  let controller = AbortController.make()
+  let signal = AbortController.signal(controller)
+  gloss.listening = Some(controller)
+
+  Window.addEventListenerWith("scroll", _ => placeTip(gloss), {passive: true, capture: true, signal})
+  Window.addEventListenerWith("resize", _ => placeTip(gloss), {passive: true, signal})
+  Document.addEventListenerWith(
+    "keydown",
+    event =>
+      if Event.key(event) == "Escape" {
+        Event.stopPropagation(event)
+        hideGloss(gloss)
+      },
+    {capture: true, signal},
+  )
+  Document.addEventListenerWith(
+    "pointerdown",
+    event =>
+      if !(event->Event.composedPath->Array.includes(host)) {
+        hideGloss(gloss)
+      },
+    {signal: signal},
+  )
+}
+
+// Give the pointer a moment to reach the definition
+let leaveGloss = (gloss: gloss) => {
+  stopLeaving(gloss)
+  if !gloss.pinned {
+    gloss.leaving = Some(setTimeout(() => hideGloss(gloss), 150))
+  }
+}
+
+let setupGloss = (host: element): gloss => {
+  let root = host->Element.attachShadow({"mode": "open"})
+  glossCount := glossCount.contents + 1
+  let id = `gloss-definition-${Int.toString(glossCount.contents)}`
+
+  let term = Document.make(~className="gloss-term", "button")
+  term->Element.setAttribute("type", "button")
+  term->Element.setAttribute("part", "term")
+  term->Element.setAttribute("aria-describedby", id)
+  term->Element.setAttribute("aria-controls", id)
+  term->Element.setAttribute("aria-expanded", "false")
+
+  let tip = Document.make(~className="gloss-definition", "span")
+  tip->Element.setId(id)
+  tip->Element.setAttribute("role", "tooltip")
+  tip->Element.setAttribute("part", "definition")
+  if Element.supportsPopovers() {
+    tip->Element.setAttribute("popover", "manual")
+  } else {
+    tip->Element.setHidden(true)
+  }
+
+  adoptStyles(root, glossStyles)
+  root->Element.appendToShadow([term, tip])
+
+  let gloss = {
+    term,
+    tip,
+    open_: false,
+    pinned: false,
+    leaving: None,
+    fetched: None,
+    loading: false,
+    listening: None,
+  }
+
+  // Mouse hover; touch and pen use taps
+  term->Element.addEventListener("pointerenter", event =>
+    if Event.pointerType(event) == "mouse" {
+      showGloss(host, gloss)
+    }
+  )
+  term->Element.addEventListener("pointerleave", event =>
+    if Event.pointerType(event) == "mouse" {
+      leaveGloss(gloss)
+    }
+  )
+  tip->Element.addEventListener("pointerenter", _ => stopLeaving(gloss))
+  tip->Element.addEventListener("pointerleave", _ => leaveGloss(gloss))
+
+  term->Element.addEventListener("focus", _ => showGloss(host, gloss))
+  term->Element.addEventListener("blur", _ => {
+    gloss.pinned = false
+    hideGloss(gloss)
+  })
+  term->Element.addEventListener("click", _ => {
+    gloss.pinned = !gloss.pinned
+    if gloss.pinned {
+      showGloss(host, gloss)
+    } else {
+      hideGloss(gloss)
+    }
+  })
 
-        connectedCallback() {
-          const location = this.getAttribute('location') || '';
-          const timestamp = this.getAttribute('timestamp') || '';
-          const content = this.innerHTML;
-
-          this.shadowRoot.innerHTML = \`
-            <style>
-              :host {
-                display: block;
-                margin: 1.5em 0;
-                padding: 1em;
-                border-left: 3px solid var(--color-accent, #4a7c59);
-                background: var(--color-surface-muted, #f5f5f5);
-              }
-              .fieldnote-meta {
-                font-size: 0.75em;
-                color: var(--color-text-muted, #666);
-                margin-bottom: 0.5em;
-              }
-              .fieldnote-location::before {
-                content: '📍 ';
-              }
-              .fieldnote-timestamp::before {
-                content: '⏱ ';
-                margin-left: 1em;
-              }
-              .fieldnote-content {
-                font-style: italic;
-              }
-            </style>
-            <div class="fieldnote-meta">
-              \${location ? \`<span class="fieldnote-location">\${location}</span>\` : ''}
-              \${timestamp ? \`<time class="fieldnote-timestamp" datetime="\${timestamp}">\${timestamp}</time>\` : ''}
-            </div>
-            <div class="fieldnote-content">
-              <slot></slot>
-            </div>
-          \`;
+  gloss
+}
+
+// Define sinople-gloss custom element for inline annotations. The
+// definition comes from the `definition` attribute, the element's text,
+// or the gloss post named by `slug`. It opens on hover, focus or tap in
+// the top layer (a popover), placed by CSS anchor positioning where
+// supported (as sinople_anchor_positioning does for page tooltips) and
+// by placeGloss otherwise.
+let defineGlossComponent = () =>
+  CustomElements.define(
+    "sinople-gloss",
+    {
+      observedAttributes: ["term", "definition", "slug"],
+      setup: setupGloss,
+      connected: renderGloss,
+      disconnected: (_, gloss) => hideGloss(gloss),
+      attributeChanged: (host, gloss, _) => {
+        renderGloss(host, gloss)
+        if gloss.open_ {
+          placeTip(gloss)
         }
+      },
+    },
+  )
+
+type coordinates = {latitude: float, longitude: float, altitude: option<float>}
+
+// A geo: URI (RFC 5870, parameters ignored) or bare "lat, long"
+let parseGeo = (value: string): option<coordinates> =>
+  /^(?:geo:)?\s*(-?\d+(?:\.\d+)?)\s*[,\s]\s*(-?\d+(?:\.\d+)?)(?:\s*,\s*(-?\d+(?:\.\d+)?))?\s*(?:;.*)?$/i
+  ->RegExp.exec(value->String.trim)
+  ->Option.flatMap(result =>
+    switch result->RegExp.Result.matches {
+    | [Some(latitude), Some(longitude), altitude] =>
+      switch (Float.fromString(latitude), Float.fromString(longitude)) {
+      | (Some(latitude), Some(longitude))
+        if Math.abs(latitude) <= 90.0 && Math.abs(longitude) <= 180.0 =>
+        Some({latitude, longitude, altitude: altitude->Option.flatMap(Float.fromString)})
+      | _ => None
       }
+    | _ => None
+    }
+  )
+
+// "51.5074° N, 0.1278° W", numbers formatted for the reader's locale
+let geoLabel = (coordinates: coordinates, format: float => string): string => {
+  let {latitude, longitude} = coordinates
+  `${format(Math.abs(latitude))}° ${latitude < 0.0 ? "S" : "N"}, ${format(
+      Math.abs(longitude),
+    )}° ${longitude < 0.0 ? "W" : "E"}`
+}
+
+let relativeUnits = [
+  ("year", 31536000.0),
+  ("month", 2592000.0),
+  ("week", 604800.0),
+  ("day", 86400.0),
+  ("hour", 3600.0),
+  ("minute", 60.0),
+]
+
+// The largest whole unit for an offset in seconds (negative: past), as
+// Intl.RelativeTimeFormat takes it
+let relativeTime = (seconds: float): (float, string) =>
+  switch relativeUnits->Array.find(((_, size)) => Math.abs(seconds) >= size) {
+  | Some((unit, size)) => (Math.trunc(seconds /. size), unit)
+  | None => (Math.trunc(seconds), "second")
+  }
 
-      customElements.define('sinople-fieldnote', SinopolFieldNote);
+let fieldNoteStyles = [
+  ":host {",
+  "  display: block;",
+  "  margin: 1.5em 0;",
+  "  padding: 1em;",
+  "  border-inline-start: 3px solid var(--color-accent, #4a7c59);",
+  "  background: var(--color-bg-subtle, #f5f5f5);",
+  "}",
+  "::slotted(.fieldnote-meta) {",
+  "  display: flex;",
+  "  flex-wrap: wrap;",
+  "  gap: 0 1em;",
+  "  margin-bottom: 0.5em;",
+  "  font-size: 0.75em;",
+  "  color: var(--color-text-muted, #52606d);",
+  "}",
+  ".fieldnote-content {",
+  "  font-style: italic;",
+  "}",
+]->Array.join("\n")
+
+let schemaArticle = "https://schema.org/Article"
+let schemaPlace = "https://schema.org/Place"
+let schemaGeo = "https://schema.org/GeoCoordinates"
+
+// An element with attributes and text
+let element = (name: string, attributes: array<(string, string)>, ~text=""): element => {
+  let node = Document.make(~text, name)
+  attributes->Array.forEach(((key, value)) => node->Element.setAttribute(key, value))
+  node
+}
+
+let trimmedAttribute = (host: element, name: string): string =>
+  host->Element.getAttribute(name)->Option.getOr("")->String.trim
+
+let fieldNoteLocation = (host: element): option<element> => {
+  let location = host->trimmedAttribute("location")
+  let place = host->trimmedAttribute("place")
+
+  switch parseGeo(location) {
+  | None if location == "" && place == "" => None
+  | None =>
+    Some(
+      element(
+        "span",
+        [("class", "fieldnote-location p-location"), ("itemprop", "contentLocation")],
+        ~text=place != "" ? place : location,
+      ),
+    )
+  | Some(coordinates) => {
+      let number = Intl.numberFormat({"maximumFractionDigits": 4})
+      let label = geoLabel(coordinates, value => number->Intl.formatNumber(value))
+      let wrapper = element(
+        "span",
+        [
+          ("class", "fieldnote-location p-location h-geo"),
+          ("itemprop", "contentLocation"),
+          ("itemscope", ""),
+          ("itemtype", schemaPlace),
+        ],
+      )
+      let name = element(
+        "span",
+        [("class", "p-name"), ("itemprop", "name")],
+        ~text=place != "" ? place : label,
+      )
+      if place != "" {
+        name->Element.setAttribute("title", label)
+      }
+      let geo = element("span", [("itemprop", "geo"), ("itemscope", ""), ("itemtype", schemaGeo)])
+      let data = (className, itemprop, value) =>
+        element(
+          "data",
+          [("class", className), ("itemprop", itemprop), ("value", Float.toString(value))],
+        )
+      geo->Element.append([
+        data("p-latitude", "latitude", coordinates.latitude),
+        data("p-longitude", "longitude", coordinates.longitude),
+      ])
+      coordinates.altitude->Option.forEach(altitude =>
+        geo->Element.append([data("p-altitude", "elevation", altitude)])
+      )
+      wrapper->Element.append([name, geo])
+      Some(wrapper)
     }
-  `)
+  }
 }
 
-// Define sinople-portal custom element for annotated external links
-let definePortalComponent = () => {
-  let _ = %raw(`
-    if (!customElements.get('sinople-portal')) {
-      class SinopolPortal extends HTMLElement {
-        constructor() {
-          super();
-          this.attachShadow({ mode: 'open' });
-        }
+let fieldNoteTime = (host: element): array<element> =>
+  switch host->trimmedAttribute("timestamp") {
+  | "" => []
+  | timestamp => {
+      let date = Date.fromString(timestamp)
+      if date->Date.getTime->Float.isNaN {
+        [element("span", [("class", "fieldnote-timestamp")], ~text=timestamp)]
+      } else {
+        let time = element(
+          "time",
+          [
+            ("class", "fieldnote-timestamp dt-published"),
+            ("itemprop", "datePublished"),
+            ("datetime", Date.toISOString(date)),
+          ],
+          ~text=Intl.dateTimeFormat({"dateStyle": "medium", "timeStyle": "short"})->Intl.formatDate(
+            date,
+          ),
+        )
+        let (value, unit) = relativeTime((Date.getTime(date) -. Date.now()) /. 1000.0)
+        let ago = element(
+          "span",
+          [("class", "fieldnote-relative")],
+          ~text=Intl.relativeTimeFormat({"numeric": "auto"})->Intl.formatRelative(value, unit),
+        )
+        [time, ago]
+      }
+    }
+  }
+
+let renderFieldNote = (host: element) => {
+  let meta = switch host->Element.querySelector(":scope > .fieldnote-meta") {
+  | Some(meta) => meta
+  | None => {
+      let meta = element("footer", [("class", "fieldnote-meta"), ("slot", "meta")])
+      host->Element.prepend([meta])
+      meta
+    }
+  }
+  meta->Element.replaceChildren(
+    [fieldNoteLocation(host)->Option.mapOr([], location => [location]), fieldNoteTime(host)]->Array.flat,
+  )
+}
+
+let setupFieldNote = (host: element) => {
+  let root = host->Element.attachShadow({"mode": "open"})
+  let meta = element("slot", [("name", "meta")])
+  let content = element("div", [("class", "fieldnote-content")])
+  content->Element.append([Document.createElement("slot")])
+  adoptStyles(root, fieldNoteStyles)
+  root->Element.appendToShadow([meta, content])
+}
 
-        connectedCallback() {
-          const href = this.getAttribute('href') || '#';
-          const title = this.getAttribute('title') || '';
-          const description = this.getAttribute('description') || '';
-
-          this.shadowRoot.innerHTML = \`
-            <style>
-              :host {
-                display: block;
-                margin: 1em 0;
-              }
-              .portal {
-                display: block;
-                padding: 1em;
-                border: 1px solid var(--color-border, #ccc);
-                border-radius: 4px;
-                text-decoration: none;
-                color: inherit;
-                transition: box-shadow 0.2s, border-color 0.2s;
-              }
-              .portal:hover,
-              .portal:focus {
-                border-color: var(--color-accent, #4a7c59);
-                box-shadow: 0 2px 8px rgba(0,0,0,0.1);
-              }
-              .portal-title {
-                font-weight: bold;
-                color: var(--color-link, #1a5f7a);
-              }
-              .portal-description {
-                margin-top: 0.5em;
-                font-size: 0.875em;
-                color: var(--color-text-muted, #666);
-              }
-              .portal-url {
-                margin-top: 0.5em;
-                font-size: 0.75em;
-                color: var(--color-text-muted, #888);
-              }
-              @media (prefers-reduced-motion: reduce) {
-                .portal {
-                  transition: none;
-                }
-              }
-            </style>
-            <a class="portal" href="\${href}" target="_blank" rel="noopener noreferrer">
-              <span class="portal-title">\${title}</span>
-              \${description ? \`<p class="portal-description">\${description}</p>\` : ''}
-              <span class="portal-url">\${new URL(href, window.location.origin).hostname}</span>
-            </a>
-          \`;
+let connectFieldNote = (host: element, ()) => {
+  host->Element.classList->Element.addClass("h-entry")
+  host->Element.setAttribute("itemscope", "")
+  host->Element.setAttribute("itemtype", schemaArticle)
+
+  // The note itself, once
+  let body = switch host->Element.querySelector(":scope > .e-content") {
+  | Some(body) => body
+  | None => {
+      let body = element("div", [("class", "e-content"), ("itemprop", "articleBody")])
+      body->Element.appendNodes(
+        host
+        ->Element.childNodes
+        ->Array.fromArrayLike
+        ->Array.filter(node => node->Node.slot != Nullable.make("meta")),
+      )
+      host->Element.append([body])
+      body
+    }
+  }
+  let words =
+    body
+    ->Element.textContent
+    ->String.trim
+    ->String.splitByRegExp(/\s+/)
+    ->Array.filter(word => word->Option.getOr("") != "")
+    ->Array.length
+  host->Element.querySelector(`:scope > meta[itemprop="wordCount"]`)->Option.forEach(Element.remove)
+  host->Element.append([
+    element("meta", [("itemprop", "wordCount"), ("content", Int.toString(words))]),
+  ])
+
+  renderFieldNote(host)
+}
+
+// Define sinople-fieldnote custom element for notes made somewhere.
+// `timestamp` is shown in the reader's locale and relative to now;
+// `location` is a geo: URI, "lat, long" or a place name, and `place`
+// names coordinates. The markup goes in the light DOM as an h-entry with
+// h-geo and as schema.org microdata matching sinople_get_span_schema()
+// for field notes, so parsers see what the server would.
+let defineFieldNoteComponent = () =>
+  CustomElements.define(
+    "sinople-fieldnote",
+    {
+      observedAttributes: ["location", "place", "timestamp"],
+      setup: setupFieldNote,
+      connected: connectFieldNote,
+      attributeChanged: (host, (), _) =>
+        if host->Element.isConnected {
+          renderFieldNote(host)
+        },
+    },
+  )
+
+type portalLink = {
+  href: string,
+  hostname: string,
+  @as("external") external_: bool,
+  onion: bool,
+}
+
+// An http(s) link, relative ones resolved against the page; anything
+// else (javascript:, data:, unparseable) is no link at all
+let portalLink = (href: string, ~base: string): option<portalLink> =>
+  switch Url.make(href->String.trim, ~base) {
+  | Some(url)
+    if href->String.trim != "" && (Url.protocol(url) == "https:" || Url.protocol(url) == "http:") => {
+      let hostname = url->Url.hostname->String.replaceRegExp(/\.$/, "")
+      let page = Url.make(base, ~base)
+
+      Some({
+        href: Url.href(url),
+        hostname,
+        external_: page->Option.mapOr(true, page => Url.host(page) != Url.host(url)),
+        onion: hostname->String.endsWith(".onion"),
+      })
+    }
+  | _ => None
+  }
+
+// Relationships a portal may declare (see docs/PORTALS.md); mirrors
+// sinople_portal_rel_values()
+let portalRelValues = [
+  "me",
+  "author",
+  "friend",
+  "acquaintance",
+  "contact",
+  "met",
+  "colleague",
+  "co-worker",
+  "muse",
+  "license",
+]
+
+// What each trust level adds to rel; mirrors sinople_portal_trust_levels()
+let trustRel = (trust: string): option<array<string>> =>
+  switch trust {
+  | "trusted" => Some([])
+  | "unvetted" => Some(["nofollow"])
+  | "sponsored" => Some(["sponsored", "nofollow"])
+  | "ugc" => Some(["ugc", "nofollow"])
+  | _ => None
+  }
+
+// The link's rel: declared relationships, the trust level's tokens and,
+// off-site, `external noreferrer`
+let portalRel = (~rel: string, ~trust: string, ~offsite: bool): string => {
+  let declared =
+    rel
+    ->String.toLowerCase
+    ->String.splitByRegExp(/\s+/)
+    ->Array.filterMap(token => token)
+    ->Array.filter(token => portalRelValues->Array.includes(token))
+  let tokens = [
+    ...declared,
+    ...trustRel(trust)->Option.getOr([]),
+    ...(offsite ? ["external", "noreferrer"] : []),
+  ]
+  tokens->Array.filterWithIndex((token, index) => tokens->Array.indexOf(token) == index)->Array.join(" ")
+}
+
+type portalEntry = {
+  title: string,
+  description: string,
+  href: string,
+  siteName: string,
+  favicon: string,
+  archive: string,
+  readingTime: int,
+  rel: string,
+  trust: string,
+}
+
+// A portal from its post and the sinople_portal_* meta it stores
+let readPortal = (post: Dict.t<JSON.t>): portalEntry => {
+  let meta = post->Dict.get("meta")->Option.flatMap(JSON.Decode.object)->Option.getOr(Dict.make())
+  {
+    title: renderedText(post, "title"),
+    description: renderedText(post, "excerpt"),
+    href: meta->stringField("sinople_portal_url"),
+    siteName: meta->stringField("sinople_portal_site_name"),
+    favicon: meta->stringField("sinople_portal_favicon"),
+    archive: meta->stringField("sinople_portal_archive_url"),
+    readingTime: switch meta->Dict.get("sinople_portal_reading_time") {
+    | Some(Number(minutes)) => Float.toInt(minutes)
+    | Some(String(minutes)) => Int.fromString(minutes)->Option.getOr(0)
+    | _ => 0
+    },
+    rel: meta->stringField("sinople_portal_rel"),
+    trust: meta->stringField("sinople_portal_trust"),
+  }
+}
+
+let fetchPortal = async (slug: string): option<portalEntry> =>
+  (await fetchSpan("portal", portalEndpoint.contents, slug))->Option.map(readPortal)
+
+let portalStyles = [
+  ":host {",
+  "  display: block;",
+  "  margin: 1em 0;",
+  "}",
+  ".portal {",
+  "  padding: 1em;",
+  "  border: 1px solid var(--color-border, #7e90a1);",
+  "  border-radius: 4px;",
+  "}",
+  ".portal:focus-within {",
+  "  border-color: var(--color-accent, #4a7c59);",
+  "}",
+  ".portal-link {",
+  "  display: flex;",
+  "  flex-wrap: wrap;",
+  "  align-items: baseline;",
+  "  gap: 0.25em 0.5em;",
+  "  color: var(--color-accent, #1a5f7a);",
+  "  font-weight: bold;",
+  "}",
+  ".portal-link:focus-visible {",
+  "  outline: var(--focus-width, 3px) solid var(--focus-color, #0066cc);",
+  "  outline-offset: var(--focus-offset, 2px);",
+  "}",
+  ".portal-favicon {",
+  "  align-self: center;",
+  "  inline-size: 1em;",
+  "  block-size: 1em;",
+  "}",
+  ".portal-host {",
+  "  font-size: 0.75em;",
+  "  font-weight: normal;",
+  "  color: var(--color-text-muted, #52606d);",
+  "}",
+  ".portal-description {",
+  "  margin: 0.5em 0 0;",
+  "  font-size: 0.875em;",
+  "}",
+  ".portal-meta {",
+  "  display: flex;",
+  "  flex-wrap: wrap;",
+  "  gap: 0.25em 1em;",
+  "  margin: 0.5em 0 0;",
+  "  font-size: 0.75em;",
+  "  color: var(--color-text-muted, #52606d);",
+  "}",
+  ".portal-meta:empty {",
+  "  display: none;",
+  "}",
+  ".portal-meta a {",
+  "  color: inherit;",
+  "}",
+  ".visually-hidden {",
+  "  position: absolute;",
+  "  inline-size: 1px;",
+  "  block-size: 1px;",
+  "  overflow: hidden;",
+  "  clip-path: inset(50%);",
+  "  white-space: nowrap;",
+  "}",
+]->Array.join("\n")
+
+let trustLabel = (trust: string): option<string> =>
+  switch trust {
+  | "trusted" => Some(label("portalTrusted", "Trusted"))
+  | "unvetted" => Some(label("portalUnvetted", "Unvetted"))
+  | "sponsored" => Some(label("portalSponsored", "Sponsored"))
+  | "ugc" => Some(label("portalUgc", "Submitted by a reader"))
+  | _ => None
+  }
+
+// A portal's shadow root and the post it shows
+type portal = {
+  root: shadowRoot,
+  mutable fetched: option<portalEntry>,
+  mutable slug: option<string>,
+}
+
+let rec loadPortal = (host: element, portal: portal) =>
+  switch host->Element.getAttribute("slug") {
+  | Some(slug) if slug != "" && portal.slug != Some(slug) => {
+      portal.slug = Some(slug)
+      portal.fetched = None
+      let _ = fetchPortal(slug)->Promise.thenResolve(entry =>
+        switch entry {
+        | Some(entry) if host->Element.getAttribute("slug") == Some(slug) => {
+            portal.fetched = Some(entry)
+            renderPortal(host, portal)
+          }
+        | _ => ()
         }
-      }
+      )
+    }
+  | _ => ()
+  }
+
+and renderPortal = (host: element, portal: portal) => {
+  loadPortal(host, portal)
+
+  // An attribute, else what the portal post stores
+  let value = (attribute, field) =>
+    switch host->Element.getAttribute(attribute) {
+    | Some(value) if value != "" => value
+    | _ => portal.fetched->Option.mapOr("", field)
+    }
 
-      customElements.define('sinople-portal', SinopolPortal);
+  let base = Location.href
+  let link = portalLink(value("href", entry => entry.href), ~base)
+  let trust = value("trust", entry => entry.trust)
+  let siteName = value("site-name", entry => entry.siteName)
+  let title = switch value("title", entry => entry.title) {
+  | "" if siteName != "" => siteName
+  | "" => link->Option.mapOr("", link => link.hostname)
+  | title => title
+  }
+  let description = value("description", entry => entry.description)
+  let readingTime =
+    host
+    ->Element.getAttribute("reading-time")
+    ->Option.flatMap(minutes => Int.fromString(minutes))
+    ->Option.filter(minutes => minutes != 0)
+    ->Option.getOr(portal.fetched->Option.mapOr(0, entry => entry.readingTime))
+
+  let _ = host->Element.toggleAttribute("data-external", link->Option.mapOr(false, link => link.external_))
+  let _ = host->Element.toggleAttribute("data-onion", link->Option.mapOr(false, link => link.onion))
+
+  let container = Document.make(~className="portal", "div")
+  container->Element.setAttribute("part", "portal")
+
+  // A bad or unsafe href leaves the title as plain text
+  let heading = Document.make(~className="portal-link", link->Option.isSome ? "a" : "span")
+  link->Option.forEach(link => {
+    heading->Element.setAttribute("href", link.href)
+    switch portalRel(~rel=value("rel", entry => entry.rel), ~trust, ~offsite=link.external_) {
+    | "" => ()
+    | rel => heading->Element.setAttribute("rel", rel)
+    }
+    switch portalLink(value("favicon", entry => entry.favicon), ~base) {
+    | Some(favicon) if !favicon.external_ =>
+      heading->Element.append([
+        element(
+          "img",
+          [
+            ("class", "portal-favicon"),
+            ("src", favicon.href),
+            ("alt", ""),
+            ("width", "16"),
+            ("height", "16"),
+            ("loading", "lazy"),
+          ],
+        ),
+      ])
+    | _ => ()
     }
-  `)
+  })
+  heading->Element.append([Document.make(~className="portal-title", ~text=title, "span")])
+  link->Option.forEach(link => {
+    let host = siteName != "" && siteName != title ? siteName : link.hostname
+    heading->Element.append([Document.make(~className="portal-host", ~text=host, "span")])
+    if link.external_ {
+      heading->Element.append([
+        Document.make(
+          ~className="visually-hidden",
+          ~text=label("portalExternal", "(external link)"),
+          "span",
+        ),
+      ])
+    }
+  })
+  container->Element.append([heading])
+
+  if description != "" {
+    container->Element.append([
+      Document.make(~className="portal-description", ~text=description, "p"),
+    ])
+  }
+
+  let meta = Document.make(~className="portal-meta", "p")
+  if link->Option.mapOr(false, link => link.onion) {
+    meta->Element.append([
+      Document.make(~className="portal-onion", ~text=label("portalOnion", "Tor onion service"), "span"),
+    ])
+  }
+  trustLabel(trust)->Option.forEach(text => {
+    let badge = Document.make(~className="portal-trust", ~text, "span")
+    badge->Element.dataset->Dict.set("trust", trust)
+    meta->Element.append([badge])
+  })
+  if readingTime > 0 {
+    meta->Element.append([
+      Document.make(
+        ~className="portal-reading-time",
+        ~text=label("portalReadingTime", "%d min read")->String.replace("%d", Int.toString(readingTime)),
+        "span",
+      ),
+    ])
+  }
+  portalLink(value("archive", entry => entry.archive), ~base)->Option.forEach(archive => {
+    let snapshot = Document.make(
+      ~className="portal-archive",
+      ~text=label("portalArchive", "Archived copy"),
+      "a",
+    )
+    snapshot->Element.setAttribute("href", archive.href)
+    if archive.external_ {
+      snapshot->Element.setAttribute("rel", "external noreferrer")
+    }
+    meta->Element.append([snapshot])
+  })
+  container->Element.append([meta])
+
+  portal.root->Element.replaceShadowChildren([container])
 }
 
-// Initialize all web components
-let init = () => {
-  // Check for Custom Elements support
-  let hasCustomElements: bool = %raw(`'customElements' in window`)
+// Define sinople-portal custom element for annotated external links.
+// Attributes (href, title, description, site-name, favicon, archive,
+// reading-time, rel, trust) override what the portal post named by
+// `slug` stores. Only http(s) links are made; favicons are shown only
+// from this site, so a preview never contacts the linked one.
+let definePortalComponent = () =>
+  CustomElements.define(
+    "sinople-portal",
+    {
+      observedAttributes: [
+        "href",
+        "title",
+        "description",
+        "slug",
+        "site-name",
+        "favicon",
+        "archive",
+        "reading-time",
+        "rel",
+        "trust",
+      ],
+      setup: host => {
+        let root = host->Element.attachShadow({"mode": "open"})
+        adoptStyles(root, portalStyles)
+        {root, fetched: None, slug: None}
+      },
+      connected: renderPortal,
+      attributeChanged: (host, portal, _) =>
+        if host->Element.isConnected {
+          renderPortal(host, portal)
+        },
+    },
+  )
+
+// Initialize all web components. The endpoints are the REST routes of
+// the gloss and portal post types.
+let init = (~glossEndpoint as glosses: string, ~portalEndpoint as portals: string) => {
+  glossEndpoint := glosses
+  portalEndpoint := portals
 
-  if hasCustomElements {
+  if CustomElements.isSupported() {
     defineGlossComponent()
     defineFieldNoteComponent()
     definePortalComponent()
-    console["log"]("Web Components initialized")
+    Console.log("Web Components initialized")
   } else {
-    console["log"]("Custom Elements not supported")
+    Console.log("Custom Elements not supported")
   }
 }
@@ -0,0 +1,153 @@
+/**
+ * Argon2id password hashing for protected-post unlocks
+ *
+ * Hashes are PHC strings (`$argon2id$v=19$m=…,t=…,p=…$<salt>$<hash>`), so a
+ * stored hash carries the costs and salt it was made with and can be
+ * verified after the defaults change. The salt comes from the caller
+ * (crypto.getRandomValues on the JS side), which keeps getrandom out of the
+ * WASM build. Kdf.res holds the PBKDF2 fallback and its own PHC format;
+ * both are checked against tests/fixtures/kdf-vectors.json.
+ */
+
+use argon2::password_hash::{PasswordHash, PasswordHasher, PasswordVerifier, SaltString};
+use argon2::{Algorithm, Argon2, Params, Version, ARGON2ID_IDENT};
+
+/// Memory cost in KiB (19 MiB, the OWASP minimum for Argon2id)
+pub const MEMORY_COST: u32 = 19 * 1024;
+/// Passes over memory
+pub const TIME_COST: u32 = 2;
+/// Lanes
+pub const PARALLELISM: u32 = 1;
+/// Derived key length in bytes
+pub const OUTPUT_LENGTH: usize = 32;
+/// Highest multiple of each default cost a stored hash may ask for.
+/// Verifying spends what the hash names, so without a ceiling one hash
+/// could stall every unlock.
+pub const MAX_COST_FACTOR: u32 = 10;
+
+/// Hash a password with Argon2id under the given costs
+pub fn hash(
+    password: &[u8],
+    salt: &[u8],
+    memory_cost: u32,
+    time_cost: u32,
+    parallelism: u32,
+) -> Result<String, String> {
+    let params = Params::new(memory_cost, time_cost, parallelism, Some(OUTPUT_LENGTH))
+        .map_err(|e| e.to_string())?;
+    let salt = SaltString::encode_b64(salt).map_err(|e| e.to_string())?;
+
+    Argon2::new(Algorithm::Argon2id, Version::V0x13, params)
+        .hash_password(password, &salt)
+        .map(|hash| hash.to_string())
+        .map_err(|e| e.to_string())
+}
+
+/// Whether a stored hash's costs are within MAX_COST_FACTOR of the defaults
+fn within_limits(hash: &PasswordHash) -> bool {
+    Params::try_from(hash).is_ok_and(|params| {
+        params.m_cost() <= MEMORY_COST * MAX_COST_FACTOR
+            && params.t_cost() <= TIME_COST * MAX_COST_FACTOR
+            && params.p_cost() <= PARALLELISM * MAX_COST_FACTOR
+    })
+}
+
+/// Check a password against an encoded Argon2id hash. The costs and salt
+/// are read from the hash and the derived keys are compared in constant
+/// time. Malformed hashes, other algorithms and costs above
+/// MAX_COST_FACTOR times the defaults never verify.
+pub fn verify(password: &[u8], encoded: &str) -> bool {
+    match PasswordHash::new(encoded) {
+        Ok(hash) if hash.algorithm == ARGON2ID_IDENT && within_limits(&hash) => {
+            Argon2::default().verify_password(password, &hash).is_ok()
+        }
+        _ => false,
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use serde_json::Value;
+
+    const VECTORS: &str = include_str!("../../tests/fixtures/kdf-vectors.json");
+
+    fn vectors() -> Vec<Value> {
+        let fixture: Value = serde_json::from_str(VECTORS).expect("kdf-vectors.json is valid JSON");
+        fixture["argon2id"].as_array().unwrap().clone()
+    }
+
+    fn hex(text: &str) -> Vec<u8> {
+        (0..text.len())
+            .step_by(2)
+            .map(|i| u8::from_str_radix(&text[i..i + 2], 16).unwrap())
+            .collect()
+    }
+
+    fn cost(vector: &Value, name: &str) -> u32 {
+        vector[name].as_u64().unwrap() as u32
+    }
+
+    #[test]
+    fn hashes_match_known_answers() {
+        for vector in vectors() {
+            let encoded = hash(
+                vector["password"].as_str().unwrap().as_bytes(),
+                &hex(vector["salt"].as_str().unwrap()),
+                cost(&vector, "memoryCost"),
+                cost(&vector, "timeCost"),
+                cost(&vector, "parallelism"),
+            );
+            assert_eq!(encoded.unwrap(), vector["encoded"].as_str().unwrap(), "{}", vector["name"]);
+        }
+    }
+
+    #[test]
+    fn known_answers_verify() {
+        for vector in vectors() {
+            let encoded = vector["encoded"].as_str().unwrap();
+            assert!(verify(vector["password"].as_str().unwrap().as_bytes(), encoded), "{}", vector["name"]);
+            assert!(!verify(b"wrong password", encoded), "{}", vector["name"]);
+        }
+    }
+
+    #[test]
+    fn tampered_and_foreign_hashes_do_not_verify() {
+        let encoded = vectors()[0]["encoded"].as_str().unwrap().to_string();
+
+        assert!(!verify(b"password", &encoded.replace("t=2", "t=3")));
+        assert!(!verify(b"password", &encoded.replace("$argon2id$", "$argon2i$")));
+        assert!(!verify(b"password", &encoded[..encoded.len() - 1]));
+        assert!(!verify(b"passwd", "$pbkdf2-sha256$i=1,l=32$c2FsdA$VawEblbjCJ/sFpHCJUS2BflBhSFt3gRl5oudV8INrLw"));
+        assert!(!verify(b"password", "not a hash"));
+    }
+
+    #[test]
+    fn costs_above_the_ceiling_are_refused() {
+        let within = |m: u32, t: u32, p: u32| {
+            let encoded = format!("$argon2id$v=19$m={m},t={t},p={p}$c29tZXNhbHQ$nf65EOgLrQMR/uIPnA4rEsF5h7TKyQwu9U1bMCHGi/4");
+            within_limits(&PasswordHash::new(&encoded).unwrap())
+        };
+        let (m, t, p) = (MEMORY_COST * MAX_COST_FACTOR, TIME_COST * MAX_COST_FACTOR, PARALLELISM * MAX_COST_FACTOR);
+
+        assert!(within(m, t, p));
+        assert!(!within(m + 1, TIME_COST, PARALLELISM));
+        assert!(!within(MEMORY_COST, t + 1, PARALLELISM));
+        assert!(!within(MEMORY_COST, TIME_COST, p + 1));
+    }
+
+    #[test]
+    fn rejects_short_salts_and_invalid_costs() {
+        assert!(hash(b"password", b"salt", 256, 2, 1).is_err());
+        assert!(hash(b"password", b"somesalt", 256, 0, 1).is_err());
+        assert!(hash(b"password", b"somesalt", 4, 2, 1).is_err());
+    }
+
+    #[test]
+    fn defaults_round_trip() {
+        let encoded = hash(b"hunter2", &[7; 16], MEMORY_COST, TIME_COST, PARALLELISM).unwrap();
+
+        assert!(encoded.starts_with("$argon2id$v=19$m=19456,t=2,p=1$"));
+        assert!(verify(b"hunter2", &encoded));
+    }
+}
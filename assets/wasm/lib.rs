@@ -8,6 +8,10 @@
 use wasm_bindgen::prelude::*;
 use serde::{Deserialize, Serialize};
 
+mod kdf;
+mod sanitize;
+mod search;
+
 #[wasm_bindgen]
 extern "C" {
     #[wasm_bindgen(js_namespace = console)]
@@ -31,7 +35,7 @@ pub fn calculate_reading_time(text: &str, words_per_minute: u32) -> f32 {
 pub struct StructuredData {
     pub context: String,
     pub data_type: String,
-    pub properties: JsValue,
+    pub properties: serde_json::Value,
 }
 
 #[wasm_bindgen]
@@ -45,13 +49,30 @@ pub fn validate_structured_data(json: &str) -> Result<bool, JsValue> {
     }
 }
 
-/// Text transformation utilities
+/// Sanitize user-supplied HTML against the allow-list in sanitize.rs
 #[wasm_bindgen]
 pub fn sanitize_html(html: &str) -> String {
-    // Basic HTML sanitization (would use ammonia crate in production)
-    html.replace("<script", "&lt;script")
-        .replace("</script", "&lt;/script")
-        .replace("javascript:", "")
+    sanitize::sanitize(html)
+}
+
+/// Hash a password with Argon2id, returning a PHC string. The caller
+/// supplies a random salt of at least 8 bytes.
+#[wasm_bindgen]
+pub fn hash_password(
+    password: &str,
+    salt: &[u8],
+    memory_cost: u32,
+    time_cost: u32,
+    parallelism: u32,
+) -> Result<String, JsValue> {
+    kdf::hash(password.as_bytes(), salt, memory_cost, time_cost, parallelism)
+        .map_err(|e| JsValue::from_str(&format!("Password hashing failed: {}", e)))
+}
+
+/// Check a password against an Argon2id PHC string in constant time
+#[wasm_bindgen]
+pub fn verify_password(password: &str, encoded: &str) -> bool {
+    kdf::verify(password.as_bytes(), encoded)
 }
 
 /// Performance timing utilities
@@ -73,3 +94,49 @@ pub fn elapsed(&self) -> f64 {
         js_sys::Date::now() - self.start_time
     }
 }
+
+/// Split text into normalised, stemmed search terms
+#[wasm_bindgen]
+pub fn tokenize(text: &str) -> Vec<String> {
+    search::tokenize(text)
+}
+
+/// Stem a single lowercase word
+#[wasm_bindgen]
+pub fn stem(word: &str) -> String {
+    search::stem(word)
+}
+
+/// Journal entries indexed for BM25 ranking
+#[wasm_bindgen]
+pub struct SearchCorpus {
+    corpus: search::Corpus,
+}
+
+#[wasm_bindgen]
+impl SearchCorpus {
+    #[wasm_bindgen(constructor)]
+    pub fn new() -> SearchCorpus {
+        SearchCorpus {
+            corpus: search::Corpus::new(),
+        }
+    }
+
+    /// Index (or re-index) an entry; taxonomy is its terms joined by spaces
+    pub fn add_entry(&mut self, id: u32, title: &str, taxonomy: &str, excerpt: &str) {
+        self.corpus.add(id, title, taxonomy, excerpt);
+    }
+
+    pub fn remove_entry(&mut self, id: u32) {
+        self.corpus.remove(id);
+    }
+
+    pub fn size(&self) -> usize {
+        self.corpus.len()
+    }
+
+    /// Ids of entries matching every query term, best first
+    pub fn rank(&self, query: &str, limit: usize) -> Vec<u32> {
+        self.corpus.rank(query, limit)
+    }
+}
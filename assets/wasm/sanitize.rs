@@ -0,0 +1,552 @@
+/**
+ * Allow-list HTML sanitizer for user-supplied excerpts
+ *
+ * A small tokenizer in the shape of the HTML parser's tag, attribute and
+ * comment states. Nothing from the input is copied through as markup:
+ * allowed tags are re-serialized with filtered, quoted attributes and
+ * text is re-escaped, so the output means to the browser exactly what it
+ * meant to us. Sanitize.res carries a JS port that must produce identical
+ * output; both are checked against tests/fixtures/sanitizer-corpus.json.
+ */
+
+/// Elements kept, with their own attributes on top of GLOBAL_ATTRIBUTES
+const ALLOWED: [(&str, &[&str]); 35] = [
+    ("a", &["href", "hreflang"]),
+    ("abbr", &[]),
+    ("b", &[]),
+    ("blockquote", &["cite"]),
+    ("br", &[]),
+    ("cite", &[]),
+    ("code", &[]),
+    ("dd", &[]),
+    ("del", &["cite", "datetime"]),
+    ("dfn", &[]),
+    ("dl", &[]),
+    ("dt", &[]),
+    ("em", &[]),
+    ("figcaption", &[]),
+    ("figure", &[]),
+    ("hr", &[]),
+    ("i", &[]),
+    ("img", &["src", "alt", "width", "height"]),
+    ("ins", &["cite", "datetime"]),
+    ("kbd", &[]),
+    ("li", &["value"]),
+    ("mark", &[]),
+    ("ol", &["start", "reversed"]),
+    ("p", &[]),
+    ("pre", &[]),
+    ("q", &["cite"]),
+    ("s", &[]),
+    ("samp", &[]),
+    ("small", &[]),
+    ("span", &[]),
+    ("strong", &[]),
+    ("sub", &[]),
+    ("sup", &[]),
+    ("time", &["datetime"]),
+    ("ul", &[]),
+];
+
+const GLOBAL_ATTRIBUTES: [&str; 3] = ["title", "lang", "dir"];
+
+const VOID: [&str; 3] = ["br", "hr", "img"];
+
+/// Elements whose content is raw text to the browser; dropped with it
+const RAW_TEXT: [&str; 10] = [
+    "script", "style", "textarea", "title", "xmp", "iframe", "noembed", "noframes", "noscript",
+    "plaintext",
+];
+
+/// Elements dropped together with their subtree. SVG and MathML switch the
+/// parser into foreign content, where the rules above no longer hold.
+const DROP_SUBTREE: [&str; 8] = [
+    "svg", "math", "template", "object", "applet", "select", "frameset", "head",
+];
+
+/// Attributes holding URLs, and the schemes each accepts
+const URL_ATTRIBUTES: [(&str, &[&str]); 3] = [
+    ("href", &["http", "https", "mailto"]),
+    ("src", &["http", "https"]),
+    ("cite", &["http", "https"]),
+];
+
+/// Links out of user content are never endorsed
+const LINK_REL: &str = "nofollow ugc";
+
+/// Named references decoded inside attribute values; anything else is kept
+/// as literal text
+const NAMED_REFERENCES: [(&str, char); 10] = [
+    ("amp", '&'),
+    ("lt", '<'),
+    ("gt", '>'),
+    ("quot", '"'),
+    ("apos", '\''),
+    ("nbsp", '\u{a0}'),
+    ("colon", ':'),
+    ("tab", '\t'),
+    ("newline", '\n'),
+    ("sol", '/'),
+];
+
+fn allowed_attributes(tag: &str) -> Option<&'static [&'static str]> {
+    ALLOWED.iter().find(|(name, _)| *name == tag).map(|(_, attributes)| *attributes)
+}
+
+fn is_space(c: char) -> bool {
+    matches!(c, ' ' | '\t' | '\n' | '\r' | '\u{c}')
+}
+
+struct Tag {
+    name: String,
+    closing: bool,
+    self_closing: bool,
+    attributes: Vec<(String, String)>,
+}
+
+struct Tokenizer {
+    input: Vec<char>,
+    pos: usize,
+}
+
+impl Tokenizer {
+    fn peek(&self, offset: usize) -> Option<char> {
+        self.input.get(self.pos + offset).copied()
+    }
+
+    fn at_end(&self) -> bool {
+        self.pos >= self.input.len()
+    }
+
+    fn starts_with(&self, text: &str) -> bool {
+        text.chars().enumerate().all(|(i, c)| self.peek(i) == Some(c))
+    }
+
+    /// Move past the next occurrence of `text`, or to the end
+    fn skip_past(&mut self, text: &str) {
+        while !self.at_end() && !self.starts_with(text) {
+            self.pos += 1;
+        }
+        self.pos = (self.pos + text.chars().count()).min(self.input.len());
+    }
+
+    fn skip_spaces(&mut self) {
+        while self.peek(0).is_some_and(is_space) {
+            self.pos += 1;
+        }
+    }
+
+    /// Read a tag after its `<` or `</`. None if the input ends inside it,
+    /// which the browser also drops.
+    fn tag(&mut self, closing: bool) -> Option<Tag> {
+        let mut name = String::new();
+        while let Some(c) = self.peek(0) {
+            if is_space(c) || c == '/' || c == '>' {
+                break;
+            }
+            name.push(c.to_ascii_lowercase());
+            self.pos += 1;
+        }
+
+        let mut tag = Tag {
+            name,
+            closing,
+            self_closing: false,
+            attributes: Vec::new(),
+        };
+
+        loop {
+            self.skip_spaces();
+            match self.peek(0)? {
+                '>' => {
+                    self.pos += 1;
+                    return Some(tag);
+                }
+                '/' => {
+                    self.pos += 1;
+                    tag.self_closing = self.peek(0) == Some('>');
+                }
+                _ => {
+                    let attribute = self.attribute()?;
+                    // The first occurrence of an attribute wins
+                    if !tag.attributes.iter().any(|(name, _)| *name == attribute.0) {
+                        tag.attributes.push(attribute);
+                    }
+                }
+            }
+        }
+    }
+
+    fn attribute(&mut self) -> Option<(String, String)> {
+        let mut name = String::new();
+        // A leading `=` is part of the name
+        while let Some(c) = self.peek(0) {
+            if is_space(c) || c == '/' || c == '>' || (c == '=' && !name.is_empty()) {
+                break;
+            }
+            name.push(c.to_ascii_lowercase());
+            self.pos += 1;
+        }
+
+        self.skip_spaces();
+        if self.peek(0) != Some('=') {
+            return Some((name, String::new()));
+        }
+        self.pos += 1;
+        self.skip_spaces();
+
+        let mut raw = String::new();
+        match self.peek(0)? {
+            quote @ ('"' | '\'') => {
+                self.pos += 1;
+                loop {
+                    let c = self.peek(0)?;
+                    self.pos += 1;
+                    if c == quote {
+                        break;
+                    }
+                    raw.push(c);
+                }
+            }
+            _ => {
+                while let Some(c) = self.peek(0) {
+                    if is_space(c) || c == '>' {
+                        break;
+                    }
+                    raw.push(c);
+                    self.pos += 1;
+                }
+            }
+        }
+
+        Some((name, decode_references(&raw)))
+    }
+
+    /// Skip a raw text element's content and its end tag
+    fn skip_raw_text(&mut self, name: &str) {
+        let close: Vec<char> = format!("</{name}").chars().collect();
+        while !self.at_end() {
+            let matches = close
+                .iter()
+                .enumerate()
+                .all(|(i, c)| self.peek(i).map(|p| p.to_ascii_lowercase()) == Some(*c));
+            let boundary = self.peek(close.len());
+            if matches && (boundary.is_none() || boundary.is_some_and(|c| is_space(c) || c == '/' || c == '>')) {
+                self.skip_past(">");
+                return;
+            }
+            self.pos += 1;
+        }
+    }
+}
+
+/// Length of a well-formed character reference at the start of `chars`
+/// (`&name;`, `&#123;` or `&#x1F;`), if there is one
+fn reference_length(chars: &[char]) -> Option<usize> {
+    if chars.first() != Some(&'&') {
+        return None;
+    }
+
+    let (start, valid): (usize, fn(&char) -> bool) = match (chars.get(1), chars.get(2)) {
+        (Some('#'), Some('x' | 'X')) => (3, char::is_ascii_hexdigit),
+        (Some('#'), _) => (2, char::is_ascii_digit),
+        (Some(c), _) if c.is_ascii_alphabetic() => (1, char::is_ascii_alphanumeric),
+        _ => return None,
+    };
+
+    let digits = chars[start..].iter().take_while(|c| valid(c)).count();
+    (digits > 0 && chars.get(start + digits) == Some(&';')).then_some(start + digits + 1)
+}
+
+/// Named references browsers also decode without the semicolon
+const LEGACY_REFERENCES: [&str; 5] = ["amp", "lt", "gt", "quot", "nbsp"];
+
+/// Legacy reference at the start of `chars` written without its semicolon
+/// (`&amp`), if there is one
+fn legacy_reference(chars: &[char]) -> Option<&'static str> {
+    if chars.first() != Some(&'&') {
+        return None;
+    }
+    LEGACY_REFERENCES.iter().copied().find(|name| {
+        name.chars().enumerate().all(|(offset, c)| chars.get(1 + offset) == Some(&c))
+    })
+}
+
+fn code_point(value: u32) -> char {
+    match value {
+        0 | 0xd800..=0xdfff => '\u{fffd}',
+        _ => char::from_u32(value).unwrap_or('\u{fffd}'),
+    }
+}
+
+/// Decode numeric references (the semicolon is optional, as in browsers)
+/// and the named references in NAMED_REFERENCES. Legacy references need no
+/// semicolon either, unless followed by a letter, digit or `=`.
+fn decode_references(raw: &str) -> String {
+    let chars: Vec<char> = raw.chars().collect();
+    let mut decoded = String::new();
+    let mut i = 0;
+
+    while i < chars.len() {
+        if chars[i] == '&' && chars.get(i + 1) == Some(&'#') {
+            let hex = matches!(chars.get(i + 2), Some('x' | 'X'));
+            let start = i + if hex { 3 } else { 2 };
+            let radix = if hex { 16 } else { 10 };
+            let digits = chars[start..].iter().take_while(|c| c.is_digit(radix)).count();
+
+            if digits > 0 {
+                let value = chars[start..start + digits]
+                    .iter()
+                    .fold(0u32, |value, c| (value * radix + c.to_digit(radix).unwrap()).min(0x11_0000));
+                decoded.push(code_point(value));
+                i = start + digits;
+                if chars.get(i) == Some(&';') {
+                    i += 1;
+                }
+                continue;
+            }
+        }
+
+        if chars[i] == '&' {
+            if let Some(length) = reference_length(&chars[i..]) {
+                let name: String = chars[i + 1..i + length - 1].iter().collect();
+                if let Some((_, c)) = NAMED_REFERENCES.iter().find(|(known, _)| *known == name) {
+                    decoded.push(*c);
+                    i += length;
+                    continue;
+                }
+            } else if let Some(name) = legacy_reference(&chars[i..]) {
+                let length = name.len() + 1;
+                let next = chars.get(i + length);
+                if !next.is_some_and(|c| c.is_ascii_alphanumeric() || *c == '=') {
+                    let (_, c) = NAMED_REFERENCES.iter().find(|(known, _)| *known == name).unwrap();
+                    decoded.push(*c);
+                    i += length;
+                    continue;
+                }
+            }
+        }
+
+        if chars[i] != '\0' {
+            decoded.push(chars[i]);
+        }
+        i += 1;
+    }
+
+    decoded
+}
+
+/// Scheme of a URL as the browser resolves it, ignoring the whitespace and
+/// control characters it strips. None for relative URLs.
+fn url_scheme(url: &str) -> Option<String> {
+    let compact: String = url.chars().filter(|c| *c > ' ').collect();
+    let end = compact.find([':', '/', '?', '#'])?;
+    compact[end..].starts_with(':').then(|| compact[..end].to_ascii_lowercase())
+}
+
+fn url_allowed(attribute: &str, value: &str) -> bool {
+    match URL_ATTRIBUTES.iter().find(|(name, _)| *name == attribute) {
+        None => true,
+        Some((_, schemes)) => match url_scheme(value) {
+            None => true,
+            Some(scheme) => schemes.contains(&scheme.as_str()),
+        },
+    }
+}
+
+fn escape_attribute(value: &str) -> String {
+    value
+        .replace('&', "&amp;")
+        .replace('"', "&quot;")
+        .replace('<', "&lt;")
+        .replace('>', "&gt;")
+}
+
+/// Escape text, keeping well-formed character references as they are and
+/// completing legacy ones written without the semicolon
+fn escape_text(text: &[char], output: &mut String) {
+    let mut i = 0;
+    while i < text.len() {
+        match text[i] {
+            '&' => match reference_length(&text[i..]) {
+                Some(length) => {
+                    output.extend(&text[i..i + length]);
+                    i += length;
+                    continue;
+                }
+                None => match legacy_reference(&text[i..]) {
+                    Some(name) => {
+                        output.push('&');
+                        output.push_str(name);
+                        output.push(';');
+                        i += name.len() + 1;
+                        continue;
+                    }
+                    None => output.push_str("&amp;"),
+                },
+            },
+            '<' => output.push_str("&lt;"),
+            '>' => output.push_str("&gt;"),
+            '\0' => {}
+            c => output.push(c),
+        }
+        i += 1;
+    }
+}
+
+fn start_tag(tag: &Tag, allowed: &[&str], output: &mut String) {
+    output.push('<');
+    output.push_str(&tag.name);
+
+    for (name, value) in &tag.attributes {
+        // Event handlers, style and anything else unlisted never get here
+        if !(allowed.contains(&name.as_str()) || GLOBAL_ATTRIBUTES.contains(&name.as_str())) {
+            continue;
+        }
+        if !url_allowed(name, value) {
+            continue;
+        }
+        output.push_str(&format!(" {name}=\"{}\"", escape_attribute(value)));
+    }
+
+    if tag.name == "a" {
+        output.push_str(&format!(" rel=\"{LINK_REL}\""));
+    }
+    output.push('>');
+}
+
+/// Sanitize an HTML fragment against the allow-list
+pub fn sanitize(html: &str) -> String {
+    let mut tokenizer = Tokenizer {
+        input: html.chars().collect(),
+        pos: 0,
+    };
+    let mut output = String::new();
+    let mut open: Vec<String> = Vec::new();
+    // Subtree being dropped, with its nesting depth
+    let mut dropping: Option<(String, usize)> = None;
+    let mut text: Vec<char> = Vec::new();
+
+    while let Some(c) = tokenizer.peek(0) {
+        let next = tokenizer.peek(1);
+        let is_markup = c == '<'
+            && (next.is_some_and(|n| n.is_ascii_alphabetic() || n == '!' || n == '?')
+                || (next == Some('/') && tokenizer.peek(2).is_some()));
+
+        if !is_markup {
+            text.push(c);
+            tokenizer.pos += 1;
+            continue;
+        }
+
+        if dropping.is_none() {
+            escape_text(&text, &mut output);
+        }
+        text.clear();
+
+        if tokenizer.starts_with("<!--") {
+            tokenizer.pos += 4;
+            // `<!-->` and `<!--->` are complete, empty comments
+            if tokenizer.starts_with(">") || tokenizer.starts_with("->") {
+                tokenizer.skip_past(">");
+            } else {
+                tokenizer.skip_past("-->");
+            }
+            continue;
+        }
+
+        let closing = next == Some('/');
+        if (closing && !tokenizer.peek(2).is_some_and(|n| n.is_ascii_alphabetic())) || matches!(next, Some('!' | '?')) {
+            // Bogus comment, up to the next `>`
+            tokenizer.skip_past(">");
+            continue;
+        }
+
+        tokenizer.pos += if closing { 2 } else { 1 };
+        let Some(tag) = tokenizer.tag(closing) else {
+            break;
+        };
+
+        if !tag.closing && RAW_TEXT.contains(&tag.name.as_str()) {
+            tokenizer.skip_raw_text(&tag.name);
+            continue;
+        }
+
+        if let Some((name, depth)) = dropping.as_mut() {
+            if *name == tag.name {
+                if tag.closing {
+                    *depth -= 1;
+                } else if !tag.self_closing {
+                    *depth += 1;
+                }
+                if *depth == 0 {
+                    dropping = None;
+                }
+            }
+            continue;
+        }
+
+        if DROP_SUBTREE.contains(&tag.name.as_str()) {
+            if !tag.closing && !tag.self_closing {
+                dropping = Some((tag.name, 1));
+            }
+            continue;
+        }
+
+        let Some(allowed) = allowed_attributes(&tag.name) else {
+            // Unknown elements are unwrapped: their content stays
+            continue;
+        };
+
+        if !tag.closing {
+            start_tag(&tag, allowed, &mut output);
+            if !VOID.contains(&tag.name.as_str()) {
+                open.push(tag.name);
+            }
+        } else if let Some(position) = open.iter().rposition(|name| *name == tag.name) {
+            // Close anything left open inside it first
+            for name in open.drain(position..).rev() {
+                output.push_str(&format!("</{name}>"));
+            }
+        }
+    }
+
+    if dropping.is_none() {
+        escape_text(&text, &mut output);
+    }
+    for name in open.iter().rev() {
+        output.push_str(&format!("</{name}>"));
+    }
+
+    output
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use serde_json::Value;
+
+    const FIXTURE: &str = include_str!("../../tests/fixtures/sanitizer-corpus.json");
+
+    #[test]
+    fn output_matches_fixture() {
+        let fixture: Value = serde_json::from_str(FIXTURE).expect("sanitizer-corpus.json is valid JSON");
+        for case in fixture["cases"].as_array().unwrap() {
+            assert_eq!(
+                sanitize(case["input"].as_str().unwrap()),
+                case["expected"].as_str().unwrap(),
+                "{}",
+                case["name"]
+            );
+        }
+    }
+
+    #[test]
+    fn output_is_stable() {
+        let fixture: Value = serde_json::from_str(FIXTURE).unwrap();
+        for case in fixture["cases"].as_array().unwrap() {
+            let once = sanitize(case["input"].as_str().unwrap());
+            assert_eq!(sanitize(&once), once, "{}", case["name"]);
+        }
+    }
+}
@@ -0,0 +1,299 @@
+/**
+ * Journal search: tokenizing, stemming and BM25 ranking
+ *
+ * Kept free of wasm-bindgen so the ranking can be unit tested natively.
+ * WasmLoader.res carries a JS fallback that must rank identically; both
+ * are checked against tests/fixtures/search-corpus.json.
+ */
+
+use std::collections::HashMap;
+use unicode_normalization::char::is_combining_mark;
+use unicode_normalization::UnicodeNormalization;
+
+/// BM25 term frequency saturation
+const K1: f64 = 1.2;
+
+/// BM25 document length normalisation
+const B: f64 = 0.75;
+
+/// Field weights: a title term counts three times, a taxonomy term twice
+pub const TITLE_WEIGHT: u32 = 3;
+pub const TAXONOMY_WEIGHT: u32 = 2;
+pub const EXCERPT_WEIGHT: u32 = 1;
+
+const STOP_WORDS: [&str; 22] = [
+    "a", "an", "and", "are", "as", "at", "be", "by", "for", "from", "in", "is", "it", "of", "on",
+    "or", "that", "the", "this", "to", "was", "with",
+];
+
+/// Lowercase, strip diacritics and split on anything but letters and digits
+pub fn tokenize(text: &str) -> Vec<String> {
+    let folded: String = text
+        .nfkd()
+        .filter(|c| !is_combining_mark(*c))
+        .collect::<String>()
+        .to_lowercase();
+
+    folded
+        .split(|c: char| !c.is_alphanumeric())
+        .filter(|word| word.chars().count() > 1 && !STOP_WORDS.contains(word))
+        .map(stem)
+        .collect()
+}
+
+fn has_vowel(word: &str) -> bool {
+    word.chars().any(|c| "aeiouy".contains(c))
+}
+
+/// Drop one of a doubled final consonant ("runn" -> "run"), except l, s and z
+fn undouble(word: &str) -> String {
+    let chars: Vec<char> = word.chars().collect();
+    let n = chars.len();
+    if n >= 2 && chars[n - 1] == chars[n - 2] && !"aeiouylsz".contains(chars[n - 1]) {
+        chars[..n - 1].iter().collect()
+    } else {
+        word.to_string()
+    }
+}
+
+/// Light English suffix stripping: plurals, -ing, -ed and -ly
+pub fn stem(word: &str) -> String {
+    if word.chars().count() <= 3 {
+        return word.to_string();
+    }
+
+    let mut stemmed = if word.ends_with("ies") && word.chars().count() > 4 {
+        format!("{}y", &word[..word.len() - 3])
+    } else if word.ends_with("sses") {
+        word[..word.len() - 2].to_string()
+    } else if word.ends_with("ss") || word.ends_with("us") || word.ends_with("is") {
+        word.to_string()
+    } else if word.ends_with('s') {
+        word[..word.len() - 1].to_string()
+    } else {
+        word.to_string()
+    };
+
+    for suffix in ["ing", "ed"] {
+        if stemmed.ends_with(suffix) {
+            let base = &stemmed[..stemmed.len() - suffix.len()];
+            if base.chars().count() >= 3 && has_vowel(base) {
+                stemmed = undouble(base);
+            }
+            break;
+        }
+    }
+
+    if stemmed.ends_with("ly") && stemmed.chars().count() > 5 {
+        stemmed.truncate(stemmed.len() - 2);
+    }
+
+    stemmed
+}
+
+struct Document {
+    length: u32,
+    terms: Vec<String>,
+}
+
+/// An in-memory corpus of journal entries, ranked with BM25 over
+/// weighted fields
+#[derive(Default)]
+pub struct Corpus {
+    documents: HashMap<u32, Document>,
+    // term -> entry id -> weighted term frequency
+    postings: HashMap<String, HashMap<u32, u32>>,
+    total_length: u64,
+}
+
+impl Corpus {
+    pub fn new() -> Corpus {
+        Corpus::default()
+    }
+
+    pub fn len(&self) -> usize {
+        self.documents.len()
+    }
+
+    pub fn is_empty(&self) -> bool {
+        self.documents.is_empty()
+    }
+
+    /// Index an entry, replacing any earlier version with the same id
+    pub fn add(&mut self, id: u32, title: &str, taxonomy: &str, excerpt: &str) {
+        self.remove(id);
+
+        let mut frequencies: HashMap<String, u32> = HashMap::new();
+        let mut length = 0;
+        for (text, weight) in [
+            (title, TITLE_WEIGHT),
+            (taxonomy, TAXONOMY_WEIGHT),
+            (excerpt, EXCERPT_WEIGHT),
+        ] {
+            for term in tokenize(text) {
+                *frequencies.entry(term).or_insert(0) += weight;
+                length += weight;
+            }
+        }
+
+        for (term, frequency) in &frequencies {
+            self.postings
+                .entry(term.clone())
+                .or_default()
+                .insert(id, *frequency);
+        }
+
+        self.total_length += u64::from(length);
+        self.documents.insert(
+            id,
+            Document {
+                length,
+                terms: frequencies.into_keys().collect(),
+            },
+        );
+    }
+
+    /// Drop an entry and its postings
+    pub fn remove(&mut self, id: u32) {
+        if let Some(document) = self.documents.remove(&id) {
+            for term in document.terms {
+                if let Some(postings) = self.postings.get_mut(&term) {
+                    postings.remove(&id);
+                    if postings.is_empty() {
+                        self.postings.remove(&term);
+                    }
+                }
+            }
+            self.total_length -= u64::from(document.length);
+        }
+    }
+
+    /// Indexed terms a query token matches. The last token is still being
+    /// typed, so it also matches longer terms and the stems of its prefixes.
+    fn matching_terms(&self, token: &str, prefix: bool) -> Vec<&String> {
+        if !prefix {
+            return self.postings.get_key_value(token).map(|(term, _)| term).into_iter().collect();
+        }
+
+        self.postings
+            .keys()
+            .filter(|term| {
+                term.starts_with(token) || (term.chars().count() >= 3 && token.starts_with(term.as_str()))
+            })
+            .collect()
+    }
+
+    /// Entry ids matching every query token, best first (ties: newest id first)
+    pub fn rank(&self, query: &str, limit: usize) -> Vec<u32> {
+        let tokens = tokenize(query);
+        if tokens.is_empty() || self.documents.is_empty() {
+            return Vec::new();
+        }
+
+        let count = self.documents.len() as f64;
+        let average_length = (self.total_length as f64 / count).max(1.0);
+        let last = tokens.len() - 1;
+
+        let mut totals: Option<HashMap<u32, f64>> = None;
+
+        for (i, token) in tokens.iter().enumerate() {
+            // Best-scoring matched term per entry, so prefix expansion doesn't inflate scores
+            let mut best: HashMap<u32, f64> = HashMap::new();
+
+            for term in self.matching_terms(token, i == last) {
+                let postings = &self.postings[term];
+                let df = postings.len() as f64;
+                let idf = (1.0 + (count - df + 0.5) / (df + 0.5)).ln();
+
+                for (id, frequency) in postings {
+                    let tf = f64::from(*frequency);
+                    let length = f64::from(self.documents[id].length);
+                    let score = idf * (tf * (K1 + 1.0)) / (tf + K1 * (1.0 - B + B * length / average_length));
+
+                    let entry = best.entry(*id).or_insert(score);
+                    if score > *entry {
+                        *entry = score;
+                    }
+                }
+            }
+
+            totals = Some(match totals {
+                None => best,
+                Some(previous) => previous
+                    .into_iter()
+                    .filter_map(|(id, total)| best.get(&id).map(|score| (id, total + score)))
+                    .collect(),
+            });
+        }
+
+        let mut ranked: Vec<(u32, f64)> = totals.unwrap_or_default().into_iter().collect();
+        ranked.sort_by(|a, b| b.1.total_cmp(&a.1).then(b.0.cmp(&a.0)));
+        ranked.into_iter().take(limit).map(|(id, _)| id).collect()
+    }
+}
+
+#[cfg(test)]
+mod tests {
+    use super::*;
+    use serde_json::Value;
+
+    const FIXTURE: &str = include_str!("../../tests/fixtures/search-corpus.json");
+
+    fn fixture() -> Value {
+        serde_json::from_str(FIXTURE).expect("search-corpus.json is valid JSON")
+    }
+
+    fn corpus(fixture: &Value) -> Corpus {
+        let mut corpus = Corpus::new();
+        for entry in fixture["entries"].as_array().unwrap() {
+            corpus.add(
+                entry["id"].as_u64().unwrap() as u32,
+                entry["title"].as_str().unwrap(),
+                entry["taxonomy"].as_str().unwrap(),
+                entry["excerpt"].as_str().unwrap(),
+            );
+        }
+        corpus
+    }
+
+    #[test]
+    fn stems_match_fixture() {
+        let fixture = fixture();
+        for (word, expected) in fixture["stems"].as_object().unwrap() {
+            assert_eq!(stem(word), expected.as_str().unwrap(), "stem({word})");
+        }
+    }
+
+    #[test]
+    fn tokens_match_fixture() {
+        let fixture = fixture();
+        for case in fixture["tokens"].as_array().unwrap() {
+            let expected: Vec<String> = serde_json::from_value(case["expected"].clone()).unwrap();
+            assert_eq!(tokenize(case["text"].as_str().unwrap()), expected);
+        }
+    }
+
+    #[test]
+    fn rankings_match_fixture() {
+        let fixture = fixture();
+        let corpus = corpus(&fixture);
+        for case in fixture["queries"].as_array().unwrap() {
+            let expected: Vec<u32> = serde_json::from_value(case["expected"].clone()).unwrap();
+            assert_eq!(corpus.rank(case["query"].as_str().unwrap(), 20), expected, "query {}", case["query"]);
+        }
+    }
+
+    #[test]
+    fn replacing_and_removing_entries_updates_rankings() {
+        let mut corpus = Corpus::new();
+        corpus.add(1, "Salt marsh", "", "");
+        corpus.add(1, "Estuary", "", "");
+        assert!(corpus.rank("marsh", 20).is_empty());
+        assert_eq!(corpus.rank("estuary", 20), vec![1]);
+
+        corpus.remove(1);
+        assert!(corpus.is_empty());
+        assert!(corpus.postings.is_empty());
+        assert_eq!(corpus.total_length, 0);
+    }
+}
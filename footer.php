@@ -116,6 +116,12 @@
 						</li>
 					<?php endif; ?>
 				</ul>
+
+				<!-- Privacy policy and consent choices -->
+				<p class="privacy-links">
+					<?php sinople_privacy_policy_link(); ?>
+					<?php sinople_privacy_settings_button(); ?>
+				</p>
 			</nav>
 
 			<!-- IndieWeb rel-me links -->
@@ -140,7 +146,7 @@
 <?php wp_footer(); ?>
 
 <!-- Service Worker registration (progressive enhancement) -->
-<script>
+<script nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 if ('serviceWorker' in navigator && <?php echo wp_json_encode( get_theme_mod( 'sinople_enable_offline', true ) ); ?>) {
 	window.addEventListener('load', () => {
 		navigator.serviceWorker.register('<?php echo esc_url( SINOPLE_URI . "/sw.js" ); ?>', {
@@ -25,16 +25,20 @@ define( 'SINOPLE_URI', get_template_directory_uri() );
 require_once SINOPLE_PATH . '/inc/setup.php';
 require_once SINOPLE_PATH . '/inc/enqueue.php';
 require_once SINOPLE_PATH . '/inc/security.php';
+require_once SINOPLE_PATH . '/inc/csp.php';
 require_once SINOPLE_PATH . '/inc/accessibility.php';
 require_once SINOPLE_PATH . '/inc/semantic.php';
 require_once SINOPLE_PATH . '/inc/indieweb.php';
 require_once SINOPLE_PATH . '/inc/spans.php';
 require_once SINOPLE_PATH . '/inc/taxonomies.php';
+require_once SINOPLE_PATH . '/inc/palettes.php';
 require_once SINOPLE_PATH . '/inc/privacy.php';
 require_once SINOPLE_PATH . '/inc/performance.php';
 require_once SINOPLE_PATH . '/inc/void-integration.php';
 require_once SINOPLE_PATH . '/inc/modern-features.php';
 require_once SINOPLE_PATH . '/inc/serialization.php';
+require_once SINOPLE_PATH . '/inc/negotiation.php';
+require_once SINOPLE_PATH . '/inc/search.php';
 
 // First-class serialization formats
 require_once SINOPLE_PATH . '/inc/ndjson-feed.php';
@@ -43,7 +43,7 @@
 	<!-- Open Graph metadata loaded via inc/semantic.php -->
 
 	<!-- Feature detection: Remove no-js class -->
-	<script>
+	<script nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		document.documentElement.classList.remove('no-js');
 		document.documentElement.classList.add('js');
 
@@ -120,18 +120,10 @@
 				</div><!-- .site-identity -->
 
 				<!-- Accessibility controls -->
-				<div class="accessibility-controls" role="toolbar" aria-label="<?php esc_attr_e( 'Accessibility controls', 'sinople' ); ?>">
-					<button id="font-size-decrease" class="a11y-btn" aria-label="<?php esc_attr_e( 'Decrease font size', 'sinople' ); ?>" title="<?php esc_attr_e( 'Decrease font size', 'sinople' ); ?>">
-						<span aria-hidden="true">A−</span>
-					</button>
-					<button id="font-size-increase" class="a11y-btn" aria-label="<?php esc_attr_e( 'Increase font size', 'sinople' ); ?>" title="<?php esc_attr_e( 'Increase font size', 'sinople' ); ?>">
-						<span aria-hidden="true">A+</span>
-					</button>
-					<button id="theme-toggle" class="a11y-btn" aria-label="<?php esc_attr_e( 'Toggle dark mode', 'sinople' ); ?>" aria-pressed="false" title="<?php esc_attr_e( 'Toggle dark mode', 'sinople' ); ?>">
-						<span class="theme-toggle-icon" aria-hidden="true">◐</span>
-					</button>
-					<button id="contrast-toggle" class="a11y-btn" aria-label="<?php esc_attr_e( 'Toggle high contrast', 'sinople' ); ?>" aria-pressed="false" title="<?php esc_attr_e( 'Toggle high contrast', 'sinople' ); ?>">
-						<span aria-hidden="true">◑</span>
+				<div class="accessibility-controls">
+					<button class="preferences-toggle a11y-btn" aria-controls="preferences-dialog" aria-expanded="false" aria-haspopup="dialog">
+						<span aria-hidden="true">Aa</span>
+						<span class="screen-reader-text"><?php esc_html_e( 'Reading preferences', 'sinople' ); ?></span>
 					</button>
 				</div><!-- .accessibility-controls -->
 
@@ -157,6 +149,11 @@
 				?>
 			</nav><!-- #site-navigation -->
 
+			<button class="search-toggle" aria-controls="search-dialog" aria-expanded="false" aria-keyshortcuts="/" aria-label="<?php esc_attr_e( 'Search (press /)', 'sinople' ); ?>">
+				<span class="search-toggle-icon" aria-hidden="true">⌕</span>
+				<span class="search-toggle-text"><?php esc_html_e( 'Search', 'sinople' ); ?></span>
+			</button>
+
 		</header><!-- #masthead -->
 
 		<?php
@@ -37,11 +37,15 @@ function sinople_screen_reader_text( $text, $context = '' ) {
 }
 
 /**
- * Add ARIA labels to navigation
+ * Add ARIA menu roles to the primary navigation
+ *
+ * The list is a menubar; Accessibility.res gives its items roving focus.
  */
 function sinople_nav_menu_aria( $items, $args ) {
 	if ( 'primary' === $args->theme_location ) {
+		$items = str_replace( '<li', '<li role="none"', $items );
 		$items = str_replace( '<a', '<a role="menuitem"', $items );
+		$items = str_replace( '<ul class="sub-menu"', '<ul class="sub-menu" role="menu"', $items );
 	}
 	return $items;
 }
@@ -97,7 +101,7 @@ function sinople_display_reading_time( $post_id = null ) {
  */
 function sinople_focus_styles() {
 	?>
-	<style id="sinople-focus-styles">
+	<style id="sinople-focus-styles" nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		:root {
 			--focus-color: #0066cc;
 			--focus-width: 3px;
@@ -218,22 +222,299 @@ function sinople_add_live_regions() {
 add_action( 'wp_footer', 'sinople_add_live_regions' );
 
 /**
- * Respect prefers-reduced-motion
+ * Respect prefers-reduced-motion, unless the reader overrides it
  */
 function sinople_reduced_motion_css() {
 	?>
-	<style id="sinople-reduced-motion">
+	<style id="sinople-reduced-motion" nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		@media (prefers-reduced-motion: reduce) {
-			*,
-			*::before,
-			*::after {
+			:root:not([data-motion="full"]) *,
+			:root:not([data-motion="full"]) *::before,
+			:root:not([data-motion="full"]) *::after {
 				animation-duration: 0.01ms !important;
 				animation-iteration-count: 1 !important;
 				transition-duration: 0.01ms !important;
 				scroll-behavior: auto !important;
 			}
 		}
+
+		/* The reader's override in the preferences dialog */
+		[data-motion="reduce"] *,
+		[data-motion="reduce"] *::before,
+		[data-motion="reduce"] *::after {
+			animation-duration: 0.01ms !important;
+			animation-iteration-count: 1 !important;
+			transition-duration: 0.01ms !important;
+			scroll-behavior: auto !important;
+		}
 	</style>
 	<?php
 }
 add_action( 'wp_head', 'sinople_reduced_motion_css', 99 );
+
+/**
+ * Default reading preferences
+ *
+ * Keep in step with Preferences.res, which holds the same fields and
+ * ranges.
+ */
+function sinople_preferences_defaults() {
+	return array(
+		'fontScale'      => 1.0,
+		'lineHeight'     => 1.5,
+		'letterSpacing'  => 0.0,
+		'wordSpacing'    => 0.0,
+		'theme'          => 'system',
+		'highContrast'   => false,
+		'entryTint'      => false,
+		'dyslexiaFont'   => false,
+		'motion'         => 'system',
+		'underlineLinks' => false,
+		'readingWidth'   => 'normal',
+		'updated'        => 0,
+	);
+}
+
+/**
+ * Validate reading preferences
+ *
+ * Numbers are clamped to their range; unknown fields and invalid values
+ * fall back to the defaults.
+ *
+ * @param mixed $raw Decoded preferences.
+ * @return array
+ */
+function sinople_sanitize_preferences( $raw ) {
+	$raw   = is_array( $raw ) ? $raw : array();
+	$prefs = sinople_preferences_defaults();
+
+	$ranges = array(
+		'fontScale'     => array( 0.8, 1.5 ),
+		'lineHeight'    => array( 1.2, 2.2 ),
+		'letterSpacing' => array( 0.0, 0.12 ),
+		'wordSpacing'   => array( 0.0, 0.16 ),
+	);
+	foreach ( $ranges as $key => $range ) {
+		if ( isset( $raw[ $key ] ) && is_numeric( $raw[ $key ] ) && is_finite( (float) $raw[ $key ] ) ) {
+			$prefs[ $key ] = min( $range[1], max( $range[0], (float) $raw[ $key ] ) );
+		}
+	}
+
+	$choices = array(
+		'theme'        => array( 'system', 'light', 'dark', 'sepia', 'night', 'forest' ),
+		'motion'       => array( 'system', 'reduce', 'full' ),
+		'readingWidth' => array( 'narrow', 'normal', 'wide' ),
+	);
+	foreach ( $choices as $key => $allowed ) {
+		if ( isset( $raw[ $key ] ) && in_array( $raw[ $key ], $allowed, true ) ) {
+			$prefs[ $key ] = $raw[ $key ];
+		}
+	}
+
+	foreach ( array( 'highContrast', 'entryTint', 'dyslexiaFont', 'underlineLinks' ) as $key ) {
+		$prefs[ $key ] = isset( $raw[ $key ] ) && true === $raw[ $key ];
+	}
+
+	if ( isset( $raw['updated'] ) && is_numeric( $raw['updated'] ) && $raw['updated'] > 0 ) {
+		$prefs['updated'] = (float) $raw['updated'];
+	}
+
+	return $prefs;
+}
+
+/**
+ * Reading preferences saved to the current user's account
+ *
+ * @return array|null Null for visitors and users who never saved any.
+ */
+function sinople_get_user_preferences() {
+	if ( ! is_user_logged_in() ) {
+		return null;
+	}
+
+	$saved = get_user_meta( get_current_user_id(), 'sinople_preferences', true );
+
+	return is_array( $saved ) ? sinople_sanitize_preferences( $saved ) : null;
+}
+
+/**
+ * Save reading preferences to the current user's account
+ *
+ * The newer copy wins, so a stale tab can't overwrite a later change.
+ */
+function sinople_save_preferences() {
+	check_ajax_referer( 'sinople_nonce', 'nonce' );
+
+	$raw = isset( $_POST['preferences'] ) ? json_decode( wp_unslash( $_POST['preferences'] ), true ) : null; // phpcs:ignore WordPress.Security.ValidatedSanitizedInput.InputNotSanitized -- validated by sinople_sanitize_preferences()
+	if ( ! is_array( $raw ) ) {
+		wp_send_json_error( array( 'message' => 'Invalid preferences' ), 400 );
+	}
+
+	$prefs = sinople_sanitize_preferences( $raw );
+	$saved = sinople_get_user_preferences();
+
+	if ( $saved && $saved['updated'] > $prefs['updated'] ) {
+		wp_send_json_success( $saved );
+	}
+
+	update_user_meta( get_current_user_id(), 'sinople_preferences', $prefs );
+	wp_send_json_success( $prefs );
+}
+add_action( 'wp_ajax_sinople_save_preferences', 'sinople_save_preferences' );
+
+/**
+ * Apply reading preferences before first paint
+ *
+ * Runs first in <head>, so the page never renders with the wrong theme
+ * or text size. Takes the newer of the copy in localStorage and the one
+ * saved to the reader's account; `apply` matches
+ * Preferences.applyToRoot.
+ */
+function sinople_preferences_bootstrap() {
+	?>
+	<script id="sinople-preferences-bootstrap" nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
+		(() => {
+			const server = <?php echo wp_json_encode( sinople_get_user_preferences() ); ?>;
+			let local = null;
+			try {
+				local = JSON.parse(localStorage.getItem('sinople:preferences'));
+			} catch (err) {
+				// Storage blocked or unreadable: use the defaults
+			}
+			const copies = [local, server].filter((prefs) => prefs && typeof prefs === 'object');
+			const prefs = copies.reduce((newest, copy) => ((copy.updated || 0) > (newest.updated || 0) ? copy : newest), copies[0]);
+			if (!prefs) {
+				return;
+			}
+
+			const apply = (prefs) => {
+				const root = document.documentElement;
+				const toggle = (name, value) => {
+					if (value) {
+						root.setAttribute(name, value === true ? '' : value);
+					} else {
+						root.removeAttribute(name);
+					}
+				};
+				root.style.setProperty('--text-scale', String(prefs.fontScale));
+				root.style.setProperty('--leading-body', String(prefs.lineHeight));
+				root.style.setProperty('--letter-spacing', prefs.letterSpacing + 'em');
+				root.style.setProperty('--word-spacing', prefs.wordSpacing + 'em');
+				toggle('data-line-height', prefs.lineHeight !== 1.5);
+				toggle('data-text-spacing', prefs.letterSpacing > 0 || prefs.wordSpacing > 0);
+				toggle('data-theme', prefs.theme !== 'system' && prefs.theme);
+				toggle('data-contrast', prefs.highContrast && 'high');
+				toggle('data-entry-tint', prefs.entryTint);
+				toggle('data-font', prefs.dyslexiaFont && 'dyslexia');
+				toggle('data-motion', prefs.motion !== 'system' && prefs.motion);
+				toggle('data-underline-links', prefs.underlineLinks);
+				toggle('data-reading-width', prefs.readingWidth !== 'normal' && prefs.readingWidth);
+			};
+			apply({ ...<?php echo wp_json_encode( sinople_preferences_defaults() ); ?>, ...prefs });
+		})();
+	</script>
+	<?php
+}
+add_action( 'wp_head', 'sinople_preferences_bootstrap', 0 );
+
+/**
+ * Output the reading preferences dialog
+ *
+ * A modal <dialog> opened with the header preferences button (see
+ * Dialog.res). Control names are the preference fields; the
+ * Accessibility module fills them in and applies every change as it
+ * happens.
+ */
+function sinople_preferences_dialog() {
+	?>
+	<dialog id="preferences-dialog" class="preferences-dialog" aria-labelledby="preferences-dialog-title">
+		<div class="preferences-dialog-inner">
+			<h2 id="preferences-dialog-title" class="preferences-dialog-title"><?php esc_html_e( 'Reading preferences', 'sinople' ); ?></h2>
+			<form id="preferences-form" class="preferences-form">
+				<fieldset>
+					<legend><?php esc_html_e( 'Text', 'sinople' ); ?></legend>
+					<p>
+						<label for="preference-font-scale"><?php esc_html_e( 'Text size', 'sinople' ); ?></label>
+						<input type="range" id="preference-font-scale" name="fontScale" min="0.8" max="1.5" step="0.1" value="1">
+						<output for="preference-font-scale" data-unit="×"></output>
+					</p>
+					<p>
+						<label for="preference-line-height"><?php esc_html_e( 'Line height', 'sinople' ); ?></label>
+						<input type="range" id="preference-line-height" name="lineHeight" min="1.2" max="2.2" step="0.1" value="1.5">
+						<output for="preference-line-height"></output>
+					</p>
+					<p>
+						<label for="preference-letter-spacing"><?php esc_html_e( 'Letter spacing', 'sinople' ); ?></label>
+						<input type="range" id="preference-letter-spacing" name="letterSpacing" min="0" max="0.12" step="0.02" value="0">
+						<output for="preference-letter-spacing" data-unit="em"></output>
+					</p>
+					<p>
+						<label for="preference-word-spacing"><?php esc_html_e( 'Word spacing', 'sinople' ); ?></label>
+						<input type="range" id="preference-word-spacing" name="wordSpacing" min="0" max="0.16" step="0.04" value="0">
+						<output for="preference-word-spacing" data-unit="em"></output>
+					</p>
+					<p>
+						<label for="preference-reading-width"><?php esc_html_e( 'Reading width', 'sinople' ); ?></label>
+						<select id="preference-reading-width" name="readingWidth">
+							<option value="narrow"><?php esc_html_e( 'Narrow', 'sinople' ); ?></option>
+							<option value="normal"><?php esc_html_e( 'Normal', 'sinople' ); ?></option>
+							<option value="wide"><?php esc_html_e( 'Wide', 'sinople' ); ?></option>
+						</select>
+					</p>
+					<p>
+						<input type="checkbox" id="preference-dyslexia-font" name="dyslexiaFont">
+						<label for="preference-dyslexia-font"><?php esc_html_e( 'Dyslexia-friendly font', 'sinople' ); ?></label>
+					</p>
+					<p>
+						<input type="checkbox" id="preference-underline-links" name="underlineLinks">
+						<label for="preference-underline-links"><?php esc_html_e( 'Underline all links', 'sinople' ); ?></label>
+					</p>
+				</fieldset>
+
+				<fieldset>
+					<legend><?php esc_html_e( 'Colour and motion', 'sinople' ); ?></legend>
+					<p>
+						<label for="preference-theme"><?php esc_html_e( 'Theme', 'sinople' ); ?></label>
+						<select id="preference-theme" name="theme">
+							<option value="system"><?php esc_html_e( 'Match system', 'sinople' ); ?></option>
+							<option value="light"><?php esc_html_e( 'Light', 'sinople' ); ?></option>
+							<option value="dark"><?php esc_html_e( 'Dark', 'sinople' ); ?></option>
+							<option value="sepia"><?php esc_html_e( 'Sepia', 'sinople' ); ?></option>
+							<option value="night"><?php esc_html_e( 'Night', 'sinople' ); ?></option>
+							<option value="forest"><?php esc_html_e( 'Forest', 'sinople' ); ?></option>
+						</select>
+					</p>
+					<p>
+						<input type="checkbox" id="preference-high-contrast" name="highContrast">
+						<label for="preference-high-contrast"><?php esc_html_e( 'High contrast', 'sinople' ); ?></label>
+					</p>
+					<p>
+						<input type="checkbox" id="preference-entry-tint" name="entryTint">
+						<label for="preference-entry-tint"><?php esc_html_e( 'Tint entries with their colour', 'sinople' ); ?></label>
+					</p>
+					<p>
+						<label for="preference-motion"><?php esc_html_e( 'Motion', 'sinople' ); ?></label>
+						<select id="preference-motion" name="motion">
+							<option value="system"><?php esc_html_e( 'Match system', 'sinople' ); ?></option>
+							<option value="reduce"><?php esc_html_e( 'Reduce motion', 'sinople' ); ?></option>
+							<option value="full"><?php esc_html_e( 'Allow motion', 'sinople' ); ?></option>
+						</select>
+					</p>
+				</fieldset>
+
+				<div class="preferences-actions">
+					<button type="button" data-preferences-reset><?php esc_html_e( 'Reset', 'sinople' ); ?></button>
+					<button type="button" data-preferences-export><?php esc_html_e( 'Export', 'sinople' ); ?></button>
+					<label class="preferences-import">
+						<?php esc_html_e( 'Import', 'sinople' ); ?>
+						<input type="file" accept="application/json,.json" data-preferences-import>
+					</label>
+					<button type="button" data-preferences-close><?php esc_html_e( 'Close', 'sinople' ); ?></button>
+				</div>
+				<p id="preferences-status" class="preferences-status" role="status" aria-live="polite"></p>
+			</form>
+		</div>
+	</dialog>
+	<?php
+}
+add_action( 'wp_footer', 'sinople_preferences_dialog' );
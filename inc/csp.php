@@ -0,0 +1,444 @@
+<?php
+/**
+ * Content Security Policy
+ *
+ * Inline scripts and styles are let through by hash or by nonce, never by
+ * 'unsafe-inline'. `deno task build:csp` hashes the theme's static inline
+ * blocks into csp-hashes.json, so those run even from a cached page. Every
+ * inline block the theme prints also carries the per-request nonce, which
+ * is what lets through the blocks PHP fills in, and WordPress's own inline
+ * scripts and styles are given it here. (With sinople_minify_html on, the
+ * hashes no longer match and only the nonce applies.)
+ *
+ * Theme mods:
+ * - sinople_csp_nonces: list only the nonce, no hashes. Stricter, as a hash
+ *   allows its content on any page, but pages cannot then be cached whole.
+ * - sinople_csp_report_only: send Content-Security-Policy-Report-Only, to
+ *   roll a policy out without breaking anything.
+ * - sinople_csp_reporting: report violations to the collector below; they
+ *   are listed under Tools → CSP Reports.
+ *
+ * The web server configs (scripts/generate-*-config.js) send the same
+ * policy, without a nonce, on responses that have none from PHP.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/** Option holding the violations reported */
+define( 'SINOPLE_CSP_REPORTS_OPTION', 'sinople_csp_reports' );
+
+/** Distinct violations kept, the most recently seen first */
+define( 'SINOPLE_CSP_REPORTS_LIMIT', 200 );
+
+/** Largest report body accepted, in bytes */
+define( 'SINOPLE_CSP_REPORT_MAX_BYTES', 65536 );
+
+/**
+ * The nonce for this request
+ */
+function sinople_csp_nonce() {
+	static $nonce = null;
+	if ( null === $nonce ) {
+		$nonce = base64_encode( random_bytes( 18 ) ); // phpcs:ignore WordPress.PHP.DiscouragedPHPFunctions.obfuscation_base64_encode -- CSP nonces are base64
+	}
+	return $nonce;
+}
+
+/**
+ * Hashes of the theme's static inline scripts and styles
+ *
+ * From csp-hashes.json, written by `deno task build:csp`; empty until
+ * that has run.
+ *
+ * @return array{scripts: string[], styles: string[]}
+ */
+function sinople_csp_hashes() {
+	static $hashes = null;
+	if ( null === $hashes ) {
+		$file   = SINOPLE_PATH . '/csp-hashes.json';
+		$data   = file_exists( $file ) ? json_decode( (string) file_get_contents( $file ), true ) : null;
+		$hashes = array();
+		foreach ( array( 'scripts', 'styles' ) as $kind ) {
+			$hashes[ $kind ] = array_values(
+				array_filter(
+					is_array( $data[ $kind ] ?? null ) ? $data[ $kind ] : array(),
+					function ( $hash ) {
+						return is_string( $hash ) && preg_match( "#^'sha256-[A-Za-z0-9+/]+={0,2}'$#", $hash );
+					}
+				)
+			);
+		}
+	}
+	return apply_filters( 'sinople_csp_hashes', $hashes );
+}
+
+/**
+ * Directives before the inline sources are added
+ *
+ * The same as CSP_DIRECTIVES in scripts/server-config.js. Style
+ * attributes, which WordPress and block markup set everywhere, are allowed
+ * by style-src-attr; <style> elements need a hash or the nonce.
+ */
+function sinople_csp_base_directives() {
+	return array(
+		"default-src 'self'",
+		"script-src 'self' 'wasm-unsafe-eval'", // WASM requires wasm-unsafe-eval
+		"style-src 'self'",
+		"style-src-attr 'unsafe-inline'",
+		"img-src 'self' data: https:",
+		"font-src 'self' data:",
+		"connect-src 'self'",
+		"media-src 'self'",
+		"object-src 'none'",
+		"frame-src 'none'",
+		"base-uri 'self'",
+		"form-action 'self'",
+		"frame-ancestors 'none'",
+		'upgrade-insecure-requests',
+		'block-all-mixed-content',
+	);
+}
+
+/**
+ * Header the policy is sent in
+ */
+function sinople_csp_header_name() {
+	return get_theme_mod( 'sinople_csp_report_only', false )
+		? 'Content-Security-Policy-Report-Only'
+		: 'Content-Security-Policy';
+}
+
+/**
+ * URL browsers report violations to
+ */
+function sinople_csp_report_url() {
+	return rest_url( 'sinople/v1/csp-reports' );
+}
+
+/**
+ * The policy for this request
+ */
+function sinople_content_security_policy() {
+	$nonce  = "'nonce-" . sinople_csp_nonce() . "'";
+	$hashes = get_theme_mod( 'sinople_csp_nonces', false )
+		? array(
+			'scripts' => array(),
+			'styles'  => array(),
+		)
+		: sinople_csp_hashes();
+
+	$directives = array();
+	foreach ( sinople_csp_base_directives() as $directive ) {
+		if ( 0 === strpos( $directive, 'script-src ' ) ) {
+			$directive .= ' ' . implode( ' ', array_merge( array( $nonce ), $hashes['scripts'] ) );
+		} elseif ( 0 === strpos( $directive, 'style-src ' ) ) {
+			$directive .= ' ' . implode( ' ', array_merge( array( $nonce ), $hashes['styles'] ) );
+		}
+		$directives[] = $directive;
+	}
+
+	if ( get_theme_mod( 'sinople_csp_reporting', false ) ) {
+		// report-uri for browsers without the Reporting API
+		$directives[] = 'report-uri ' . esc_url_raw( sinople_csp_report_url() );
+		$directives[] = 'report-to csp';
+	}
+
+	return implode( '; ', apply_filters( 'sinople_csp_directives', $directives ) );
+}
+
+/**
+ * Give WordPress's inline scripts (wp_add_inline_script, localized data) the nonce
+ */
+function sinople_csp_inline_script_attributes( $attributes ) {
+	$attributes['nonce'] = sinople_csp_nonce();
+	return $attributes;
+}
+add_filter( 'wp_inline_script_attributes', 'sinople_csp_inline_script_attributes' );
+
+/**
+ * Give the <style> tags in printed markup the nonce
+ */
+function sinople_csp_style_nonces( $html ) {
+	return preg_replace( '/<style\b(?![^>]*\snonce=)/i', '<style nonce="' . esc_attr( sinople_csp_nonce() ) . '"', $html );
+}
+
+/**
+ * Buffer what wp_head and wp_footer print
+ *
+ * There is no attributes filter for inline styles, and core and plugins
+ * echo <style> blocks at any priority: wp_print_styles at wp_head 8,
+ * print_late_styles at wp_footer 20, the Customizer's Additional CSS
+ * (wp_custom_css_cb) at wp_head 101. So everything both hooks print is
+ * buffered and its styles given the nonce.
+ */
+function sinople_csp_buffer_styles() {
+	ob_start( 'sinople_csp_style_nonces' );
+}
+
+/**
+ * Print the buffered styles
+ */
+function sinople_csp_flush_styles() {
+	ob_end_flush();
+}
+add_action( 'wp_head', 'sinople_csp_buffer_styles', PHP_INT_MIN );
+add_action( 'wp_head', 'sinople_csp_flush_styles', PHP_INT_MAX );
+add_action( 'wp_footer', 'sinople_csp_buffer_styles', PHP_INT_MIN );
+add_action( 'wp_footer', 'sinople_csp_flush_styles', PHP_INT_MAX );
+
+/**
+ * Register the report collector
+ */
+function sinople_csp_register_routes() {
+	register_rest_route(
+		'sinople/v1',
+		'/csp-reports',
+		array(
+			'methods'             => WP_REST_Server::CREATABLE,
+			'callback'            => 'sinople_csp_receive_reports',
+			'permission_callback' => '__return_true', // Browsers report without credentials
+		)
+	);
+}
+add_action( 'rest_api_init', 'sinople_csp_register_routes' );
+
+/**
+ * Scalar report field as a string, at most $length characters
+ */
+function sinople_csp_report_field( $value, $length ) {
+	return is_scalar( $value ) ? substr( sanitize_text_field( (string) $value ), 0, $length ) : '';
+}
+
+/**
+ * URL in a report without its query and fragment, which may hold
+ * personal data; keywords such as "inline" and "eval" pass unchanged
+ */
+function sinople_csp_report_url_field( $value ) {
+	return sinople_csp_report_field( strtok( is_scalar( $value ) ? (string) $value : '', '?#' ), 512 );
+}
+
+/**
+ * One violation, normalised for storage
+ */
+function sinople_csp_violation( $fields ) {
+	return array(
+		'directive'   => sinople_csp_report_field( $fields['directive'], 64 ),
+		'blocked'     => sinople_csp_report_url_field( $fields['blocked'] ),
+		'document'    => sinople_csp_report_url_field( $fields['document'] ),
+		'source'      => sinople_csp_report_url_field( $fields['source'] ),
+		'line'        => absint( $fields['line'] ),
+		'sample'      => sinople_csp_report_field( $fields['sample'], 40 ),
+		'disposition' => 'report' === $fields['disposition'] ? 'report' : 'enforce',
+	);
+}
+
+/**
+ * Violations in a report body
+ *
+ * Accepts the Reporting API's application/reports+json, a list of reports
+ * of which those of type csp-violation are kept, and report-uri's
+ * application/csp-report, `{"csp-report": {...}}`.
+ *
+ * @param string $body Request body.
+ * @return array[] Violations, see sinople_csp_violation().
+ */
+function sinople_csp_parse_reports( $body ) {
+	$data = json_decode( $body, true );
+	if ( ! is_array( $data ) ) {
+		return array();
+	}
+
+	if ( isset( $data['csp-report'] ) ) {
+		$report = is_array( $data['csp-report'] ) ? $data['csp-report'] : array();
+		return array(
+			sinople_csp_violation(
+				array(
+					'directive'   => $report['effective-directive'] ?? $report['violated-directive'] ?? '',
+					'blocked'     => $report['blocked-uri'] ?? '',
+					'document'    => $report['document-uri'] ?? '',
+					'source'      => $report['source-file'] ?? '',
+					'line'        => $report['line-number'] ?? 0,
+					'sample'      => $report['script-sample'] ?? '',
+					'disposition' => $report['disposition'] ?? 'enforce',
+				)
+			),
+		);
+	}
+
+	$violations = array();
+	foreach ( $data as $report ) {
+		if ( ! is_array( $report ) || 'csp-violation' !== ( $report['type'] ?? '' ) || ! is_array( $report['body'] ?? null ) ) {
+			continue;
+		}
+		$violations[] = sinople_csp_violation(
+			array(
+				'directive'   => $report['body']['effectiveDirective'] ?? '',
+				'blocked'     => $report['body']['blockedURL'] ?? '',
+				'document'    => $report['body']['documentURL'] ?? $report['url'] ?? '',
+				'source'      => $report['body']['sourceFile'] ?? '',
+				'line'        => $report['body']['lineNumber'] ?? 0,
+				'sample'      => $report['body']['sample'] ?? '',
+				'disposition' => $report['body']['disposition'] ?? 'enforce',
+			)
+		);
+	}
+	return $violations;
+}
+
+/**
+ * Store violations, counting repeats of the same one
+ *
+ * Keeps the SINOPLE_CSP_REPORTS_LIMIT most recently seen distinct
+ * violations in one option, which is not autoloaded.
+ */
+function sinople_csp_store_violations( $violations ) {
+	$stored = get_option( SINOPLE_CSP_REPORTS_OPTION, array() );
+	$stored = is_array( $stored ) ? $stored : array();
+	$now    = time();
+
+	foreach ( $violations as $violation ) {
+		$key      = md5( wp_json_encode( array_diff_key( $violation, array( 'sample' => true ) ) ) );
+		$previous = $stored[ $key ] ?? array();
+
+		$stored[ $key ] = array_merge(
+			$violation,
+			array(
+				'count'      => ( $previous['count'] ?? 0 ) + 1,
+				'first_seen' => $previous['first_seen'] ?? $now,
+				'last_seen'  => $now,
+			)
+		);
+	}
+
+	uasort(
+		$stored,
+		function ( $a, $b ) {
+			return $b['last_seen'] <=> $a['last_seen'];
+		}
+	);
+	update_option( SINOPLE_CSP_REPORTS_OPTION, array_slice( $stored, 0, SINOPLE_CSP_REPORTS_LIMIT, true ), false );
+}
+
+/**
+ * Receive violation reports
+ */
+function sinople_csp_receive_reports( WP_REST_Request $request ) {
+	if ( ! get_theme_mod( 'sinople_csp_reporting', false ) ) {
+		return new WP_Error( 'sinople_csp_reporting_off', __( 'CSP reporting is off.', 'sinople' ), array( 'status' => 404 ) );
+	}
+
+	$body = $request->get_body();
+	if ( strlen( $body ) > SINOPLE_CSP_REPORT_MAX_BYTES ) {
+		return new WP_Error( 'sinople_csp_report_too_large', __( 'Report too large.', 'sinople' ), array( 'status' => 413 ) );
+	}
+
+	$violations = sinople_csp_parse_reports( $body );
+	if ( ! $violations ) {
+		return new WP_Error( 'sinople_csp_report_invalid', __( 'No CSP violations in the report.', 'sinople' ), array( 'status' => 400 ) );
+	}
+
+	sinople_csp_store_violations( $violations );
+	return new WP_REST_Response( null, 204 );
+}
+
+/**
+ * Add Tools → CSP Reports
+ */
+function sinople_csp_admin_menu() {
+	add_management_page(
+		__( 'CSP Reports', 'sinople' ),
+		__( 'CSP Reports', 'sinople' ),
+		'manage_options',
+		'sinople-csp-reports',
+		'sinople_csp_reports_page'
+	);
+}
+add_action( 'admin_menu', 'sinople_csp_admin_menu' );
+
+/**
+ * List the violations reported
+ */
+function sinople_csp_reports_page() {
+	$reports = get_option( SINOPLE_CSP_REPORTS_OPTION, array() );
+	$reports = is_array( $reports ) ? $reports : array();
+	?>
+	<div class="wrap">
+		<h1><?php esc_html_e( 'CSP Reports', 'sinople' ); ?></h1>
+		<p>
+			<?php
+			printf(
+				/* translators: %s: header name */
+				esc_html__( 'Violations of the policy sent in %s, most recent first.', 'sinople' ),
+				'<code>' . esc_html( sinople_csp_header_name() ) . '</code>'
+			);
+			if ( ! get_theme_mod( 'sinople_csp_reporting', false ) ) {
+				echo ' ' . esc_html__( 'Reporting is off, so no new reports arrive.', 'sinople' );
+			}
+			?>
+		</p>
+
+		<?php if ( ! $reports ) : ?>
+			<p><?php esc_html_e( 'No violations reported.', 'sinople' ); ?></p>
+		<?php else : ?>
+			<table class="widefat striped">
+				<thead>
+					<tr>
+						<th scope="col"><?php esc_html_e( 'Directive', 'sinople' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Blocked', 'sinople' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Page', 'sinople' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Source', 'sinople' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Sample', 'sinople' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Count', 'sinople' ); ?></th>
+						<th scope="col"><?php esc_html_e( 'Last seen', 'sinople' ); ?></th>
+					</tr>
+				</thead>
+				<tbody>
+					<?php foreach ( $reports as $report ) : ?>
+						<tr>
+							<td>
+								<code><?php echo esc_html( $report['directive'] ); ?></code>
+								<?php if ( 'report' === $report['disposition'] ) : ?>
+									<br><?php esc_html_e( '(report only)', 'sinople' ); ?>
+								<?php endif; ?>
+							</td>
+							<td><?php echo esc_html( $report['blocked'] ); ?></td>
+							<td><?php echo esc_html( $report['document'] ); ?></td>
+							<td><?php echo esc_html( $report['source'] . ( $report['line'] ? ':' . $report['line'] : '' ) ); ?></td>
+							<td><code><?php echo esc_html( $report['sample'] ); ?></code></td>
+							<td><?php echo esc_html( number_format_i18n( $report['count'] ) ); ?></td>
+							<td><?php echo esc_html( wp_date( get_option( 'date_format' ) . ' ' . get_option( 'time_format' ), $report['last_seen'] ) ); ?></td>
+						</tr>
+					<?php endforeach; ?>
+				</tbody>
+			</table>
+
+			<form method="post" action="<?php echo esc_url( admin_url( 'admin-post.php' ) ); ?>">
+				<input type="hidden" name="action" value="sinople_csp_clear_reports">
+				<?php wp_nonce_field( 'sinople_csp_clear_reports' ); ?>
+				<?php submit_button( __( 'Clear reports', 'sinople' ), 'secondary' ); ?>
+			</form>
+		<?php endif; ?>
+	</div>
+	<?php
+}
+
+/**
+ * Clear the violations reported
+ */
+function sinople_csp_clear_reports() {
+	if ( ! current_user_can( 'manage_options' ) ) {
+		wp_die( esc_html__( 'You are not allowed to clear CSP reports.', 'sinople' ), 403 );
+	}
+	check_admin_referer( 'sinople_csp_clear_reports' );
+
+	delete_option( SINOPLE_CSP_REPORTS_OPTION );
+	wp_safe_redirect( admin_url( 'tools.php?page=sinople-csp-reports' ) );
+	exit;
+}
+add_action( 'admin_post_sinople_csp_clear_reports', 'sinople_csp_clear_reports' );
@@ -123,17 +123,61 @@ function sinople_enqueue_scripts() {
 				'close'         => esc_html__( 'Close', 'sinople' ),
 				'menuOpen'      => esc_html__( 'Open menu', 'sinople' ),
 				'menuClose'     => esc_html__( 'Close menu', 'sinople' ),
+				'saveOffline'   => esc_html__( 'Save for offline', 'sinople' ),
+				'savedOffline'  => esc_html__( 'Saved for offline', 'sinople' ),
+				'saveOfflineFailed' => esc_html__( 'Could not save for offline', 'sinople' ),
+				'outboxQueued'  => esc_html__( 'Waiting for a connection', 'sinople' ),
+				'outboxSending' => esc_html__( 'Sending…', 'sinople' ),
+				'outboxFailed'  => esc_html__( 'Could not be sent', 'sinople' ),
+				'outboxCancel'  => esc_html__( 'Cancel', 'sinople' ),
+				'outboxSummary' => esc_html__( '%d item(s) waiting to be sent', 'sinople' ),
+				'outboxComment' => esc_html__( 'Comment', 'sinople' ),
+				'outboxConsent' => esc_html__( 'Privacy choices', 'sinople' ),
+				'outboxMicropub' => esc_html__( 'Post', 'sinople' ),
+				'outboxWebmention' => esc_html__( 'Webmention', 'sinople' ),
+				/* translators: %d: number of new entries */
+				'newEntry'      => esc_html__( '%d new entry', 'sinople' ),
+				/* translators: %d: number of new entries */
+				'newEntries'    => esc_html__( '%d new entries', 'sinople' ),
+				'searchIndexing' => esc_html__( 'Preparing search…', 'sinople' ),
+				/* translators: %d: number of search results */
+				'searchResults' => esc_html__( '%d results', 'sinople' ),
+				'searchNoResults' => esc_html__( 'No matching entries', 'sinople' ),
+				'preferencesReset' => esc_html__( 'Preferences reset', 'sinople' ),
+				'preferencesImported' => esc_html__( 'Preferences imported', 'sinople' ),
+				'preferencesImportFailed' => esc_html__( 'That file does not contain reading preferences', 'sinople' ),
+				'consentSaved'  => esc_html__( 'Privacy choices saved', 'sinople' ),
+				'consentFailed' => esc_html__( 'Privacy choices could not be saved, please try again', 'sinople' ),
+				'portalExternal' => esc_html__( '(external link)', 'sinople' ),
+				'portalOnion'   => esc_html__( 'Tor onion service', 'sinople' ),
+				'portalArchive' => esc_html__( 'Archived copy', 'sinople' ),
+				/* translators: %d: reading time in minutes */
+				'portalReadingTime' => esc_html__( '%d min read', 'sinople' ),
+				'portalTrusted' => esc_html__( 'Trusted', 'sinople' ),
+				'portalUnvetted' => esc_html__( 'Unvetted', 'sinople' ),
+				'portalSponsored' => esc_html__( 'Sponsored', 'sinople' ),
+				'portalUgc'     => esc_html__( 'Submitted by a reader', 'sinople' ),
 			),
 			'features'          => array(
-				'wasm'              => sinople_supports_wasm(),
+				'wasm'              => sinople_supports_wasm() && sinople_wasm_available(),
 				'serviceWorker'     => get_theme_mod( 'sinople_enable_offline', true ),
 				'viewTransitions'   => get_theme_mod( 'sinople_view_transitions', true ),
-				'prefersReducedMotion' => false, // Detected client-side
+				'prefersReducedMotion' => false, // Detected client-side, see Sinople.detectFeatures
+				'preferencesSync'   => is_user_logged_in(),
 			),
 			'endpoints'         => array(
-				'void'      => sinople_void_endpoint_url(),
-				'ndjson'    => sinople_ndjson_feed_url(),
-				'capnproto' => sinople_capnproto_endpoint_url(),
+				'void'         => sinople_void_endpoint_url(),
+				'ndjson'       => sinople_ndjson_feed_url(),
+				'ndjsonStream' => sinople_ndjson_stream_url(),
+				'capnproto'    => sinople_capnproto_endpoint_url(),
+				'search'       => sinople_search_feed_url(),
+				'glosses'      => rest_url( 'wp/v2/gloss' ),
+				'portals'      => rest_url( 'wp/v2/portal' ),
+			),
+			'preferences'       => sinople_get_user_preferences(),
+			'consent'           => array(
+				'embedOrigins' => sinople_consent_embed_origins(),
+				'fontsUrl'     => sinople_external_fonts_url(),
 			),
 		)
 	);
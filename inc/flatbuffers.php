@@ -125,7 +125,7 @@ class Sinople_FlatBuffers {
 			);
 		} else {
 			// Binary format
-			header( 'Content-Type: application/octet-stream' );
+			header( 'Content-Type: application/x-flatbuffers' );
 			header( 'Content-Disposition: attachment; filename="feed.fb"' );
 
 			// Placeholder for binary serialization
@@ -149,7 +149,7 @@ class Sinople_FlatBuffers {
 			header( 'Content-Type: application/json' );
 			echo wp_json_encode( self::serialize_post( $post ), JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
 		} else {
-			header( 'Content-Type: application/octet-stream' );
+			header( 'Content-Type: application/x-flatbuffers' );
 			header( 'Content-Disposition: attachment; filename="post-' . $post_id . '.fb"' );
 			// Binary serialization would go here
 		}
@@ -252,7 +252,7 @@ class Sinople_FlatBuffers {
 			header( 'Content-Type: application/json' );
 			echo wp_json_encode( $user_data, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
 		} else {
-			header( 'Content-Type: application/octet-stream' );
+			header( 'Content-Type: application/x-flatbuffers' );
 			// Binary serialization
 		}
 	}
@@ -211,7 +211,7 @@ function sinople_generate_json_feed() {
 		$feed['items'][] = $item;
 	}
 
-	header( 'Content-Type: application/json; charset=' . get_bloginfo( 'charset' ) );
+	header( 'Content-Type: application/feed+json; charset=' . get_bloginfo( 'charset' ) );
 	echo wp_json_encode( $feed, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE );
 	exit;
 }
@@ -16,6 +16,14 @@ if ( ! defined( 'ABSPATH' ) ) {
 
 /**
  * Add View Transitions API support
+ *
+ * Cross-document transitions cover full page loads; soft navigations run
+ * theirs in the ViewTransitions module. Either way, an entry's title,
+ * featured image and colour chips morph between its archive card and its
+ * page. Their view-transition-names are set from the post ID only for the
+ * transition, here on pageswap/pagereveal (which must be listened for in
+ * the head). Nothing animates under prefers-reduced-motion, or when the
+ * reader picks reduced motion in the preferences dialog.
  */
 function sinople_view_transitions_meta() {
 	if ( ! get_theme_mod( 'sinople_view_transitions', true ) ) {
@@ -25,14 +33,15 @@ function sinople_view_transitions_meta() {
 	// Enable View Transitions API
 	?>
 	<meta name="view-transition" content="same-origin">
-	<style>
+	<style nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		@view-transition {
 			navigation: auto;
 		}
 
 		/* Customize transitions */
 		::view-transition-old(root),
-		::view-transition-new(root) {
+		::view-transition-new(root),
+		::view-transition-group(*) {
 			animation-duration: 0.3s;
 		}
 
@@ -52,14 +61,92 @@ function sinople_view_transitions_meta() {
 			from { opacity: 0; }
 		}
 
-		/* Respect prefers-reduced-motion */
+		/* Respect prefers-reduced-motion, and the reader's override */
 		@media (prefers-reduced-motion: reduce) {
-			::view-transition-old(root),
-			::view-transition-new(root) {
+			:root:not([data-motion="full"])::view-transition-group(*),
+			:root:not([data-motion="full"])::view-transition-old(*),
+			:root:not([data-motion="full"])::view-transition-new(*) {
 				animation: none !important;
 			}
 		}
+
+		[data-motion="reduce"]::view-transition-group(*),
+		[data-motion="reduce"]::view-transition-old(*),
+		[data-motion="reduce"]::view-transition-new(*) {
+			animation: none !important;
+		}
 	</style>
+	<script nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
+		(() => {
+			// Same as Preferences.prefersReducedMotion
+			const reducedMotion = () => {
+				const motion = document.documentElement.dataset.motion;
+				return motion === 'reduce' || (motion !== 'full' && matchMedia('(prefers-reduced-motion: reduce)').matches);
+			};
+			const key = 'sinople:shared-entry';
+
+			// Same names as ViewTransitions.nameEntry
+			const nameEntry = (id) => {
+				const article = document.getElementById('post-' + id);
+				if (!article) {
+					return;
+				}
+				const name = (element, value) => {
+					if (element) {
+						element.style.viewTransitionName = value;
+						element.dataset.viewTransitionShared = '';
+					}
+				};
+				name(article.querySelector('.entry-title'), 'entry-title-' + id);
+				name(article.querySelector('.entry-thumbnail img'), 'entry-image-' + id);
+				article.querySelectorAll('.term-chip[data-term-id]').forEach((chip) => {
+					name(chip, 'entry-' + id + '-term-' + chip.dataset.termId);
+				});
+			};
+
+			const clearNames = () => {
+				document.querySelectorAll('[data-view-transition-shared]').forEach((element) => {
+					element.style.viewTransitionName = '';
+					delete element.dataset.viewTransitionShared;
+				});
+			};
+
+			// Leaving: the card whose entry is opening, or the entry being left
+			addEventListener('pageswap', (event) => {
+				sessionStorage.removeItem(key);
+				if (!event.viewTransition || reducedMotion()) {
+					return;
+				}
+				const url = event.activation?.entry?.url;
+				const articles = document.querySelectorAll('article[id^="post-"]');
+				const card = Array.from(articles).find((article) => article.querySelector('.entry-title a')?.href === url);
+				const article = card || (articles.length === 1 ? articles[0] : null);
+				if (article) {
+					const id = article.id.slice(5);
+					sessionStorage.setItem(key, id);
+					nameEntry(id);
+					event.viewTransition.finished.finally(clearNames);
+				}
+			});
+
+			// Arriving: the same entry, if this page shows it
+			addEventListener('pagereveal', (event) => {
+				const id = sessionStorage.getItem(key);
+				sessionStorage.removeItem(key);
+				if (!event.viewTransition) {
+					return;
+				}
+				if (reducedMotion()) {
+					event.viewTransition.skipTransition();
+					return;
+				}
+				if (id) {
+					nameEntry(id);
+					event.viewTransition.finished.finally(clearNames);
+				}
+			});
+		})();
+	</script>
 	<?php
 }
 add_action( 'wp_head', 'sinople_view_transitions_meta' );
@@ -73,7 +160,7 @@ function sinople_scroll_driven_animations() {
 	}
 
 	?>
-	<style>
+	<style nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		/* Scroll-driven animations for progressive disclosure */
 		@supports (animation-timeline: scroll()) {
 			.reveal-on-scroll {
@@ -130,7 +217,7 @@ add_action( 'wp_head', 'sinople_scroll_driven_animations', 99 );
  */
 function sinople_container_queries() {
 	?>
-	<style>
+	<style nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		/* Container queries for responsive components */
 		@supports (container-type: inline-size) {
 			.post-card-container {
@@ -162,7 +249,7 @@ add_action( 'wp_head', 'sinople_container_queries', 99 );
  */
 function sinople_has_selector() {
 	?>
-	<style>
+	<style nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		/* :has() selector for parent styling */
 		@supports selector(:has(*)) {
 			/* Style card differently if it has an image */
@@ -190,7 +277,7 @@ add_action( 'wp_head', 'sinople_has_selector', 99 );
  */
 function sinople_popover_api() {
 	?>
-	<style>
+	<style nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		/* Popover API styling */
 		@supports (top-layer: auto) {
 			[popover] {
@@ -231,7 +318,7 @@ add_action( 'wp_head', 'sinople_popover_api', 99 );
  */
 function sinople_anchor_positioning() {
 	?>
-	<style>
+	<style nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		/* CSS Anchor Positioning */
 		@supports (anchor-name: --target) {
 			.tooltip-anchor {
@@ -256,7 +343,7 @@ add_action( 'wp_head', 'sinople_anchor_positioning', 99 );
  */
 function sinople_color_mix() {
 	?>
-	<style>
+	<style nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		/* color-mix() for dynamic theming */
 		@supports (color: color-mix(in oklch, red, blue)) {
 			:root {
@@ -274,7 +361,7 @@ add_action( 'wp_head', 'sinople_color_mix', 99 );
  */
 function sinople_relative_colors() {
 	?>
-	<style>
+	<style nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		/* Relative color syntax */
 		@supports (color: oklch(from white l c h)) {
 			:root {
@@ -292,7 +379,7 @@ add_action( 'wp_head', 'sinople_relative_colors', 99 );
  */
 function sinople_subgrid() {
 	?>
-	<style>
+	<style nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		/* Subgrid for nested layouts */
 		@supports (grid-template-columns: subgrid) {
 			.nested-grid {
@@ -311,7 +398,7 @@ add_action( 'wp_head', 'sinople_subgrid', 99 );
  */
 function sinople_webrtc_support() {
 	?>
-	<script>
+	<script nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		if ('RTCPeerConnection' in window) {
 			document.documentElement.classList.add('has-webrtc');
 		}
@@ -325,7 +412,7 @@ add_action( 'wp_footer', 'sinople_webrtc_support' );
  */
 function sinople_webcodecs_support() {
 	?>
-	<script>
+	<script nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		if ('VideoEncoder' in window && 'VideoDecoder' in window) {
 			document.documentElement.classList.add('has-webcodecs');
 		}
@@ -339,7 +426,7 @@ add_action( 'wp_footer', 'sinople_webcodecs_support' );
  */
 function sinople_webgpu_support() {
 	?>
-	<script>
+	<script nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		if ('gpu' in navigator) {
 			document.documentElement.classList.add('has-webgpu');
 		}
@@ -353,7 +440,7 @@ add_action( 'wp_footer', 'sinople_webgpu_support' );
  */
 function sinople_file_system_access() {
 	?>
-	<script>
+	<script nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		if ('showOpenFilePicker' in window) {
 			document.documentElement.classList.add('has-file-system-access');
 		}
@@ -367,26 +454,148 @@ add_action( 'wp_footer', 'sinople_file_system_access' );
  */
 function sinople_web_share_api() {
 	?>
-	<script>
+	<script nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>">
 		if ('share' in navigator) {
 			document.documentElement.classList.add('has-web-share');
 
-			// Add share buttons where appropriate
-			document.querySelectorAll('[data-share]').forEach(btn => {
-				btn.addEventListener('click', async () => {
-					try {
-						await navigator.share({
-							title: document.title,
-							text: btn.dataset.shareText || '',
-							url: btn.dataset.shareUrl || window.location.href
-						});
-					} catch (err) {
-						console.warn('Share failed:', err);
-					}
+			// Add share buttons where appropriate, again after each soft navigation
+			const enableShareButtons = () => {
+				document.querySelectorAll('[data-share][hidden]').forEach(btn => {
+					btn.hidden = false;
+					btn.addEventListener('click', async () => {
+						try {
+							await navigator.share({
+								title: document.title,
+								text: btn.dataset.shareText || '',
+								url: btn.dataset.shareUrl || window.location.href
+							});
+						} catch (err) {
+							console.warn('Share failed:', err);
+						}
+					});
 				});
-			});
+			};
+			enableShareButtons();
+			document.addEventListener('sinople:pageload', enableShareButtons);
 		}
 	</script>
 	<?php
 }
 add_action( 'wp_footer', 'sinople_web_share_api' );
+
+/**
+ * Output share and save-for-offline actions for the current entry
+ *
+ * Both buttons start hidden: the Web Share script reveals the share
+ * button and the OfflineReading module reveals the save button once a
+ * service worker controls the page.
+ */
+function sinople_entry_actions() {
+	?>
+	<div class="entry-actions">
+		<button type="button" class="entry-action" data-share data-share-url="<?php echo esc_url( get_permalink() ); ?>" data-share-text="<?php echo esc_attr( get_the_title() ); ?>" hidden>
+			<?php esc_html_e( 'Share', 'sinople' ); ?>
+		</button>
+		<?php if ( get_theme_mod( 'sinople_enable_offline', true ) ) : ?>
+			<button
+				type="button"
+				class="entry-action"
+				data-offline-save
+				data-offline-url="<?php echo esc_url( get_permalink() ); ?>"
+				data-offline-title="<?php echo esc_attr( get_the_title() ); ?>"
+				data-offline-excerpt="<?php echo esc_attr( wp_strip_all_tags( get_the_excerpt() ) ); ?>"
+				data-offline-published="<?php echo esc_attr( get_the_date( 'c' ) ); ?>"
+				aria-pressed="false"
+				hidden
+			>
+				<?php esc_html_e( 'Save for offline', 'sinople' ); ?>
+			</button>
+		<?php endif; ?>
+	</div>
+	<?php
+}
+
+/**
+ * Output the outbox of posts waiting to be sent
+ *
+ * Comments, consent choices and micropub posts made offline are queued
+ * by the service worker; the Outbox module fills this list and reveals
+ * it while anything is waiting.
+ */
+function sinople_outbox_ui() {
+	if ( ! get_theme_mod( 'sinople_enable_offline', true ) ) {
+		return;
+	}
+	?>
+	<section class="outbox" data-outbox aria-labelledby="outbox-title" hidden>
+		<h2 id="outbox-title" class="outbox-title"><?php esc_html_e( 'Waiting to be sent', 'sinople' ); ?></h2>
+		<p class="outbox-status" role="status" aria-live="polite"></p>
+		<ul class="outbox-list" data-outbox-list></ul>
+	</section>
+	<?php
+}
+add_action( 'wp_footer', 'sinople_outbox_ui' );
+
+/**
+ * Query narrowing the NDJSON stream to the entries of the current listing
+ *
+ * Empty on the blog index, the term, author or post type on archives.
+ * Null where new entries would not appear at the top: search results,
+ * date archives and later pages.
+ *
+ * @return array|null Query args for the stream.
+ */
+function sinople_live_entries_scope() {
+	if ( is_paged() || is_search() || is_date() ) {
+		return null;
+	}
+
+	if ( is_home() ) {
+		return array();
+	}
+
+	if ( is_category() || is_tag() || is_tax() ) {
+		$term = get_queried_object();
+		return array(
+			'post_type' => implode( ',', get_taxonomy( $term->taxonomy )->object_type ),
+			'taxonomy'  => $term->taxonomy,
+			'term'      => $term->term_id,
+		);
+	}
+
+	if ( is_author() ) {
+		return array( 'author' => get_queried_object_id() );
+	}
+
+	if ( is_post_type_archive() ) {
+		return array( 'post_type' => get_queried_object()->name );
+	}
+
+	return null;
+}
+
+/**
+ * Output the live new-entries banner on the blog index and archives
+ *
+ * The LiveEntries module subscribes to the NDJSON stream, narrowed to
+ * this listing's entries (data-stream), from the newest entry on the page
+ * and announces new ones here. The stream holds a PHP worker open and
+ * needs the read capability, so only readers who are logged in get the
+ * banner.
+ */
+function sinople_live_entries_banner() {
+	$scope = sinople_live_entries_scope();
+	if ( null === $scope || ! current_user_can( 'read' ) ) {
+		return;
+	}
+
+	$post_ids = wp_list_pluck( $GLOBALS['wp_query']->posts, 'ID' );
+	if ( empty( $post_ids ) ) {
+		return;
+	}
+	?>
+	<div class="live-entries" data-live-entries data-since="<?php echo esc_attr( max( $post_ids ) ); ?>" data-stream="<?php echo esc_url( add_query_arg( $scope, sinople_ndjson_stream_url() ) ); ?>" role="status" aria-live="polite">
+		<button type="button" class="live-entries-button" hidden></button>
+	</div>
+	<?php
+}
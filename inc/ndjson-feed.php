@@ -38,6 +38,8 @@ class Sinople_NDJSON_Feed {
 		$vars[] = 'ndjson_filter';
 		$vars[] = 'ndjson_limit';
 		$vars[] = 'ndjson_offset';
+		$vars[] = 'ndjson_types';
+		$vars[] = 'ndjson_modified_after';
 		return $vars;
 	}
 
@@ -68,18 +70,33 @@ class Sinople_NDJSON_Feed {
 		$filter     = get_query_var( 'ndjson_filter', '' );
 		$limit      = absint( get_query_var( 'ndjson_limit', 100 ) );
 		$offset     = absint( get_query_var( 'ndjson_offset', 0 ) );
-		$post_type  = sanitize_text_field( get_query_var( 'post_type', 'post' ) );
+		$post_type  = sanitize_text_field( get_query_var( 'ndjson_types', get_query_var( 'post_type', 'post' ) ) );
+		$post_types = self::public_post_types( $post_type );
+		$modified   = sanitize_text_field( get_query_var( 'ndjson_modified_after', '' ) );
 
 		// Build query args
 		$args = array(
 			'posts_per_page' => min( $limit, 1000 ), // Max 1000
 			'offset'         => $offset,
 			'post_status'    => 'publish',
-			'post_type'      => explode( ',', $post_type ),
+			'post_type'      => $post_types,
 			'orderby'        => 'date',
 			'order'          => 'DESC',
 		);
 
+		// Incremental sync: only entries changed since the client's last pass
+		if ( $modified && strtotime( $modified ) ) {
+			$args['orderby']    = 'modified';
+			$args['order']      = 'ASC';
+			$args['date_query'] = array(
+				array(
+					'column'    => 'post_modified_gmt',
+					'after'     => gmdate( 'Y-m-d H:i:s', strtotime( $modified ) ),
+					'inclusive' => false,
+				),
+			);
+		}
+
 		// Apply filters
 		if ( $filter ) {
 			$args = apply_filters( 'sinople_ndjson_query_args', $args, $filter );
@@ -96,7 +113,7 @@ class Sinople_NDJSON_Feed {
 			'site_url'     => home_url( '/' ),
 			'generated_at' => gmdate( 'c' ),
 			'count'        => count( $posts ),
-			'total'        => wp_count_posts( $post_type )->publish,
+			'total'        => self::count_published( $post_types ),
 		);
 		echo wp_json_encode( $metadata, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) . "\n";
 
@@ -109,8 +126,33 @@ class Sinople_NDJSON_Feed {
 		exit;
 	}
 
+	/**
+	 * Restrict a comma-separated post type list to public post types
+	 */
+	private static function public_post_types( $post_type ) {
+		$requested = array_map( 'trim', explode( ',', $post_type ) );
+		$public    = array_intersect( $requested, get_post_types( array( 'public' => true ) ) );
+
+		return $public ? array_values( $public ) : array( 'post' );
+	}
+
+	/**
+	 * Count published posts across several post types
+	 */
+	private static function count_published( $post_types ) {
+		$total = 0;
+		foreach ( $post_types as $type ) {
+			$total += (int) wp_count_posts( $type )->publish;
+		}
+		return $total;
+	}
+
 	/**
 	 * Handle NDJSON streaming (Server-Sent Events)
+	 *
+	 * Each open stream holds a PHP worker for as long as the reader's tab
+	 * stays open, its heartbeat keeping the server's read timeout at bay, so
+	 * it is for logged-in readers only, as is the live banner.
 	 */
 	public static function handle_ndjson_stream() {
 		if ( ! get_query_var( 'ndjson_stream' ) ) {
@@ -139,8 +181,9 @@ class Sinople_NDJSON_Feed {
 		// Send initial connection event
 		self::send_sse_event( 'connected', array( 'message' => 'Stream started' ) );
 
-		// Get last post ID from request
+		// Get last post ID from request, and the listing to stream entries of
 		$since = absint( $_GET['since'] ?? 0 );
+		$query = self::stream_query( $_GET );
 
 		// Stream loop
 		while ( true ) {
@@ -149,16 +192,25 @@ class Sinople_NDJSON_Feed {
 				break;
 			}
 
-			// Query for new posts
+			// Query for new posts: those with an ID above the newest seen
+			$after_since = function ( $where ) use ( $since ) {
+				global $wpdb;
+				return $where . $wpdb->prepare( " AND {$wpdb->posts}.ID > %d", $since );
+			};
+			add_filter( 'posts_where', $after_since );
 			$new_posts = get_posts(
-				array(
-					'posts_per_page' => 10,
-					'post_status'    => 'publish',
-					'orderby'        => 'ID',
-					'order'          => 'ASC',
-					'post__in'       => range( $since + 1, $since + 1000 ), // Efficient range query
+				array_merge(
+					$query,
+					array(
+						'posts_per_page'   => 10,
+						'post_status'      => 'publish',
+						'orderby'          => 'ID',
+						'order'            => 'ASC',
+						'suppress_filters' => false,
+					)
 				)
 			);
+			remove_filter( 'posts_where', $after_since );
 
 			// Send new posts
 			foreach ( $new_posts as $post ) {
@@ -176,6 +228,42 @@ class Sinople_NDJSON_Feed {
 		exit;
 	}
 
+	/**
+	 * Query narrowing the stream to a listing's entries
+	 *
+	 * From the request: post_type (comma-separated), author, and taxonomy
+	 * with a term ID, as sinople_live_entries_scope() gives them. Post types
+	 * and taxonomies that are not public are ignored; by default the stream
+	 * carries posts, as the blog index lists.
+	 *
+	 * @param array $args Request query args.
+	 * @return array Arguments for get_posts().
+	 */
+	private static function stream_query( $args ) {
+		$query = array( 'post_type' => 'post' );
+
+		$types = array_filter( explode( ',', sanitize_text_field( wp_unslash( $args['post_type'] ?? '' ) ) ), 'is_post_type_viewable' );
+		if ( $types ) {
+			$query['post_type'] = array_values( $types );
+		}
+
+		if ( ! empty( $args['author'] ) ) {
+			$query['author'] = absint( $args['author'] );
+		}
+
+		$taxonomy = sanitize_key( $args['taxonomy'] ?? '' );
+		if ( $taxonomy && ! empty( $args['term'] ) && is_taxonomy_viewable( $taxonomy ) ) {
+			$query['tax_query'] = array( // phpcs:ignore WordPress.DB.SlowDBQuery.slow_db_query_tax_query
+				array(
+					'taxonomy' => $taxonomy,
+					'terms'    => absint( $args['term'] ),
+				),
+			);
+		}
+
+		return $query;
+	}
+
 	/**
 	 * Send Server-Sent Event
 	 */
@@ -214,6 +302,7 @@ class Sinople_NDJSON_Feed {
 			'published'      => get_the_date( 'c', $post->ID ),
 			'modified'       => get_the_modified_date( 'c', $post->ID ),
 			'url'            => get_permalink( $post->ID ),
+			'span_type'      => sinople_get_span_type( $post->ID ),
 			'categories'     => wp_get_post_categories( $post->ID, array( 'fields' => 'names' ) ),
 			'tags'           => wp_get_post_tags( $post->ID, array( 'fields' => 'names' ) ),
 		);
@@ -225,6 +314,11 @@ class Sinople_NDJSON_Feed {
 			$data['motifs']   = wp_get_post_terms( $post->ID, 'motif', array( 'fields' => 'names' ) );
 		}
 
+		if ( 'construct' === $post->post_type ) {
+			$data['symbols']    = wp_get_post_terms( $post->ID, 'symbol', array( 'fields' => 'names' ) );
+			$data['archetypes'] = wp_get_post_terms( $post->ID, 'archetype', array( 'fields' => 'names' ) );
+		}
+
 		// Add featured image
 		if ( has_post_thumbnail( $post->ID ) ) {
 			$image_id = get_post_thumbnail_id( $post->ID );
@@ -0,0 +1,235 @@
+<?php
+/**
+ * Content Negotiation
+ *
+ * Entries and the site feed (/feed/) each have several representations,
+ * listed in config/negotiation.json in order of preference: an entry as
+ * HTML, RDF/XML, Turtle or MessagePack, the feed as RSS, Atom, RSS 1.0,
+ * JSON Feed, Turtle, NDJSON, Cap'n Proto, FlatBuffers or MessagePack.
+ * MessagePack is offered only where the msgpack extension is loaded.
+ * The Accept header picks one
+ * (RFC 9110 section 12.5.1) and the query vars of its own URL are set, so
+ * the handler for that format answers. Negotiated responses carry
+ * Vary: Accept and a Link header naming the other representations.
+ *
+ * URLs that already name a representation (?format=ttl, /feed/json/) are
+ * not negotiated. scripts/negotiation.js implements the same for the
+ * tests; both are held to tests/fixtures/negotiation-matrix.json.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Representations of entries and of the site feed
+ *
+ * Those requiring a function that does not exist are left out.
+ *
+ * @return array{entry: array, feed: array}
+ */
+function sinople_negotiation_rules() {
+	static $rules = null;
+	if ( null === $rules ) {
+		$rules = json_decode( (string) file_get_contents( SINOPLE_PATH . '/config/negotiation.json' ), true );
+		foreach ( array( 'entry', 'feed' ) as $resource ) {
+			$rules[ $resource ]['representations'] = array_values(
+				array_filter(
+					$rules[ $resource ]['representations'],
+					function ( $representation ) {
+						return empty( $representation['requires'] ) || function_exists( $representation['requires'] );
+					}
+				)
+			);
+		}
+	}
+	return apply_filters( 'sinople_negotiation_rules', $rules );
+}
+
+/**
+ * Media ranges in an Accept header
+ *
+ * Types are lower-cased and parameters other than q are ignored. Ranges
+ * that are malformed or have an invalid q are dropped.
+ *
+ * @param string $header Accept header.
+ * @return array[] Each with type, subtype and q.
+ */
+function sinople_parse_accept( $header ) {
+	$ranges = array();
+
+	foreach ( explode( ',', $header ) as $part ) {
+		$parameters = array_map( 'trim', explode( ';', $part ) );
+		$range      = strtolower( array_shift( $parameters ) );
+
+		if ( ! preg_match( '#^([a-z0-9!\#$%&\'*+.^_`|~-]+)/([a-z0-9!\#$%&\'*+.^_`|~-]+)$#', $range, $match ) || ( '*' === $match[1] && '*' !== $match[2] ) ) {
+			continue;
+		}
+
+		$q = 1.0;
+		foreach ( $parameters as $parameter ) {
+			$pair = array_map( 'trim', explode( '=', $parameter, 2 ) );
+			if ( 'q' === strtolower( $pair[0] ) ) {
+				if ( ! preg_match( '/^(0(\.\d{0,3})?|1(\.0{0,3})?)$/', $pair[1] ?? '' ) ) {
+					continue 2;
+				}
+				$q = (float) $pair[1];
+			}
+		}
+
+		$ranges[] = array(
+			'type'    => $match[1],
+			'subtype' => $match[2],
+			'q'       => $q,
+		);
+	}
+
+	return $ranges;
+}
+
+/**
+ * Quality the ranges give a media type: that of the most specific range
+ * matching it, or 0 when none does
+ */
+function sinople_accept_quality( $ranges, $media_type ) {
+	list( $type, $subtype ) = explode( '/', $media_type );
+	$best_specificity       = -1;
+	$quality                = 0.0;
+
+	foreach ( $ranges as $range ) {
+		if ( '*' === $range['type'] ) {
+			$specificity = 0;
+		} else {
+			$specificity = '*' === $range['subtype'] ? 1 : 2;
+		}
+		$matches = 0 === $specificity || ( $range['type'] === $type && ( 1 === $specificity || $range['subtype'] === $subtype ) );
+
+		if ( $matches && $specificity > $best_specificity ) {
+			$best_specificity = $specificity;
+			$quality          = $range['q'];
+		}
+	}
+
+	return $quality;
+}
+
+/**
+ * Representation to send for an Accept header
+ *
+ * The acceptable one with the highest quality, ties going to the earlier.
+ * Without an Accept header, or when none is acceptable, the first: a
+ * representation the client did not ask for is more use than 406.
+ *
+ * @param string|null $accept          Accept header.
+ * @param array[]     $representations In order of preference.
+ * @return array
+ */
+function sinople_negotiate( $accept, $representations ) {
+	$ranges = sinople_parse_accept( (string) $accept );
+	$chosen = $representations[0];
+	$best   = 0.0;
+
+	foreach ( $ranges ? $representations : array() as $representation ) {
+		$quality = sinople_accept_quality( $ranges, $representation['type'] );
+		if ( $quality > $best ) {
+			$chosen = $representation;
+			$best   = $quality;
+		}
+	}
+
+	return $chosen;
+}
+
+/**
+ * Which negotiable resource this request is for, if any
+ *
+ * @return string|null 'entry', 'feed' or null.
+ */
+function sinople_negotiated_resource() {
+	if ( is_singular() && ! get_query_var( 'format' ) && ! get_query_var( 'msgpack' ) && ! get_query_var( 'capnproto' ) && ! get_query_var( 'flatbuffers' ) ) {
+		return 'entry';
+	}
+
+	// The site feed at /feed/, not /feed/atom/ or a category's feed
+	if ( is_feed() && 'feed' === get_query_var( 'feed' ) && ! is_archive() && ! is_search() && ! is_comment_feed() ) {
+		return 'feed';
+	}
+
+	return null;
+}
+
+/**
+ * URL of a representation of the resource
+ *
+ * @param string $resource       'entry' or 'feed'.
+ * @param array  $representation From sinople_negotiation_rules().
+ */
+function sinople_representation_url( $resource, $representation ) {
+	if ( 'feed' === $resource ) {
+		return home_url( $representation['path'] );
+	}
+
+	$url = get_permalink( get_queried_object_id() );
+	if ( empty( $representation['query'] ) ) {
+		return $url;
+	}
+
+	parse_str( $representation['query'], $vars );
+	return add_query_arg( $vars, $url );
+}
+
+/**
+ * Headers of a negotiated response
+ *
+ * Vary: Accept, Link naming every other representation, and
+ * Content-Location when the representation sent has a URL of its own.
+ *
+ * @param string $resource 'entry' or 'feed'.
+ * @param array  $chosen   Representation sent.
+ * @return string[] Header lines.
+ */
+function sinople_negotiation_headers( $resource, $chosen ) {
+	$links = array();
+	foreach ( sinople_negotiation_rules()[ $resource ]['representations'] as $representation ) {
+		if ( $representation !== $chosen ) {
+			$links[] = sprintf( '<%s>; rel="alternate"; type="%s"', esc_url_raw( sinople_representation_url( $resource, $representation ) ), $representation['type'] );
+		}
+	}
+
+	$headers = array( 'Vary: Accept', 'Link: ' . implode( ', ', $links ) );
+	if ( 'feed' === $resource || ! empty( $chosen['query'] ) ) {
+		$headers[] = 'Content-Location: ' . esc_url_raw( sinople_representation_url( $resource, $chosen ) );
+	}
+
+	return $headers;
+}
+
+/**
+ * Negotiate entries and the site feed
+ *
+ * Runs once the query is parsed, before the format handlers on
+ * template_redirect.
+ */
+function sinople_negotiate_request() {
+	$resource = sinople_negotiated_resource();
+	if ( ! $resource ) {
+		return;
+	}
+
+	$accept = isset( $_SERVER['HTTP_ACCEPT'] ) ? sanitize_text_field( wp_unslash( $_SERVER['HTTP_ACCEPT'] ) ) : null;
+	$chosen = sinople_negotiate( $accept, sinople_negotiation_rules()[ $resource ]['representations'] );
+
+	parse_str( $chosen['query'] ?? '', $vars );
+	foreach ( $vars as $name => $value ) {
+		set_query_var( $name, $value );
+	}
+
+	foreach ( sinople_negotiation_headers( $resource, $chosen ) as $header ) {
+		header( $header, false );
+	}
+}
+add_action( 'wp', 'sinople_negotiate_request' );
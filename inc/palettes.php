@@ -0,0 +1,518 @@
+<?php
+/**
+ * Colour Palettes
+ *
+ * Named colour themes (light, dark, sepia, night, forest) and per-entry
+ * tints derived from an entry's colour term. Every palette passes
+ * through the contrast engine here, which adjusts text, link and border
+ * colours until they meet the WCAG AAA targets in
+ * sinople_contrast_targets(); high contrast strengthens whichever
+ * palette is in use rather than replacing it.
+ *
+ * Palettes are written out as custom properties keyed on the data-theme,
+ * data-contrast and data-entry-tint attributes that the reading
+ * preferences set on <html> (see Preferences.res).
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Named palettes
+ *
+ * Colours are starting points: sinople_accessible_palette() darkens or
+ * lightens any that fall short of their contrast target. Light and dark
+ * are the fog palette from assets/scss/base/_variables.scss.
+ *
+ * @return array Palettes keyed by theme name, each with a 'scheme'
+ *               (light or dark) and 'colors' keyed by role.
+ */
+function sinople_palettes() {
+	$roles = array( 'bg', 'bg-subtle', 'bg-muted', 'text', 'text-muted', 'text-subtle', 'border', 'border-subtle', 'accent', 'accent-hover', 'accent-light' );
+
+	$palettes = array(
+		'light'  => array( 'light', array( '#f5f7fa', '#e4e7eb', '#cbd2d9', '#323f4b', '#52606d', '#7b8794', '#cbd2d9', '#e4e7eb', '#4a9978', '#2f6b52', '#6ebd9f' ) ),
+		'dark'   => array( 'dark', array( '#323f4b', '#3e4c59', '#52606d', '#f5f7fa', '#cbd2d9', '#9aa5b1', '#52606d', '#3e4c59', '#6ebd9f', '#a3d9c2', '#2f6b52' ) ),
+		'sepia'  => array( 'light', array( '#f4ecd8', '#eadfc4', '#dccfae', '#3b2f1e', '#5b4a33', '#7a6548', '#b3a07a', '#e2d5b5', '#8a4b1f', '#6b3915', '#c08a5a' ) ),
+		'night'  => array( 'dark', array( '#0f1420', '#161d2d', '#1f2839', '#e6e9ef', '#b7bfcc', '#8a94a6', '#56627a', '#1f2839', '#8fb4ff', '#b3ccff', '#3a5a99' ) ),
+		'forest' => array( 'dark', array( '#14241c', '#1b2f25', '#243c30', '#e8f0e8', '#bfd3c4', '#93ab9a', '#4d6b58', '#243c30', '#8fd1a8', '#b5e3c5', '#2f6b52' ) ),
+	);
+
+	return array_map(
+		function ( $palette ) use ( $roles ) {
+			return array(
+				'scheme' => $palette[0],
+				'colors' => array_combine( $roles, $palette[1] ),
+			);
+		},
+		$palettes
+	);
+}
+
+/**
+ * Minimum contrast ratios, and the backgrounds each role is read on
+ *
+ * Normal contrast meets WCAG AAA: 7:1 for text and links, 4.5:1 for the
+ * subtle text used at large sizes and in metadata, and 3:1 for borders
+ * (1.4.11). High contrast raises every target.
+ *
+ * @param bool $high_contrast Targets for high contrast mode.
+ * @return array Ratio and background roles, keyed by foreground role.
+ */
+function sinople_contrast_targets( $high_contrast = false ) {
+	return array(
+		'text'         => array( $high_contrast ? 12 : 7, array( 'bg', 'bg-subtle', 'bg-muted' ) ),
+		'text-muted'   => array( $high_contrast ? 10 : 7, array( 'bg', 'bg-subtle' ) ),
+		'text-subtle'  => array( $high_contrast ? 7 : 4.5, array( 'bg', 'bg-subtle' ) ),
+		'accent'       => array( $high_contrast ? 10 : 7, array( 'bg' ) ),
+		'accent-hover' => array( $high_contrast ? 10 : 7, array( 'bg' ) ),
+		'border'       => array( $high_contrast ? 4.5 : 3, array( 'bg' ) ),
+	);
+}
+
+/**
+ * Parse a #rrggbb colour into sRGB channels from 0 to 1
+ */
+function sinople_hex_to_rgb( $hex ) {
+	$hex = ltrim( $hex, '#' );
+
+	return array(
+		hexdec( substr( $hex, 0, 2 ) ) / 255,
+		hexdec( substr( $hex, 2, 2 ) ) / 255,
+		hexdec( substr( $hex, 4, 2 ) ) / 255,
+	);
+}
+
+/**
+ * Format sRGB channels from 0 to 1 as #rrggbb
+ */
+function sinople_rgb_to_hex( $rgb ) {
+	return '#' . implode(
+		'',
+		array_map(
+			function ( $channel ) {
+				return sprintf( '%02x', (int) round( max( 0, min( 1, $channel ) ) * 255 ) );
+			},
+			$rgb
+		)
+	);
+}
+
+/**
+ * Relative luminance (WCAG 2.x)
+ */
+function sinople_relative_luminance( $hex ) {
+	$linear = array_map(
+		function ( $channel ) {
+			return $channel <= 0.04045 ? $channel / 12.92 : pow( ( $channel + 0.055 ) / 1.055, 2.4 );
+		},
+		sinople_hex_to_rgb( $hex )
+	);
+
+	return 0.2126 * $linear[0] + 0.7152 * $linear[1] + 0.0722 * $linear[2];
+}
+
+/**
+ * Contrast ratio between two colours, from 1 to 21 (WCAG 2.x)
+ */
+function sinople_contrast_ratio( $a, $b ) {
+	$lighter = max( sinople_relative_luminance( $a ), sinople_relative_luminance( $b ) );
+	$darker  = min( sinople_relative_luminance( $a ), sinople_relative_luminance( $b ) );
+
+	return ( $lighter + 0.05 ) / ( $darker + 0.05 );
+}
+
+/**
+ * Mix two colours: 0 is all $a, 1 is all $b
+ */
+function sinople_mix_colors( $a, $b, $amount ) {
+	$from = sinople_hex_to_rgb( $a );
+	$to   = sinople_hex_to_rgb( $b );
+
+	return sinople_rgb_to_hex(
+		array(
+			$from[0] + ( $to[0] - $from[0] ) * $amount,
+			$from[1] + ( $to[1] - $from[1] ) * $amount,
+			$from[2] + ( $to[2] - $from[2] ) * $amount,
+		)
+	);
+}
+
+/**
+ * Convert sRGB channels to hue, saturation and lightness, each 0 to 1
+ */
+function sinople_rgb_to_hsl( $rgb ) {
+	$max       = max( $rgb );
+	$min       = min( $rgb );
+	$lightness = ( $max + $min ) / 2;
+
+	if ( $max === $min ) {
+		return array( 0, 0, $lightness );
+	}
+
+	$delta      = $max - $min;
+	$saturation = $lightness > 0.5 ? $delta / ( 2 - $max - $min ) : $delta / ( $max + $min );
+
+	if ( $max === $rgb[0] ) {
+		$hue = ( $rgb[1] - $rgb[2] ) / $delta + ( $rgb[1] < $rgb[2] ? 6 : 0 );
+	} elseif ( $max === $rgb[1] ) {
+		$hue = ( $rgb[2] - $rgb[0] ) / $delta + 2;
+	} else {
+		$hue = ( $rgb[0] - $rgb[1] ) / $delta + 4;
+	}
+
+	return array( $hue / 6, $saturation, $lightness );
+}
+
+/**
+ * Convert hue, saturation and lightness (each 0 to 1) to sRGB channels
+ */
+function sinople_hsl_to_rgb( $hsl ) {
+	list( $hue, $saturation, $lightness ) = $hsl;
+
+	if ( 0 == $saturation ) { // phpcs:ignore Universal.Operators.StrictComparisons.LooseEqual -- int or float zero
+		return array( $lightness, $lightness, $lightness );
+	}
+
+	$q = $lightness < 0.5 ? $lightness * ( 1 + $saturation ) : $lightness + $saturation - $lightness * $saturation;
+	$p = 2 * $lightness - $q;
+
+	$channel = function ( $t ) use ( $p, $q ) {
+		$t = $t < 0 ? $t + 1 : ( $t > 1 ? $t - 1 : $t );
+		if ( $t < 1 / 6 ) {
+			return $p + ( $q - $p ) * 6 * $t;
+		}
+		if ( $t < 1 / 2 ) {
+			return $q;
+		}
+		if ( $t < 2 / 3 ) {
+			return $p + ( $q - $p ) * ( 2 / 3 - $t ) * 6;
+		}
+		return $p;
+	};
+
+	return array( $channel( $hue + 1 / 3 ), $channel( $hue ), $channel( $hue - 1 / 3 ) );
+}
+
+/**
+ * Lowest contrast of a colour against several backgrounds
+ */
+function sinople_lowest_contrast( $color, $backgrounds ) {
+	return min(
+		array_map(
+			function ( $background ) use ( $color ) {
+				return sinople_contrast_ratio( $color, $background );
+			},
+			$backgrounds
+		)
+	);
+}
+
+/**
+ * Darken or lighten a colour until it meets a contrast ratio
+ *
+ * Keeps the hue and saturation and moves lightness a percent at a time,
+ * toward black or white, whichever contrasts more with the backgrounds.
+ * Returns black or white if nothing in between is enough.
+ *
+ * @param string $color       Colour to adjust, #rrggbb.
+ * @param array  $backgrounds Colours it has to stand out against.
+ * @param float  $target      Minimum contrast ratio.
+ * @return string
+ */
+function sinople_ensure_contrast( $color, $backgrounds, $target ) {
+	if ( sinople_lowest_contrast( $color, $backgrounds ) >= $target ) {
+		return $color;
+	}
+
+	$darken = sinople_lowest_contrast( '#000000', $backgrounds ) > sinople_lowest_contrast( '#ffffff', $backgrounds );
+	$hsl    = sinople_rgb_to_hsl( sinople_hex_to_rgb( $color ) );
+
+	for ( $step = 1; $step <= 100; $step++ ) {
+		$lightness = max( 0, min( 1, $hsl[2] + ( $darken ? -$step : $step ) / 100 ) );
+		$candidate = sinople_rgb_to_hex( sinople_hsl_to_rgb( array( $hsl[0], $hsl[1], $lightness ) ) );
+
+		if ( sinople_lowest_contrast( $candidate, $backgrounds ) >= $target ) {
+			return $candidate;
+		}
+	}
+
+	return $darken ? '#000000' : '#ffffff';
+}
+
+/**
+ * Adjust a palette until every role meets its contrast target
+ *
+ * Backgrounds are first pushed far enough from the text's extreme
+ * (black or white) for the text target to be reachable at all, then
+ * each foreground is adjusted against its backgrounds.
+ *
+ * @param array $colors        Colours keyed by role.
+ * @param bool  $high_contrast Use the high contrast targets.
+ * @return array
+ */
+function sinople_accessible_palette( $colors, $high_contrast = false ) {
+	$targets = sinople_contrast_targets( $high_contrast );
+	$extreme = sinople_contrast_ratio( '#000000', $colors['bg'] ) > sinople_contrast_ratio( '#ffffff', $colors['bg'] ) ? '#000000' : '#ffffff';
+
+	foreach ( array( 'bg', 'bg-subtle', 'bg-muted' ) as $role ) {
+		$colors[ $role ] = sinople_ensure_contrast( $colors[ $role ], array( $extreme ), $targets['text'][0] );
+	}
+
+	foreach ( $targets as $role => $target ) {
+		$backgrounds     = array_map(
+			function ( $background ) use ( $colors ) {
+				return $colors[ $background ];
+			},
+			$target[1]
+		);
+		$colors[ $role ] = sinople_ensure_contrast( $colors[ $role ], $backgrounds, $target[0] );
+	}
+
+	return $colors;
+}
+
+/**
+ * High contrast version of a palette
+ *
+ * Backgrounds move most of the way to black (dark schemes) or white
+ * (light ones), keeping their hue, and the foregrounds are held to the
+ * high contrast targets.
+ *
+ * @param array  $colors Colours keyed by role.
+ * @param string $scheme light or dark.
+ * @return array
+ */
+function sinople_high_contrast_palette( $colors, $scheme ) {
+	$extreme = 'dark' === $scheme ? '#000000' : '#ffffff';
+
+	$colors['bg']        = sinople_mix_colors( $colors['bg'], $extreme, 0.6 );
+	$colors['bg-subtle'] = sinople_mix_colors( $colors['bg-subtle'], $extreme, 0.5 );
+	$colors['bg-muted']  = sinople_mix_colors( $colors['bg-muted'], $extreme, 0.4 );
+
+	return sinople_accessible_palette( $colors, true );
+}
+
+/**
+ * Pairs in a palette that miss their contrast target
+ *
+ * @param array $colors        Colours keyed by role.
+ * @param bool  $high_contrast Check against the high contrast targets.
+ * @return array Failures as "role on background (ratio:1)"; empty if
+ *               the palette passes.
+ */
+function sinople_palette_contrast_failures( $colors, $high_contrast = false ) {
+	$failures = array();
+
+	foreach ( sinople_contrast_targets( $high_contrast ) as $role => $target ) {
+		foreach ( $target[1] as $background ) {
+			$ratio = sinople_contrast_ratio( $colors[ $role ], $colors[ $background ] );
+			if ( $ratio < $target[0] ) {
+				$failures[] = sprintf( '%s on %s (%.2f:1)', $role, $background, $ratio );
+			}
+		}
+	}
+
+	return $failures;
+}
+
+/**
+ * Palette tinted with a term colour
+ *
+ * Backgrounds are the colour mixed mostly with white (light scheme) or
+ * black (dark scheme), text is the colour mixed mostly with the other
+ * extreme, and links use the colour itself, all then made accessible.
+ *
+ * @param string $color  Term colour, #rrggbb.
+ * @param string $scheme light or dark.
+ * @return array Colours keyed by role.
+ */
+function sinople_tint_palette( $color, $scheme ) {
+	$surface = 'dark' === $scheme ? '#000000' : '#ffffff';
+	$ink     = 'dark' === $scheme ? '#ffffff' : '#000000';
+
+	return sinople_accessible_palette(
+		array(
+			'bg'            => sinople_mix_colors( $color, $surface, 0.9 ),
+			'bg-subtle'     => sinople_mix_colors( $color, $surface, 0.82 ),
+			'bg-muted'      => sinople_mix_colors( $color, $surface, 0.72 ),
+			'text'          => sinople_mix_colors( $color, $ink, 0.85 ),
+			'text-muted'    => sinople_mix_colors( $color, $ink, 0.7 ),
+			'text-subtle'   => sinople_mix_colors( $color, $ink, 0.55 ),
+			'border'        => sinople_mix_colors( $color, $surface, 0.45 ),
+			'border-subtle' => sinople_mix_colors( $color, $surface, 0.65 ),
+			'accent'        => $color,
+			'accent-hover'  => sinople_mix_colors( $color, $ink, 0.3 ),
+			'accent-light'  => sinople_mix_colors( $color, $surface, 0.5 ),
+		)
+	);
+}
+
+/**
+ * CSS rule setting a palette's custom properties
+ *
+ * @param array  $selectors Selectors the rule applies to.
+ * @param array  $colors    Colours keyed by role.
+ * @param string $scheme    light or dark.
+ * @return string
+ */
+function sinople_palette_rule( $selectors, $colors, $scheme ) {
+	$declarations = array( 'color-scheme: ' . $scheme . ';' );
+	foreach ( $colors as $role => $color ) {
+		$declarations[] = '--color-' . $role . ': ' . $color . ';';
+	}
+
+	return implode( ', ', $selectors ) . ' { ' . implode( ' ', $declarations ) . ' }';
+}
+
+/**
+ * Selectors for a theme, narrowed by extra attribute selectors
+ *
+ * The light palette also covers pages with no data-theme (following
+ * the system); the dark one takes those over in a dark-scheme media
+ * query.
+ */
+function sinople_theme_selectors( $theme, $qualifier = '' ) {
+	$selectors = array( ':root' . $qualifier . '[data-theme="' . $theme . '"]' );
+
+	if ( 'light' === $theme ) {
+		$selectors[] = ':root' . $qualifier . ':not([data-theme])';
+	}
+
+	return $selectors;
+}
+
+/**
+ * CSS rules for one palette per theme
+ *
+ * @param array  $palettes  Colours keyed by theme name.
+ * @param string $qualifier Attribute selectors every rule requires.
+ * @return array
+ */
+function sinople_theme_rules( $palettes, $qualifier ) {
+	$schemes = wp_list_pluck( sinople_palettes(), 'scheme' );
+	$rules   = array();
+
+	foreach ( $palettes as $theme => $colors ) {
+		$rules[] = sinople_palette_rule( sinople_theme_selectors( $theme, $qualifier ), $colors, $schemes[ $theme ] );
+	}
+
+	if ( isset( $palettes['dark'] ) ) {
+		$rules[] = '@media (prefers-color-scheme: dark) { ' . sinople_palette_rule( array( ':root' . $qualifier . ':not([data-theme])' ), $palettes['dark'], 'dark' ) . ' }';
+	}
+
+	return $rules;
+}
+
+/**
+ * CSS for a set of palettes, one per theme, in normal and high contrast
+ *
+ * High contrast applies when the reader turns it on, or when the system
+ * asks for more contrast and the reader hasn't chosen.
+ *
+ * @param callable $palette_for Returns the colours for a theme name and
+ *                              scheme.
+ * @param string   $qualifier   Attribute selectors every rule requires.
+ * @return string
+ */
+function sinople_palettes_css( $palette_for, $qualifier = '' ) {
+	$normal = array();
+	$high   = array();
+
+	foreach ( sinople_palettes() as $theme => $palette ) {
+		$normal[ $theme ] = $palette_for( $theme, $palette['scheme'] );
+		$high[ $theme ]   = sinople_high_contrast_palette( $normal[ $theme ], $palette['scheme'] );
+	}
+
+	$rules   = sinople_theme_rules( $normal, $qualifier );
+	$rules   = array_merge( $rules, sinople_theme_rules( $high, $qualifier . '[data-contrast="high"]' ) );
+	$rules[] = '@media (prefers-contrast: more) { ' . implode( ' ', sinople_theme_rules( $high, $qualifier . ':not([data-contrast])' ) ) . ' }';
+
+	return implode( "\n", $rules );
+}
+
+/**
+ * Output the named palettes
+ */
+function sinople_palette_styles() {
+	$palettes = sinople_palettes();
+	$css      = sinople_palettes_css(
+		function ( $theme ) use ( $palettes ) {
+			return sinople_accessible_palette( $palettes[ $theme ]['colors'] );
+		}
+	);
+
+	echo '<style id="sinople-palettes" nonce="' . esc_attr( sinople_csp_nonce() ) . '">' . $css . '</style>' . "\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- built from fixed selectors and #rrggbb colours
+}
+add_action( 'wp_head', 'sinople_palette_styles', 20 );
+
+/**
+ * Colour an entry is tinted with: its first color term with a colour,
+ * else its first emotion term with one
+ *
+ * @return string|null #rrggbb, or null if no term has a colour.
+ */
+function sinople_entry_tint_color( $post_id = null ) {
+	$post_id = $post_id ? $post_id : get_the_ID();
+
+	foreach ( array( 'color', 'emotion' ) as $taxonomy ) {
+		$terms = get_the_terms( $post_id, $taxonomy );
+		if ( ! $terms || is_wp_error( $terms ) ) {
+			continue;
+		}
+
+		foreach ( $terms as $term ) {
+			$color = sanitize_hex_color( get_term_meta( $term->term_id, 'color_hex', true ) );
+			if ( $color && 7 === strlen( $color ) ) {
+				return strtolower( $color );
+			}
+		}
+	}
+
+	return null;
+}
+
+/**
+ * Output the entry's tinted palettes
+ *
+ * They apply only while the reader has entry tints switched on
+ * (data-entry-tint). Soft navigation swaps this <style> with the rest of
+ * the head, so each entry brings its own tint.
+ */
+function sinople_entry_tint_styles() {
+	if ( ! is_singular() ) {
+		return;
+	}
+
+	$color = sinople_entry_tint_color( get_queried_object_id() );
+	if ( ! $color ) {
+		return;
+	}
+
+	$tints = array(
+		'light' => sinople_tint_palette( $color, 'light' ),
+		'dark'  => sinople_tint_palette( $color, 'dark' ),
+	);
+
+	// Belt and braces: a tint that somehow misses a target isn't shown
+	foreach ( $tints as $scheme => $tint ) {
+		if ( sinople_palette_contrast_failures( $tint ) || sinople_palette_contrast_failures( sinople_high_contrast_palette( $tint, $scheme ), true ) ) {
+			return;
+		}
+	}
+
+	$css = sinople_palettes_css(
+		function ( $theme, $scheme ) use ( $tints ) {
+			return $tints[ $scheme ];
+		},
+		'[data-entry-tint]'
+	);
+
+	echo '<style id="sinople-entry-tint" nonce="' . esc_attr( sinople_csp_nonce() ) . '">' . $css . '</style>' . "\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- built from fixed selectors and #rrggbb colours
+}
+add_action( 'wp_head', 'sinople_entry_tint_styles', 21 );
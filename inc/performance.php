@@ -22,7 +22,7 @@ function sinople_inline_critical_css() {
 
 	if ( file_exists( $critical_css_file ) ) {
 		$critical_css = file_get_contents( $critical_css_file );
-		echo '<style id="critical-css">' . $critical_css . '</style>' . "\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+		echo '<style id="critical-css" nonce="' . esc_attr( sinople_csp_nonce() ) . '">' . $critical_css . '</style>' . "\n"; // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
 	}
 }
 add_action( 'wp_head', 'sinople_inline_critical_css', 1 );
@@ -144,6 +144,14 @@ function sinople_add_resource_hints( $urls, $relation_type ) {
 }
 add_filter( 'wp_resource_hints', 'sinople_add_resource_hints', 10, 2 );
 
+/**
+ * Mark the previous and next page links for prefetch once in view
+ */
+function sinople_prefetch_pagination( $output ) {
+	return preg_replace( '/<a class="(prev|next) page-numbers"/', '<a data-view-transition class="$1 page-numbers"', $output );
+}
+add_filter( 'paginate_links_output', 'sinople_prefetch_pagination' );
+
 /**
  * Optimize database queries
  */
@@ -161,7 +169,14 @@ add_action( 'init', 'sinople_optimize_queries' );
  * Add cache-control headers
  */
 function sinople_cache_headers() {
-	if ( is_admin() || is_user_logged_in() ) {
+	if ( is_admin() ) {
+		return;
+	}
+
+	// Pages for logged-in users carry the admin bar and nonces: keep them out
+	// of shared caches and the service worker's (sw.js isCacheable)
+	if ( is_user_logged_in() ) {
+		header( 'Cache-Control: private, no-cache' );
 		return;
 	}
 
@@ -247,12 +262,14 @@ add_filter( 'wp_calculate_image_srcset', 'sinople_webp_support', 10, 5 );
 
 /**
  * WASM-accelerated operations detection
+ *
+ * True once `deno task build:wasm` has written the wasm-bindgen output.
  */
 function sinople_wasm_available() {
 	static $wasm_available = null;
 
 	if ( null === $wasm_available ) {
-		$wasm_file = SINOPLE_PATH . '/assets/js/dist/sinople.wasm';
+		$wasm_file = SINOPLE_PATH . '/assets/js/dist/sinople_bg.wasm';
 		$wasm_available = file_exists( $wasm_file );
 	}
 
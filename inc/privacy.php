@@ -30,20 +30,37 @@ function sinople_set_partitioned_cookie( $name, $value, $expire = 0, $path = '/'
 
 	// Add Partitioned attribute (not yet in PHP setcookie, so we use header)
 	$cookie_string = sprintf(
-		'%s=%s; Expires=%s; Path=%s; Secure; HttpOnly; SameSite=None; Partitioned',
+		'%s=%s; Expires=%s; Path=%s; Secure;%s SameSite=None; Partitioned',
 		rawurlencode( $name ),
 		rawurlencode( $value ),
 		gmdate( 'D, d-M-Y H:i:s T', $expire ),
-		$path
+		$path,
+		$httponly ? ' HttpOnly;' : ''
 	);
 
 	header( "Set-Cookie: {$cookie_string}", false );
 }
 
+/**
+ * Check if the visitor's browser sends Global Privacy Control or Do Not
+ * Track
+ *
+ * Either one rules out analytics, whatever the consent cookie says.
+ * Consent.res checks the same signals in the browser.
+ */
+function sinople_opted_out_of_tracking() {
+	return ( isset( $_SERVER['HTTP_SEC_GPC'] ) && '1' === $_SERVER['HTTP_SEC_GPC'] ) ||
+		( isset( $_SERVER['HTTP_DNT'] ) && '1' === $_SERVER['HTTP_DNT'] );
+}
+
 /**
  * Check if user has given consent for feature
  */
 function sinople_has_consent( $feature ) {
+	if ( 'analytics' === $feature && sinople_opted_out_of_tracking() ) {
+		return false;
+	}
+
 	// Check for consent cookie
 	$consent = isset( $_COOKIE['sinople_consent'] ) ? json_decode( stripslashes( $_COOKIE['sinople_consent'] ), true ) : array();
 
@@ -61,7 +78,7 @@ function sinople_set_consent() {
 	}
 
 	$consent = array(
-		'analytics'       => isset( $_POST['consent_analytics'] ) && $_POST['consent_analytics'] === '1',
+		'analytics'       => isset( $_POST['consent_analytics'] ) && $_POST['consent_analytics'] === '1' && ! sinople_opted_out_of_tracking(),
 		'external_fonts'  => isset( $_POST['consent_fonts'] ) && $_POST['consent_fonts'] === '1',
 		'external_media'  => isset( $_POST['consent_media'] ) && $_POST['consent_media'] === '1',
 		'webmentions'     => isset( $_POST['consent_webmentions'] ) && $_POST['consent_webmentions'] === '1',
@@ -82,27 +99,132 @@ function sinople_set_consent() {
 add_action( 'wp_ajax_sinople_set_consent', 'sinople_set_consent' );
 add_action( 'wp_ajax_nopriv_sinople_set_consent', 'sinople_set_consent' );
 
+/**
+ * Origins external media may be embedded from
+ *
+ * Only these are allowed by the CSP frame-src, and only embeds from them
+ * are loaded once the reader consents (see Consent.res).
+ *
+ * @return array Origins, e.g. https://player.vimeo.com.
+ */
+function sinople_consent_embed_origins() {
+	return apply_filters(
+		'sinople_consent_embed_origins',
+		array(
+			'https://www.youtube-nocookie.com',
+			'https://www.youtube.com',
+			'https://player.vimeo.com',
+		)
+	);
+}
+
+/**
+ * Mark iframes from the allowed embed origins credentialless
+ *
+ * As Consent.res does for the ones it activates: without the attribute
+ * they are blocked by the theme's Cross-Origin-Embedder-Policy.
+ */
+function sinople_credentialless_embeds( $content ) {
+	return preg_replace_callback(
+		'/<iframe\b([^>]*)>/i',
+		function ( $matches ) {
+			$attributes = wp_kses_hair( $matches[1], array( 'http', 'https' ) );
+			$src        = $attributes['src']['value'] ?? '';
+			$origin     = 'https://' . wp_parse_url( $src, PHP_URL_HOST );
+
+			if ( isset( $attributes['credentialless'] ) || 'https' !== wp_parse_url( $src, PHP_URL_SCHEME ) || ! in_array( $origin, sinople_consent_embed_origins(), true ) ) {
+				return $matches[0];
+			}
+
+			return '<iframe credentialless' . $matches[1] . '>';
+		},
+		$content
+	);
+}
+
 /**
  * Remove external resources without consent
+ *
+ * Each iframe becomes a placeholder carrying its source and size, which
+ * Consent.res turns back into the iframe once external media is allowed.
+ * With consent, the iframes are kept and marked credentialless.
  */
 function sinople_privacy_first_embeds( $content ) {
-	if ( ! sinople_has_consent( 'external_media' ) ) {
-		// Replace embeds with privacy-preserving placeholders
-		$content = preg_replace(
-			'/<iframe[^>]*src=["\']([^"\']+)["\'][^>]*>/i',
-			'<div class="privacy-embed" data-src="$1"><p>' .
-			esc_html__( 'This content requires your consent to load external media.', 'sinople' ) .
-			' <button class="consent-btn" data-feature="external_media">' .
-			esc_html__( 'Load content', 'sinople' ) .
-			'</button></p></div>',
-			$content
-		);
+	if ( sinople_has_consent( 'external_media' ) ) {
+		return sinople_credentialless_embeds( $content );
 	}
 
-	return $content;
+	return preg_replace_callback(
+		'/<iframe\b([^>]*)>.*?<\/iframe>/is',
+		function ( $matches ) {
+			$attributes = array();
+			foreach ( wp_kses_hair( $matches[1], array( 'http', 'https' ) ) as $name => $attribute ) {
+				$attributes[ $name ] = $attribute['value'];
+			}
+
+			if ( empty( $attributes['src'] ) ) {
+				return '';
+			}
+
+			$data = array( 'data-consent="external_media"', 'data-src="' . esc_url( $attributes['src'] ) . '"' );
+			foreach ( array( 'title', 'width', 'height', 'allow' ) as $name ) {
+				if ( isset( $attributes[ $name ] ) ) {
+					$data[] = 'data-' . $name . '="' . esc_attr( $attributes[ $name ] ) . '"';
+				}
+			}
+
+			return '<div class="privacy-embed" ' . implode( ' ', $data ) . '><p>' .
+				esc_html__( 'This content requires your consent to load external media.', 'sinople' ) .
+				' <button type="button" class="consent-btn" data-feature="external_media">' .
+				esc_html__( 'Load content', 'sinople' ) .
+				'</button></p></div>';
+		},
+		$content
+	);
 }
 add_filter( 'the_content', 'sinople_privacy_first_embeds' );
 
+/**
+ * Stylesheet for external fonts, loaded only with consent
+ *
+ * Empty (the default) means the theme's own fonts only.
+ */
+function sinople_external_fonts_url() {
+	return apply_filters( 'sinople_external_fonts_url', get_theme_mod( 'sinople_external_fonts_url', '' ) );
+}
+
+/**
+ * Origins the external fonts stylesheet loads its font files from
+ *
+ * Google Fonts serves the files from another host than the stylesheet;
+ * other services are taken to serve both from one origin. Filterable with
+ * `sinople_external_font_origins` for services that do otherwise.
+ *
+ * @return array Origins, e.g. https://fonts.gstatic.com.
+ */
+function sinople_external_font_origins() {
+	$url = sinople_external_fonts_url();
+	if ( ! $url ) {
+		return array();
+	}
+
+	$origin = wp_parse_url( $url, PHP_URL_SCHEME ) . '://' . wp_parse_url( $url, PHP_URL_HOST );
+	$files  = 'https://fonts.googleapis.com' === $origin ? 'https://fonts.gstatic.com' : $origin;
+
+	return apply_filters( 'sinople_external_font_origins', array( $files ), $url );
+}
+
+/**
+ * Output the external fonts stylesheet
+ */
+function sinople_google_fonts() {
+	$url = sinople_external_fonts_url();
+	if ( $url ) {
+		printf( '<link rel="stylesheet" id="sinople-external-fonts" href="%s" crossorigin="anonymous">' . "\n", esc_url( $url ) );
+	}
+}
+add_action( 'wp_head', 'sinople_google_fonts', 5 );
+
 /**
  * Remove Google Fonts without consent
  */
@@ -114,6 +236,32 @@ function sinople_privacy_fonts() {
 }
 add_action( 'wp_head', 'sinople_privacy_fonts', 1 );
 
+/**
+ * Allow the consented embeds and fonts in the CSP
+ *
+ * The policy is fixed when the page loads, but consent can be given
+ * afterwards, so the origins are allowed up front; Consent.res loads
+ * nothing from them until the reader agrees.
+ */
+function sinople_consent_csp( $directives ) {
+	$embeds       = sinople_consent_embed_origins();
+	$fonts        = sinople_external_fonts_url();
+	$font_origins = sinople_external_font_origins();
+
+	foreach ( $directives as $index => $directive ) {
+		if ( $embeds && 0 === strpos( $directive, 'frame-src ' ) ) {
+			$directives[ $index ] = 'frame-src ' . implode( ' ', array_map( 'esc_url_raw', $embeds ) );
+		} elseif ( $fonts && 0 === strpos( $directive, 'style-src ' ) ) {
+			$directives[ $index ] .= ' ' . wp_parse_url( $fonts, PHP_URL_SCHEME ) . '://' . wp_parse_url( $fonts, PHP_URL_HOST );
+		} elseif ( $font_origins && 0 === strpos( $directive, 'font-src ' ) ) {
+			$directives[ $index ] .= ' ' . implode( ' ', array_map( 'esc_url_raw', $font_origins ) );
+		}
+	}
+
+	return $directives;
+}
+add_filter( 'sinople_csp_directives', 'sinople_consent_csp' );
+
 /**
  * Add privacy-related headers
  */
@@ -144,10 +292,14 @@ function sinople_privacy_policy_link() {
 
 /**
  * Add consent management UI
+ *
+ * A non-modal dialog, shown as a manual popover where supported so it
+ * sits above the page (see Dialog.res). Consent.res shows it until the
+ * reader makes a choice, and again from the privacy settings button.
  */
 function sinople_consent_ui() {
 	?>
-	<div id="consent-banner" class="consent-banner" role="dialog" aria-labelledby="consent-title" aria-describedby="consent-description" hidden>
+	<div id="consent-banner" class="consent-banner" role="dialog" aria-labelledby="consent-title" aria-describedby="consent-description" popover="manual" hidden>
 		<div class="consent-content">
 			<h2 id="consent-title"><?php esc_html_e( 'Privacy & Consent', 'sinople' ); ?></h2>
 			<p id="consent-description">
@@ -158,9 +310,12 @@ function sinople_consent_ui() {
 				<?php wp_nonce_field( 'sinople_consent', 'sinople_consent_nonce' ); ?>
 
 				<label>
-					<input type="checkbox" name="consent_analytics" value="1">
+					<input type="checkbox" name="consent_analytics" value="1" aria-describedby="consent-opt-out">
 					<?php esc_html_e( 'Anonymous analytics', 'sinople' ); ?>
 				</label>
+				<p id="consent-opt-out" class="consent-opt-out" hidden>
+					<?php esc_html_e( 'Your browser asks sites not to track you, so analytics stay off.', 'sinople' ); ?>
+				</p>
 
 				<label>
 					<input type="checkbox" name="consent_fonts" value="1">
@@ -188,6 +343,7 @@ function sinople_consent_ui() {
 						<?php esc_html_e( 'Reject All', 'sinople' ); ?>
 					</button>
 				</div>
+				<p id="consent-status" class="consent-status" role="status" aria-live="polite"></p>
 			</form>
 		</div>
 	</div>
@@ -195,6 +351,18 @@ function sinople_consent_ui() {
 }
 add_action( 'wp_footer', 'sinople_consent_ui' );
 
+/**
+ * Output the privacy settings button, which reopens the consent banner
+ *
+ * Hidden until Consent.res takes it over, as it needs JavaScript.
+ */
+function sinople_privacy_settings_button() {
+	printf(
+		'<button type="button" class="privacy-settings-link" aria-controls="consent-banner" aria-expanded="false" data-consent-open hidden>%s</button>',
+		esc_html__( 'Privacy settings', 'sinople' )
+	);
+}
+
 /**
  * Remove WordPress version and generator tags for privacy
  */
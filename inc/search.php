@@ -0,0 +1,67 @@
+<?php
+/**
+ * Instant Search
+ *
+ * The client builds its own search index from the NDJSON feed, so
+ * searching entries needs no round trip. This file provides the feed
+ * URL it indexes and the search dialog markup.
+ *
+ * @package Sinople
+ * @since 0.1.0
+ */
+
+// Prevent direct access
+if ( ! defined( 'ABSPATH' ) ) {
+	exit;
+}
+
+/**
+ * Post types included in the client search index
+ */
+function sinople_search_post_types() {
+	return apply_filters( 'sinople_search_post_types', array( 'post', 'field_note', 'construct', 'gloss', 'portal' ) );
+}
+
+/**
+ * Get the NDJSON feed URL the search index is built from
+ */
+function sinople_search_feed_url() {
+	return add_query_arg( 'ndjson_types', implode( ',', sinople_search_post_types() ), sinople_ndjson_feed_url() );
+}
+
+/**
+ * Output the search dialog
+ *
+ * Opened with the header search button or the `/` key, as a modal
+ * <dialog> managed by Dialog.res (focus trap, Escape, returning focus).
+ * The form still submits a normal WordPress search before the index is
+ * ready or without JavaScript.
+ */
+function sinople_search_dialog() {
+	?>
+	<dialog id="search-dialog" class="search-dialog" aria-labelledby="search-dialog-title">
+		<div class="search-dialog-inner">
+			<h2 id="search-dialog-title" class="screen-reader-text"><?php esc_html_e( 'Search the journal', 'sinople' ); ?></h2>
+			<form role="search" method="get" class="search-dialog-form" action="<?php echo esc_url( home_url( '/' ) ); ?>">
+				<label for="search-dialog-input" class="screen-reader-text"><?php esc_html_e( 'Search for:', 'sinople' ); ?></label>
+				<input
+					type="search"
+					id="search-dialog-input"
+					class="search-dialog-input"
+					name="s"
+					autocomplete="off"
+					aria-controls="search-dialog-results"
+					aria-describedby="search-dialog-status"
+					placeholder="<?php esc_attr_e( 'Search entries, emotions, motifs…', 'sinople' ); ?>"
+				>
+				<button type="button" class="search-dialog-close" data-search-close aria-label="<?php esc_attr_e( 'Close search', 'sinople' ); ?>">
+					<span aria-hidden="true">×</span>
+				</button>
+			</form>
+			<p id="search-dialog-status" class="search-dialog-status" role="status" aria-live="polite"></p>
+			<ul id="search-dialog-results" class="search-dialog-results"></ul>
+		</div>
+	</dialog>
+	<?php
+}
+add_action( 'wp_footer', 'sinople_search_dialog' );
@@ -26,26 +26,8 @@ function sinople_security_headers() {
 	// Strict-Transport-Security (HSTS)
 	header( 'Strict-Transport-Security: max-age=63072000; includeSubDomains; preload' );
 
-	// Content-Security-Policy (Strict)
-	$csp_directives = array(
-		"default-src 'self'",
-		"script-src 'self' 'wasm-unsafe-eval'", // WASM requires wasm-unsafe-eval
-		"style-src 'self' 'unsafe-inline'", // WordPress requires inline styles
-		"img-src 'self' data: https:",
-		"font-src 'self' data:",
-		"connect-src 'self'",
-		"media-src 'self'",
-		"object-src 'none'",
-		"frame-src 'none'",
-		"base-uri 'self'",
-		"form-action 'self'",
-		"frame-ancestors 'none'",
-		"upgrade-insecure-requests",
-		"block-all-mixed-content",
-	);
-
-	$csp = implode( '; ', apply_filters( 'sinople_csp_directives', $csp_directives ) );
-	header( "Content-Security-Policy: {$csp}" );
+	// Content-Security-Policy (see inc/csp.php)
+	header( sinople_csp_header_name() . ': ' . sinople_content_security_policy() );
 
 	// X-Frame-Options (Defense in depth)
 	header( 'X-Frame-Options: SAMEORIGIN' );
@@ -104,14 +86,17 @@ function sinople_security_headers() {
 		header( 'NEL: {"report_to":"default","max_age":31536000,"include_subdomains":true}' );
 	}
 
-	// Report-To header for CSP violation reporting
+	// Where CSP violations are reported (report-to csp in the policy)
 	if ( get_theme_mod( 'sinople_csp_reporting', false ) ) {
+		header( 'Reporting-Endpoints: csp="' . esc_url_raw( sinople_csp_report_url() ) . '"' );
+
+		// Report-To for browsers without Reporting-Endpoints, and the NEL group
 		$report_to = wp_json_encode(
 			array(
 				'group'     => 'default',
 				'max_age'   => 31536000,
 				'endpoints' => array(
-					array( 'url' => home_url( '/csp-report/' ) ),
+					array( 'url' => sinople_csp_report_url() ),
 				),
 			)
 		);
@@ -168,26 +153,6 @@ function sinople_disable_embeds() {
 }
 add_action( 'init', 'sinople_disable_embeds' );
 
-/**
- * Add nonce to inline scripts (CSP compatibility)
- */
-function sinople_add_csp_nonce( $tag, $handle ) {
-	// Generate nonce for inline scripts
-	static $nonce;
-	if ( ! $nonce ) {
-		$nonce = base64_encode( random_bytes( 16 ) );
-	}
-
-	// Add nonce to inline scripts
-	if ( strpos( $tag, '<script' ) === 0 && strpos( $tag, 'src=' ) === false ) {
-		$tag = str_replace( '<script', '<script nonce="' . esc_attr( $nonce ) . '"', $tag );
-	}
-
-	return $tag;
-}
-// Uncomment when strict CSP nonce is needed:
-// add_filter( 'script_loader_tag', 'sinople_add_csp_nonce', 10, 2 );
-
 /**
  * Sanitize file uploads
  */
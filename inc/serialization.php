@@ -22,16 +22,54 @@ function sinople_ndjson_feed_url() {
 }
 
 /**
- * Generate NDJSON feed
+ * Get NDJSON Server-Sent Events stream URL
  */
-function sinople_generate_ndjson_feed() {
-	if ( ! get_query_var( 'ndjson' ) ) {
-		return;
+function sinople_ndjson_stream_url() {
+	return home_url( '/feed/ndjson/stream/' );
+}
+
+/**
+ * An entry as the NDJSON feed and MessagePack serialize it
+ *
+ * @param WP_Post $post Post.
+ * @return array
+ */
+function sinople_serialized_entry( $post ) {
+	$entry = array(
+		'id'             => get_permalink( $post->ID ),
+		'type'           => 'post',
+		'title'          => get_the_title( $post->ID ),
+		'content'        => apply_filters( 'the_content', $post->post_content ),
+		'excerpt'        => get_the_excerpt( $post->ID ),
+		'author'         => array(
+			'name' => get_the_author_meta( 'display_name', $post->post_author ),
+			'url'  => get_author_posts_url( $post->post_author ),
+		),
+		'published'      => get_the_date( 'c', $post->ID ),
+		'modified'       => get_the_modified_date( 'c', $post->ID ),
+		'url'            => get_permalink( $post->ID ),
+		'categories'     => wp_get_post_categories( $post->ID, array( 'fields' => 'names' ) ),
+		'tags'           => wp_get_post_tags( $post->ID, array( 'fields' => 'names' ) ),
+	);
+
+	// Add thumbnail if available
+	if ( has_post_thumbnail( $post->ID ) ) {
+		$entry['image'] = array(
+			'url'    => get_the_post_thumbnail_url( $post->ID, 'full' ),
+			'width'  => get_post_thumbnail_id( $post->ID ) ? wp_get_attachment_metadata( get_post_thumbnail_id( $post->ID ) )['width'] : null,
+			'height' => get_post_thumbnail_id( $post->ID ) ? wp_get_attachment_metadata( get_post_thumbnail_id( $post->ID ) )['height'] : null,
+		);
 	}
 
-	header( 'Content-Type: application/x-ndjson; charset=' . get_bloginfo( 'charset' ) );
-	header( 'Cache-Control: public, max-age=600' );
+	return $entry;
+}
 
+/**
+ * Latest entries for the NDJSON feed and the MessagePack feed
+ *
+ * @return array[]
+ */
+function sinople_serialized_entries() {
 	$posts = get_posts(
 		array(
 			'posts_per_page' => get_theme_mod( 'sinople_ndjson_limit', 100 ),
@@ -41,33 +79,21 @@ function sinople_generate_ndjson_feed() {
 		)
 	);
 
-	foreach ( $posts as $post ) {
-		$entry = array(
-			'id'             => get_permalink( $post->ID ),
-			'type'           => 'post',
-			'title'          => get_the_title( $post->ID ),
-			'content'        => apply_filters( 'the_content', $post->post_content ),
-			'excerpt'        => get_the_excerpt( $post->ID ),
-			'author'         => array(
-				'name' => get_the_author_meta( 'display_name', $post->post_author ),
-				'url'  => get_author_posts_url( $post->post_author ),
-			),
-			'published'      => get_the_date( 'c', $post->ID ),
-			'modified'       => get_the_modified_date( 'c', $post->ID ),
-			'url'            => get_permalink( $post->ID ),
-			'categories'     => wp_get_post_categories( $post->ID, array( 'fields' => 'names' ) ),
-			'tags'           => wp_get_post_tags( $post->ID, array( 'fields' => 'names' ) ),
-		);
+	return array_map( 'sinople_serialized_entry', $posts );
+}
 
-		// Add thumbnail if available
-		if ( has_post_thumbnail( $post->ID ) ) {
-			$entry['image'] = array(
-				'url'    => get_the_post_thumbnail_url( $post->ID, 'full' ),
-				'width'  => get_post_thumbnail_id( $post->ID ) ? wp_get_attachment_metadata( get_post_thumbnail_id( $post->ID ) )['width'] : null,
-				'height' => get_post_thumbnail_id( $post->ID ) ? wp_get_attachment_metadata( get_post_thumbnail_id( $post->ID ) )['height'] : null,
-			);
-		}
+/**
+ * Generate NDJSON feed
+ */
+function sinople_generate_ndjson_feed() {
+	if ( ! get_query_var( 'ndjson' ) ) {
+		return;
+	}
 
+	header( 'Content-Type: application/x-ndjson; charset=' . get_bloginfo( 'charset' ) );
+	header( 'Cache-Control: public, max-age=600' );
+
+	foreach ( sinople_serialized_entries() as $entry ) {
 		// Output as single-line JSON
 		echo wp_json_encode( $entry, JSON_UNESCAPED_SLASHES | JSON_UNESCAPED_UNICODE ) . "\n";
 	}
@@ -257,6 +283,36 @@ function sinople_msgpack_decode( $data ) {
 	return msgpack_unpack( $data );
 }
 
+/**
+ * Serve MessagePack (?msgpack=1 and /feed/msgpack/): an entry, or the
+ * latest entries as the NDJSON feed has them
+ *
+ * Content negotiation offers it only where the msgpack extension is
+ * loaded (see inc/negotiation.php).
+ */
+function sinople_generate_msgpack() {
+	if ( ! get_query_var( 'msgpack' ) || ! function_exists( 'msgpack_pack' ) ) {
+		return;
+	}
+
+	$data = is_singular() ? sinople_serialized_entry( get_queried_object() ) : sinople_serialized_entries();
+
+	header( 'Content-Type: application/msgpack' );
+	header( 'Cache-Control: public, max-age=600' );
+
+	echo sinople_msgpack_encode( $data ); // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped -- binary MessagePack
+	exit;
+}
+add_action( 'template_redirect', 'sinople_generate_msgpack' );
+
+/**
+ * Add rewrite rule for the MessagePack feed
+ */
+function sinople_msgpack_rewrite() {
+	add_rewrite_rule( '^feed/msgpack/?$', 'index.php?msgpack=1', 'top' );
+}
+add_action( 'init', 'sinople_msgpack_rewrite' );
+
 /**
  * Add serialization format query var
  */
@@ -268,23 +324,3 @@ function sinople_serialization_query_vars( $vars ) {
 	return $vars;
 }
 add_filter( 'query_vars', 'sinople_serialization_query_vars' );
-
-/**
- * Content negotiation for format selection
- */
-function sinople_content_negotiation() {
-	if ( ! isset( $_SERVER['HTTP_ACCEPT'] ) ) {
-		return;
-	}
-
-	$accept = sanitize_text_field( wp_unslash( $_SERVER['HTTP_ACCEPT'] ) );
-
-	if ( strpos( $accept, 'application/x-ndjson' ) !== false ) {
-		set_query_var( 'ndjson', '1' );
-	} elseif ( strpos( $accept, 'application/x-capnproto' ) !== false ) {
-		set_query_var( 'capnproto', '1' );
-	} elseif ( strpos( $accept, 'application/x-msgpack' ) !== false ) {
-		set_query_var( 'msgpack', '1' );
-	}
-}
-add_action( 'parse_request', 'sinople_content_negotiation' );
@@ -190,6 +190,117 @@ function sinople_register_portals() {
 }
 add_action( 'init', 'sinople_register_portals' );
 
+/**
+ * Portal trust levels and the rel tokens each adds to the link
+ *
+ * See docs/PORTALS.md. Mirrored by WebComponents.trustRel.
+ *
+ * @return array<string, array{label: string, rel: string[]}>
+ */
+function sinople_portal_trust_levels() {
+	return array(
+		'trusted'   => array(
+			'label' => __( 'Trusted', 'sinople' ),
+			'rel'   => array(),
+		),
+		'unvetted'  => array(
+			'label' => __( 'Unvetted', 'sinople' ),
+			'rel'   => array( 'nofollow' ),
+		),
+		'sponsored' => array(
+			'label' => __( 'Sponsored', 'sinople' ),
+			'rel'   => array( 'sponsored', 'nofollow' ),
+		),
+		'ugc'       => array(
+			'label' => __( 'Submitted by a reader', 'sinople' ),
+			'rel'   => array( 'ugc', 'nofollow' ),
+		),
+	);
+}
+
+/**
+ * Relationships a portal may declare in rel (XFN, plus author and license)
+ *
+ * @return string[]
+ */
+function sinople_portal_rel_values() {
+	return array( 'me', 'author', 'friend', 'acquaintance', 'contact', 'met', 'colleague', 'co-worker', 'muse', 'license' );
+}
+
+/**
+ * Keep only http(s) URLs
+ *
+ * @param mixed $value Submitted URL.
+ * @return string
+ */
+function sinople_sanitize_portal_url( $value ) {
+	return is_string( $value ) ? esc_url_raw( trim( $value ), array( 'http', 'https' ) ) : '';
+}
+
+/**
+ * Keep only known relationships, once each
+ *
+ * @param mixed $value Space-separated rel tokens.
+ * @return string
+ */
+function sinople_sanitize_portal_rel( $value ) {
+	if ( ! is_string( $value ) ) {
+		return '';
+	}
+
+	$tokens = preg_split( '/\s+/', strtolower( $value ), -1, PREG_SPLIT_NO_EMPTY );
+
+	return implode( ' ', array_values( array_unique( array_intersect( $tokens, sinople_portal_rel_values() ) ) ) );
+}
+
+/**
+ * Keep only a known trust level
+ *
+ * @param mixed $value Trust level key.
+ * @return string
+ */
+function sinople_sanitize_portal_trust( $value ) {
+	return is_string( $value ) && isset( sinople_portal_trust_levels()[ $value ] ) ? $value : '';
+}
+
+/**
+ * Register the link preview fields portals store
+ *
+ * Filled in by hand (custom fields or the REST API); the theme never
+ * fetches the linked page. <sinople-portal slug="..."> reads them.
+ */
+function sinople_register_portal_meta() {
+	$fields = array(
+		'sinople_portal_url'          => array( 'string', 'sinople_sanitize_portal_url', __( 'Address the portal leads to', 'sinople' ) ),
+		'sinople_portal_site_name'    => array( 'string', 'sanitize_text_field', __( 'Name of the linked site', 'sinople' ) ),
+		'sinople_portal_favicon'      => array( 'string', 'sinople_sanitize_portal_url', __( 'Icon stored on this site', 'sinople' ) ),
+		'sinople_portal_archive_url'  => array( 'string', 'sinople_sanitize_portal_url', __( 'Archived snapshot of the page', 'sinople' ) ),
+		'sinople_portal_reading_time' => array( 'integer', 'absint', __( 'Reading time in minutes', 'sinople' ) ),
+		'sinople_portal_rel'          => array( 'string', 'sinople_sanitize_portal_rel', __( 'Relationship to the linked site', 'sinople' ) ),
+		'sinople_portal_trust'        => array( 'string', 'sinople_sanitize_portal_trust', __( 'Trust level', 'sinople' ) ),
+	);
+
+	foreach ( $fields as $key => $field ) {
+		list( $type, $sanitize, $description ) = $field;
+
+		register_post_meta(
+			'portal',
+			$key,
+			array(
+				'type'              => $type,
+				'description'       => $description,
+				'single'            => true,
+				'show_in_rest'      => true,
+				'sanitize_callback' => $sanitize,
+				'auth_callback'     => function ( $allowed, $meta_key, $post_id ) {
+					return current_user_can( 'edit_post', $post_id );
+				},
+			)
+		);
+	}
+}
+add_action( 'init', 'sinople_register_portal_meta' );
+
 /**
  * Get span type for current post
  */
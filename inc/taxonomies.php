@@ -227,3 +227,43 @@ function sinople_save_taxonomy_fields( $term_id ) {
 }
 add_action( 'edited_color', 'sinople_save_taxonomy_fields' );
 add_action( 'edited_emotion', 'sinople_save_taxonomy_fields' );
+
+/**
+ * Output colour chips for an entry's color and emotion terms
+ *
+ * Terms without a hex colour are left out. Each chip carries its term ID,
+ * which names it for view transitions between the archive card and the
+ * entry page (see ViewTransitions.nameEntry).
+ */
+function sinople_term_chips( $post_id = null ) {
+	$post_id = $post_id ? $post_id : get_the_ID();
+	$chips   = array();
+
+	foreach ( array( 'color', 'emotion' ) as $taxonomy ) {
+		$terms = get_the_terms( $post_id, $taxonomy );
+		if ( ! $terms || is_wp_error( $terms ) ) {
+			continue;
+		}
+
+		foreach ( $terms as $term ) {
+			$color_hex = sanitize_hex_color( get_term_meta( $term->term_id, 'color_hex', true ) );
+			if ( $color_hex ) {
+				$chips[] = sprintf(
+					'<li><a class="term-chip" href="%1$s" rel="tag" data-term-id="%2$d" style="--term-color: %3$s">%4$s</a></li>',
+					esc_url( get_term_link( $term ) ),
+					(int) $term->term_id,
+					esc_attr( $color_hex ),
+					esc_html( $term->name )
+				);
+			}
+		}
+	}
+
+	if ( $chips ) {
+		printf(
+			'<ul class="term-chips" aria-label="%1$s">%2$s</ul>',
+			esc_attr__( 'Colours and emotions', 'sinople' ),
+			implode( '', $chips ) // phpcs:ignore WordPress.Security.EscapeOutput.OutputNotEscaped
+		);
+	}
+}
@@ -47,6 +47,9 @@ get_header();
 				<?php endif; ?>
 			</header>
 			<?php
+			if ( function_exists( 'sinople_live_entries_banner' ) ) :
+				sinople_live_entries_banner();
+			endif;
 		endif;
 
 		// Start the Loop
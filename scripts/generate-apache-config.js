@@ -0,0 +1,298 @@
+#!/usr/bin/env -S deno run --allow-read --allow-write --allow-env
+
+/**
+ * Generate Apache configuration: a virtual host and an .htaccess file
+ *
+ * The vhost holds what only the server config may set (TLS, PHP-FPM,
+ * rate limits); everything that works per directory is in the .htaccess,
+ * so shared hosting without vhost access still gets the headers, caching,
+ * rewrites and denies. Both render the shared model in server-config.js,
+ * for the settings profile given with --profile (prod by default); --check
+ * shows a diff against config/ instead of writing.
+ *
+ * @module
+ */
+
+import {
+  cacheControl,
+  PHP_POLICY_HEADERS,
+  profileFileName,
+  quoted,
+  runGenerator,
+  sizeInBytes,
+} from "./server-config.js";
+
+/**
+ * Escape a literal for a mod_rewrite or FilesMatch regex
+ */
+function regexLiteral(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+function indent(lines, depth) {
+  return lines.map((line) => (line === "" ? line : "    ".repeat(depth) + line)).join("\n");
+}
+
+/**
+ * Interval of a rate limit in seconds
+ */
+function seconds(limit) {
+  return limit.per === "minute" ? 60 : 1;
+}
+
+/**
+ * ap_expr condition holding when PHP sent no policy, enforced or report-only
+ */
+function withoutPhpPolicy() {
+  return PHP_POLICY_HEADERS.map((header) => `-z resp('${header}')`).join(" && ");
+}
+
+function cachingRules(config) {
+  return config.caching.flatMap((rule) => [
+    `<FilesMatch "\\.(${rule.extensions.join("|")})$">`,
+    `    Header always set Cache-Control ${quoted(cacheControl(rule))}`,
+    ...(rule.vary ? [`    Header always merge Vary ${quoted(rule.vary)}`] : []),
+    "</FilesMatch>",
+  ]);
+}
+
+function contentTypes(config) {
+  return config.caching
+    .filter((rule) => rule.contentType)
+    .map((rule) => `AddType ${rule.contentType} ${rule.extensions.map((extension) => `.${extension}`).join(" ")}`);
+}
+
+function hiddenRule(config) {
+  const allowed = config.denied.allowHidden.map((path) => regexLiteral(path.replace(/^\/\./, "")));
+  return config.denied.hidden
+    ? [
+      "# Deny access to hidden files",
+      `RewriteRule (^|/)\\.${allowed.length > 0 ? `(?!${allowed.join("|")})` : ""} - [F]`,
+      "",
+    ]
+    : [];
+}
+
+function rewriteRules(config) {
+  return config.rewrites.flatMap((rewrite) => [
+    "RewriteCond %{REQUEST_FILENAME} !-f",
+    `RewriteRule ^${regexLiteral(rewrite.path.slice(1))}$ index.php?${rewrite.query} [L,QSA]`,
+  ]);
+}
+
+/**
+ * Render the .htaccess for the WordPress root
+ */
+export function renderHtaccess(config) {
+  return `# Apache configuration for Sinople theme (.htaccess in the WordPress root)
+# Auto-generated by scripts/generate-apache-config.js - do not edit manually
+#
+# TLS, PHP-FPM and rate limits are in the virtual host (apache-vhost.conf).
+
+# Security headers
+<IfModule mod_headers.c>
+${indent(config.headers.map(([name, value]) => `Header always set ${name} ${quoted(value)}`), 1)}
+    Header always unset X-Powered-By
+
+    # Content-Security-Policy for responses PHP sent none with, in either
+    # mode (not "always", as PHP's headers are in the other table)
+    Header set ${config.csp.header} ${quoted(config.csp.policy)} ${quoted(`expr=${withoutPhpPolicy()}`)}
+${config.csp.reportingEndpoints ? `    Header always set Reporting-Endpoints ${quoted(config.csp.reportingEndpoints)}
+` : ""}
+    # Let the theme's service worker control the whole site
+    <If "%{REQUEST_URI} =~ m#${config.serviceWorker.pattern}#">
+        Header always set Service-Worker-Allowed ${quoted(config.serviceWorker.allowed)}
+    </If>
+</IfModule>
+
+# Cache static assets aggressively
+<IfModule mod_headers.c>
+${indent(cachingRules(config), 1)}
+</IfModule>
+
+${contentTypes(config).join("\n")}
+
+# Deny access to sensitive files
+<FilesMatch "^(${config.denied.files.map(regexLiteral).join("|")})$">
+    Require all denied
+</FilesMatch>
+
+<IfModule mod_rewrite.c>
+    RewriteEngine On
+    RewriteBase /
+
+${indent(hiddenRule(config), 1)}
+    # Health check. Apache cannot answer with a body of its own, so this is
+    # 204 No Content; probes only look at the status.
+    RewriteRule ^${regexLiteral(config.health.path.slice(1))}$ - [R=204,L]
+
+    # Theme endpoints
+${indent(rewriteRules(config), 1)}
+</IfModule>
+
+# BEGIN WordPress
+<IfModule mod_rewrite.c>
+RewriteEngine On
+RewriteBase /
+RewriteRule ^index\\.php$ - [L]
+RewriteCond %{REQUEST_FILENAME} !-f
+RewriteCond %{REQUEST_FILENAME} !-d
+RewriteRule . /index.php [L]
+</IfModule>
+# END WordPress
+`;
+}
+
+/**
+ * Rate limits in the vhost
+ *
+ * Apache has no per-client request rate limit of its own. mod_evasive,
+ * where loaded, enforces the site-wide zones; it cannot tell PHP or login
+ * requests apart, so the narrower zones are listed but not enforced.
+ */
+function rateLimits(config) {
+  const site = config.rateLimits.filter((limit) => limit.scope === "site");
+  const others = config.rateLimits.filter((limit) => limit.scope !== "site");
+
+  return [
+    "# Rate limiting",
+    ...others.map((limit) =>
+      `# Not enforced by Apache: ${limit.zone} zone, ${limit.requests} requests per ${limit.per} (${limit.scope})`
+    ),
+    "<IfModule mod_evasive20.c>",
+    ...site.flatMap((limit) => [
+      `    DOSSiteCount ${limit.requests + limit.burst}`,
+      `    DOSSiteInterval ${seconds(limit)}`,
+    ]),
+    "    DOSBlockingPeriod 10",
+    "</IfModule>",
+  ];
+}
+
+/**
+ * ServerName and, for further names, ServerAlias
+ */
+function serverNames(config) {
+  const [name, ...aliases] = config.serverNames;
+  return [`ServerName ${name}`, ...(aliases.length > 0 ? [`ServerAlias ${aliases.join(" ")}`] : [])];
+}
+
+/**
+ * mod_proxy_fcgi address of a PHP-FPM upstream (host:port or unix:/path)
+ */
+function fcgiUrl(upstream) {
+  return upstream.startsWith("unix:") ? `${upstream}|fcgi://localhost` : `fcgi://${upstream}`;
+}
+
+/**
+ * PHP-FPM handler, balanced by mod_proxy_balancer over several upstreams
+ */
+function phpHandler(config) {
+  if (config.upstreams.length === 1) {
+    return [
+      "# PHP handling",
+      '<FilesMatch "\\.php$">',
+      `    SetHandler "proxy:${fcgiUrl(config.upstreams[0])}"`,
+      "</FilesMatch>",
+    ];
+  }
+  return [
+    "# PHP handling, balanced over the PHP-FPM upstreams",
+    '<Proxy "balancer://php-fpm">',
+    ...config.upstreams.map((upstream) => `    BalancerMember "${fcgiUrl(upstream)}"`),
+    "</Proxy>",
+    '<FilesMatch "\\.php$">',
+    '    SetHandler "proxy:balancer://php-fpm"',
+    "</FilesMatch>",
+  ];
+}
+
+/**
+ * Render the virtual hosts: the HTTP redirect and the HTTPS site
+ */
+export function renderApacheVhost(config) {
+  const { tls } = config;
+  const modules = [
+    "mod_ssl",
+    "mod_headers",
+    "mod_rewrite",
+    "mod_proxy_fcgi",
+    ...(config.upstreams.length > 1 ? ["mod_proxy_balancer", "mod_lbmethod_byrequests"] : []),
+    ...(tls.http2 ? ["mod_http2"] : []),
+  ];
+
+  return `# Apache virtual hosts for Sinople theme (${config.profile} profile)
+# Auto-generated by scripts/generate-apache-config.js - do not edit manually
+#
+# Needs ${modules.slice(0, -1).join(", ")} and ${modules.at(-1)}.
+# Headers, caching, rewrites and denies are in the generated .htaccess,
+# which goes in ${config.root}.${tls.http3 ? "\n# HTTP/3 was requested, but Apache does not support it." : ""}
+
+ServerTokens Prod
+ServerSignature Off
+
+# SSL/TLS configuration
+SSLProtocol -all ${tls.protocols.map((protocol) => `+${protocol}`).join(" ")}
+SSLCipherSuite ${tls.ciphers.join(":")}
+SSLHonorCipherOrder on
+SSLSessionTickets off
+SSLUseStapling on
+SSLStaplingCache "shmcb:logs/ssl_stapling(32768)"
+
+# HTTP to HTTPS redirect
+<VirtualHost *:80>
+${indent(serverNames(config), 1)}
+
+    # ACME challenge for Let's Encrypt
+    Alias /.well-known/acme-challenge/ ${config.acmeRoot}/.well-known/acme-challenge/
+    <Directory ${config.acmeRoot}>
+        Require all granted
+    </Directory>
+
+    RewriteEngine On
+    RewriteCond %{REQUEST_URI} !^/\\.well-known/acme-challenge/
+    RewriteRule ^ https://%{SERVER_NAME}%{REQUEST_URI} [R=301,L]
+</VirtualHost>
+
+# HTTPS server
+<VirtualHost *:443>
+${indent(serverNames(config), 1)}
+    DocumentRoot ${config.root}
+    DirectoryIndex index.php index.html
+    LimitRequestBody ${sizeInBytes(config.clientMaxBodySize)}
+${tls.http2 ? "    Protocols h2 http/1.1\n" : ""}
+    # SSL certificates
+    SSLEngine on
+    SSLCertificateFile ${tls.certificate}
+    SSLCertificateKeyFile ${tls.key}
+
+    <Directory ${config.root}>
+        AllowOverride All
+        Require all granted
+    </Directory>
+
+${indent(phpHandler(config), 1)}
+
+${indent(rateLimits(config), 1)}
+</VirtualHost>
+`;
+}
+
+/**
+ * Render the files for a profile
+ */
+export function renderApacheFiles(config) {
+  return {
+    [profileFileName("apache-vhost.conf", config.profile)]: renderApacheVhost(config),
+    [profileFileName("apache.htaccess", config.profile)]: renderHtaccess(config),
+  };
+}
+
+async function main() {
+  Deno.exit(await runGenerator(renderApacheFiles));
+}
+
+// Run main
+if (import.meta.main) {
+  main();
+}
@@ -0,0 +1,250 @@
+#!/usr/bin/env -S deno run --allow-read --allow-write --allow-env
+
+/**
+ * Generate a Caddyfile
+ *
+ * Renders the shared model in server-config.js, like the nginx and Apache
+ * generators. Caddy redirects HTTP to HTTPS and answers ACME challenges by
+ * itself; rate limits need a Caddy built with the caddy-ratelimit plugin.
+ * Renders the settings profile given with --profile (prod by default);
+ * --check shows a diff against config/ instead of writing.
+ *
+ * @module
+ */
+
+import {
+  cacheControl,
+  PHP_POLICY_HEADERS,
+  profileFileName,
+  quoted,
+  runGenerator,
+} from "./server-config.js";
+
+/** Caddy (Go) names of the OpenSSL cipher suites the model lists */
+export const CADDY_CIPHERS = {
+  "ECDHE-ECDSA-AES256-GCM-SHA384": "TLS_ECDHE_ECDSA_WITH_AES_256_GCM_SHA384",
+  "ECDHE-RSA-AES256-GCM-SHA384": "TLS_ECDHE_RSA_WITH_AES_256_GCM_SHA384",
+  "ECDHE-ECDSA-CHACHA20-POLY1305": "TLS_ECDHE_ECDSA_WITH_CHACHA20_POLY1305_SHA256",
+  "ECDHE-RSA-CHACHA20-POLY1305": "TLS_ECDHE_RSA_WITH_CHACHA20_POLY1305_SHA256",
+  "ECDHE-ECDSA-AES128-GCM-SHA256": "TLS_ECDHE_ECDSA_WITH_AES_128_GCM_SHA256",
+  "ECDHE-RSA-AES128-GCM-SHA256": "TLS_ECDHE_RSA_WITH_AES_128_GCM_SHA256",
+};
+
+function indent(lines, depth) {
+  return lines.map((line) => (line === "" ? line : "\t".repeat(depth) + line)).join("\n");
+}
+
+function cipherName(cipher) {
+  const name = CADDY_CIPHERS[cipher];
+  if (!name) {
+    throw new Error(`No Caddy name for cipher suite ${cipher}`);
+  }
+  return name;
+}
+
+/**
+ * Request matchers for a rate-limit scope, any one of which puts a request
+ * in the zone; each request counts against one zone only
+ *
+ * nginx limits PHP requests in the location that runs index.php, which its
+ * try_files sends anything that is neither a file nor a directory to.
+ * rate_limit runs before php_fastcgi rewrites those, so the php scope takes
+ * them by that test rather than by path, bar the health check answered here.
+ */
+function scopeMatchers(config, scope) {
+  const onDisk = "file {path} {path}/";
+  switch (scope) {
+    case "login":
+      return [["path /wp-login.php"]];
+    case "php":
+      return [
+        ["path *.php", "not path /wp-login.php"],
+        [`not ${onDisk}`, `not path ${config.health.path}`],
+      ];
+    default:
+      return [
+        ["not path *.php", onDisk],
+        [`path ${config.health.path}`],
+      ];
+  }
+}
+
+/**
+ * Rate-limit zones
+ *
+ * caddy-ratelimit counts events in a sliding window and has no burst; the
+ * window holds the rate's requests. A zone takes requests matching any of
+ * its match blocks.
+ */
+function rateLimits(config) {
+  return [
+    "# Rate limiting",
+    "rate_limit {",
+    ...config.rateLimits.flatMap((limit) => [
+      `\tzone ${limit.zone} {`,
+      ...scopeMatchers(config, limit.scope).flatMap((matchers) => [
+        "\t\tmatch {",
+        ...matchers.map((matcher) => `\t\t\t${matcher}`),
+        "\t\t}",
+      ]),
+      "\t\tkey {remote_host}",
+      `\t\tevents ${limit.requests}`,
+      `\t\twindow ${limit.per === "minute" ? "1m" : "1s"}`,
+      "\t}",
+    ]),
+    "}",
+  ];
+}
+
+function deniedPaths(config) {
+  const { denied } = config;
+  return [
+    ...(denied.hidden
+      ? [
+        "# Deny access to hidden files",
+        "@hidden {",
+        "\tpath */.*",
+        ...denied.allowHidden.map((path) => `\tnot path ${path}*`),
+        "}",
+        "respond @hidden 403",
+        "",
+      ]
+      : []),
+    "# Deny access to sensitive files",
+    `@sensitive path ${denied.files.map((file) => `*/${file}`).join(" ")}`,
+    "respond @sensitive 403",
+  ];
+}
+
+function cachingHeaders(config) {
+  return config.caching.flatMap((rule, index) => {
+    const matcher = `@static${index}`;
+    return [
+      `${matcher} path ${rule.extensions.map((extension) => `*.${extension}`).join(" ")}`,
+      `header ${matcher} Cache-Control ${quoted(cacheControl(rule))}`,
+      ...(rule.vary ? [`header ${matcher} Vary ${quoted(rule.vary)}`] : []),
+      ...(rule.contentType ? [`header ${matcher} Content-Type ${quoted(rule.contentType)}`] : []),
+      "",
+    ];
+  });
+}
+
+function rewrites(config) {
+  return config.rewrites.flatMap((rewrite) => {
+    const matcher = "@" + rewrite.path.slice(1).replace(/[^a-z0-9]+/gi, "_");
+    return [
+      `${matcher} {`,
+      `\tpath ${rewrite.path}`,
+      "\tnot file",
+      "}",
+      `rewrite ${matcher} /index.php?${rewrite.query}`,
+      "",
+    ];
+  });
+}
+
+/**
+ * Caddy address of a PHP-FPM upstream (host:port, or unix//path for a socket)
+ */
+function upstreamAddress(upstream) {
+  return upstream.startsWith("unix:") ? `unix/${upstream.slice("unix:".length)}` : upstream;
+}
+
+/**
+ * Request body limit in Caddy's units; nginx's k, M and G are binary
+ */
+function bodySize(size) {
+  const units = { k: "KiB", m: "MiB", g: "GiB" };
+  const unit = size.slice(-1).toLowerCase();
+  return unit in units ? size.slice(0, -1) + units[unit] : size;
+}
+
+/**
+ * Render the Caddyfile
+ */
+export function renderCaddyfile(config) {
+  const { tls } = config;
+  const protocols = ["h1", ...(tls.http2 ? ["h2"] : []), ...(tls.http3 ? ["h3"] : [])];
+
+  return `# Caddyfile for Sinople theme (${config.profile} profile)
+# Auto-generated by scripts/generate-caddy-config.js - do not edit manually
+#
+# Rate limits need Caddy built with the caddy-ratelimit plugin:
+#   xcaddy build --with github.com/mholt/caddy-ratelimit
+
+{
+	order rate_limit before basic_auth
+	servers {
+		protocols ${protocols.join(" ")}
+	}
+}
+
+${config.serverNames.join(", ")} {
+	root * ${config.root}
+	encode zstd gzip
+
+	request_body {
+		max_size ${bodySize(config.clientMaxBodySize)}
+	}
+
+	# SSL certificates
+	tls ${tls.certificate} ${tls.key} {
+		protocols ${tls.protocols.map((protocol) => protocol.replace("TLSv", "tls")).join(" ")}
+		ciphers ${tls.ciphers.map(cipherName).join(" ")}
+	}
+
+	# Security headers
+	header {
+${indent(config.headers.map(([name, value]) => `${name} ${quoted(value)}`), 2)}
+		-Server
+		-X-Powered-By
+${config.csp.reportingEndpoints ? `		Reporting-Endpoints ${quoted(config.csp.reportingEndpoints)}
+` : ""}	}
+
+	# Content-Security-Policy for responses PHP sent none with, in either mode
+	header {
+		${config.csp.header} ${quoted(config.csp.policy)}
+		match {
+${indent(PHP_POLICY_HEADERS.map((header) => `header !${header}`), 3)}
+		}
+	}
+
+${indent(rateLimits(config), 1)}
+
+${indent(deniedPaths(config), 1)}
+
+	# Cache static assets aggressively
+${indent(cachingHeaders(config), 1)}
+	# Let the theme's service worker control the whole site
+	@serviceWorker path_regexp ${config.serviceWorker.pattern}
+	header @serviceWorker Service-Worker-Allowed ${quoted(config.serviceWorker.allowed)}
+
+	# Theme endpoints
+${indent(rewrites(config), 1)}
+	# Health check
+	respond ${config.health.path} ${quoted(config.health.body.trim())} 200
+
+	# PHP handling and WordPress permalinks
+	php_fastcgi ${config.upstreams.map(upstreamAddress).join(" ")}
+	file_server
+}
+`;
+}
+
+/**
+ * Render the files for a profile
+ */
+export function renderCaddyFiles(config) {
+  return {
+    [profileFileName("Caddyfile", config.profile)]: renderCaddyfile(config),
+  };
+}
+
+async function main() {
+  Deno.exit(await runGenerator(renderCaddyFiles));
+}
+
+// Run main
+if (import.meta.main) {
+  main();
+}
@@ -0,0 +1,205 @@
+#!/usr/bin/env -S deno run --allow-read --allow-write
+
+/**
+ * Hash the theme's inline scripts and styles for the Content-Security-Policy
+ *
+ * Scans the PHP templates for inline <script> and <style> blocks and
+ * writes the SHA-256 hash of each static one to csp-hashes.json, which
+ * inc/csp.php adds to the policy; the server config generators scan the
+ * same way for theirs. Blocks whose content PHP fills in cannot be hashed
+ * ahead of time and must carry the per-request nonce
+ * (`nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>"`); those that
+ * do not are reported, as browsers will block them. So are script and
+ * style elements the ReScript modules create without stamping the nonce.
+ *
+ * @module
+ */
+
+import { dirname, join, relative, SEPARATOR } from "@std/path";
+import { exists, walk } from "@std/fs";
+
+/** Directories (relative to the theme root) whose PHP files print markup; the root's own files are scanned too */
+export const TEMPLATE_DIRS = ["inc", "templates"];
+
+/** ReScript sources (relative to the theme root), whose modules create elements at runtime */
+export const SCRIPT_SOURCES_DIR = "assets/rescript/src";
+
+/** Hashes file, in the theme root where inc/csp.php reads it */
+export const HASHES_FILE = "csp-hashes.json";
+
+/** Script types the browser runs, and so the policy governs; data blocks (JSON-LD, text/plain) are left alone */
+const SCRIPT_TYPES = new Set(["", "text/javascript", "application/javascript", "module", "speculationrules"]);
+
+const PHP_TAG = /<\?(?:php\b|=)[\s\S]*?(?:\?>|$)/g;
+const INLINE_BLOCK = /<(script|style)\b([^>]*)>([\s\S]*?)<\/\1\s*>/gi;
+const PRINTED_TAG = /<(script|style)(?=[\s>])[^\n]*/gi;
+const COMMENT_LINE = /^\s*(\*|\/\/|\/\*|#)/;
+const CREATED_ELEMENT = /createElement\(\s*['"](script|style)['"]\s*\)|Document\.make\([^()]*"(script|style)"\)/g;
+const STAMPS_NONCE = /\.nonce\s*=|setNonce|withPageNonce|setAttribute\(\s*['"]nonce['"]/;
+const TOP_LEVEL_BINDING = /^(?:let|and) /gm;
+
+/** Stands in for each character of PHP code, keeping offsets and line numbers */
+const MASK = "\u0000";
+
+function lineAt(text, index) {
+  return text.slice(0, index).split("\n").length;
+}
+
+function governed(element, attributes) {
+  const type = /\btype\s*=\s*["']?([^"'\s>]*)/i.exec(attributes)?.[1].toLowerCase() ?? "";
+  return element === "script" ? SCRIPT_TYPES.has(type) : type === "" || type === "text/css";
+}
+
+/**
+ * Inline script and style blocks in a PHP template
+ *
+ * Each is `{element, line, content, dynamic, nonce}`: `dynamic` when PHP
+ * prints or fills in any of its content, `nonce` when its opening tag
+ * asks for the nonce. Blocks the policy does not govern are left out.
+ */
+export function findInlineBlocks(source) {
+  const hide = (text) => text.replace(/[^\n]/g, MASK);
+  const masked = source.replace(PHP_TAG, hide).replace(/<!--[\s\S]*?-->/g, hide);
+  const blocks = [];
+
+  for (const match of masked.matchAll(INLINE_BLOCK)) {
+    const [, element, attributes, content] = match;
+    if (!governed(element.toLowerCase(), attributes)) {
+      continue;
+    }
+    const attributesStart = match.index + 1 + element.length;
+    blocks.push({
+      element: element.toLowerCase(),
+      line: lineAt(source, match.index),
+      content,
+      dynamic: content.includes(MASK),
+      nonce: source.slice(attributesStart, attributesStart + attributes.length).includes("sinople_csp_nonce"),
+    });
+  }
+
+  // Tags printed from PHP code, which the masking hid
+  for (const code of source.matchAll(PHP_TAG)) {
+    for (const tag of code[0].matchAll(PRINTED_TAG)) {
+      const lineStart = code[0].lastIndexOf("\n", tag.index) + 1;
+      if (COMMENT_LINE.test(code[0].slice(lineStart, tag.index)) || !governed(tag[1].toLowerCase(), tag[0])) {
+        continue;
+      }
+      blocks.push({
+        element: tag[1].toLowerCase(),
+        line: lineAt(source, code.index + tag.index),
+        content: null,
+        dynamic: true,
+        nonce: tag[0].includes("sinople_csp_nonce"),
+      });
+    }
+  }
+
+  return blocks.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Script and style elements a ReScript module creates
+ *
+ * Each is `{element, line, content, dynamic, nonce}` like an inline block;
+ * their content is never known ahead, so only the nonce lets them through.
+ * `nonce` when the top-level binding creating one also stamps the nonce.
+ */
+export function findCreatedBlocks(source) {
+  const bindings = [...source.matchAll(TOP_LEVEL_BINDING)].map((match) => match.index);
+  return [...source.matchAll(CREATED_ELEMENT)].map((match) => {
+    const start = bindings.findLast((index) => index <= match.index) ?? 0;
+    const end = bindings.find((index) => index > match.index) ?? source.length;
+    return {
+      element: match[1] ?? match[2],
+      line: lineAt(source, match.index),
+      content: null,
+      dynamic: true,
+      nonce: STAMPS_NONCE.test(source.slice(start, end)),
+    };
+  });
+}
+
+/**
+ * CSP hash source for an inline block's content, as the browser computes it
+ */
+export async function cspHash(content) {
+  const bytes = new TextEncoder().encode(content.replaceAll("\r\n", "\n"));
+  const digest = new Uint8Array(await crypto.subtle.digest("SHA-256", bytes));
+  return `'sha256-${btoa(String.fromCharCode(...digest))}'`;
+}
+
+/**
+ * Scan the theme's templates, and the ReScript modules for the elements
+ * they create
+ *
+ * Returns the sorted, distinct hashes of the static scripts and styles,
+ * and every block found with its file (relative to the theme root) and,
+ * for static ones, its hash.
+ */
+export async function scanTheme(themeRoot) {
+  const files = [];
+  for await (const entry of Deno.readDir(themeRoot)) {
+    if (entry.isFile && entry.name.endsWith(".php")) {
+      files.push(join(themeRoot, entry.name));
+    }
+  }
+  for (const dir of TEMPLATE_DIRS) {
+    const absolute = join(themeRoot, dir);
+    if (await exists(absolute)) {
+      for await (const entry of walk(absolute, { includeDirs: false, exts: [".php"] })) {
+        files.push(entry.path);
+      }
+    }
+  }
+
+  const blocks = [];
+  for (const path of files.sort()) {
+    const file = relative(themeRoot, path).split(SEPARATOR).join("/");
+    for (const block of findInlineBlocks(await Deno.readTextFile(path))) {
+      blocks.push({ ...block, file, hash: block.dynamic ? null : await cspHash(block.content) });
+    }
+  }
+
+  const sources = join(themeRoot, SCRIPT_SOURCES_DIR);
+  if (await exists(sources)) {
+    for await (const entry of walk(sources, { includeDirs: false, exts: [".res"] })) {
+      const file = relative(themeRoot, entry.path).split(SEPARATOR).join("/");
+      for (const block of findCreatedBlocks(await Deno.readTextFile(entry.path))) {
+        blocks.push({ ...block, file, hash: null });
+      }
+    }
+  }
+
+  const hashes = (element) =>
+    [...new Set(blocks.filter((block) => block.element === element && block.hash).map((block) => block.hash))].sort();
+
+  return { scripts: hashes("script"), styles: hashes("style"), blocks };
+}
+
+/**
+ * Blocks that neither a hash nor the nonce lets through
+ */
+export function unallowedBlocks(scan) {
+  return scan.blocks.filter((block) => block.dynamic && !block.nonce);
+}
+
+async function main() {
+  const scriptDir = dirname(new URL(import.meta.url).pathname);
+  const themeRoot = join(scriptDir, "..");
+
+  const scan = await scanTheme(themeRoot);
+  const hashesPath = join(themeRoot, HASHES_FILE);
+  await Deno.writeTextFile(hashesPath, JSON.stringify({ scripts: scan.scripts, styles: scan.styles }, null, 2) + "\n");
+
+  console.log(`✓ CSP hashes generated: ${hashesPath} (${scan.scripts.length} scripts, ${scan.styles.length} styles)`);
+
+  for (const block of unallowedBlocks(scan)) {
+    const source = block.file.endsWith(".res") ? "created at runtime" : "filled in by PHP";
+    console.warn(`⚠ ${block.file}:${block.line}: inline <${block.element}> is ${source} and has no nonce`);
+  }
+}
+
+// Run main
+if (import.meta.main) {
+  main();
+}
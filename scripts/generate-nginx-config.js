@@ -4,23 +4,156 @@
  * Generate optimized Nginx configuration
  * with security headers and caching rules
  *
+ * Renders the shared model in server-config.js; the Apache and Caddy
+ * generators render the same one. Writes nginx-<profile>.conf for the
+ * settings profile given with --profile (prod by default), linted with
+ * lint-nginx-config.js first; --check shows a diff against config/ instead.
+ *
  * @module
  */
 
-import { join, dirname } from "@std/path";
-import { ensureDir } from "@std/fs";
+import { cacheControl, PHP_POLICY_HEADERS, quoted, runGenerator } from "./server-config.js";
+import { lintNginx } from "./lint-nginx-config.js";
 
-const config = {
-  serverName: Deno.env.get("SERVER_NAME") || "localhost",
-  sslCert: Deno.env.get("SSL_CERT") || "/etc/nginx/ssl/cert.pem",
-  sslKey: Deno.env.get("SSL_KEY") || "/etc/nginx/ssl/key.pem",
-  enableHTTP2: Deno.env.get("ENABLE_HTTP2") !== "false",
-  enableHTTP3: Deno.env.get("ENABLE_HTTP3") === "true",
-};
+/** Where nginx-<profile>.conf expects the security headers file */
+export const SECURITY_HEADERS_PATH = "/etc/nginx/security-headers.conf";
 
-const nginxConfig = `
-# Nginx configuration for Sinople theme (production)
-# Auto-generated - do not edit manually
+/**
+ * Escape a literal for an nginx regex location
+ */
+function regexLiteral(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+}
+
+/**
+ * Indent a block of lines to sit inside `depth` levels of braces
+ */
+function indent(lines, depth) {
+  return lines.map((line) => (line === "" ? line : "    ".repeat(depth) + line)).join("\n");
+}
+
+/**
+ * Rate as nginx writes it: requests per second or per minute
+ */
+function rate(limit) {
+  return `${limit.requests}r/${limit.per === "minute" ? "m" : "s"}`;
+}
+
+function limitReq(config, scope) {
+  return config.rateLimits
+    .filter((limit) => limit.scope === scope)
+    .map((limit) => `limit_req zone=${limit.zone}${limit.burst > 0 ? ` burst=${limit.burst} nodelay` : ""};`);
+}
+
+/**
+ * Variable holding the upstream's value of a response header
+ */
+function upstreamHeader(name) {
+  return `$upstream_http_${name.toLowerCase().replaceAll("-", "_")}`;
+}
+
+/**
+ * Headers added at server level, and again in every location that adds
+ * headers of its own as those inherit none
+ *
+ * The policy varies by profile, so it is set here rather than in the
+ * shared security-headers.conf; $csp_policy is empty when PHP sent one,
+ * enforced or report-only.
+ * $service_worker_allowed is empty, and so not sent, except for the
+ * service worker.
+ */
+function responseHeaders(config) {
+  const { csp } = config;
+  return [
+    `include ${SECURITY_HEADERS_PATH};`,
+    `add_header ${csp.header} $csp_policy always;`,
+    "add_header Service-Worker-Allowed $service_worker_allowed always;",
+    ...(csp.reportingEndpoints ? [`add_header Reporting-Endpoints ${quoted(csp.reportingEndpoints)} always;`] : []),
+    ...(config.tls.http3 ? [`add_header Alt-Svc 'h3=":443"; ma=86400' always;`] : []),
+  ];
+}
+
+/**
+ * FastCGI handling shared by the PHP and wp-login.php locations
+ */
+function phpHandler() {
+  return [
+    "try_files $uri =404;",
+    "fastcgi_split_path_info ^(.+\\.php)(/.+)$;",
+    "fastcgi_pass php_fpm;",
+    "fastcgi_index index.php;",
+    "include fastcgi_params;",
+    "fastcgi_param SCRIPT_FILENAME $document_root$fastcgi_script_name;",
+    "fastcgi_param PATH_INFO $fastcgi_path_info;",
+    "fastcgi_param HTTPS on;",
+    "",
+    "fastcgi_hide_header X-Powered-By;",
+    "fastcgi_buffer_size 128k;",
+    "fastcgi_buffers 4 256k;",
+    "fastcgi_busy_buffers_size 256k;",
+    "fastcgi_read_timeout 300;",
+  ];
+}
+
+/**
+ * Static-asset locations
+ *
+ * add_header in a location drops every add_header inherited from the
+ * server block, so each one repeats the server's headers.
+ */
+function cachingLocations(config) {
+  return config.caching.flatMap((rule) => [
+    `location ~* \\.(${rule.extensions.join("|")})$ {`,
+    ...responseHeaders(config).map((line) => `    ${line}`),
+    `    add_header Cache-Control ${quoted(cacheControl(rule))} always;`,
+    ...(rule.vary ? [`    add_header Vary ${quoted(rule.vary)} always;`] : []),
+    ...(rule.contentType ? [`    types { ${rule.contentType} ${rule.extensions.join(" ")}; }`] : []),
+    "    access_log off;",
+    "}",
+    "",
+  ]);
+}
+
+function deniedLocations(config) {
+  const { denied } = config;
+  const allowed = denied.allowHidden.map((path) => regexLiteral(path.replace(/^\/\./, "")));
+  return [
+    ...(denied.hidden
+      ? [
+        "# Deny access to hidden files",
+        `location ~ /\\.${allowed.length > 0 ? `(?!${allowed.join("|")})` : ""} {`,
+        "    deny all;",
+        "    access_log off;",
+        "    log_not_found off;",
+        "}",
+        "",
+      ]
+      : []),
+    "# Deny access to sensitive files",
+    `location ~* /(${denied.files.map(regexLiteral).join("|")})$ {`,
+    "    deny all;",
+    "}",
+  ];
+}
+
+function rewriteLocations(config) {
+  return config.rewrites.flatMap((rewrite) => [
+    `location = ${rewrite.path} {`,
+    `    try_files $uri /index.php?${rewrite.query};`,
+    "}",
+    "",
+  ]);
+}
+
+/**
+ * Render nginx-<profile>.conf
+ */
+export function renderNginx(config) {
+  const { tls } = config;
+  const http2 = tls.http2 ? " http2" : "";
+
+  return `# Nginx configuration for Sinople theme (${config.profile} profile)
+# Auto-generated by scripts/generate-nginx-config.js - do not edit manually
 
 user nginx;
 worker_processes auto;
@@ -59,7 +192,7 @@ http {
     client_body_timeout 12;
     send_timeout 10;
     types_hash_max_size 2048;
-    client_max_body_size 64M;
+    client_max_body_size ${config.clientMaxBodySize};
     server_tokens off;
 
     # Buffer sizes
@@ -102,173 +235,141 @@ http {
         application/atom+xml;
 
     # SSL/TLS configuration
-    ssl_protocols TLSv1.2 TLSv1.3;
+    ssl_protocols ${tls.protocols.join(" ")};
     ssl_prefer_server_ciphers on;
-    ssl_ciphers 'ECDHE-ECDSA-AES256-GCM-SHA384:ECDHE-RSA-AES256-GCM-SHA384:ECDHE-ECDSA-CHACHA20-POLY1305:ECDHE-RSA-CHACHA20-POLY1305:ECDHE-ECDSA-AES128-GCM-SHA256:ECDHE-RSA-AES128-GCM-SHA256';
+    ssl_ciphers '${tls.ciphers.join(":")}';
     ssl_session_cache shared:SSL:10m;
     ssl_session_timeout 10m;
     ssl_session_tickets off;
     ssl_stapling on;
     ssl_stapling_verify on;
-    resolver 1.1.1.1 1.0.0.1 valid=300s;
+    resolver ${config.resolvers.join(" ")} valid=300s;
     resolver_timeout 5s;
 
+    # Content-Security-Policy for responses PHP sent none with, in either mode
+    map ${PHP_POLICY_HEADERS.map(upstreamHeader).join("")} $csp_policy {
+        "" ${quoted(config.csp.policy)};
+        default "";
+    }
+
+    # Service-Worker-Allowed for the theme's service worker
+    map $uri $service_worker_allowed {
+        ${quoted(`~${config.serviceWorker.pattern}`)} ${quoted(config.serviceWorker.allowed)};
+        default "";
+    }
+
     # Rate limiting
-    limit_req_zone $binary_remote_addr zone=login:10m rate=5r/m;
-    limit_req_zone $binary_remote_addr zone=api:10m rate=100r/m;
-    limit_req_zone $binary_remote_addr zone=general:10m rate=10r/s;
+${indent(config.rateLimits.map((limit) => `limit_req_zone $binary_remote_addr zone=${limit.zone}:10m rate=${rate(limit)};`), 1)}
     limit_req_status 429;
     limit_conn_zone $binary_remote_addr zone=addr:10m;
     limit_conn addr 10;
 
+    # PHP-FPM
+    upstream php_fpm {
+${indent(config.upstreams.map((upstream) => `server ${upstream};`), 2)}
+    }
+
     # HTTP to HTTPS redirect
     server {
         listen 80;
         listen [::]:80;
-        server_name ${config.serverName};
+        server_name ${config.serverNames.join(" ")};
 
         # ACME challenge for Let's Encrypt
         location /.well-known/acme-challenge/ {
-            root /var/www/certbot;
+            root ${config.acmeRoot};
         }
 
         location / {
-            return 301 https://$server_name$request_uri;
+            return 301 https://$host$request_uri;
         }
     }
 
     # HTTPS server
     server {
-        listen 443 ssl${config.enableHTTP2 ? " http2" : ""};
-        listen [::]:443 ssl${config.enableHTTP2 ? " http2" : ""};
-        ${config.enableHTTP3 ? "listen 443 quic reuseport;" : ""}
-        ${config.enableHTTP3 ? "listen [::]:443 quic reuseport;" : ""}
-
-        server_name ${config.serverName};
-        root /var/www/html;
+        listen 443 ssl${http2};
+        listen [::]:443 ssl${http2};
+${tls.http3 ? indent(["listen 443 quic reuseport;", "listen [::]:443 quic reuseport;"], 2) + "\n" : ""}
+        server_name ${config.serverNames.join(" ")};
+        root ${config.root};
         index index.php index.html;
 
         # SSL certificates
-        ssl_certificate ${config.sslCert};
-        ssl_certificate_key ${config.sslKey};
-
-        ${config.enableHTTP3 ? "# HTTP/3\n        add_header Alt-Svc 'h3=\":443\"; ma=86400' always;" : ""}
+        ssl_certificate ${tls.certificate};
+        ssl_certificate_key ${tls.key};
 
-        # Security headers
-        include /etc/nginx/security-headers.conf;
+        # Security headers${tls.http3 ? ", and Alt-Svc advertising HTTP/3" : ""}
+${indent(responseHeaders(config), 2)}
 
         # Rate limiting
-        limit_req zone=general burst=20 nodelay;
+${indent(limitReq(config, "site"), 2)}
 
-        # Deny access to hidden files
-        location ~ /\\. {
-            deny all;
-            access_log off;
-            log_not_found off;
-        }
+${indent(deniedLocations(config), 2)}
 
         # WordPress permalinks
         location / {
             try_files $uri $uri/ /index.php?$args;
         }
 
+        # Logins, limited more tightly than other PHP requests
+        location = /wp-login.php {
+${indent([...limitReq(config, "login"), "", ...phpHandler()], 3)}
+        }
+
         # PHP handling
         location ~ \\.php$ {
-            limit_req zone=api burst=10 nodelay;
-
-            try_files $uri =404;
-            fastcgi_split_path_info ^(.+\\.php)(/.+)$;
-            fastcgi_pass wordpress:9000;
-            fastcgi_index index.php;
-            include fastcgi_params;
-            fastcgi_param SCRIPT_FILENAME $document_root$fastcgi_script_name;
-            fastcgi_param PATH_INFO $fastcgi_path_info;
-            fastcgi_param HTTPS on;
-
-            fastcgi_hide_header X-Powered-By;
-            fastcgi_buffer_size 128k;
-            fastcgi_buffers 4 256k;
-            fastcgi_busy_buffers_size 256k;
-            fastcgi_read_timeout 300;
+${indent([...limitReq(config, "php"), "", ...phpHandler()], 3)}
         }
 
         # Cache static assets aggressively
-        location ~* \\.(jpg|jpeg|png|gif|ico|webp|avif)$ {
-            expires 1y;
-            add_header Cache-Control "public, immutable";
-            add_header Vary "Accept";
-            access_log off;
-        }
-
-        location ~* \\.(css|js|woff2|woff|ttf|otf|eot|svg)$ {
-            expires 1y;
-            add_header Cache-Control "public, immutable";
-            access_log off;
-        }
-
-        location ~* \\.(wasm)$ {
-            expires 1y;
-            add_header Cache-Control "public, immutable";
-            add_header Content-Type "application/wasm";
-            access_log off;
-        }
-
-        # Deny access to sensitive files
-        location ~* (wp-config\\.php|readme\\.html|license\\.txt|\\.git) {
-            deny all;
-        }
-
-        # VoID endpoint
-        location = /void.rdf {
-            try_files $uri /index.php?void=1;
-        }
-
-        # NDJSON feed
-        location = /feed/ndjson {
-            try_files $uri /index.php?ndjson=1;
-        }
-
+${indent(cachingLocations(config), 2)}
+        # Theme endpoints
+${indent(rewriteLocations(config), 2)}
         # Health check
-        location /health {
+        location = ${config.health.path} {
             access_log off;
-            return 200 "healthy\\n";
-            add_header Content-Type text/plain;
+            default_type text/plain;
+            return 200 "${config.health.body.replaceAll("\n", "\\n")}";
         }
     }
 }
 `;
+}
 
-const securityHeaders = `
-# Security headers
-add_header X-Frame-Options "SAMEORIGIN" always;
-add_header X-Content-Type-Options "nosniff" always;
-add_header X-XSS-Protection "1; mode=block" always;
-add_header Referrer-Policy "strict-origin-when-cross-origin" always;
-add_header Permissions-Policy "accelerometer=(), camera=(), geolocation=(), gyroscope=(), magnetometer=(), microphone=(), payment=(), usb=()" always;
-add_header Strict-Transport-Security "max-age=63072000; includeSubDomains; preload" always;
-add_header Content-Security-Policy "default-src 'self'; script-src 'self' 'wasm-unsafe-eval'; style-src 'self' 'unsafe-inline'; img-src 'self' data: https:; font-src 'self' data:; connect-src 'self'; media-src 'self'; object-src 'none'; frame-src 'none'; base-uri 'self'; form-action 'self'; frame-ancestors 'none'; upgrade-insecure-requests; block-all-mixed-content" always;
-add_header Cross-Origin-Embedder-Policy "require-corp" always;
-add_header Cross-Origin-Opener-Policy "same-origin" always;
-add_header Cross-Origin-Resource-Policy "same-origin" always;
-add_header Expect-CT "max-age=86400, enforce" always;
-`;
-
-async function main() {
-  const scriptDir = dirname(new URL(import.meta.url).pathname);
-  const configDir = join(scriptDir, "..", "config");
+/**
+ * Render security-headers.conf, included by the server and every location
+ * that sets headers of its own
+ */
+export function renderSecurityHeaders(config) {
+  return [
+    "# Security headers",
+    "# Auto-generated by scripts/generate-nginx-config.js - do not edit manually",
+    ...config.headers.map(([name, value]) => `add_header ${name} ${quoted(value)} always;`),
+    "",
+  ].join("\n");
+}
 
-  // Ensure config directory exists
-  await ensureDir(configDir);
+/**
+ * Problems with the rendered files, as "file:line: message"
+ */
+export function lintNginxFiles(files) {
+  const [name] = Object.keys(files).filter((file) => file.startsWith("nginx-"));
+  const includes = (path) => (path === SECURITY_HEADERS_PATH ? files["security-headers.conf"] : undefined);
+  return lintNginx(files[name], { includes }).map((problem) => `${name}:${problem.line}: ${problem.message}`);
+}
 
-  // Write Nginx configuration
-  const nginxPath = join(configDir, "nginx-prod.conf");
-  await Deno.writeTextFile(nginxPath, nginxConfig.trim());
-  console.log(`\u2713 Nginx configuration generated: ${nginxPath}`);
+/**
+ * Render the files for a profile
+ */
+export function renderNginxFiles(config) {
+  return {
+    [`nginx-${config.profile}.conf`]: renderNginx(config),
+    "security-headers.conf": renderSecurityHeaders(config),
+  };
+}
 
-  // Write security headers
-  const secHeadersPath = join(configDir, "security-headers.conf");
-  await Deno.writeTextFile(secHeadersPath, securityHeaders.trim());
-  console.log(`\u2713 Security headers configuration generated: ${secHeadersPath}`);
+async function main() {
+  Deno.exit(await runGenerator(renderNginxFiles, { lint: lintNginxFiles }));
 }
 
 // Run main
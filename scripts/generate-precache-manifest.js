@@ -0,0 +1,98 @@
+#!/usr/bin/env -S deno run --allow-read --allow-write
+
+/**
+ * Generate the service worker precache manifest
+ *
+ * Hashes every built stylesheet, script and WASM binary so sw.js
+ * precaches exactly the current build and evicts whatever a deploy
+ * replaced, without anyone bumping a cache version by hand.
+ *
+ * @module
+ */
+
+import { dirname, join, relative, SEPARATOR } from "@std/path";
+import { exists, walk } from "@std/fs";
+
+/** Build output directories (relative to the theme root) that are precached */
+export const PRECACHE_DIRS = [
+  "assets/css",
+  // Compiled ReScript bundle, and the WASM glue and module from `deno task build:wasm`
+  "assets/js/dist",
+];
+
+/** File types worth precaching; source maps and the like are skipped */
+export const PRECACHE_EXTENSIONS = [".css", ".js", ".mjs", ".wasm"];
+
+/** Manifest file, next to sw.js which loads it with importScripts() */
+export const MANIFEST_FILE = "precache-manifest.js";
+
+/**
+ * Hex-encoded SHA-256 digest
+ */
+async function sha256(bytes) {
+  const digest = await crypto.subtle.digest("SHA-256", bytes);
+  return Array.from(new Uint8Array(digest))
+    .map((b) => b.toString(16).padStart(2, "0"))
+    .join("");
+}
+
+/**
+ * Walk the build output and hash each file
+ *
+ * URLs are relative to the theme root, so the worker resolves them
+ * against its own location wherever the theme is installed.
+ */
+export async function buildManifest(themeRoot) {
+  const assets = [];
+
+  for (const dir of PRECACHE_DIRS) {
+    const absolute = join(themeRoot, dir);
+    if (!(await exists(absolute))) {
+      continue;
+    }
+
+    for await (
+      const entry of walk(absolute, { includeDirs: false, exts: PRECACHE_EXTENSIONS })
+    ) {
+      const bytes = await Deno.readFile(entry.path);
+      assets.push({
+        url: relative(themeRoot, entry.path).split(SEPARATOR).join("/"),
+        revision: (await sha256(bytes)).slice(0, 16),
+      });
+    }
+  }
+
+  assets.sort((a, b) => a.url.localeCompare(b.url));
+
+  // The version changes whenever any file is added, removed or rebuilt
+  const version = (await sha256(new TextEncoder().encode(JSON.stringify(assets)))).slice(0, 12);
+
+  return { version, assets };
+}
+
+/**
+ * Render the manifest as a classic script for importScripts()
+ */
+export function renderManifest(manifest) {
+  return `// Auto-generated by scripts/generate-precache-manifest.js - do not edit manually
+self.SINOPLE_PRECACHE = ${JSON.stringify(manifest, null, 2)};
+`;
+}
+
+async function main() {
+  const scriptDir = dirname(new URL(import.meta.url).pathname);
+  const themeRoot = join(scriptDir, "..");
+
+  const manifest = await buildManifest(themeRoot);
+  const manifestPath = join(themeRoot, MANIFEST_FILE);
+  await Deno.writeTextFile(manifestPath, renderManifest(manifest));
+
+  console.log(
+    `✓ Precache manifest generated: ${manifestPath} (${manifest.assets.length} assets, version ${manifest.version})`,
+  );
+}
+
+// Run main
+if (import.meta.main) {
+  main();
+}
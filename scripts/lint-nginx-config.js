@@ -0,0 +1,256 @@
+#!/usr/bin/env -S deno run --allow-read
+
+/**
+ * Static checks for nginx configuration files
+ *
+ * Catches mistakes `nginx -t` lets through or that need nginx installed to
+ * find:
+ * - unbalanced braces, unterminated strings and directives missing their `;`
+ * - a header added twice in one block
+ * - add_header inheritance: a block with any add_header of its own
+ *   inherits none from the enclosing blocks, so a location that sets
+ *   Cache-Control silently drops the server's security headers unless it
+ *   repeats them
+ *
+ * Included files are followed for their add_header directives when their
+ * contents are known. The generators lint their output before writing it;
+ * `deno task lint:nginx` checks the files in config/.
+ *
+ * @module
+ */
+
+import { basename, dirname, join } from "@std/path";
+
+/** Headers that may legitimately be added more than once */
+const REPEATABLE_HEADERS = new Set(["link", "set-cookie"]);
+
+/**
+ * Split a configuration into tokens: words (with quotes removed) and the
+ * punctuation `{`, `}` and `;`, each with its line
+ */
+function tokenize(text, problems) {
+  const tokens = [];
+  let line = 1;
+  let i = 0;
+
+  while (i < text.length) {
+    const char = text[i];
+    if (char === "\n") {
+      line++;
+      i++;
+    } else if (/\s/.test(char)) {
+      i++;
+    } else if (char === "#") {
+      while (i < text.length && text[i] !== "\n") i++;
+    } else if (char === "{" || char === "}" || char === ";") {
+      tokens.push({ value: char, line, punctuation: true });
+      i++;
+    } else {
+      const start = line;
+      let value = "";
+      while (i < text.length && !/[\s{};]/.test(text[i])) {
+        if (text[i] === '"' || text[i] === "'") {
+          const quote = text[i++];
+          while (i < text.length && text[i] !== quote) {
+            if (text[i] === "\\" && i + 1 < text.length) {
+              value += text[i++];
+            }
+            if (text[i] === "\n") line++;
+            value += text[i++];
+          }
+          if (i >= text.length) {
+            problems.push({ line: start, message: "unterminated string" });
+            return tokens;
+          }
+          i++;
+        } else if (text[i] === "$" && text[i + 1] === "{") {
+          // ${variable}
+          const end = text.indexOf("}", i);
+          value += text.slice(i, end === -1 ? text.length : end + 1);
+          i = end === -1 ? text.length : end + 1;
+        } else {
+          value += text[i++];
+        }
+      }
+      tokens.push({ value, line: start, punctuation: false });
+    }
+  }
+
+  return tokens;
+}
+
+/**
+ * Parse a configuration into a tree of directives; blocks have `children`
+ */
+function parse(text, problems) {
+  const root = { name: "", args: [], line: 0, children: [] };
+  const open = [root];
+  let words = [];
+
+  const tokens = tokenize(text, problems);
+  if (problems.length > 0) {
+    // An unterminated string swallows the rest; nothing after it is reliable
+    return root;
+  }
+
+  for (const token of tokens) {
+    const block = open.at(-1);
+    if (!token.punctuation) {
+      words.push(token);
+    } else if (token.value === ";") {
+      if (words.length === 0) {
+        problems.push({ line: token.line, message: "stray ;" });
+      } else {
+        block.children.push({ name: words[0].value, args: words.slice(1).map((word) => word.value), line: words[0].line });
+      }
+      words = [];
+    } else if (token.value === "{") {
+      const child = {
+        name: words[0]?.value ?? "",
+        args: words.slice(1).map((word) => word.value),
+        line: words[0]?.line ?? token.line,
+        children: [],
+      };
+      block.children.push(child);
+      open.push(child);
+      words = [];
+    } else {
+      if (words.length > 0) {
+        problems.push({ line: words[0].line, message: `"${words[0].value}" is missing its ;` });
+        words = [];
+      }
+      if (open.length === 1) {
+        problems.push({ line: token.line, message: "} without a block to close" });
+      } else {
+        open.pop();
+      }
+    }
+  }
+
+  if (words.length > 0) {
+    problems.push({ line: words[0].line, message: `"${words[0].value}" is missing its ;` });
+  }
+  for (const block of open.slice(1)) {
+    problems.push({ line: block.line, message: `${[block.name, ...block.args].join(" ")} { is never closed` });
+  }
+
+  return root;
+}
+
+/**
+ * The add_header directives a block sets itself, following includes
+ */
+function ownHeaders(block, includes) {
+  return block.children.flatMap((directive) => {
+    if (directive.name === "add_header" && !directive.children && directive.args.length > 0) {
+      return [{ name: directive.args[0], line: directive.line }];
+    }
+    if (directive.name === "include" && !directive.children) {
+      const included = includes(directive.args[0]);
+      if (included !== undefined) {
+        return ownHeaders(parse(included, []), () => undefined)
+          .map((header) => ({ name: header.name, line: directive.line }));
+      }
+    }
+    return [];
+  });
+}
+
+function checkHeaders(block, inherited, includes, problems) {
+  const own = ownHeaders(block, includes);
+  let effective = inherited;
+
+  if (own.length > 0) {
+    const seen = new Set();
+    for (const header of own) {
+      const key = header.name.toLowerCase();
+      if (seen.has(key) && !REPEATABLE_HEADERS.has(key)) {
+        problems.push({ line: header.line, message: `add_header ${header.name} is set more than once in this block` });
+      }
+      seen.add(key);
+    }
+
+    const dropped = inherited.filter((header) => !seen.has(header.name.toLowerCase()));
+    if (dropped.length > 0) {
+      problems.push({
+        line: own[0].line,
+        message: `add_header here stops ${[block.name, ...block.args].join(" ")} inheriting ` +
+          `${dropped.map((header) => header.name).join(", ")} from line ${dropped[0].line}; repeat them in this block`,
+      });
+    }
+    effective = own;
+  }
+
+  for (const child of block.children) {
+    if (child.children) {
+      checkHeaders(child, effective, includes, problems);
+    }
+  }
+}
+
+/**
+ * Lint an nginx configuration
+ *
+ * `includes(path)` returns the contents of an included file, or undefined
+ * where it is unknown. Returns `{line, message}` problems in line order.
+ */
+export function lintNginx(text, { includes = () => undefined } = {}) {
+  const problems = [];
+  const root = parse(text, problems);
+
+  // Header inheritance only means something once the blocks are sound
+  if (problems.length === 0) {
+    checkHeaders(root, [], includes, problems);
+  }
+
+  return problems.sort((a, b) => a.line - b.line);
+}
+
+/**
+ * Contents of an included file as seen from `file`: the path itself, or a
+ * file of the same name next to `file` (config/security-headers.conf for
+ * /etc/nginx/security-headers.conf)
+ */
+function includeFrom(file) {
+  return (path) => {
+    if (path.includes("*")) {
+      return undefined;
+    }
+    for (const candidate of [path, join(dirname(file), basename(path))]) {
+      try {
+        return Deno.readTextFileSync(candidate);
+      } catch {
+        // Try the next one
+      }
+    }
+    return undefined;
+  };
+}
+
+async function main() {
+  const files = Deno.args;
+  let failed = false;
+
+  if (files.length === 0) {
+    console.error("Usage: lint-nginx-config.js <file.conf>...");
+    Deno.exit(2);
+  }
+
+  for (const file of files) {
+    const problems = lintNginx(await Deno.readTextFile(file), { includes: includeFrom(file) });
+    for (const problem of problems) {
+      console.error(`✗ ${file}:${problem.line}: ${problem.message}`);
+    }
+    if (problems.length === 0) {
+      console.log(`✓ ${file}`);
+    }
+    failed ||= problems.length > 0;
+  }
+
+  Deno.exit(failed ? 1 : 0);
+}
+
+// Run main
+if (import.meta.main) {
+  main();
+}
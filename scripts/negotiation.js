@@ -0,0 +1,111 @@
+/**
+ * Content negotiation for entries and feeds
+ *
+ * Entries and the site feed each have several representations, listed in
+ * config/negotiation.json in order of preference. inc/negotiation.php
+ * picks one by the request's Accept header; this module does the same, so
+ * the rule set can be tested here, and gives the server config generators
+ * the feed URLs to rewrite. Both implementations are held to the Accept
+ * header matrix in tests/fixtures/negotiation-matrix.json.
+ *
+ * @module
+ */
+
+import RULES from "../config/negotiation.json" with { type: "json" };
+
+/** Representations of entries and of the site feed */
+export const NEGOTIATION = { entry: RULES.entry, feed: RULES.feed };
+
+/**
+ * Representations of a resource on offer, given which of the PHP
+ * functions representations require exist (all of them by default)
+ */
+export function offered(resource, exists = () => true) {
+  return resource.representations.filter((representation) => !representation.requires || exists(representation.requires));
+}
+
+const RANGE = /^([a-z0-9!#$%&'*+.^_`|~-]+)\/([a-z0-9!#$%&'*+.^_`|~-]+)$/;
+const QUALITY = /^(0(\.\d{0,3})?|1(\.0{0,3})?)$/;
+
+/**
+ * Media ranges in an Accept header, as `{type, subtype, q}`
+ *
+ * Types are lower-cased and parameters other than q are ignored. Ranges
+ * that are malformed or have an invalid q are dropped.
+ */
+export function parseAccept(header) {
+  return header.split(",").flatMap((part) => {
+    const [range, ...parameters] = part.split(";").map((piece) => piece.trim());
+    const match = RANGE.exec(range.toLowerCase());
+    if (!match || (match[1] === "*" && match[2] !== "*")) {
+      return [];
+    }
+
+    let q = 1;
+    for (const parameter of parameters) {
+      const [name, value = ""] = parameter.split("=").map((piece) => piece.trim());
+      if (name.toLowerCase() === "q") {
+        if (!QUALITY.test(value)) {
+          return [];
+        }
+        q = Number(value);
+      }
+    }
+    return [{ type: match[1], subtype: match[2], q }];
+  });
+}
+
+/**
+ * Quality the ranges give a media type: that of the most specific range
+ * matching it, or 0 when none does
+ */
+function quality(ranges, mediaType) {
+  const [type, subtype] = mediaType.split("/");
+  let best = { specificity: -1, q: 0 };
+
+  for (const range of ranges) {
+    const specificity = range.type === "*" ? 0 : range.subtype === "*" ? 1 : 2;
+    const matches = specificity === 0 || (range.type === type && (specificity === 1 || range.subtype === subtype));
+    if (matches && specificity > best.specificity) {
+      best = { specificity, q: range.q };
+    }
+  }
+  return best.q;
+}
+
+/**
+ * Representation to send for an Accept header
+ *
+ * The acceptable one with the highest quality, ties going to the earlier
+ * in `representations`. Without an Accept header, or when none is
+ * acceptable, the first: a representation the client did not ask for is
+ * more use than 406 Not Acceptable.
+ */
+export function negotiate(accept, representations) {
+  const ranges = parseAccept(accept ?? "");
+  if (ranges.length === 0) {
+    return representations[0];
+  }
+
+  let chosen = representations[0];
+  let best = 0;
+  for (const representation of representations) {
+    const q = quality(ranges, representation.type);
+    if (q > best) {
+      chosen = representation;
+      best = q;
+    }
+  }
+  return chosen;
+}
+
+/**
+ * Server rewrites for the feed representations' own URLs, in the form of
+ * REWRITES in server-config.js
+ */
+export function feedRewrites(feed = NEGOTIATION.feed) {
+  return feed.representations.map((representation) => ({
+    path: representation.path.replace(/\/$/, ""),
+    query: representation.query,
+  }));
+}
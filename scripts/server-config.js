@@ -0,0 +1,367 @@
+/**
+ * Server configuration model shared by the nginx, Apache and Caddy generators
+ *
+ * Describes what any web server in front of the theme has to do, without
+ * saying how: TLS, rate-limit zones, static-asset caching, the theme's
+ * rewrites, the service worker's scope, the health check, denied paths,
+ * the security headers and the Content-Security-Policy. Each
+ * generator renders this one model, so the three configurations stay
+ * equivalent; tuning that only makes sense for one server (worker counts,
+ * buffers, log formats) stays in its generator. What differs between
+ * deployments comes from the settings in server-settings.js.
+ *
+ * @module
+ */
+
+import { dirname, join } from "@std/path";
+import { ensureDir } from "@std/fs";
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  mergeSettings,
+  ServerSettingsError,
+  validateSettings,
+} from "./server-settings.js";
+import { scanTheme } from "./generate-csp-hashes.js";
+import { feedRewrites } from "./negotiation.js";
+import { unifiedDiff } from "./unified-diff.js";
+
+/** Where the generated files go */
+export const CONFIG_DIR = join(dirname(new URL(import.meta.url).pathname), "..", "config");
+
+/** TLS cipher suites for TLS 1.2, by their OpenSSL names (TLS 1.3 suites are fixed) */
+export const TLS_CIPHERS = [
+  "ECDHE-ECDSA-AES256-GCM-SHA384",
+  "ECDHE-RSA-AES256-GCM-SHA384",
+  "ECDHE-ECDSA-CHACHA20-POLY1305",
+  "ECDHE-RSA-CHACHA20-POLY1305",
+  "ECDHE-ECDSA-AES128-GCM-SHA256",
+  "ECDHE-RSA-AES128-GCM-SHA256",
+];
+
+/** One year, the lifetime of fingerprinted static assets */
+const YEAR = 31536000;
+
+/**
+ * Static-asset caching rules, by file extension
+ *
+ * Images vary on Accept as the server may pick AVIF or WebP for them.
+ */
+export const STATIC_CACHING = [
+  {
+    extensions: ["jpg", "jpeg", "png", "gif", "ico", "webp", "avif"],
+    maxAge: YEAR,
+    immutable: true,
+    vary: "Accept",
+  },
+  {
+    extensions: ["css", "js", "woff2", "woff", "ttf", "otf", "eot", "svg"],
+    maxAge: YEAR,
+    immutable: true,
+  },
+  { extensions: ["wasm"], maxAge: YEAR, immutable: true, contentType: "application/wasm" },
+];
+
+/**
+ * Theme endpoints without a file of their own, rewritten to the WordPress
+ * query vars the theme's rewrite rules use: the VoID description and each
+ * feed representation in config/negotiation.json
+ */
+export const REWRITES = [
+  { path: "/void.rdf", query: "void=1" },
+  ...feedRewrites(),
+];
+
+/**
+ * The theme's service worker: served from the theme directory but
+ * registered for the whole site (footer.php), which browsers allow only
+ * when it comes with a Service-Worker-Allowed header naming that scope
+ */
+export const SERVICE_WORKER = { pattern: "^/wp-content/themes/[^/]+/sw\\.js$", allowed: "/" };
+
+/** Health check answered by the server itself, for container health probes */
+export const HEALTH_CHECK = { path: "/health", body: "healthy\n" };
+
+/**
+ * Paths refused with 403
+ *
+ * Hidden files and directories (.git, .env, .htaccess) except
+ * /.well-known/, and WordPress files that disclose configuration or the
+ * installed version.
+ */
+export const DENIED = {
+  hidden: true,
+  allowHidden: ["/.well-known/"],
+  files: ["wp-config.php", "readme.html", "license.txt"],
+};
+
+/** Response headers set on every response */
+export const SECURITY_HEADERS = [
+  ["X-Frame-Options", "SAMEORIGIN"],
+  ["X-Content-Type-Options", "nosniff"],
+  ["X-XSS-Protection", "1; mode=block"],
+  ["Referrer-Policy", "strict-origin-when-cross-origin"],
+  [
+    "Permissions-Policy",
+    "accelerometer=(), camera=(), geolocation=(), gyroscope=(), magnetometer=(), microphone=(), payment=(), usb=()",
+  ],
+  ["Strict-Transport-Security", "max-age=63072000; includeSubDomains; preload"],
+  ["Cross-Origin-Embedder-Policy", "require-corp"],
+  ["Cross-Origin-Opener-Policy", "same-origin"],
+  ["Cross-Origin-Resource-Policy", "same-origin"],
+  ["Expect-CT", "max-age=86400, enforce"],
+];
+
+/**
+ * Content-Security-Policy directives, the same as inc/csp.php's; the
+ * hashes of the theme's inline scripts and styles are added to script-src
+ * and style-src
+ */
+export const CSP_DIRECTIVES = [
+  "default-src 'self'",
+  "script-src 'self' 'wasm-unsafe-eval'",
+  "style-src 'self'",
+  "style-src-attr 'unsafe-inline'",
+  "img-src 'self' data: https:",
+  "font-src 'self' data:",
+  "connect-src 'self'",
+  "media-src 'self'",
+  "object-src 'none'",
+  "frame-src 'none'",
+  "base-uri 'self'",
+  "form-action 'self'",
+  "frame-ancestors 'none'",
+  "upgrade-insecure-requests",
+  "block-all-mixed-content",
+];
+
+/** The theme's violation report collector (inc/csp.php) */
+export const CSP_REPORT_PATH = "/wp-json/sinople/v1/csp-reports";
+
+/**
+ * Headers PHP sends its policy in, by the sinople_csp_report_only theme
+ * mod (inc/csp.php); the servers send theirs only when neither is present
+ */
+export const PHP_POLICY_HEADERS = ["Content-Security-Policy", "Content-Security-Policy-Report-Only"];
+
+/**
+ * Content-Security-Policy value: CSP_DIRECTIVES with the inline hashes
+ * (`{scripts, styles}`, as generate-csp-hashes.js finds them) and, with
+ * `report`, reporting to the theme's collector
+ */
+export function contentSecurityPolicy({ scripts = [], styles = [] } = {}, { report = false } = {}) {
+  const sources = { "script-src": scripts, "style-src": styles };
+  const directives = CSP_DIRECTIVES.map((directive) => [directive, ...(sources[directive.split(" ")[0]] ?? [])].join(" "));
+
+  if (report) {
+    // report-uri for browsers without the Reporting API
+    directives.push(`report-uri ${CSP_REPORT_PATH}`, "report-to csp");
+  }
+  return directives.join("; ");
+}
+
+/**
+ * Build the model from deployment settings
+ *
+ * `settings` override DEFAULT_SETTINGS (see server-settings.js) and are
+ * validated, throwing ServerSettingsError; `profile` names the settings
+ * profile in the generated files' headers. `inlineHashes` are the theme's
+ * inline script and style hashes for the policy.
+ *
+ * The policy is sent only on responses without one: PHP sends its own,
+ * enforced or report-only, with the per-request nonce, on pages.
+ */
+export function serverConfig(settings = {}, { profile = "prod", inlineHashes = {} } = {}) {
+  const merged = mergeSettings(DEFAULT_SETTINGS, settings);
+  const problems = validateSettings(merged);
+  if (problems.length > 0) {
+    throw new ServerSettingsError("Server settings", problems);
+  }
+
+  return {
+    profile,
+    serverNames: merged.serverNames,
+    root: merged.root,
+    upstreams: merged.upstreams,
+    acmeRoot: merged.acmeRoot,
+    clientMaxBodySize: merged.clientMaxBodySize,
+    resolvers: merged.resolvers,
+    tls: {
+      ...merged.tls,
+      protocols: ["TLSv1.2", "TLSv1.3"],
+      ciphers: TLS_CIPHERS,
+    },
+    rateLimits: merged.rateLimits.map((limit) => ({ burst: 0, ...limit })),
+    caching: STATIC_CACHING,
+    rewrites: REWRITES,
+    serviceWorker: SERVICE_WORKER,
+    health: HEALTH_CHECK,
+    denied: DENIED,
+    headers: SECURITY_HEADERS,
+    csp: {
+      header: merged.csp.reportOnly ? "Content-Security-Policy-Report-Only" : "Content-Security-Policy",
+      policy: contentSecurityPolicy(inlineHashes, merged.csp),
+      // Names the collector for report-to csp
+      reportingEndpoints: merged.csp.report ? `csp="${CSP_REPORT_PATH}"` : null,
+    },
+  };
+}
+
+/**
+ * Size setting (64M, 512k, 1g or bytes) in bytes
+ */
+export function sizeInBytes(size) {
+  const units = { k: 1024, m: 1024 ** 2, g: 1024 ** 3 };
+  const unit = size.slice(-1).toLowerCase();
+  return unit in units ? Number(size.slice(0, -1)) * units[unit] : Number(size);
+}
+
+/**
+ * Cache-Control value for a caching rule
+ */
+export function cacheControl(rule) {
+  return `public, max-age=${rule.maxAge}${rule.immutable ? ", immutable" : ""}`;
+}
+
+/**
+ * Quote a header value for a configuration file, escaping double quotes
+ */
+export function quoted(value) {
+  return `"${value.replaceAll("\\", "\\\\").replaceAll('"', '\\"')}"`;
+}
+
+/**
+ * File name of a generated file for a settings profile: the prod profile
+ * keeps the plain name, others get the profile before the extension
+ * (apache-vhost.dev.conf, Caddyfile.dev)
+ */
+export function profileFileName(name, profile) {
+  if (profile === "prod") {
+    return name;
+  }
+  const dot = name.indexOf(".");
+  return dot === -1 ? `${name}.${profile}` : `${name.slice(0, dot)}.${profile}${name.slice(dot)}`;
+}
+
+/**
+ * Read the generators' command line
+ *
+ *   --profile <name>  settings profile (default: prod)
+ *   --config <path>   settings file (default: config/server.json)
+ *   --check           compare with the files in config/ instead of
+ *                     writing them
+ *
+ * Throws on unknown arguments and missing values.
+ */
+export function parseGeneratorArgs(args) {
+  const options = { profile: "prod", config: join(CONFIG_DIR, "server.json"), check: false };
+
+  for (let i = 0; i < args.length; i++) {
+    const [flag, value] = args[i].split(/=(.*)/s);
+    if (flag === "--check" && value === undefined) {
+      options.check = true;
+    } else if (flag === "--profile" || flag === "--config") {
+      const given = value ?? args[++i];
+      if (!given) {
+        throw new Error(`${flag} needs a value`);
+      }
+      options[flag.slice(2)] = given;
+    } else {
+      throw new Error(`Unknown argument: ${args[i]}`);
+    }
+  }
+
+  return options;
+}
+
+async function readIfExists(path) {
+  try {
+    return await Deno.readTextFile(path);
+  } catch (error) {
+    if (error instanceof Deno.errors.NotFound) {
+      return undefined;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Run a generator from the command line
+ *
+ * Loads the settings profile and the inline hashes of the theme in
+ * `themeRoot`, renders them with `render(config)` (file names to contents)
+ * and runs `lint(files)`, whose "file:line: message" problems
+ * stop the run. Then writes the files into `configDir` or, with --check,
+ * prints a unified diff for each file that differs from what is there.
+ *
+ * Resolves to the exit status: 0 when written or up to date, 1 for invalid
+ * settings, lint problems or drift, 2 for a bad command line.
+ */
+export async function runGenerator(render, {
+  args = Deno.args,
+  env = Deno.env.toObject(),
+  configDir = CONFIG_DIR,
+  themeRoot = join(CONFIG_DIR, ".."),
+  lint = () => [],
+  log = console.log,
+  error = console.error,
+} = {}) {
+  let options;
+  try {
+    options = parseGeneratorArgs(args);
+  } catch (problem) {
+    error(`✗ ${problem.message}\nUsage: [--profile <name>] [--config <path>] [--check]`);
+    return 2;
+  }
+
+  let files;
+  try {
+    const settings = await loadSettings({ file: options.config, profile: options.profile, env });
+    const { scripts, styles } = await scanTheme(themeRoot);
+    files = render(serverConfig(settings, { profile: options.profile, inlineHashes: { scripts, styles } }));
+  } catch (problem) {
+    if (problem instanceof ServerSettingsError) {
+      error(`✗ ${problem.message}`);
+      return 1;
+    }
+    throw problem;
+  }
+
+  const problems = lint(files);
+  if (problems.length > 0) {
+    error(problems.map((problem) => `✗ ${problem}`).join("\n"));
+    return 1;
+  }
+
+  if (!options.check) {
+    await ensureDir(configDir);
+    for (const [name, contents] of Object.entries(files)) {
+      const path = join(configDir, name);
+      await Deno.writeTextFile(path, contents);
+      log(`✓ Generated: ${path}`);
+    }
+    return 0;
+  }
+
+  let drifted = 0;
+  for (const [name, contents] of Object.entries(files)) {
+    const path = join(configDir, name);
+    const existing = await readIfExists(path);
+    if (existing === contents) {
+      log(`✓ Up to date: ${path}`);
+    } else {
+      drifted++;
+      log(unifiedDiff(existing ?? "", contents, {
+        from: existing === undefined ? "/dev/null" : path,
+        to: `${path} (${options.profile} profile)`,
+      }).trimEnd());
+    }
+  }
+
+  if (drifted > 0) {
+    const files = drifted === 1 ? "1 file differs" : `${drifted} files differ`;
+    error(`✗ ${files} from the ${options.profile} profile; run without --check to regenerate`);
+    return 1;
+  }
+  return 0;
+}
@@ -0,0 +1,311 @@
+/**
+ * Deployment settings for the server config generators
+ *
+ * What differs between deployments (host names, PHP-FPM upstreams, TLS
+ * files, request limits, resolvers) comes from config/server.json rather
+ * than being hard-coded. The file has `defaults` and named `profiles`
+ * (dev, staging, prod); a profile overrides the defaults, and environment
+ * variables override the profile. Everything is checked against
+ * SETTINGS_SCHEMA, reporting every problem with its path in the file.
+ *
+ * @module
+ */
+
+/** Settings used where neither the file nor the environment sets them */
+export const DEFAULT_SETTINGS = {
+  serverNames: ["localhost"],
+  root: "/var/www/html",
+  acmeRoot: "/var/www/certbot",
+  upstreams: ["wordpress:9000"],
+  clientMaxBodySize: "64M",
+  resolvers: ["1.1.1.1", "1.0.0.1"],
+  tls: {
+    certificate: "/etc/nginx/ssl/cert.pem",
+    key: "/etc/nginx/ssl/key.pem",
+    http2: true,
+    http3: false,
+  },
+  csp: {
+    reportOnly: false,
+    report: false,
+  },
+  rateLimits: [
+    { zone: "login", requests: 5, per: "minute", burst: 0, scope: "login" },
+    { zone: "api", requests: 100, per: "minute", burst: 10, scope: "php" },
+    { zone: "general", requests: 10, per: "second", burst: 20, scope: "site" },
+  ],
+};
+
+const HOST_NAME = /^(\*\.)?([a-z0-9]([a-z0-9-]*[a-z0-9])?\.)*[a-z0-9]([a-z0-9-]*[a-z0-9])?$/i;
+const UPSTREAM = /^(unix:\/\S+|[a-z0-9]([a-z0-9.-]*[a-z0-9])?:\d{1,5}|\[[0-9a-f:]+\]:\d{1,5})$/i;
+const ABSOLUTE_PATH = /^\/\S*$/;
+const SIZE = /^\d+[kmg]?$/i;
+const IP_ADDRESS = /^(\d{1,3}(\.\d{1,3}){3}|[0-9a-f]*:[0-9a-f:]+)$/i;
+const ZONE_NAME = /^[a-z][a-z0-9_]*$/;
+
+const text = (pattern, description) => ({ type: "string", pattern, description });
+const list = (items) => ({ type: "array", items, minItems: 1 });
+
+/**
+ * Schema of one settings object (the defaults, a profile or the
+ * environment); every property is optional as the layers are merged
+ *
+ * Supports `type` (object, array, string, integer, boolean), `properties`,
+ * `additionalProperties`, `required`, `items`, `minItems`, `pattern` with
+ * a `description` of what it accepts, `enum` and `minimum`.
+ */
+export const SETTINGS_SCHEMA = {
+  type: "object",
+  properties: {
+    serverNames: list(text(HOST_NAME, "a host name")),
+    root: text(ABSOLUTE_PATH, "an absolute path"),
+    acmeRoot: text(ABSOLUTE_PATH, "an absolute path"),
+    upstreams: list(text(UPSTREAM, "host:port or unix:/path")),
+    clientMaxBodySize: text(SIZE, "a size such as 64M"),
+    resolvers: list(text(IP_ADDRESS, "an IP address")),
+    tls: {
+      type: "object",
+      properties: {
+        certificate: text(ABSOLUTE_PATH, "an absolute path"),
+        key: text(ABSOLUTE_PATH, "an absolute path"),
+        http2: { type: "boolean" },
+        http3: { type: "boolean" },
+      },
+    },
+    csp: {
+      type: "object",
+      properties: {
+        reportOnly: { type: "boolean" },
+        report: { type: "boolean" },
+      },
+    },
+    rateLimits: {
+      type: "array",
+      items: {
+        type: "object",
+        required: ["zone", "requests", "per", "scope"],
+        properties: {
+          zone: text(ZONE_NAME, "a zone name of lower-case letters, digits and _"),
+          requests: { type: "integer", minimum: 1 },
+          per: { enum: ["second", "minute"] },
+          burst: { type: "integer", minimum: 0 },
+          scope: { enum: ["site", "php", "login"] },
+        },
+      },
+    },
+  },
+};
+
+/** Schema of config/server.json */
+export const SETTINGS_FILE_SCHEMA = {
+  type: "object",
+  required: ["profiles"],
+  properties: {
+    description: { type: "string" },
+    defaults: SETTINGS_SCHEMA,
+    profiles: { type: "object", additionalProperties: SETTINGS_SCHEMA },
+  },
+};
+
+/**
+ * Settings that fail validation, with one message per problem
+ */
+export class ServerSettingsError extends Error {
+  constructor(source, problems) {
+    super(`${source} is invalid:\n${problems.map((problem) => `  - ${problem}`).join("\n")}`);
+    this.name = "ServerSettingsError";
+    this.problems = problems;
+  }
+}
+
+const isObject = (value) => typeof value === "object" && value !== null && !Array.isArray(value);
+
+function describe(value) {
+  const json = JSON.stringify(value) ?? String(value);
+  return json.length > 40 ? json.slice(0, 37) + "..." : json;
+}
+
+function child(path, key) {
+  return typeof key === "number" ? `${path}[${key}]` : path ? `${path}.${key}` : key;
+}
+
+function check(value, schema, path, problems) {
+  const at = path || "(top level)";
+
+  if (schema.enum) {
+    if (!schema.enum.includes(value)) {
+      problems.push(`${at}: expected one of ${schema.enum.map(describe).join(", ")}, got ${describe(value)}`);
+    }
+    return;
+  }
+
+  switch (schema.type) {
+    case "object": {
+      if (!isObject(value)) {
+        problems.push(`${at}: expected an object, got ${describe(value)}`);
+        return;
+      }
+      for (const key of schema.required ?? []) {
+        if (!(key in value)) {
+          problems.push(`${at}: missing "${key}"`);
+        }
+      }
+      for (const [key, item] of Object.entries(value)) {
+        const itemSchema = schema.properties?.[key] ?? schema.additionalProperties;
+        if (itemSchema) {
+          check(item, itemSchema, child(path, key), problems);
+        } else {
+          problems.push(`${at}: unknown setting "${key}"`);
+        }
+      }
+      return;
+    }
+    case "array":
+      if (!Array.isArray(value)) {
+        problems.push(`${at}: expected a list, got ${describe(value)}`);
+      } else if (value.length < (schema.minItems ?? 0)) {
+        problems.push(`${at}: needs at least ${schema.minItems} entr${schema.minItems === 1 ? "y" : "ies"}`);
+      } else {
+        value.forEach((item, index) => check(item, schema.items, child(path, index), problems));
+      }
+      return;
+    case "string":
+      if (typeof value !== "string") {
+        problems.push(`${at}: expected a string, got ${describe(value)}`);
+      } else if (schema.pattern && !schema.pattern.test(value)) {
+        problems.push(`${at}: ${describe(value)} is not ${schema.description}`);
+      }
+      return;
+    case "integer":
+      if (!Number.isInteger(value) || value < (schema.minimum ?? -Infinity)) {
+        problems.push(`${at}: expected a whole number of at least ${schema.minimum ?? 0}, got ${describe(value)}`);
+      }
+      return;
+    case "boolean":
+      if (typeof value !== "boolean") {
+        problems.push(`${at}: expected true or false, got ${describe(value)}`);
+      }
+      return;
+  }
+}
+
+/**
+ * Problems with one settings object, as "path: message" strings
+ *
+ * Besides the schema, rate-limit zone names must be unique.
+ */
+export function validateSettings(settings, path = "") {
+  const problems = [];
+  check(settings, SETTINGS_SCHEMA, path, problems);
+
+  if (problems.length === 0 && settings.rateLimits) {
+    const zones = settings.rateLimits.map((limit) => limit.zone);
+    for (const zone of new Set(zones.filter((zone, index) => zones.indexOf(zone) !== index))) {
+      problems.push(`${child(path, "rateLimits")}: zone "${zone}" is defined more than once`);
+    }
+  }
+
+  return problems;
+}
+
+/**
+ * Problems with a whole settings file
+ */
+export function validateSettingsFile(document) {
+  const problems = [];
+  check(document, SETTINGS_FILE_SCHEMA, "", problems);
+  if (problems.length > 0) {
+    return problems;
+  }
+
+  return [
+    ...validateSettings(document.defaults ?? {}, "defaults"),
+    ...Object.entries(document.profiles).flatMap(([name, profile]) =>
+      validateSettings(profile, `profiles.${name}`)
+    ),
+  ];
+}
+
+/**
+ * Merge settings layers, later ones winning; objects merge key by key,
+ * lists are replaced whole
+ */
+export function mergeSettings(...layers) {
+  return layers.reduce((merged, layer) => {
+    const result = { ...merged };
+    for (const [key, value] of Object.entries(layer)) {
+      result[key] = isObject(value) && isObject(merged[key]) ? mergeSettings(merged[key], value) : value;
+    }
+    return result;
+  }, {});
+}
+
+/**
+ * Settings for one profile of a validated settings file
+ */
+export function resolveProfile(document, profile, source = "Server settings") {
+  if (!Object.hasOwn(document.profiles, profile)) {
+    const known = Object.keys(document.profiles).join(", ") || "none";
+    throw new ServerSettingsError(source, [`unknown profile "${profile}" (profiles: ${known})`]);
+  }
+  return mergeSettings(DEFAULT_SETTINGS, document.defaults ?? {}, document.profiles[profile]);
+}
+
+/**
+ * Settings overridden by environment variables
+ *
+ * SERVER_NAME (one or more host names, separated by spaces or commas),
+ * SSL_CERT, SSL_KEY, ENABLE_HTTP2 (on unless "false") and ENABLE_HTTP3
+ * (off unless "true"). Unset variables leave the profile's value.
+ */
+export function settingsFromEnv(env) {
+  const settings = {};
+  const tls = {};
+
+  if (env.SERVER_NAME) {
+    settings.serverNames = env.SERVER_NAME.split(/[\s,]+/).filter(Boolean);
+  }
+  if (env.SSL_CERT) {
+    tls.certificate = env.SSL_CERT;
+  }
+  if (env.SSL_KEY) {
+    tls.key = env.SSL_KEY;
+  }
+  if (env.ENABLE_HTTP2) {
+    tls.http2 = env.ENABLE_HTTP2 !== "false";
+  }
+  if (env.ENABLE_HTTP3) {
+    tls.http3 = env.ENABLE_HTTP3 === "true";
+  }
+
+  return Object.keys(tls).length > 0 ? { ...settings, tls } : settings;
+}
+
+/**
+ * Read a settings file and resolve a profile, with environment overrides
+ *
+ * Throws ServerSettingsError listing every problem found.
+ */
+export async function loadSettings({ file, profile, env = {} }) {
+  let document;
+  try {
+    document = JSON.parse(await Deno.readTextFile(file));
+  } catch (error) {
+    throw new ServerSettingsError(file, [
+      error instanceof Deno.errors.NotFound ? "file not found" : `not valid JSON: ${error.message}`,
+    ]);
+  }
+
+  const problems = validateSettingsFile(document);
+  if (problems.length > 0) {
+    throw new ServerSettingsError(file, problems);
+  }
+
+  const overrides = settingsFromEnv(env);
+  const envProblems = validateSettings(overrides, "environment");
+  if (envProblems.length > 0) {
+    throw new ServerSettingsError("Environment", envProblems);
+  }
+
+  return mergeSettings(resolveProfile(document, profile, file), overrides);
+}
@@ -0,0 +1,89 @@
+/**
+ * Line diffs in unified format
+ *
+ * Used by the server config generators' --check mode to show how the
+ * files on disk differ from what the settings would generate.
+ *
+ * @module
+ */
+
+function lines(text) {
+  const result = text.split("\n");
+  if (result.at(-1) === "") {
+    result.pop();
+  }
+  return result;
+}
+
+/**
+ * Edit script turning `before` into `after`: [" " | "-" | "+", line,
+ * index in before, index in after] for each line, from their longest
+ * common subsequence
+ */
+function edits(before, after) {
+  const common = Array.from({ length: before.length + 1 }, () => new Uint32Array(after.length + 1));
+  for (let i = before.length - 1; i >= 0; i--) {
+    for (let j = after.length - 1; j >= 0; j--) {
+      common[i][j] = before[i] === after[j]
+        ? common[i + 1][j + 1] + 1
+        : Math.max(common[i + 1][j], common[i][j + 1]);
+    }
+  }
+
+  const script = [];
+  let i = 0;
+  let j = 0;
+  while (i < before.length || j < after.length) {
+    if (i < before.length && j < after.length && before[i] === after[j]) {
+      script.push([" ", before[i], i++, j++]);
+    } else if (i < before.length && (j === after.length || common[i + 1][j] >= common[i][j + 1])) {
+      script.push(["-", before[i], i++, j]);
+    } else {
+      script.push(["+", after[j], i, j++]);
+    }
+  }
+  return script;
+}
+
+function range(start, count) {
+  // An empty range names the line before it, as diff(1) does
+  return `${count === 0 ? start : start + 1}${count === 1 ? "" : `,${count}`}`;
+}
+
+/**
+ * Unified diff of two texts, or "" when their lines are the same
+ *
+ * `from` and `to` label the two sides; `context` is the number of
+ * unchanged lines shown around each change.
+ */
+export function unifiedDiff(before, after, { from = "a", to = "b", context = 3 } = {}) {
+  const script = edits(lines(before), lines(after));
+  const changes = script.flatMap(([kind], index) => (kind === " " ? [] : [index]));
+  if (changes.length === 0) {
+    return "";
+  }
+
+  // Changes closer than twice the context share a hunk
+  const hunks = [];
+  for (const index of changes) {
+    const last = hunks.at(-1);
+    if (last && index - last.end <= 2 * context) {
+      last.end = index;
+    } else {
+      hunks.push({ start: index, end: index });
+    }
+  }
+
+  const output = [`--- ${from}`, `+++ ${to}`];
+  for (const hunk of hunks) {
+    const shown = script.slice(Math.max(0, hunk.start - context), Math.min(script.length, hunk.end + context + 1));
+    const [, , oldStart, newStart] = shown[0];
+    const oldCount = shown.filter(([kind]) => kind !== "+").length;
+    const newCount = shown.filter(([kind]) => kind !== "-").length;
+
+    output.push(`@@ -${range(oldStart, oldCount)} +${range(newStart, newCount)} @@`);
+    output.push(...shown.map(([kind, line]) => kind + line));
+  }
+
+  return output.join("\n") + "\n";
+}
@@ -4,62 +4,879 @@
  * Provides offline support, caching strategies,
  * and progressive web app capabilities.
  *
+ * Every same-origin GET is matched against ROUTES and answered by the
+ * strategy that suits it; anything that must never be cached (admin,
+ * AJAX, the SSE stream, non-GET requests) is left to the browser.
+ *
+ * Build assets are precached from precache-manifest.js, which the build
+ * generates with a content hash per file.
+ *
+ * Entries the reader saves for offline reading live in their own cache,
+ * with their metadata in IndexedDB, and survive cache version bumps.
+ * Comments, consent and micropub POSTs that fail offline are queued in
+ * an IndexedDB outbox and replayed by Background Sync.
+ *
  * @package Sinople
  * @since 0.1.0
  */
 
-const CACHE_VERSION = 'sinople-v1';
-const CACHE_ASSETS = [
-  '/',
-  '/wp-content/themes/sinople/style.css',
-  '/wp-content/themes/sinople/assets/css/main.css',
-  '/wp-content/themes/sinople/assets/js/dist/main.js',
+// Build output to precache, generated by scripts/generate-precache-manifest.js
+try {
+  importScripts('precache-manifest.js');
+} catch (_error) {
+  // Unbuilt theme - nothing to precache
+}
+
+const PRECACHE = self.SINOPLE_PRECACHE || { version: 'unbuilt', assets: [] };
+
+// Absolute URL => content hash of every precached file
+const PRECACHE_REVISIONS = new Map(
+  PRECACHE.assets.map((asset) => [new URL(asset.url, self.location).href, asset.revision])
+);
+
+const CACHE_NAMES = {
+  precache: 'sinople-precache',
+  pages: 'sinople-pages',
+  assets: 'sinople-assets',
+  media: 'sinople-media',
+};
+
+// Navigations fall back to the cache if the network is slower than this
+const NETWORK_TIMEOUT_MS = 3000;
+
+// Images and the WASM module are kept for 30 days, at most 100 entries
+const MEDIA_MAX_AGE_MS = 30 * 24 * 60 * 60 * 1000;
+const MEDIA_MAX_ENTRIES = 100;
+
+// Header stamped on cached responses so expiry can be checked on read
+const CACHED_AT_HEADER = 'sw-cached-at';
+
+// Header recording which build of a file the precache holds
+const REVISION_HEADER = 'sw-precache-revision';
+
+// Entries saved for offline reading outlive deploys, so the cache is unversioned
+const OFFLINE_CACHE = 'sinople-offline-entries';
+const OFFLINE_MAX_IMAGES = 40;
+
+// IndexedDB holding the metadata of saved entries
+const DB_NAME = 'sinople-offline';
+const DB_VERSION = 2;
+const SAVED_ENTRIES_STORE = 'saved-entries';
+const OUTBOX_STORE = 'outbox';
+
+// Background Sync tag that replays the outbox
+const OUTBOX_SYNC_TAG = 'sinople-outbox';
+
+// admin-ajax.php actions that are worth replaying after a failed POST
+const OUTBOX_AJAX_ACTIONS = ['sinople_set_consent'];
+
+// Headers carried over when a queued POST is replayed
+const OUTBOX_HEADERS = ['Accept', 'Content-Type', 'X-Requested-With', 'X-WP-Nonce'];
+
+/**
+ * Route table - first match wins.
+ *
+ * A route whose strategy is null is never answered by the worker, so the
+ * browser handles it directly and nothing is written to any cache.
+ */
+const ROUTES = [
+  {
+    name: 'outbox',
+    match: ({ request, url }) => request.method === 'POST' && outboxKind(url) !== null,
+    strategy: (event) => networkOrQueue(event),
+  },
+  {
+    name: 'non-get',
+    match: ({ request }) => request.method !== 'GET',
+    strategy: null,
+  },
+  {
+    name: 'cross-origin',
+    match: ({ url }) => url.origin !== self.location.origin,
+    strategy: null,
+  },
+  {
+    name: 'admin',
+    match: ({ url }) =>
+      url.pathname.includes('/wp-admin/') ||
+      url.pathname.endsWith('/wp-login.php') ||
+      url.pathname.endsWith('/admin-ajax.php'),
+    strategy: null,
+  },
+  {
+    name: 'event-stream',
+    match: ({ request, url }) =>
+      /\/feed\/ndjson\/stream\/?$/.test(url.pathname) ||
+      url.searchParams.has('ndjson_stream') ||
+      (request.headers.get('Accept') || '').includes('text/event-stream'),
+    strategy: null,
+  },
+  {
+    name: 'preview',
+    match: ({ url }) => url.searchParams.has('preview') || url.searchParams.has('customize_changeset_uuid'),
+    strategy: null,
+  },
+  {
+    name: 'precache',
+    match: ({ url }) => PRECACHE_REVISIONS.has(url.origin + url.pathname),
+    strategy: (event) => precacheFirst(event),
+  },
+  {
+    name: 'navigation',
+    match: ({ request }) => request.mode === 'navigate',
+    strategy: (event) =>
+      networkFirst(event, CACHE_NAMES.pages, NETWORK_TIMEOUT_MS).catch(() => offlinePage()),
+  },
+  {
+    name: 'static-assets',
+    match: ({ request, url }) =>
+      ['style', 'script', 'font'].includes(request.destination) ||
+      /\.(?:css|js|mjs|woff2?|ttf|otf|eot)$/i.test(url.pathname),
+    strategy: (event) => staleWhileRevalidate(event, CACHE_NAMES.assets),
+  },
+  {
+    name: 'media',
+    match: ({ request, url }) =>
+      request.destination === 'image' ||
+      /\.(?:jpe?g|png|gif|webp|avif|svg|ico|wasm)$/i.test(url.pathname),
+    strategy: (event) => cacheFirst(event, CACHE_NAMES.media, MEDIA_MAX_AGE_MS, MEDIA_MAX_ENTRIES),
+  },
 ];
 
-// Install event - cache assets
-self.addEventListener('install', (event) => {
+/**
+ * Find the route for a request
+ */
+function matchRoute(request) {
+  const url = new URL(request.url);
+  return ROUTES.find((route) => route.match({ request, url })) || null;
+}
+
+/**
+ * Whether a network response may be written to a cache
+ */
+function isCacheable(response) {
+  if (!response || response.status !== 200 || response.type !== 'basic') {
+    return false;
+  }
+
+  // Pages for logged-in visitors are sent private (sinople_cache_headers in
+  // inc/performance.php); no-cache ones may not be reused unrevalidated
+  const cacheControl = response.headers.get('Cache-Control') || '';
+  return !/no-store|no-cache|private/i.test(cacheControl);
+}
+
+/**
+ * Look a request up in a route cache, then in saved entries and the precache
+ */
+async function matchCached(cacheName, request) {
+  for (const name of [cacheName, OFFLINE_CACHE, CACHE_NAMES.precache]) {
+    const cache = await caches.open(name);
+    const cached = await cache.match(request);
+    if (cached) {
+      return cached;
+    }
+  }
+
+  return undefined;
+}
+
+/**
+ * Store a copy of a response, stamped with the time it was cached
+ */
+async function putInCache(cacheName, request, response, maxEntries) {
+  const headers = new Headers(response.headers);
+  headers.set(CACHED_AT_HEADER, String(Date.now()));
+
+  const body = await response.blob();
+  const cache = await caches.open(cacheName);
+  await cache.put(
+    request,
+    new Response(body, {
+      status: response.status,
+      statusText: response.statusText,
+      headers,
+    })
+  );
+
+  if (maxEntries) {
+    await trimCache(cache, maxEntries);
+  }
+}
+
+/**
+ * Drop the oldest entries once a cache grows past its limit
+ */
+async function trimCache(cache, maxEntries) {
+  const keys = await cache.keys();
+  const excess = keys.length - maxEntries;
+
+  for (let i = 0; i < excess; i++) {
+    await cache.delete(keys[i]);
+  }
+}
+
+/**
+ * Whether a cached response is older than maxAge
+ */
+function isExpired(response, maxAge) {
+  const cachedAt = Number(response.headers.get(CACHED_AT_HEADER));
+  return !cachedAt || Date.now() - cachedAt > maxAge;
+}
+
+/**
+ * Precached build assets: the manifest already says they are current.
+ * WordPress appends ?ver= to enqueued files, so the query is ignored.
+ */
+async function precacheFirst(event) {
+  const precache = await caches.open(CACHE_NAMES.precache);
+  const cached = await precache.match(event.request, { ignoreSearch: true });
+  return cached || fetch(event.request);
+}
+
+/**
+ * Bring the precache in line with the manifest, fetching only changed files
+ */
+async function precacheManifest() {
+  const precache = await caches.open(CACHE_NAMES.precache);
+
+  await Promise.all(
+    [...PRECACHE_REVISIONS].map(async ([url, revision]) => {
+      const cached = await precache.match(url);
+      if (cached && cached.headers.get(REVISION_HEADER) === revision) {
+        return;
+      }
+
+      const response = await fetch(url, { cache: 'reload' });
+      if (!response.ok) {
+        throw new Error(`Failed to precache ${url}: ${response.status}`);
+      }
+
+      const headers = new Headers(response.headers);
+      headers.set(REVISION_HEADER, revision);
+      await precache.put(
+        url,
+        new Response(await response.blob(), {
+          status: response.status,
+          statusText: response.statusText,
+          headers,
+        })
+      );
+    })
+  );
+}
+
+/**
+ * Drop precached files that are no longer part of the build
+ */
+async function prunePrecache() {
+  const precache = await caches.open(CACHE_NAMES.precache);
+  const keys = await precache.keys();
+
+  await Promise.all(
+    keys
+      .filter((request) => !PRECACHE_REVISIONS.has(request.url))
+      .map((request) => precache.delete(request))
+  );
+}
+
+/**
+ * Network-first: fresh pages when online, cached copy when slow or offline
+ */
+async function networkFirst(event, cacheName, timeout) {
+  const { request } = event;
+
+  const network = fetch(request);
+
+  // Registered before anything is awaited, while the event can still be
+  // extended: the page is cached even when the cache answers first, and a
+  // failed fetch nobody waits for is not left unhandled
   event.waitUntil(
-    caches.open(CACHE_VERSION).then((cache) => {
-      return cache.addAll(CACHE_ASSETS);
+    network
+      .then((response) => isCacheable(response) && putInCache(cacheName, request, response.clone()))
+      .catch(() => {})
+  );
+
+  let timer;
+  const timedOut = new Promise((resolve) => {
+    timer = setTimeout(() => resolve(null), timeout);
+  });
+
+  try {
+    const first = await Promise.race([network, timedOut]);
+    if (first) {
+      return first;
+    }
+
+    // Network is slow - use the cache if we have it, otherwise keep waiting
+    const cached = await matchCached(cacheName, request);
+    return cached || (await network);
+  } catch (error) {
+    const cached = await matchCached(cacheName, request);
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  } finally {
+    clearTimeout(timer);
+  }
+}
+
+/**
+ * Stale-while-revalidate: answer from cache, refresh in the background
+ */
+async function staleWhileRevalidate(event, cacheName) {
+  const { request } = event;
+  const cached = await matchCached(cacheName, request);
+
+  const network = fetch(request).then((response) => {
+    if (isCacheable(response)) {
+      return putInCache(cacheName, request, response.clone()).then(() => response);
+    }
+    return response;
+  });
+
+  if (cached) {
+    event.waitUntil(network.catch(() => {}));
+    return cached;
+  }
+
+  return network;
+}
+
+/**
+ * Cache-first with expiry: long-lived binaries only go to the network when stale
+ */
+async function cacheFirst(event, cacheName, maxAge, maxEntries) {
+  const { request } = event;
+  const cached = await matchCached(cacheName, request);
+
+  if (cached && !isExpired(cached, maxAge)) {
+    return cached;
+  }
+
+  try {
+    const response = await fetch(request);
+    if (isCacheable(response)) {
+      event.waitUntil(putInCache(cacheName, request, response.clone(), maxEntries));
+    }
+    return response;
+  } catch (error) {
+    // Expired beats nothing when offline
+    if (cached) {
+      return cached;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Open the offline database, creating its stores on first use
+ */
+function openDatabase() {
+  return new Promise((resolve, reject) => {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(SAVED_ENTRIES_STORE)) {
+        db.createObjectStore(SAVED_ENTRIES_STORE, { keyPath: 'url' });
+      }
+      if (!db.objectStoreNames.contains(OUTBOX_STORE)) {
+        db.createObjectStore(OUTBOX_STORE, { keyPath: 'id', autoIncrement: true });
+      }
+    };
+    request.onsuccess = () => resolve(request.result);
+    request.onerror = () => reject(request.error);
+  });
+}
+
+/**
+ * Run a single request against an object store
+ */
+async function withStore(storeName, mode, operation) {
+  const db = await openDatabase();
+
+  return new Promise((resolve, reject) => {
+    const transaction = db.transaction(storeName, mode);
+    const request = operation(transaction.objectStore(storeName));
+
+    transaction.oncomplete = () => {
+      db.close();
+      resolve(request.result);
+    };
+    transaction.onerror = () => {
+      db.close();
+      reject(transaction.error);
+    };
+  });
+}
+
+/**
+ * Decode the few entities that appear in attribute values
+ */
+function decodeAttribute(value) {
+  return value
+    .replace(/&amp;/g, '&')
+    .replace(/&quot;/g, '"')
+    .replace(/&#0?39;/g, "'");
+}
+
+/**
+ * Same-origin image URLs referenced by an entry (src and every srcset candidate)
+ */
+function extractImageUrls(html, baseUrl) {
+  const urls = new Set();
+  const tags = html.match(/<img\b[^>]*>/gi) || [];
+
+  tags.forEach((tag) => {
+    for (const [, name, , raw] of tag.matchAll(/\s(src|srcset)=(["'])(.*?)\2/gi)) {
+      const value = decodeAttribute(raw);
+      const candidates = name.toLowerCase() === 'srcset'
+        ? value.split(',').map((candidate) => candidate.trim().split(/\s+/)[0])
+        : [value];
+
+      candidates.filter(Boolean).forEach((candidate) => {
+        const url = new URL(candidate, baseUrl);
+        if (url.origin === self.location.origin) {
+          urls.add(url.href);
+        }
+      });
+    }
+  });
+
+  return [...urls].slice(0, OFFLINE_MAX_IMAGES);
+}
+
+/**
+ * Store an entry's HTML and images for offline reading
+ */
+async function saveEntry(entry) {
+  const url = new URL(entry.url, self.location.origin);
+  if (url.origin !== self.location.origin) {
+    throw new Error('Only entries from this site can be saved for offline reading');
+  }
+
+  const response = await fetch(url.href, { credentials: 'same-origin' });
+  if (!response.ok) {
+    throw new Error(`Failed to fetch entry: ${response.status}`);
+  }
+
+  const html = await response.clone().text();
+  const cache = await caches.open(OFFLINE_CACHE);
+  await cache.put(url.href, response);
+
+  // Missing images should not stop the entry itself being saved
+  const images = [];
+  await Promise.all(
+    extractImageUrls(html, url.href).map(async (src) => {
+      try {
+        const image = await fetch(src);
+        if (image.ok) {
+          await cache.put(src, image);
+          images.push(src);
+        }
+      } catch (_error) {
+        // Skip unreachable images
+      }
     })
   );
+
+  const record = {
+    url: url.href,
+    title: entry.title || url.pathname,
+    excerpt: entry.excerpt || '',
+    published: entry.published || '',
+    savedAt: new Date().toISOString(),
+    images,
+  };
+  await withStore(SAVED_ENTRIES_STORE, 'readwrite', (store) => store.put(record));
+
+  return record;
+}
+
+/**
+ * Forget a saved entry and drop its cached HTML and images
+ */
+async function removeEntry(url) {
+  const record = await withStore(SAVED_ENTRIES_STORE, 'readonly', (store) => store.get(url));
+  const cache = await caches.open(OFFLINE_CACHE);
+
+  await cache.delete(url);
+  if (record) {
+    // Images may be shared with other saved entries
+    const others = (await listEntries()).filter((entry) => entry.url !== url);
+    const shared = new Set(others.flatMap((entry) => entry.images));
+    await Promise.all(
+      record.images.filter((src) => !shared.has(src)).map((src) => cache.delete(src))
+    );
+  }
+
+  await withStore(SAVED_ENTRIES_STORE, 'readwrite', (store) => store.delete(url));
+}
+
+/**
+ * Saved entries, most recently saved first
+ */
+async function listEntries() {
+  const entries = await withStore(SAVED_ENTRIES_STORE, 'readonly', (store) => store.getAll());
+  return entries.sort((a, b) => b.savedAt.localeCompare(a.savedAt));
+}
+
+/**
+ * Escape text for interpolation into generated HTML
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Offline fallback page listing the entries saved for offline reading
+ */
+async function offlinePage() {
+  let entries = [];
+  try {
+    entries = await listEntries();
+  } catch (_error) {
+    // No saved entries if IndexedDB is unavailable
+  }
+
+  const list = entries.length
+    ? `<ul class="saved-entries">${entries.map((entry) => `
+        <li class="h-entry">
+          <a class="p-name u-url" href="${escapeHtml(entry.url)}">${escapeHtml(entry.title)}</a>
+          ${entry.published ? `<time class="dt-published" datetime="${escapeHtml(entry.published)}">${escapeHtml(entry.published.slice(0, 10))}</time>` : ''}
+          ${entry.excerpt ? `<p class="p-summary">${escapeHtml(entry.excerpt)}</p>` : ''}
+        </li>`).join('')}
+      </ul>`
+    : '<p>No entries have been saved for offline reading yet.</p>';
+
+  const html = `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <meta name="color-scheme" content="light dark">
+  <title>Offline</title>
+  <style>
+    body { font-family: Georgia, Cambria, "Times New Roman", serif; line-height: 1.75; max-width: 40rem; margin: 0 auto; padding: 2rem 1rem; }
+    .saved-entries { list-style: none; padding: 0; }
+    .saved-entries li { margin-block: 1.5rem; }
+    .saved-entries time { display: block; font-size: 0.875em; }
+    a:focus-visible { outline: 3px solid #0066cc; outline-offset: 2px; }
+  </style>
+</head>
+<body>
+  <main id="main">
+    <h1>You are offline</h1>
+    <p>This page is not available without a connection. These entries were saved for offline reading:</p>
+    ${list}
+  </main>
+</body>
+</html>`;
+
+  return new Response(html, {
+    status: 503,
+    headers: {
+      'Content-Type': 'text/html; charset=utf-8',
+      'Cache-Control': 'no-store',
+    },
+  });
+}
+
+/**
+ * Which kind of queueable POST a URL is, or null
+ */
+function outboxKind(url) {
+  if (url.origin !== self.location.origin) {
+    return null;
+  }
+  if (url.pathname.endsWith('/wp-comments-post.php')) {
+    return 'comment';
+  }
+  if (url.pathname.endsWith('/admin-ajax.php')) {
+    return 'ajax';
+  }
+  if (/\/micropub\/?$/.test(url.pathname) || url.searchParams.has('micropub')) {
+    return 'micropub';
+  }
+  if (/\/webmention\/?$/.test(url.pathname)) {
+    return 'webmention';
+  }
+  return null;
+}
+
+/**
+ * Read form fields from a POST body, if it is a form
+ */
+async function readForm(request) {
+  try {
+    return await request.clone().formData();
+  } catch (_error) {
+    return null;
+  }
+}
+
+/**
+ * Short description of a queued POST for the page's status list
+ */
+function summarize(kind, form) {
+  const field = { comment: 'comment', micropub: 'content', webmention: 'source' }[kind];
+  const value = field && form ? String(form.get(field) || '') : '';
+  return value.length > 80 ? `${value.slice(0, 79)}…` : value;
+}
+
+/**
+ * Send a POST, and queue it in the outbox if the network is unreachable
+ */
+async function networkOrQueue(event) {
+  const { request } = event;
+  const copy = request.clone();
+
+  try {
+    return await fetch(request);
+  } catch (error) {
+    let kind = outboxKind(new URL(request.url));
+    const form = await readForm(copy);
+
+    // Only allow-listed AJAX actions are replayed; the rest fail as before
+    if (kind === 'ajax') {
+      const action = form ? form.get('action') : null;
+      if (!OUTBOX_AJAX_ACTIONS.includes(action)) {
+        throw error;
+      }
+      kind = action === 'sinople_set_consent' ? 'consent' : action;
+    }
+
+    const item = await queuePost(copy, kind, summarize(kind, form));
+    event.waitUntil(requestReplay().then(() => broadcastOutbox()));
+
+    return queuedResponse(request, item);
+  }
+}
+
+/**
+ * Store a failed POST in the outbox
+ */
+async function queuePost(request, kind, summary) {
+  const headers = OUTBOX_HEADERS
+    .filter((name) => request.headers.has(name))
+    .map((name) => [name, request.headers.get(name)]);
+
+  const item = {
+    url: request.url,
+    method: request.method,
+    headers,
+    body: await request.arrayBuffer(),
+    kind,
+    summary,
+    status: 'queued',
+    attempts: 0,
+    error: '',
+    queuedAt: new Date().toISOString(),
+  };
+
+  item.id = await withStore(OUTBOX_STORE, 'readwrite', (store) => store.put(item));
+  return item;
+}
+
+/**
+ * Ask for a replay: Background Sync where supported, otherwise the page
+ * sends outbox:replay on its next online event
+ */
+async function requestReplay() {
+  if (self.registration && self.registration.sync) {
+    try {
+      await self.registration.sync.register(OUTBOX_SYNC_TAG);
+    } catch (_error) {
+      // Sync permission denied - the page's online fallback still applies
+    }
+  }
+}
+
+/**
+ * Response for a POST that was queued instead of sent
+ */
+function queuedResponse(request, item) {
+  if (request.mode === 'navigate') {
+    const back = request.referrer && new URL(request.referrer).origin === self.location.origin
+      ? request.referrer
+      : '/';
+
+    return new Response(`<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1.0">
+  <title>Saved to send later</title>
+</head>
+<body>
+  <main id="main">
+    <h1>Saved to send later</h1>
+    <p>You are offline, so your ${escapeHtml(item.kind)} has been kept on this device. It will be sent automatically when you are back online.</p>
+    <p><a href="${escapeHtml(back)}">Return to the page</a></p>
+  </main>
+</body>
+</html>`, {
+      status: 202,
+      headers: { 'Content-Type': 'text/html; charset=utf-8', 'Cache-Control': 'no-store' },
+    });
+  }
+
+  // Shaped like wp_send_json_success() so AJAX callers can treat it as accepted
+  return new Response(JSON.stringify({ success: true, data: { queued: true, id: item.id } }), {
+    status: 202,
+    headers: { 'Content-Type': 'application/json', 'Cache-Control': 'no-store' },
+  });
+}
+
+/**
+ * Outbox items without their bodies, oldest first
+ */
+async function listOutbox() {
+  const items = await withStore(OUTBOX_STORE, 'readonly', (store) => store.getAll());
+  return items
+    .map(({ body: _body, headers: _headers, ...item }) => item)
+    .sort((a, b) => a.id - b.id);
+}
+
+/**
+ * Tell every open page that the outbox changed
+ */
+async function broadcastOutbox() {
+  const items = await listOutbox();
+  const clients = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+  clients.forEach((client) => client.postMessage({ type: 'outbox:changed', items }));
+}
+
+/**
+ * Replay queued POSTs in order.
+ *
+ * Rejected requests (expired nonce, duplicate comment) are marked failed
+ * and kept for the reader to cancel; a network error stops the replay and
+ * rejects so Background Sync retries later.
+ */
+async function replayOutbox() {
+  const items = await withStore(OUTBOX_STORE, 'readonly', (store) => store.getAll());
+  const pending = items.filter((item) => item.status !== 'failed').sort((a, b) => a.id - b.id);
+
+  try {
+    for (const item of pending) {
+      item.status = 'sending';
+      item.attempts += 1;
+      await withStore(OUTBOX_STORE, 'readwrite', (store) => store.put(item));
+      await broadcastOutbox();
+
+      let response;
+      try {
+        response = await fetch(new Request(item.url, {
+          method: item.method,
+          headers: item.headers,
+          body: item.body,
+          credentials: 'same-origin',
+        }));
+      } catch (error) {
+        item.status = 'queued';
+        await withStore(OUTBOX_STORE, 'readwrite', (store) => store.put(item));
+        throw error;
+      }
+
+      if (response.ok) {
+        await withStore(OUTBOX_STORE, 'readwrite', (store) => store.delete(item.id));
+      } else {
+        item.status = 'failed';
+        item.error = `${response.status} ${response.statusText}`.trim();
+        await withStore(OUTBOX_STORE, 'readwrite', (store) => store.put(item));
+      }
+    }
+  } finally {
+    await broadcastOutbox();
+  }
+}
+
+/**
+ * Drop a queued POST the reader no longer wants sent
+ */
+async function cancelOutboxItem(id) {
+  await withStore(OUTBOX_STORE, 'readwrite', (store) => store.delete(id));
+  await broadcastOutbox();
+}
+
+/**
+ * Messages from pages - each reply goes back on the MessageChannel port
+ */
+const MESSAGE_HANDLERS = {
+  'offline:save': (data) => saveEntry(data.entry),
+  'offline:remove': (data) => removeEntry(data.url),
+  'offline:has': async (data) => {
+    const record = await withStore(SAVED_ENTRIES_STORE, 'readonly', (store) => store.get(data.url));
+    return Boolean(record);
+  },
+  'offline:list': () => listEntries(),
+  'outbox:list': () => listOutbox(),
+  'outbox:cancel': (data) => cancelOutboxItem(data.id),
+  'outbox:replay': () => replayOutbox(),
+};
+
+// Install event - precache the build listed in the manifest
+self.addEventListener('install', (event) => {
+  event.waitUntil(precacheManifest());
   self.skipWaiting();
 });
 
-// Activate event - clean old caches
+// Activate event - prune the precache and clean caches that no route owns
 self.addEventListener('activate', (event) => {
+  const current = [...Object.values(CACHE_NAMES), OFFLINE_CACHE];
+
   event.waitUntil(
     caches.keys().then((cacheNames) => {
       return Promise.all(
         cacheNames
-          .filter((name) => name !== CACHE_VERSION)
+          .filter((name) => !current.includes(name))
           .map((name) => caches.delete(name))
       );
-    })
+    }).then(() => prunePrecache())
   );
   self.clients.claim();
 });
 
-// Fetch event - serve from cache, fallback to network
+// Fetch event - dispatch to the matching route strategy
 self.addEventListener('fetch', (event) => {
-  event.respondWith(
-    caches.match(event.request).then((response) => {
-      if (response) {
-        return response;
-      }
+  const route = matchRoute(event.request);
 
-      return fetch(event.request).then((response) => {
-        // Cache successful responses
-        if (response && response.status === 200 && response.type === 'basic') {
-          const responseToCache = response.clone();
+  if (!route || !route.strategy) {
+    return;
+  }
 
-          caches.open(CACHE_VERSION).then((cache) => {
-            cache.put(event.request, responseToCache);
-          });
-        }
+  event.respondWith(route.strategy(event));
+});
 
-        return response;
-      });
-    })
+// Sync event - replay POSTs queued while offline
+self.addEventListener('sync', (event) => {
+  if (event.tag === OUTBOX_SYNC_TAG) {
+    event.waitUntil(replayOutbox());
+  }
+});
+
+// Message event - page requests for offline reading and the outbox
+self.addEventListener('message', (event) => {
+  const handler = event.data && MESSAGE_HANDLERS[event.data.type];
+  const [port] = event.ports;
+
+  if (!handler || !port) {
+    return;
+  }
+
+  event.waitUntil(
+    Promise.resolve()
+      .then(() => handler(event.data))
+      .then(
+        (result) => port.postMessage({ ok: true, result }),
+        (error) => port.postMessage({ ok: false, error: error.message })
+      )
   );
 });
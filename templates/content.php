@@ -14,7 +14,7 @@
 		if ( is_singular() ) :
 			the_title( '<h1 class="entry-title p-name" itemprop="headline">', '</h1>' );
 		else :
-			the_title( '<h2 class="entry-title p-name" itemprop="headline"><a href="' . esc_url( get_permalink() ) . '" class="u-url" rel="bookmark" itemprop="url">', '</a></h2>' );
+			the_title( '<h2 class="entry-title p-name" itemprop="headline"><a href="' . esc_url( get_permalink() ) . '" class="u-url" rel="bookmark" itemprop="url" data-view-transition>', '</a></h2>' );
 		endif;
 		?>
 
@@ -46,9 +46,20 @@
 				<?php sinople_display_reading_time(); ?>
 			<?php endif; ?>
 		</div><!-- .entry-meta -->
+
+		<?php if ( function_exists( 'sinople_term_chips' ) ) : ?>
+			<?php sinople_term_chips(); ?>
+		<?php endif; ?>
 	</header><!-- .entry-header -->
 
-	<?php if ( has_post_thumbnail() && ! is_singular() ) : ?>
+	<?php if ( has_post_thumbnail() && is_singular() ) : ?>
+		<div class="entry-thumbnail">
+			<?php
+			// Same image as the archive card, so it can morph between them
+			the_post_thumbnail( 'full', array( 'class' => 'u-photo' ) );
+			?>
+		</div>
+	<?php elseif ( has_post_thumbnail() ) : ?>
 		<div class="entry-thumbnail">
 			<a href="<?php the_permalink(); ?>" aria-hidden="true" tabindex="-1">
 				<?php
@@ -121,6 +132,11 @@
 			if ( function_exists( 'sinople_syndication_links' ) ) {
 				sinople_syndication_links();
 			}
+
+			// Share and save for offline
+			if ( function_exists( 'sinople_entry_actions' ) ) {
+				sinople_entry_actions();
+			}
 			?>
 		</footer><!-- .entry-footer -->
 	<?php endif; ?>
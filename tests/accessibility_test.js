@@ -6,6 +6,14 @@
  */
 
 import { assertEquals, assertExists } from "@std/assert";
+import { Event, importBuilt, installDom } from "./dom_shim.js";
+
+// Accessibility.res as built by `deno task build:rescript`
+const Accessibility = await importBuilt("Accessibility");
+
+function builtTest(name, fn) {
+  Deno.test({ name, ignore: Accessibility === null, fn });
+}
 
 // Mock DOM environment for testing
 function createMockDOM() {
@@ -248,3 +256,57 @@ Deno.test("Accessibility - menu toggle aria-expanded attribute", () => {
   mockToggle.setAttribute("aria-expanded", "true");
   assertEquals(mockToggle.getAttribute("aria-expanded"), "true");
 });
+
+builtTest("Accessibility - arrow keys wrap around the menu", () => {
+  assertEquals(Accessibility.nextItem("ArrowDown", 0, 3), 1);
+  assertEquals(Accessibility.nextItem("ArrowRight", 2, 3), 0);
+  assertEquals(Accessibility.nextItem("ArrowUp", 0, 3), 2);
+  assertEquals(Accessibility.nextItem("Home", 2, 3), 0);
+  assertEquals(Accessibility.nextItem("End", 0, 3), 2);
+});
+
+builtTest("Accessibility - keys outside the menu or unrelated are ignored", () => {
+  assertEquals(Accessibility.nextItem("ArrowDown", -1, 3), undefined);
+  assertEquals(Accessibility.nextItem("Tab", 1, 3), undefined);
+});
+
+builtTest("Accessibility - menu items skip hidden links", () => {
+  const { document, restore } = installDom();
+  try {
+    const menu = document.createElement("ul");
+    const links = ["Home", "Archive", "About"].map((text) => {
+      const item = document.createElement("li");
+      const link = document.createElement("a");
+      link.textContent = text;
+      item.append(link);
+      menu.append(item);
+      return link;
+    });
+    links[1].parentNode.hidden = true;
+
+    assertEquals(Accessibility.menuItems(menu), [links[0], links[2]]);
+  } finally {
+    restore();
+  }
+});
+
+builtTest("Accessibility - skip link focuses its target", () => {
+  const { document, restore } = installDom();
+  try {
+    const link = document.createElement("a");
+    link.className = "skip-link";
+    link.setAttribute("href", "#main");
+    const main = document.createElement("main");
+    main.id = "main";
+    document.body.append(link, main);
+
+    Accessibility.initSkipLinks();
+    const click = new Event("click", { bubbles: true });
+    link.dispatchEvent(click);
+
+    assertEquals(click.defaultPrevented, true);
+    assertEquals(document.activeElement, main);
+  } finally {
+    restore();
+  }
+});
@@ -0,0 +1,242 @@
+/**
+ * Tests for the consent controller
+ *
+ * Runs Consent.res as built by `deno task build:rescript`, against the
+ * DOM shim, on an entry at HERE, with the browser's privacy signals and
+ * the AJAX endpoint scripted.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assert, assertEquals } from "@std/assert";
+import { importBuilt, installDom, withGlobals } from "./dom_shim.js";
+
+// Consent.res as built by `deno task build:rescript`
+const Consent = await importBuilt("Consent");
+
+const HERE = "https://example.org/2024/03/salt-marsh/";
+
+const ORIGINS = ["https://www.youtube-nocookie.com", "https://www.youtube.com", "https://player.vimeo.com"];
+
+// Each test starts with no choice made and no privacy signal sent;
+// `navigator` replaces the signals
+function builtTest(name, fn, { navigator = {} } = {}) {
+  Deno.test({
+    name,
+    ignore: Consent === null,
+    fn: async () => {
+      const { document, window, restore } = installDom();
+      document.cookie = "";
+      try {
+        await withGlobals({ navigator, location: { href: HERE } }, () => fn(document, window));
+      } finally {
+        Consent.current.contents = undefined;
+        Consent.listeners.length = 0;
+        Consent.settings.contents = { embedOrigins: [], fontsUrl: "" };
+        restore();
+      }
+    },
+  });
+}
+
+// An element with attributes
+function element(document, name, attributes = {}) {
+  const node = document.createElement(name);
+  for (const [attribute, value] of Object.entries(attributes)) {
+    node.setAttribute(attribute, value);
+  }
+  return node;
+}
+
+const NONE = { analytics: false, external_fonts: false, external_media: false, webmentions: false };
+const ALL = { analytics: true, external_fonts: true, external_media: true, webmentions: true };
+
+builtTest("Consent - reads the cookie the server sets", (document) => {
+  // sinople_set_partitioned_cookie() rawurlencodes wp_json_encode() output
+  const choices = { ...NONE, external_fonts: true, external_media: true };
+  document.cookie = `wordpress_test_cookie=WP; sinople_consent=${encodeURIComponent(JSON.stringify(choices))}; other=1`;
+
+  assertEquals(Consent.stored(), choices);
+
+  document.cookie = "other=1";
+  assertEquals(Consent.cookie(), undefined);
+  document.cookie = "sinople_consent=%E0%A4%A";
+  assertEquals(Consent.cookie(), undefined);
+});
+
+builtTest("Consent - without the cookie, the copy kept here is used", (document) => {
+  localStorage.setItem(Consent.storageKey, JSON.stringify({ ...NONE, webmentions: true }));
+  assertEquals(Consent.stored(), { ...NONE, webmentions: true });
+
+  // The server's cookie wins
+  document.cookie = `sinople_consent=${encodeURIComponent(JSON.stringify(ALL))}`;
+  assertEquals(Consent.stored(), ALL);
+});
+
+builtTest("Consent - only true allows a feature", () => {
+  assertEquals(Consent.fromJson({ analytics: "yes", external_media: 1, webmentions: true }), {
+    ...NONE,
+    webmentions: true,
+  });
+  assertEquals(Consent.fromJson([true]), undefined);
+  assertEquals(Consent.fromJson(null), undefined);
+  assertEquals(Consent.parse("not json"), undefined);
+});
+
+builtTest("Consent - Global Privacy Control rules out analytics", () => {
+  assertEquals(Consent.optedOut(), true);
+  assertEquals(Consent.fromJson(ALL), { ...ALL, analytics: false });
+
+  Consent.choose(ALL);
+  assertEquals(Consent.has("analytics"), false);
+  assertEquals(Consent.has("external_media"), true);
+  assertEquals(JSON.parse(localStorage.getItem(Consent.storageKey)).analytics, false);
+}, { navigator: { globalPrivacyControl: true } });
+
+builtTest("Consent - Do Not Track rules out analytics", () => {
+  assertEquals(Consent.optedOut(), true);
+  assertEquals(Consent.fromJson(ALL).analytics, false);
+}, { navigator: { doNotTrack: "1" } });
+
+builtTest("Consent - no signal, or Do Not Track off, leaves analytics to the reader", async () => {
+  assertEquals(Consent.optedOut(), false);
+  await withGlobals({ navigator: { doNotTrack: "0", globalPrivacyControl: false } }, () => {
+    assertEquals(Consent.optedOut(), false);
+  });
+});
+
+builtTest("Consent - a choice is kept, switched on and announced", (document, window) => {
+  const heard = [];
+  const events = [];
+  window.sinople = {};
+  Consent.onChange((choices) => heard.push(choices));
+  document.addEventListener("sinople:consent", (event) => events.push(event.detail));
+  Consent.settings.contents = { embedOrigins: ORIGINS, fontsUrl: "https://fonts.example/css" };
+  const choices = { ...NONE, external_fonts: true };
+
+  Consent.choose(choices);
+  Consent.choose(choices);
+
+  assertEquals(Consent.current.contents, choices);
+  assertEquals(JSON.parse(localStorage.getItem(Consent.storageKey)), choices);
+  assertEquals(window.sinople.consent, choices);
+  assertEquals(heard, [choices, choices]);
+  assertEquals(events, [choices, choices]);
+
+  // The stylesheet is added once
+  const fonts = document.head.querySelectorAll("link");
+  assertEquals(fonts.length, 1);
+  assertEquals(fonts[0].id, "sinople-external-fonts");
+  assertEquals(fonts[0].getAttribute("href"), "https://fonts.example/css");
+  assertEquals(fonts[0].getAttribute("crossorigin"), "anonymous");
+});
+
+builtTest("Consent - embeds load only from allowed https origins, credentialless", (document) => {
+  const sources = {
+    youtube: "https://www.youtube-nocookie.com/embed/abc",
+    vimeo: "https://player.vimeo.com/video/1",
+    insecure: "http://player.vimeo.com/video/1",
+    elsewhere: "https://evil.example/embed",
+    script: "javascript:alert(1)",
+    // Relative sources resolve against the page, which isn't an embed origin
+    relative: "/embed/abc",
+    broken: "https://",
+  };
+  for (const [id, src] of Object.entries(sources)) {
+    document.body.append(element(document, "div", {
+      id,
+      class: "privacy-embed",
+      "data-src": src,
+      "data-title": `The ${id} video`,
+      "data-width": "",
+      "data-allow": "fullscreen",
+    }));
+  }
+
+  Consent.activateEmbeds(ORIGINS);
+
+  const frames = document.body.querySelectorAll("iframe");
+  assertEquals(frames.map((frame) => frame.getAttribute("src")), [sources.youtube, sources.vimeo]);
+  assertEquals(Object.fromEntries(frames[0].attributes.map(({ name, value }) => [name, value])), {
+    src: sources.youtube,
+    loading: "lazy",
+    referrerpolicy: "strict-origin-when-cross-origin",
+    // Loads under Cross-Origin-Embedder-Policy: require-corp
+    credentialless: "",
+    title: "The youtube video",
+    allow: "fullscreen",
+  });
+  assertEquals(
+    document.body.querySelectorAll(".privacy-embed").map((placeholder) => placeholder.id),
+    ["insecure", "elsewhere", "script", "relative", "broken"],
+  );
+});
+
+builtTest("Consent - held scripts run once their feature is allowed, with the page's nonce", (document) => {
+  const held = element(document, "script", {
+    type: "text/plain",
+    "data-consent": "analytics",
+    src: "https://stats.example/count.js",
+    nonce: "abc123",
+  });
+  // Browsers blank the attribute once parsed; the property keeps it
+  held.setAttribute("nonce", "");
+  held.nonce = "abc123";
+  held.textContent = "count()";
+  const other = element(document, "script", { type: "text/plain", "data-consent": "webmentions" });
+  other.textContent = "webmentions()";
+  document.body.append(held, other);
+
+  Consent.activateScripts("analytics");
+
+  const [script] = document.body.querySelectorAll("script[src]");
+  assertEquals(script.getAttribute("type"), null);
+  assertEquals(script.getAttribute("data-consent"), null);
+  assertEquals(script.nonce, "abc123");
+  assertEquals(script.textContent, "count()");
+  assertEquals(document.body.querySelectorAll('script[type="text/plain"]'), [other]);
+});
+
+builtTest("Consent - posts only the allowed checkboxes, with the nonce", async (document) => {
+  document.body.append(element(document, "input", { id: "sinople_consent_nonce", type: "hidden" }));
+  document.getElementById("sinople_consent_nonce").value = "n0nce";
+  const requests = [];
+  const fetch = (url, init) => {
+    requests.push({ url, init });
+    return Promise.resolve(Response.json({ success: true }));
+  };
+
+  const saved = await withGlobals(
+    { fetch },
+    () => Consent.push("/wp-admin/admin-ajax.php", { ...NONE, external_fonts: true, webmentions: true }),
+  );
+
+  assertEquals(saved, true);
+  assertEquals(requests.length, 1);
+  assertEquals(requests[0].url, "/wp-admin/admin-ajax.php");
+  assertEquals(requests[0].init.method, "POST");
+  assertEquals(requests[0].init.credentials, "same-origin");
+  assertEquals([...requests[0].init.body], [
+    ["action", "sinople_set_consent"],
+    ["sinople_consent_nonce", "n0nce"],
+    ["consent_fonts", "1"],
+    ["consent_webmentions", "1"],
+  ]);
+});
+
+builtTest("Consent - a refused or failed post isn't saved", async () => {
+  const answer = (response) => () => Promise.resolve(response);
+
+  const refused = await withGlobals(
+    { fetch: answer(Response.json({ success: false })) },
+    () => Consent.push("/wp-admin/admin-ajax.php", NONE),
+  );
+  const failed = await withGlobals(
+    { fetch: answer(new Response("", { status: 500 })) },
+    () => Consent.push("/wp-admin/admin-ajax.php", NONE),
+  );
+
+  assert(!refused);
+  assert(!failed);
+});
@@ -0,0 +1,121 @@
+/**
+ * Tests for the CSP hash generator
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assert, assertEquals } from "@std/assert";
+import {
+  cspHash,
+  findCreatedBlocks,
+  findInlineBlocks,
+  scanTheme,
+  unallowedBlocks,
+} from "../scripts/generate-csp-hashes.js";
+
+const NONCE = `nonce="<?php echo esc_attr( sinople_csp_nonce() ); ?>"`;
+
+const summary = (blocks) => blocks.map(({ element, line, dynamic, nonce }) => ({ element, line, dynamic, nonce }));
+
+Deno.test("CSP hashes - the hash the browser computes for an inline block", async () => {
+  // Known digests: the empty string and the content between the tags, whitespace included
+  assertEquals(await cspHash(""), "'sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU='");
+  assertEquals(await cspHash("\n\tconsole.log(1);\n"), await cspHash("\r\n\tconsole.log(1);\r\n"));
+  assert(await cspHash(" a") !== await cspHash("a"));
+});
+
+Deno.test("CSP hashes - static and PHP-filled blocks", () => {
+  const source = [
+    "<?php",
+    "function sinople_example() {",
+    "\t?>",
+    `\t<style ${NONCE}>`,
+    "\t\tbody { color: red; }",
+    "\t</style>",
+    "\t<script>",
+    "\t\twindow.answer = <?php echo (int) 42; ?>;",
+    "\t</script>",
+    "\t<?php",
+    "}",
+  ].join("\n");
+
+  const blocks = findInlineBlocks(source);
+
+  assertEquals(summary(blocks), [
+    { element: "style", line: 4, dynamic: false, nonce: true },
+    { element: "script", line: 7, dynamic: true, nonce: false },
+  ]);
+  assertEquals(blocks[0].content, "\n\t\tbody { color: red; }\n\t");
+  assertEquals(unallowedBlocks({ blocks }).map((block) => block.line), [7]);
+});
+
+Deno.test("CSP hashes - data blocks, comments and external scripts are not inline code", () => {
+  const source = [
+    '<script type="application/ld+json">{"@type": "Blog"}</script>',
+    "<!-- <script>commented out</script> -->",
+    '<script src="/app.js"></script>',
+    '<script type="module">import "/a.js";</script>',
+    '<style media="print">a { color: black; }</style>',
+  ].join("\n");
+
+  assertEquals(summary(findInlineBlocks(source)), [
+    { element: "script", line: 3, dynamic: false, nonce: false },
+    { element: "script", line: 4, dynamic: false, nonce: false },
+    { element: "style", line: 5, dynamic: false, nonce: false },
+  ]);
+});
+
+Deno.test("CSP hashes - tags printed from PHP code need the nonce", () => {
+  const source = [
+    "<?php",
+    "// <style> in a comment is not printed",
+    "if ( preg_match( '/<script/i', $html ) ) {",
+    "\techo '<style id=\"tint\">' . $css . '</style>';",
+    "\techo '<style id=\"palette\" nonce=\"' . esc_attr( sinople_csp_nonce() ) . '\">' . $css . '</style>';",
+    "}",
+  ].join("\n");
+
+  assertEquals(summary(findInlineBlocks(source)), [
+    { element: "style", line: 4, dynamic: true, nonce: false },
+    { element: "style", line: 5, dynamic: true, nonce: true },
+  ]);
+});
+
+Deno.test("CSP hashes - scripts and styles created at runtime need the nonce", () => {
+  const source = [
+    "let addRules: JSON.t => unit = %raw(`",
+    "  (rules) => {",
+    "    const script = document.createElement('script');",
+    "    script.textContent = JSON.stringify(rules);",
+    "    document.head.append(script);",
+    "  }",
+    "`)",
+    "",
+    "let setup = (root: shadowRoot) =>",
+    '  root->Element.appendToShadow([Document.make(~text=styles, "style")])',
+    "",
+    "let revive = (node: element): element => {",
+    '  let script = Document.createElement("script")',
+    "  script->withPageNonce",
+    "}",
+  ].join("\n");
+
+  const blocks = findCreatedBlocks(source);
+
+  assertEquals(summary(blocks), [
+    { element: "script", line: 3, dynamic: true, nonce: false },
+    { element: "style", line: 10, dynamic: true, nonce: false },
+    { element: "script", line: 13, dynamic: true, nonce: true },
+  ]);
+  assertEquals(unallowedBlocks({ blocks }).map((block) => block.line), [3, 10]);
+});
+
+Deno.test("CSP hashes - every inline block in the theme is allowed", async () => {
+  const scan = await scanTheme(new URL("..", import.meta.url).pathname);
+
+  assertEquals(unallowedBlocks(scan).map((block) => `${block.file}:${block.line}`), []);
+  assert(scan.scripts.length > 0);
+  assert(scan.styles.length > 0);
+  assert(scan.scripts.every((hash) => /^'sha256-[A-Za-z0-9+/]+=*'$/.test(hash)));
+});
@@ -0,0 +1,336 @@
+/**
+ * Tests for the dialog manager and menu roving focus
+ *
+ * Runs Dialog.res and Accessibility.res as built by
+ * `deno task build:rescript`, against the DOM shim, on a page with a
+ * preferences <dialog>, a search panel and a navigation menu.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assert, assertEquals } from "@std/assert";
+import { Event, importBuilt, installDom, withGlobals } from "./dom_shim.js";
+
+// Dialog.res, the menu in Accessibility.res and the router that closes
+// dialogs on navigation, as built by `deno task build:rescript`
+const Dialog = await importBuilt("Dialog");
+const Accessibility = await importBuilt("Accessibility");
+const ViewTransitions = await importBuilt("ViewTransitions");
+
+// Each test gets a fresh page with the dialog handling installed
+function builtTest(name, fn) {
+  Deno.test({
+    name,
+    ignore: Dialog === null,
+    fn: async () => {
+      const { document, window, restore } = installDom();
+      try {
+        Dialog.init();
+        await fn(page(document), document, window);
+      } finally {
+        Dialog.stack.contents = [];
+        Dialog.inerted.clear();
+        Dialog.initialized.contents = false;
+        ViewTransitions.pageInitialisers.length = 0;
+        restore();
+      }
+    },
+  });
+}
+
+// An element with attributes and children
+function element(document, name, attributes = {}, children = []) {
+  const node = document.createElement(name);
+  for (const [attribute, value] of Object.entries(attributes)) {
+    node.setAttribute(attribute, value);
+  }
+  node.append(...children);
+  return node;
+}
+
+// The page's parts by id: a header with the toggles, <main>, the
+// preferences <dialog>, the search panel and the consent banner
+function page(document) {
+  const e = (name, attributes, children) => element(document, name, attributes, children);
+  document.body.append(
+    e("header", { id: "header" }, [
+      e("button", { id: "preferences-toggle", "aria-expanded": "false" }),
+      e("button", { id: "search-toggle", "aria-expanded": "false" }),
+    ]),
+    e("main", { id: "main" }, [e("a", { id: "link", href: "/about/" })]),
+    e("dialog", { id: "preferences", hidden: "" }, [
+      e("input", { id: "font-scale", type: "range" }),
+      e("input", { id: "updated", type: "hidden" }),
+      e("button", { id: "reset" }),
+      e("button", { id: "close" }),
+    ]),
+    e("div", { id: "search", hidden: "" }, [
+      e("input", { id: "query", type: "search" }),
+      e("a", { id: "result", href: "/2024/03/salt-marsh/" }),
+    ]),
+    e("div", { id: "consent-banner", hidden: "" }, [e("button", { id: "accept" })]),
+  );
+  return Object.fromEntries([...document.body.descendants()].filter((node) => node.id).map((node) => [node.id, node]));
+}
+
+// Open a dialog, as open_ takes its labeled arguments in order
+function open(dialog, { modal = true, dismissible = true, trigger, initialFocus, focus = true } = {}) {
+  Dialog.open_(modal, dismissible, trigger, initialFocus, focus, undefined, dialog);
+}
+
+// Press a key on the focused element; returns the event
+function press(document, key, init = {}) {
+  const event = new Event("keydown", { bubbles: true, key, ...init });
+  document.activeElement.dispatchEvent(event);
+  return event;
+}
+
+const openDialogs = () => Dialog.stack.contents.map((entry) => entry.element.id);
+const inert = (document) => document.querySelectorAll("[inert]").map((node) => node.id);
+
+builtTest("Dialog - closing returns focus to where it was", (ids, document) => {
+  const { preferences } = ids;
+  ids["preferences-toggle"].focus();
+
+  open(preferences, { trigger: ids["preferences-toggle"] });
+  assertEquals(preferences.hidden, false);
+  assert(preferences.hasAttribute("open"));
+  // The hidden input is passed over
+  assertEquals(document.activeElement, ids["font-scale"]);
+  assertEquals(ids["preferences-toggle"].getAttribute("aria-expanded"), "true");
+  assertEquals(inert(document), ["header", "main", "search", "consent-banner"]);
+  assert(document.documentElement.hasAttribute("data-scroll-locked"));
+
+  const escape = press(document, "Escape");
+  assert(escape.defaultPrevented);
+  assertEquals(Dialog.isOpen(preferences), false);
+  assertEquals(preferences.hidden, true);
+  assertEquals(preferences.hasAttribute("open"), false);
+  assertEquals(document.activeElement, ids["preferences-toggle"]);
+  assertEquals(ids["preferences-toggle"].getAttribute("aria-expanded"), "false");
+  assertEquals(inert(document), []);
+  assertEquals(document.documentElement.hasAttribute("data-scroll-locked"), false);
+});
+
+builtTest("Dialog - stacked dialogs close top first", (ids, document) => {
+  ids["preferences-toggle"].focus();
+  open(ids.preferences, { trigger: ids["preferences-toggle"] });
+  ids.reset.focus();
+  open(ids.search, { trigger: ids["search-toggle"] });
+
+  // Only the top dialog stays reachable
+  assert(ids.preferences.inert);
+  assertEquals(document.activeElement, ids.query);
+
+  press(document, "Escape");
+  assertEquals(openDialogs(), ["preferences"]);
+  assertEquals(document.activeElement, ids.reset);
+  assertEquals(ids.preferences.inert, false);
+  assert(document.documentElement.hasAttribute("data-scroll-locked"));
+
+  press(document, "Escape");
+  assertEquals(openDialogs(), []);
+  assertEquals(document.activeElement, ids["preferences-toggle"]);
+});
+
+builtTest("Dialog - closing one underneath leaves focus alone", (ids, document) => {
+  open(ids.preferences);
+  open(ids.search);
+  ids.result.focus();
+
+  Dialog.close(true, ids.preferences);
+
+  assertEquals(document.activeElement, ids.result);
+  assertEquals(openDialogs(), ["search"]);
+});
+
+builtTest("Dialog - focus that can't go back stays put", (ids, document) => {
+  ids.link.focus();
+  open(ids.search);
+  ids.link.remove();
+
+  press(document, "Escape");
+
+  assertEquals(document.activeElement, ids.query);
+});
+
+builtTest("Dialog - non-modal dialogs don't lock scrolling", (ids, document) => {
+  open(ids.search, { modal: false, trigger: ids["search-toggle"] });
+
+  assertEquals(inert(document), []);
+  assertEquals(document.documentElement.hasAttribute("data-scroll-locked"), false);
+});
+
+builtTest("Dialog - the locked page keeps its scrollbar's space", (ids, document, window) => {
+  const root = document.documentElement;
+  window.innerWidth = 1015;
+  root.clientWidth = 1000;
+
+  open(ids.preferences);
+  assertEquals(root.style.getPropertyValue("overflow"), "hidden");
+  assertEquals(root.style.getPropertyValue("padding-inline-end"), "15px");
+
+  Dialog.close(true, ids.preferences);
+  assertEquals([...root.style.values.keys()], []);
+});
+
+builtTest("Dialog - the consent banner survives Escape and navigation", (ids, document) => {
+  open(ids["consent-banner"], { modal: false, dismissible: false, focus: false });
+  open(ids.search, { modal: false });
+  open(ids.preferences);
+  assertEquals(document.activeElement, ids["font-scale"]);
+
+  // A soft navigation runs the router's page initialisers
+  ViewTransitions.pageInitialisers.forEach((initialise) => initialise());
+  assertEquals(openDialogs(), ["consent-banner"]);
+
+  ids.accept.focus();
+  const escape = press(document, "Escape");
+  assertEquals(escape.defaultPrevented, false);
+  assertEquals(openDialogs(), ["consent-banner"]);
+});
+
+builtTest("Dialog - Tab wraps at either end", (ids, document) => {
+  open(ids.preferences);
+  ids.reset.setAttribute("disabled", "");
+
+  ids.close.focus();
+  assert(press(document, "Tab").defaultPrevented);
+  assertEquals(document.activeElement, ids["font-scale"]);
+
+  assert(press(document, "Tab", { shiftKey: true }).defaultPrevented);
+  assertEquals(document.activeElement, ids.close);
+
+  // Within the dialog the browser moves focus as usual
+  ids["font-scale"].focus();
+  assertEquals(press(document, "Tab").defaultPrevented, false);
+
+  // Focus outside the dialog is brought back in
+  ids.link.focus();
+  press(document, "Tab");
+  assertEquals(document.activeElement, ids["font-scale"]);
+  ids.link.focus();
+  press(document, "Tab", { shiftKey: true });
+  assertEquals(document.activeElement, ids.close);
+});
+
+builtTest("Dialog - with nothing focusable the dialog itself holds focus", (ids, document) => {
+  ids.search.replaceChildren();
+  open(ids.search);
+
+  assertEquals(document.activeElement, ids.search);
+  assertEquals(ids.search.getAttribute("tabindex"), "-1");
+  assert(press(document, "Tab").defaultPrevented);
+  assertEquals(document.activeElement, ids.search);
+});
+
+builtTest("Dialog - non-modal dialogs close on a click elsewhere", (ids) => {
+  open(ids.search, { modal: false, trigger: ids["search-toggle"] });
+
+  // The trigger toggles the dialog itself
+  ids["search-toggle"].click();
+  ids.query.click();
+  assertEquals(openDialogs(), ["search"]);
+
+  ids.link.click();
+  assertEquals(openDialogs(), []);
+});
+
+builtTest("Dialog - modal dialogs close on a backdrop click", (ids) => {
+  const { preferences } = ids;
+  open(preferences);
+  preferences.getBoundingClientRect = () => ({ top: 100, right: 700, bottom: 500, left: 300 });
+
+  // A click on the dialog's padding targets the dialog, inside its box
+  preferences.dispatchEvent(new Event("click", { bubbles: true, clientX: 400, clientY: 200 }));
+  ids.link.click();
+  assertEquals(openDialogs(), ["preferences"]);
+
+  preferences.dispatchEvent(new Event("click", { bubbles: true, clientX: 50, clientY: 200 }));
+  assertEquals(openDialogs(), []);
+});
+
+builtTest("Dialog - a native modal <dialog> is left to inert the page itself", async (ids, document) => {
+  const { preferences } = ids;
+  preferences.open = false;
+  preferences.showModal = () => preferences.open = true;
+  preferences.close = () => preferences.open = false;
+
+  await withGlobals({ HTMLDialogElement: { prototype: { showModal() {} } } }, () => {
+    open(preferences);
+    assert(preferences.open);
+    assertEquals(inert(document), []);
+    assert(document.documentElement.hasAttribute("data-scroll-locked"));
+
+    // The shim has no capture phase, so the dialog's own events bubble
+    // to the document instead
+    const cancel = new Event("cancel", { bubbles: true });
+    preferences.dispatchEvent(cancel);
+    assert(cancel.defaultPrevented);
+    assertEquals(openDialogs(), []);
+    assertEquals(preferences.open, false);
+
+    open(preferences);
+    preferences.close();
+    preferences.dispatchEvent(new Event("close", { bubbles: true }));
+    assertEquals(openDialogs(), []);
+  });
+});
+
+// A navigation menu with its toggle, as the header renders it
+function menu(document) {
+  const toggle = element(document, "button", { class: "menu-toggle", "aria-expanded": "false" });
+  const links = ["Journal", "Constructs", "About"].map((name) =>
+    element(document, "a", { href: `/${name.toLowerCase()}/` })
+  );
+  const nav = element(document, "nav", { id: "primary-menu" }, [
+    element(document, "ul", {}, links.map((link) => element(document, "li", {}, [link]))),
+  ]);
+  document.body.append(toggle, nav);
+  Accessibility.initMenu();
+  return { toggle, nav, links };
+}
+
+builtTest("Menu - one item is in the Tab order, and follows focus", (_, document) => {
+  const { links } = menu(document);
+  assertEquals(links.map((link) => link.getAttribute("tabindex")), ["0", "-1", "-1"]);
+
+  links[2].focus();
+  links[2].dispatchEvent(new Event("focusin", { bubbles: true }));
+  assertEquals(links.map((link) => link.getAttribute("tabindex")), ["-1", "-1", "0"]);
+});
+
+builtTest("Menu - arrow keys rove and wrap", (_, document) => {
+  const { links } = menu(document);
+  links[0].focus();
+
+  assert(press(document, "ArrowRight").defaultPrevented);
+  assertEquals(document.activeElement, links[1]);
+  press(document, "End");
+  assertEquals(document.activeElement, links[2]);
+  press(document, "ArrowDown");
+  assertEquals(document.activeElement, links[0]);
+  press(document, "ArrowUp");
+  assertEquals(document.activeElement, links[2]);
+  press(document, "Home");
+  assertEquals(document.activeElement, links[0]);
+  assertEquals(press(document, "Enter").defaultPrevented, false);
+});
+
+builtTest("Menu - the toggle opens it as a non-modal dialog at the current item", (_, document) => {
+  const { toggle, nav, links } = menu(document);
+  links[1].focus();
+  links[1].dispatchEvent(new Event("focusin", { bubbles: true }));
+  toggle.focus();
+
+  toggle.click();
+  assert(Dialog.isOpen(nav));
+  assertEquals(toggle.getAttribute("aria-expanded"), "true");
+  assertEquals(document.activeElement, links[1]);
+  assertEquals(document.documentElement.hasAttribute("data-scroll-locked"), false);
+
+  toggle.click();
+  assertEquals(Dialog.isOpen(nav), false);
+  assertEquals(toggle.getAttribute("aria-expanded"), "false");
+});
@@ -0,0 +1,570 @@
+/**
+ * Minimal DOM for testing the compiled ReScript modules under Deno
+ *
+ * Covers what the Web.res bindings reach for: elements with attributes,
+ * classes, data attributes and inline style, simple selectors, bubbling
+ * events, cloning and comparing nodes, focus, storage and matchMedia.
+ * Markup assigned to innerHTML is kept as text, entities decoded.
+ * Layout is faked: an element is rendered unless it or an ancestor is
+ * `hidden`.
+ *
+ * The modules are built by `deno task build:rescript`; `importBuilt`
+ * returns null until they have been, so tests can be skipped.
+ *
+ * @module
+ * @package Sinople
+ */
+
+const BUILD = new URL("../lib/es6/assets/rescript/src/", import.meta.url);
+
+// Import a compiled module by name (e.g. "Features"), or null before the build
+export async function importBuilt(name) {
+  const url = new URL(`${name}.res.js`, BUILD);
+  try {
+    await Deno.stat(url);
+  } catch {
+    return null;
+  }
+  return await import(url.href);
+}
+
+export class Event {
+  constructor(type, init = {}) {
+    this.type = type;
+    this.bubbles = init.bubbles ?? false;
+    this.key = init.key ?? "";
+    this.shiftKey = init.shiftKey ?? false;
+    this.ctrlKey = init.ctrlKey ?? false;
+    this.metaKey = init.metaKey ?? false;
+    this.altKey = init.altKey ?? false;
+    this.button = init.button ?? 0;
+    this.clientX = init.clientX ?? 0;
+    this.clientY = init.clientY ?? 0;
+    this.target = null;
+    this.defaultPrevented = false;
+    this.propagationStopped = false;
+  }
+
+  preventDefault() {
+    this.defaultPrevented = true;
+  }
+
+  stopPropagation() {
+    this.propagationStopped = true;
+  }
+}
+
+export class CustomEvent extends Event {
+  constructor(type, init = {}) {
+    super(type, init);
+    this.detail = init.detail ?? null;
+  }
+}
+
+class EventTarget {
+  #listeners = new Map();
+
+  addEventListener(type, listener, options = {}) {
+    const listeners = this.#listeners.get(type) ?? [];
+    listeners.push({ listener, once: options.once ?? false });
+    this.#listeners.set(type, listeners);
+    options.signal?.addEventListener("abort", () => this.removeEventListener(type, listener));
+  }
+
+  removeEventListener(type, listener) {
+    const listeners = this.#listeners.get(type) ?? [];
+    this.#listeners.set(type, listeners.filter((entry) => entry.listener !== listener));
+  }
+
+  dispatchEvent(event) {
+    event.target ??= this;
+    for (const entry of [...(this.#listeners.get(event.type) ?? [])]) {
+      if (entry.once) {
+        this.removeEventListener(event.type, entry.listener);
+      }
+      entry.listener.call(this, event);
+    }
+    if (event.bubbles && !event.propagationStopped && this.parentNode) {
+      this.parentNode.dispatchEvent(event);
+    }
+    return !event.defaultPrevented;
+  }
+}
+
+// One compound selector: tag, #id, .class, [attr] / [attr="value"] and
+// :not(...) parts
+function matchesCompound(element, selector) {
+  const parts = selector.match(/^[a-z0-9-]+|#[\w-]+|\.[\w-]+|\[[^\]]+\]|:not\([^()]+\)/gi) ?? [];
+  if (parts.join("") !== selector) {
+    throw new Error(`Unsupported selector: ${selector}`);
+  }
+  return parts.every((part) => {
+    switch (part[0]) {
+      case "#":
+        return element.id === part.slice(1);
+      case ".":
+        return element.classList.contains(part.slice(1));
+      case ":":
+        return !matchesSelector(element, part.slice(":not(".length, -1));
+      case "[": {
+        const [, name, value] = part.match(/^\[([\w-]+)(?:="([^"]*)")?\]$/);
+        return value === undefined ? element.hasAttribute(name) : element.getAttribute(name) === value;
+      }
+      default:
+        return element.localName === part.toLowerCase();
+    }
+  });
+}
+
+// Comma-separated lists of compound selectors joined by descendant combinators
+function matchesSelector(element, selector) {
+  return selector.split(",").some((alternative) => {
+    const compounds = alternative.trim().split(/\s+/);
+    if (!matchesCompound(element, compounds.pop())) {
+      return false;
+    }
+    let ancestor = element.parentNode;
+    while (compounds.length > 0 && ancestor instanceof Element) {
+      if (matchesCompound(ancestor, compounds[compounds.length - 1])) {
+        compounds.pop();
+      }
+      ancestor = ancestor.parentNode;
+    }
+    return compounds.length === 0;
+  });
+}
+
+class ClassList {
+  constructor(element) {
+    this.element = element;
+  }
+
+  get #names() {
+    return (this.element.getAttribute("class") ?? "").split(/\s+/).filter(Boolean);
+  }
+
+  #set(names) {
+    this.element.setAttribute("class", [...new Set(names)].join(" "));
+  }
+
+  contains(name) {
+    return this.#names.includes(name);
+  }
+
+  add(...names) {
+    this.#set([...this.#names, ...names]);
+  }
+
+  remove(...names) {
+    this.#set(this.#names.filter((name) => !names.includes(name)));
+  }
+
+  toggle(name, force) {
+    const add = force ?? !this.contains(name);
+    add ? this.add(name) : this.remove(name);
+    return add;
+  }
+}
+
+// Named entities WordPress leaves in titles and excerpts
+const ENTITIES = {
+  amp: "&",
+  lt: "<",
+  gt: ">",
+  quot: '"',
+  apos: "'",
+  nbsp: "\u00a0",
+  hellip: "…",
+  lsquo: "‘",
+  rsquo: "’",
+  ldquo: "“",
+  rdquo: "”",
+  ndash: "–",
+  mdash: "—",
+};
+
+const decodeEntities = (html) =>
+  html.replace(/&(#x[0-9a-f]+|#[0-9]+|[a-z]+);/gi, (entity, name) => {
+    if (name[0] !== "#") {
+      return ENTITIES[name] ?? entity;
+    }
+    return String.fromCodePoint(name[1].toLowerCase() === "x" ? parseInt(name.slice(2), 16) : Number(name.slice(1)));
+  });
+
+const dataAttribute = (key) => "data-" + key.replace(/[A-Z]/g, (c) => "-" + c.toLowerCase());
+
+export class Element extends EventTarget {
+  constructor(ownerDocument, name) {
+    super();
+    this.ownerDocument = ownerDocument;
+    this.localName = name.toLowerCase();
+    this.parentNode = null;
+    this.children = [];
+    this.style = {
+      values: new Map(),
+      setProperty(property, value) {
+        this.values.set(property, value);
+      },
+      removeProperty(property) {
+        this.values.delete(property);
+      },
+      getPropertyValue(property) {
+        return this.values.get(property) ?? "";
+      },
+    };
+    this.classList = new ClassList(this);
+    this.dataset = new Proxy({}, {
+      get: (_, key) => this.getAttribute(dataAttribute(String(key))) ?? undefined,
+      set: (_, key, value) => {
+        this.setAttribute(dataAttribute(String(key)), value);
+        return true;
+      },
+      deleteProperty: (_, key) => {
+        this.removeAttribute(dataAttribute(String(key)));
+        return true;
+      },
+    });
+    this.text = "";
+    this.attributeValues = new Map();
+    this.currentValue = null;
+    // The nonce a page was served with. Browsers keep it here and blank
+    // the attribute once parsed; tests can do the same.
+    this.nonce = "";
+  }
+
+  get nodeType() {
+    return 1;
+  }
+
+  get tagName() {
+    return this.localName.toUpperCase();
+  }
+
+  get id() {
+    return this.getAttribute("id") ?? "";
+  }
+
+  set id(value) {
+    this.setAttribute("id", value);
+  }
+
+  get className() {
+    return this.getAttribute("class") ?? "";
+  }
+
+  set className(value) {
+    this.setAttribute("class", value);
+  }
+
+  get hidden() {
+    return this.hasAttribute("hidden");
+  }
+
+  set hidden(value) {
+    this.toggleAttribute("hidden", value);
+  }
+
+  get inert() {
+    return this.hasAttribute("inert");
+  }
+
+  set inert(value) {
+    this.toggleAttribute("inert", value);
+  }
+
+  get isConnected() {
+    return this.parentNode === this.ownerDocument || (this.parentNode?.isConnected ?? false);
+  }
+
+  get textContent() {
+    return this.text + this.children.map((child) => child.textContent).join("");
+  }
+
+  set textContent(value) {
+    this.replaceChildren();
+    this.text = String(value);
+  }
+
+  // Markup is taken as text with its entities decoded: enough for a
+  // <textarea>, whose content is never parsed into elements
+  set innerHTML(html) {
+    this.textContent = decodeEntities(String(html));
+  }
+
+  // A form control's value; a <textarea> starts out with its text
+  get value() {
+    return this.currentValue ?? this.textContent;
+  }
+
+  set value(value) {
+    this.currentValue = String(value);
+  }
+
+  getAttribute(name) {
+    return this.attributeValues.get(name) ?? null;
+  }
+
+  setAttribute(name, value) {
+    this.attributeValues.set(name, String(value));
+    if (name === "nonce") {
+      this.nonce = String(value);
+    }
+  }
+
+  removeAttribute(name) {
+    this.attributeValues.delete(name);
+  }
+
+  hasAttribute(name) {
+    return this.attributeValues.has(name);
+  }
+
+  toggleAttribute(name, force) {
+    const add = force ?? !this.hasAttribute(name);
+    add ? this.setAttribute(name, "") : this.removeAttribute(name);
+    return add;
+  }
+
+  get attributes() {
+    return [...this.attributeValues].map(([name, value]) => ({ name, value }));
+  }
+
+  // Resolved against the page's location, as links are
+  get href() {
+    return new URL(this.getAttribute("href") ?? "", globalThis.location.href).href;
+  }
+
+  cloneNode(deep = false) {
+    const copy = this.ownerDocument.createElement(this.localName);
+    for (const [name, value] of this.attributeValues) {
+      copy.setAttribute(name, value);
+    }
+    copy.nonce = this.nonce;
+    if (deep) {
+      copy.text = this.text;
+      copy.append(...this.children.map((child) => child.cloneNode(true)));
+    }
+    return copy;
+  }
+
+  // Same name, attributes, text and children; the nonce slot isn't compared
+  isEqualNode(other) {
+    return other instanceof Element &&
+      other.localName === this.localName &&
+      other.text === this.text &&
+      other.attributeValues.size === this.attributeValues.size &&
+      [...this.attributeValues].every(([name, value]) => other.getAttribute(name) === value) &&
+      other.children.length === this.children.length &&
+      this.children.every((child, index) => child.isEqualNode(other.children[index]));
+  }
+
+  append(...nodes) {
+    for (const node of nodes) {
+      node.remove();
+      node.parentNode = this;
+      this.children.push(node);
+    }
+  }
+
+  after(...nodes) {
+    for (const [offset, node] of nodes.entries()) {
+      node.remove();
+      const siblings = this.parentNode.children;
+      siblings.splice(siblings.indexOf(this) + 1 + offset, 0, node);
+      node.parentNode = this.parentNode;
+    }
+  }
+
+  replaceWith(node) {
+    this.after(node);
+    this.remove();
+  }
+
+  replaceChildren(...nodes) {
+    for (const child of [...this.children]) {
+      child.remove();
+    }
+    this.append(...nodes);
+  }
+
+  remove() {
+    if (this.parentNode) {
+      const siblings = this.parentNode.children;
+      siblings.splice(siblings.indexOf(this), 1);
+      this.parentNode = null;
+    }
+  }
+
+  *descendants() {
+    for (const child of this.children) {
+      yield child;
+      yield* child.descendants();
+    }
+  }
+
+  matches(selector) {
+    return matchesSelector(this, selector);
+  }
+
+  closest(selector) {
+    if (this.matches(selector)) {
+      return this;
+    }
+    return this.parentNode instanceof Element ? this.parentNode.closest(selector) : null;
+  }
+
+  contains(other) {
+    return other === this || [...this.descendants()].includes(other);
+  }
+
+  querySelectorAll(selector) {
+    return [...this.descendants()].filter((element) => element.matches(selector));
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] ?? null;
+  }
+
+  getClientRects() {
+    return this.closest("[hidden]") ? [] : [{ top: 0, right: 0, bottom: 0, left: 0, width: 0, height: 0 }];
+  }
+
+  focus() {
+    this.ownerDocument.activeElement = this;
+  }
+
+  click() {
+    this.dispatchEvent(new Event("click", { bubbles: true }));
+  }
+
+  scrollIntoView() {}
+}
+
+export class Document extends EventTarget {
+  constructor() {
+    super();
+    this.parentNode = null;
+    this.readyState = "complete";
+    this.title = "";
+    this.documentElement = this.createElement("html");
+    this.head = this.createElement("head");
+    this.body = this.createElement("body");
+    this.documentElement.append(this.head, this.body);
+    this.documentElement.parentNode = this;
+    this.activeElement = this.body;
+  }
+
+  createElement(name) {
+    return new Element(this, name);
+  }
+
+  importNode(node, deep = false) {
+    const copy = node.cloneNode(deep);
+    for (const element of [copy, ...copy.descendants()]) {
+      element.ownerDocument = this;
+    }
+    return copy;
+  }
+
+  getElementById(id) {
+    return this.querySelector(`#${id}`);
+  }
+
+  querySelectorAll(selector) {
+    return [this.documentElement, ...this.documentElement.descendants()].filter((element) =>
+      element.matches(selector)
+    );
+  }
+
+  querySelector(selector) {
+    return this.querySelectorAll(selector)[0] ?? null;
+  }
+}
+
+class Storage {
+  #items = new Map();
+
+  getItem(key) {
+    return this.#items.get(key) ?? null;
+  }
+
+  setItem(key, value) {
+    this.#items.set(key, String(value));
+  }
+
+  removeItem(key) {
+    this.#items.delete(key);
+  }
+
+  clear() {
+    this.#items.clear();
+  }
+}
+
+// Browser globals the shim replaces, restored by the function it returns
+const GLOBALS = ["window", "document", "localStorage", "sessionStorage", "CustomEvent", "matchMedia"];
+
+/**
+ * Install a fresh document and window on globalThis
+ *
+ * `media` lists the media queries that match. Returns the document and a
+ * function restoring the previous globals.
+ */
+export function installDom({ media = [] } = {}) {
+  const saved = GLOBALS.map((name) => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+  const document = new Document();
+  const window = new EventTarget();
+  const define = (name, value) =>
+    Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+
+  define("window", Object.assign(window, { document, scrollX: 0, scrollY: 0 }));
+  define("document", document);
+  define("localStorage", new Storage());
+  define("sessionStorage", new Storage());
+  define("CustomEvent", CustomEvent);
+  define("matchMedia", (query) =>
+    Object.assign(new EventTarget(), { media: query, matches: media.includes(query) }));
+  window.matchMedia = globalThis.matchMedia;
+
+  const restore = () => {
+    for (const [name, descriptor] of saved) {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    }
+  };
+  return { document, window, restore };
+}
+
+// Value for withGlobals that removes a global rather than setting it
+export const DELETE = Symbol("delete");
+
+/**
+ * Set globals for the duration of `fn`, restoring them afterwards
+ *
+ * A value of `undefined` defines the global as present but undefined;
+ * `DELETE` removes it.
+ */
+export async function withGlobals(values, fn) {
+  const saved = Object.keys(values).map((name) => [name, Object.getOwnPropertyDescriptor(globalThis, name)]);
+  for (const [name, value] of Object.entries(values)) {
+    if (value === DELETE) {
+      delete globalThis[name];
+    } else {
+      Object.defineProperty(globalThis, name, { value, configurable: true, writable: true });
+    }
+  }
+  try {
+    return await fn();
+  } finally {
+    for (const [name, descriptor] of saved) {
+      if (descriptor) {
+        Object.defineProperty(globalThis, name, descriptor);
+      } else {
+        delete globalThis[name];
+      }
+    }
+  }
+}
@@ -1,288 +1,155 @@
 /**
  * Tests for modern feature detection
  *
+ * Runs Features.res and WasmLoader.res as built by `deno task
+ * build:rescript`, against the DOM shim; skipped until they have been built.
+ *
  * @module
  * @package Sinople
  */
 
 import { assertEquals } from "@std/assert";
+import { DELETE, Document, importBuilt, withGlobals } from "./dom_shim.js";
 
-// Mock CSS.supports
-function mockCSSSupports(supportedFeatures) {
-  globalThis.CSS = {
-    supports: (query) => {
-      return supportedFeatures.some((f) => query.includes(f));
-    },
-  };
+const Features = await importBuilt("Features");
+const WasmLoader = await importBuilt("WasmLoader");
+
+function featuresTest(name, fn) {
+  Deno.test({ name, ignore: Features === null, fn });
 }
 
-// Mock window/document for feature detection
-function createFeatureDetectionMocks(features) {
-  globalThis.document = {
-    documentElement: {
-      dataset: {},
-      classList: {
-        add: (_className) => {},
-      },
+// Globals for a browser with only `supported` features, the rest missing
+function browser(supported = [], { css = [] } = {}) {
+  const has = (feature) => supported.includes(feature);
+  return {
+    document: Object.assign(new Document(), {
+      startViewTransition: has("viewTransitions") ? () => {} : undefined,
+    }),
+    IntersectionObserver: has("intersectionObserver") ? class {} : DELETE,
+    ResizeObserver: has("resizeObserver") ? class {} : DELETE,
+    crypto: has("webCrypto") ? { subtle: { generateKey: () => Promise.resolve({}) } } : DELETE,
+    navigator: {
+      ...(has("webGPU") ? { gpu: {} } : {}),
+      ...(has("webShare") ? { share: () => {} } : {}),
     },
-    startViewTransition: features.viewTransitions ? () => {} : undefined,
+    RTCPeerConnection: has("webRTC") ? class {} : DELETE,
+    showOpenFilePicker: has("fileSystemAccess") ? () => {} : DELETE,
+    CSS: { supports: (query) => css.some((feature) => query.includes(feature)) },
+    WebAssembly: has("wasm") ? { instantiateStreaming: () => Promise.resolve({}) } : DELETE,
   };
-
-  globalThis.window = {
-    IntersectionObserver: features.intersectionObserver ? class {} : undefined,
-    ResizeObserver: features.resizeObserver ? class {} : undefined,
-    crypto: features.webCrypto
-      ? {
-          subtle: {
-            generateKey: () => Promise.resolve({}),
-          },
-        }
-      : undefined,
-    showOpenFilePicker: features.fileSystemAccess ? () => {} : undefined,
-  };
-
-  globalThis.navigator = {
-    gpu: features.webGPU ? {} : undefined,
-    share: features.webShare ? () => {} : undefined,
-  };
-
-  globalThis.WebAssembly = features.wasm
-    ? {
-        instantiate: () => Promise.resolve({}),
-      }
-    : undefined;
-
-  globalThis.RTCPeerConnection = features.webRTC ? class {} : undefined;
 }
 
-// Feature detection function (mirrors ReScript implementation)
-function detectFeatures() {
-  const features = {};
-
-  features.intersectionObserver = "IntersectionObserver" in globalThis.window;
-  features.resizeObserver = "ResizeObserver" in globalThis.window;
-  features.viewTransitions = "startViewTransition" in globalThis.document;
-  features.wasm =
-    typeof globalThis.WebAssembly !== "undefined" &&
-    typeof globalThis.WebAssembly.instantiate === "function";
-  features.webCrypto =
-    typeof globalThis.window.crypto?.subtle?.generateKey === "function";
-  features.webGPU = "gpu" in globalThis.navigator;
-  features.webRTC = typeof globalThis.RTCPeerConnection !== "undefined";
-  features.fileSystemAccess = "showOpenFilePicker" in globalThis.window;
-  features.webShare = "share" in globalThis.navigator;
-
-  return features;
-}
-
-Deno.test("Features - detects View Transitions API support", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: true,
-    intersectionObserver: false,
-    resizeObserver: false,
-    wasm: false,
-    webCrypto: false,
-    webGPU: false,
-    webRTC: false,
-    fileSystemAccess: false,
-    webShare: false,
-  });
-
-  const features = detectFeatures();
-  assertEquals(features.viewTransitions, true);
-});
-
-Deno.test("Features - detects lack of View Transitions API support", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: false,
-    intersectionObserver: false,
-    resizeObserver: false,
-    wasm: false,
-    webCrypto: false,
-    webGPU: false,
-    webRTC: false,
-    fileSystemAccess: false,
-    webShare: false,
-  });
-
-  const features = detectFeatures();
-  assertEquals(features.viewTransitions, false);
-});
-
-Deno.test("Features - detects WebAssembly support", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: false,
-    intersectionObserver: false,
-    resizeObserver: false,
-    wasm: true,
-    webCrypto: false,
-    webGPU: false,
-    webRTC: false,
-    fileSystemAccess: false,
-    webShare: false,
+const NONE = {
+  intersectionObserver: false,
+  resizeObserver: false,
+  containerQueries: false,
+  hasSelector: false,
+  viewTransitions: false,
+  webCrypto: false,
+  webGPU: false,
+  webRTC: false,
+  fileSystemAccess: false,
+  webShare: false,
+};
+
+for (
+  const feature of [
+    "viewTransitions",
+    "intersectionObserver",
+    "resizeObserver",
+    "webCrypto",
+    "webGPU",
+    "webRTC",
+    "fileSystemAccess",
+    "webShare",
+  ]
+) {
+  featuresTest(`Features - detects ${feature} support`, async () => {
+    const detected = await withGlobals(browser([feature]), () => Features.detect());
+    assertEquals(detected, { ...NONE, [feature]: true });
   });
+}
 
-  const features = detectFeatures();
-  assertEquals(features.wasm, true);
+featuresTest("Features - detects lack of View Transitions API support", async () => {
+  const detected = await withGlobals(browser(), () => Features.detect());
+  assertEquals(detected.viewTransitions, false);
 });
 
-Deno.test("Features - detects Container Queries support via CSS.supports", () => {
-  mockCSSSupports(["container-type"]);
-
-  const hasContainerQueries = globalThis.CSS.supports(
-    "container-type: inline-size",
+featuresTest("Features - detects Container Queries support via CSS.supports", async () => {
+  const detected = await withGlobals(
+    browser([], { css: ["container-type"] }),
+    () => Features.detect(),
   );
-  assertEquals(hasContainerQueries, true);
+  assertEquals(detected, { ...NONE, containerQueries: true });
 });
 
-Deno.test("Features - detects :has() selector support", () => {
-  mockCSSSupports(["selector(:has"]);
-
-  const hasHasSelector = globalThis.CSS.supports("selector(:has(*))");
-  assertEquals(hasHasSelector, true);
-});
-
-Deno.test("Features - detects IntersectionObserver support", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: false,
-    intersectionObserver: true,
-    resizeObserver: false,
-    wasm: false,
-    webCrypto: false,
-    webGPU: false,
-    webRTC: false,
-    fileSystemAccess: false,
-    webShare: false,
-  });
-
-  const features = detectFeatures();
-  assertEquals(features.intersectionObserver, true);
+featuresTest("Features - detects :has() selector support", async () => {
+  const detected = await withGlobals(
+    browser([], { css: ["selector(:has"] }),
+    () => Features.detect(),
+  );
+  assertEquals(detected, { ...NONE, hasSelector: true });
 });
 
-Deno.test("Features - detects ResizeObserver support", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: false,
-    intersectionObserver: false,
-    resizeObserver: true,
-    wasm: false,
-    webCrypto: false,
-    webGPU: false,
-    webRTC: false,
-    fileSystemAccess: false,
-    webShare: false,
-  });
-
-  const features = detectFeatures();
-  assertEquals(features.resizeObserver, true);
+featuresTest("Features - no CSS features without CSS.supports", async () => {
+  const detected = await withGlobals(
+    { ...browser(), CSS: DELETE },
+    () => Features.detect(),
+  );
+  assertEquals(detected, NONE);
 });
 
-Deno.test("Features - detects Web Crypto API support", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: false,
-    intersectionObserver: false,
-    resizeObserver: false,
-    wasm: false,
-    webCrypto: true,
-    webGPU: false,
-    webRTC: false,
-    fileSystemAccess: false,
-    webShare: false,
-  });
-
-  const features = detectFeatures();
-  assertEquals(features.webCrypto, true);
+featuresTest("Features - all features disabled when unsupported", async () => {
+  const detected = await withGlobals(browser(), () => Features.detect());
+  assertEquals(detected, NONE);
 });
 
-Deno.test("Features - detects WebGPU support", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: false,
-    intersectionObserver: false,
-    resizeObserver: false,
-    wasm: false,
-    webCrypto: false,
-    webGPU: true,
-    webRTC: false,
-    fileSystemAccess: false,
-    webShare: false,
-  });
-
-  const features = detectFeatures();
-  assertEquals(features.webGPU, true);
+featuresTest("Features - globals present but undefined count as missing", async () => {
+  const globals = {
+    ...browser(),
+    IntersectionObserver: undefined,
+    ResizeObserver: undefined,
+    RTCPeerConnection: undefined,
+    showOpenFilePicker: undefined,
+    crypto: undefined,
+    navigator: { gpu: undefined, share: undefined },
+  };
+  const detected = await withGlobals(globals, () => Features.detect());
+  assertEquals(detected, NONE);
 });
 
-Deno.test("Features - detects WebRTC support", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: false,
-    intersectionObserver: false,
-    resizeObserver: false,
-    wasm: false,
-    webCrypto: false,
-    webGPU: false,
-    webRTC: true,
-    fileSystemAccess: false,
-    webShare: false,
-  });
-
-  const features = detectFeatures();
-  assertEquals(features.webRTC, true);
+featuresTest("Features - crypto without subtle.generateKey is not Web Crypto", async () => {
+  const detected = await withGlobals(
+    { ...browser(), crypto: { getRandomValues: () => {} } },
+    () => Features.detect(),
+  );
+  assertEquals(detected.webCrypto, false);
 });
 
-Deno.test("Features - detects File System Access API support", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: false,
-    intersectionObserver: false,
-    resizeObserver: false,
-    wasm: false,
-    webCrypto: false,
-    webGPU: false,
-    webRTC: false,
-    fileSystemAccess: true,
-    webShare: false,
-  });
-
-  const features = detectFeatures();
-  assertEquals(features.fileSystemAccess, true);
+featuresTest("Features - classes name the features present", () => {
+  assertEquals(Features.classes(NONE), []);
+  assertEquals(
+    Features.classes({ ...NONE, viewTransitions: true, webShare: true }),
+    ["has-view-transitions", "has-web-share"],
+  );
 });
 
-Deno.test("Features - detects Web Share API support", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: false,
-    intersectionObserver: false,
-    resizeObserver: false,
-    wasm: false,
-    webCrypto: false,
-    webGPU: false,
-    webRTC: false,
-    fileSystemAccess: false,
-    webShare: true,
+featuresTest("Features - apply marks <html> with the feature classes", async () => {
+  const globals = browser();
+  await withGlobals(globals, () => {
+    Features.apply({ ...NONE, containerQueries: true, hasSelector: true });
   });
-
-  const features = detectFeatures();
-  assertEquals(features.webShare, true);
+  assertEquals(
+    globals.document.documentElement.className,
+    "has-container-queries has-has-selector",
+  );
 });
 
-Deno.test("Features - all features disabled when unsupported", () => {
-  createFeatureDetectionMocks({
-    viewTransitions: false,
-    intersectionObserver: false,
-    resizeObserver: false,
-    wasm: false,
-    webCrypto: false,
-    webGPU: false,
-    webRTC: false,
-    fileSystemAccess: false,
-    webShare: false,
-  });
-
-  const features = detectFeatures();
-
-  assertEquals(features.viewTransitions, false);
-  assertEquals(features.intersectionObserver, false);
-  assertEquals(features.resizeObserver, false);
-  assertEquals(features.wasm, false);
-  assertEquals(features.webCrypto, false);
-  assertEquals(features.webGPU, false);
-  assertEquals(features.webRTC, false);
-  assertEquals(features.fileSystemAccess, false);
-  assertEquals(features.webShare, false);
+Deno.test({
+  name: "Features - detects WebAssembly support",
+  ignore: WasmLoader === null,
+  fn: async () => {
+    assertEquals(await withGlobals(browser(["wasm"]), () => WasmLoader.isSupported()), true);
+    assertEquals(await withGlobals(browser(), () => WasmLoader.isSupported()), false);
+  },
 });
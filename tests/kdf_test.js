@@ -0,0 +1,93 @@
+/**
+ * Tests for the PBKDF2 password hashing fallback
+ *
+ * The Argon2id vectors in the same fixture are checked against the WASM
+ * module in wasm_test.js and by the unit tests in assets/wasm/kdf.rs.
+ * Runs Kdf.res as built by `deno task build:rescript`.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assertEquals, assertNotEquals } from "@std/assert";
+import { importBuilt } from "./dom_shim.js";
+
+const VECTORS = JSON.parse(
+  await Deno.readTextFile(new URL("./fixtures/kdf-vectors.json", import.meta.url)),
+)["pbkdf2-sha256"];
+
+const hex = (text) => Uint8Array.from(text.match(/../g) ?? [], (byte) => parseInt(byte, 16));
+
+// Kdf.res as built by `deno task build:rescript`
+const Kdf = await importBuilt("Kdf");
+
+function builtTest(name, fn) {
+  Deno.test({ name, ignore: Kdf === null, fn });
+}
+
+builtTest("KDF - PBKDF2 hashes match the known-answer vectors", async () => {
+  for (const vector of VECTORS) {
+    assertEquals(await Kdf.hashPbkdf2(vector.password, hex(vector.salt), vector.iterations), vector.encoded, vector.name);
+  }
+});
+
+builtTest("KDF - PBKDF2 verifies only the right password", async () => {
+  for (const vector of VECTORS) {
+    assertEquals(await Kdf.verifyPbkdf2(vector.password, vector.encoded), true, vector.name);
+    assertEquals(await Kdf.verifyPbkdf2("wrong password", vector.encoded), false, vector.name);
+  }
+});
+
+builtTest("KDF - tampered and malformed hashes do not verify", async () => {
+  const { password, encoded } = VECTORS[0];
+
+  for (
+    const tampered of [
+      encoded.replace("i=1,", "i=2,"),
+      encoded.replace("i=1,", "i=0,"),
+      encoded.replace("i=1,", "i=01,"),
+      encoded.replace("l=32", "l=31"),
+      encoded.replace(",l=32", ""),
+      encoded.replace("$c2FsdA$", "$c2FsdQ$"),
+      encoded.slice(0, -2),
+      encoded.replace("pbkdf2-sha256", "pbkdf2-sha512"),
+      "not a hash",
+    ]
+  ) {
+    assertEquals(await Kdf.verifyPbkdf2(password, tampered), false, tampered);
+  }
+});
+
+builtTest("KDF - iteration counts above ten times the default are refused before deriving", () => {
+  const { encoded } = VECTORS[0];
+  const withIterations = (count) => Kdf.parsePbkdf2(encoded.replace("i=1,", `i=${count},`));
+
+  assertEquals(Kdf.maxIterations, Kdf.iterations * 10);
+  assertEquals(withIterations(Kdf.maxIterations)?.iterations, Kdf.maxIterations);
+  assertEquals(withIterations(Kdf.maxIterations + 1), undefined);
+  assertEquals(withIterations(999999999), undefined);
+});
+
+builtTest("KDF - hashes are salted", async () => {
+  const salt = () => crypto.getRandomValues(new Uint8Array(Kdf.saltLength));
+  const first = await Kdf.hashPbkdf2("same password", salt(), 1000);
+  const second = await Kdf.hashPbkdf2("same password", salt(), 1000);
+
+  assertNotEquals(first, second);
+  assertEquals(await Kdf.verifyPbkdf2("same password", first), true);
+  assertEquals(await Kdf.verifyPbkdf2("same password", second), true);
+});
+
+builtTest("KDF - algorithm is read from the encoded hash", () => {
+  assertEquals(Kdf.algorithmOf(VECTORS[0].encoded), "pbkdf2-sha256");
+  assertEquals(Kdf.algorithmOf("$argon2id$v=19$m=256,t=2,p=1$c29tZXNhbHQ$nf65EOgLrQMR"), "argon2id");
+  assertEquals(Kdf.algorithmOf("5e884898da28047151d0e56f8dc62927"), undefined);
+});
+
+builtTest("KDF - byte comparison checks length and every byte", () => {
+  assertEquals(Kdf.equalBytes(new Uint8Array([1, 2, 3]), new Uint8Array([1, 2, 3])), true);
+  assertEquals(Kdf.equalBytes(new Uint8Array([1, 2, 3]), new Uint8Array([1, 2, 4])), false);
+  assertEquals(Kdf.equalBytes(new Uint8Array([0, 2, 3]), new Uint8Array([1, 2, 3])), false);
+  assertEquals(Kdf.equalBytes(new Uint8Array([1, 2]), new Uint8Array([1, 2, 3])), false);
+  assertEquals(Kdf.equalBytes(new Uint8Array([]), new Uint8Array([])), true);
+});
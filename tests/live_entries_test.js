@@ -0,0 +1,195 @@
+/**
+ * Tests for live new-entry notifications
+ *
+ * Runs LiveEntries.res as built by `deno task build:rescript`, against the
+ * DOM shim, with a scripted EventSource and timers.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assert, assertEquals } from "@std/assert";
+import { importBuilt, installDom, withGlobals } from "./dom_shim.js";
+
+// LiveEntries.res as built by `deno task build:rescript`
+const LiveEntries = await importBuilt("LiveEntries");
+
+function builtTest(name, fn) {
+  Deno.test({ name, ignore: LiveEntries === null, fn });
+}
+
+// EventSource whose events the test sends
+class FakeEventSource {
+  static opened = [];
+
+  constructor(url) {
+    this.url = url;
+    this.listeners = {};
+    this.closed = false;
+    FakeEventSource.opened.push(this);
+  }
+
+  addEventListener(type, listener) {
+    (this.listeners[type] ??= []).push(listener);
+  }
+
+  close() {
+    this.closed = true;
+  }
+
+  emit(type, data = {}) {
+    for (const listener of this.listeners[type] ?? []) {
+      listener({ data: JSON.stringify(data) });
+    }
+  }
+}
+
+// Timers run by the test: `run()` fires the ones pending, in order
+function fakeTimers() {
+  const pending = new Map();
+  let next = 1;
+  return {
+    pending,
+    setTimeout: (callback, delay) => {
+      pending.set(next, { callback, delay });
+      return next++;
+    },
+    clearTimeout: (id) => pending.delete(id),
+    run() {
+      const due = [...pending.values()];
+      pending.clear();
+      for (const { callback } of due) {
+        callback();
+      }
+      return due.map(({ delay }) => delay);
+    },
+  };
+}
+
+// An archive page with the banner and `since` as its newest entry
+function archivePage(stream = null) {
+  const { document, restore } = installDom();
+  const banner = document.createElement("div");
+  banner.setAttribute("data-live-entries", "");
+  banner.setAttribute("data-since", "41");
+  if (stream) {
+    banner.setAttribute("data-stream", stream);
+  }
+  const button = document.createElement("button");
+  button.className = "live-entries-button";
+  button.hidden = true;
+  banner.append(button);
+  document.body.append(banner);
+  return { document, banner, button, restore };
+}
+
+async function withLiveEntries(page, fn) {
+  const timers = fakeTimers();
+  FakeEventSource.opened = [];
+  try {
+    await withGlobals(
+      { EventSource: FakeEventSource, setTimeout: timers.setTimeout, clearTimeout: timers.clearTimeout },
+      () => {
+        LiveEntries.init("https://journal.example/feed/ndjson/stream/");
+        return fn(timers);
+      },
+    );
+  } finally {
+    LiveEntries.stop.contents();
+    page.restore();
+  }
+}
+
+const ENTRY = {
+  id: 42,
+  title: "Fog on the estuary",
+  excerpt: "Low tide, no horizon.",
+  url: "https://journal.example/2025/fog/",
+  published: "2025-03-01T08:00:00Z",
+};
+
+builtTest("Live entries - backoff doubles from one second", () => {
+  assertEquals([0, 1, 2, 3].map(LiveEntries.backoffDelay), [1000, 2000, 4000, 8000]);
+});
+
+builtTest("Live entries - backoff is capped at one minute", () => {
+  assertEquals(LiveEntries.backoffDelay(6), 60000);
+  assertEquals(LiveEntries.backoffDelay(50), 60000);
+});
+
+builtTest("Live entries - stream URL resumes after the newest entry", () => {
+  assertEquals(
+    LiveEntries.streamUrl("https://journal.example/feed/ndjson/stream/", 42),
+    "https://journal.example/feed/ndjson/stream/?since=42",
+  );
+  assertEquals(
+    LiveEntries.streamUrl("https://journal.example/?ndjson_stream=1", 7),
+    "https://journal.example/?ndjson_stream=1&since=7",
+  );
+});
+
+builtTest("Live entries - banner text is singular for one entry and uses translations", () => {
+  const { window, restore } = installDom();
+  try {
+    assertEquals(LiveEntries.bannerText(1), "1 new entry");
+    assertEquals(LiveEntries.bannerText(3), "3 new entries");
+
+    window.sinople = { i18n: { newEntries: "%d nouveaux articles" } };
+    assertEquals(LiveEntries.bannerText(2), "2 nouveaux articles");
+  } finally {
+    restore();
+  }
+});
+
+builtTest("Live entries - archives subscribe to their own stream from the newest entry", async () => {
+  const page = archivePage("https://journal.example/feed/ndjson/stream/?taxonomy=category&term=5");
+
+  await withLiveEntries(page, () => {
+    assertEquals(
+      FakeEventSource.opened.map((source) => source.url),
+      ["https://journal.example/feed/ndjson/stream/?taxonomy=category&term=5&since=41"],
+    );
+  });
+});
+
+builtTest("Live entries - new entries are announced and inserted newest first", async () => {
+  const page = archivePage();
+
+  await withLiveEntries(page, () => {
+    const [source] = FakeEventSource.opened;
+    assertEquals(source.url, "https://journal.example/feed/ndjson/stream/?since=41");
+
+    source.emit("post", ENTRY);
+    source.emit("post", { ...ENTRY, id: 43, title: "Second tide" });
+    source.emit("post", { ...ENTRY, id: 40, title: "Already on the page" });
+    assertEquals(page.button.hidden, false);
+    assertEquals(page.button.textContent, "2 new entries");
+
+    page.button.click();
+    const articles = page.document.body.children.slice(1);
+    assertEquals(articles.map((article) => article.id), ["post-43", "post-42"]);
+    assertEquals(page.document.activeElement, page.document.querySelector("#post-43 .entry-title"));
+    assertEquals(page.button.hidden, true);
+  });
+});
+
+builtTest("Live entries - a silent stream is reopened with backoff from the newest entry", async () => {
+  const page = archivePage();
+
+  await withLiveEntries(page, (timers) => {
+    const [first] = FakeEventSource.opened;
+    first.emit("post", ENTRY);
+
+    // The heartbeat watchdog fires, then the first reconnect delay
+    assertEquals(timers.run(), [15000]);
+    assert(first.closed);
+    assertEquals(timers.run(), [1000]);
+
+    const second = FakeEventSource.opened[1];
+    assertEquals(second.url, "https://journal.example/feed/ndjson/stream/?since=42");
+
+    second.emit("error");
+    assertEquals(timers.run(), [2000]);
+    assertEquals(FakeEventSource.opened.length, 3);
+  });
+});
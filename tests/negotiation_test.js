@@ -0,0 +1,99 @@
+/**
+ * Tests for content negotiation of entries and feeds
+ *
+ * The Accept header matrix in fixtures/negotiation-matrix.json is the
+ * conformance test; tests/php/test-negotiation.php runs the same matrix
+ * against inc/negotiation.php.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assert, assertEquals } from "@std/assert";
+import { feedRewrites, NEGOTIATION, negotiate, offered, parseAccept } from "../scripts/negotiation.js";
+import { serverConfig } from "../scripts/server-config.js";
+import { renderNginx } from "../scripts/generate-nginx-config.js";
+import { renderHtaccess } from "../scripts/generate-apache-config.js";
+import { renderCaddyfile } from "../scripts/generate-caddy-config.js";
+
+const MATRIX = JSON.parse(await Deno.readTextFile(new URL("./fixtures/negotiation-matrix.json", import.meta.url)));
+
+// Functions representations require, as the matrix names them
+const REQUIRED = [...new Set(MATRIX.cases.flatMap((test) => Object.keys(test.without ?? {})))];
+
+for (const resource of ["entry", "feed"]) {
+  Deno.test(`Negotiation - ${resource} conforms to the Accept header matrix`, () => {
+    const answered = MATRIX.cases.map(({ accept }) => negotiate(accept, offered(NEGOTIATION[resource])).type);
+
+    assertEquals(
+      answered.map((type, index) => `${MATRIX.cases[index].accept} → ${type}`),
+      MATRIX.cases.map((test) => `${test.accept} → ${test[resource]}`),
+    );
+  });
+
+  Deno.test(`Negotiation - ${resource} conforms to the matrix without each required function`, () => {
+    for (const missing of REQUIRED) {
+      const representations = offered(NEGOTIATION[resource], (name) => name !== missing);
+      const answered = MATRIX.cases.map(({ accept }) => negotiate(accept, representations).type);
+
+      assertEquals(
+        answered.map((type, index) => `${MATRIX.cases[index].accept} → ${type}`),
+        MATRIX.cases.map((test) => `${test.accept} → ${(test.without?.[missing] ?? test)[resource]}`),
+        `without ${missing}`,
+      );
+    }
+  });
+}
+
+Deno.test("Negotiation - the matrix reaches every representation", () => {
+  for (const resource of ["entry", "feed"]) {
+    const reached = new Set(MATRIX.cases.map((test) => test[resource]));
+    for (const { type } of NEGOTIATION[resource].representations) {
+      assert(reached.has(type), `no case answers the ${resource} with ${type}`);
+    }
+  }
+});
+
+Deno.test("Negotiation - rule set is well formed", () => {
+  for (const resource of ["entry", "feed"]) {
+    const { representations } = NEGOTIATION[resource];
+    const types = representations.map((representation) => representation.type);
+
+    assertEquals(new Set(types).size, types.length, `${resource} offers a media type twice`);
+    assert(representations.slice(1).every((representation) => representation.query), `${resource} alternates need a query`);
+    assert(!representations[0].requires, `${resource} needs a representation every install offers`);
+    for (const representation of representations.filter((representation) => representation.requires)) {
+      assert(REQUIRED.includes(representation.requires), `no case negotiates the ${resource} without ${representation.requires}`);
+    }
+  }
+
+  assertEquals(NEGOTIATION.entry.representations[0], { type: "text/html" });
+  assert(NEGOTIATION.feed.representations.every((representation) => /^\/feed\/[a-z0-9]+\/$/.test(representation.path)));
+});
+
+Deno.test("Negotiation - parsing Accept headers", () => {
+  assertEquals(parseAccept("Text/HTML;level=1;q=0.5, */*"), [
+    { type: "text", subtype: "html", q: 0.5 },
+    { type: "*", subtype: "*", q: 1 },
+  ]);
+  // Malformed ranges and invalid qualities are dropped, not guessed at
+  assertEquals(parseAccept("html, */json, text/plain;q=1.5, text/css;q=.5, , text/csv;q=0.125"), [
+    { type: "text", subtype: "csv", q: 0.125 },
+  ]);
+});
+
+Deno.test("Negotiation - every server rewrites each feed representation's URL", () => {
+  const config = serverConfig();
+  const servers = { nginx: renderNginx(config), apache: renderHtaccess(config), caddy: renderCaddyfile(config) };
+
+  assertEquals(feedRewrites().find((rewrite) => rewrite.path === "/feed/turtle"), {
+    path: "/feed/turtle",
+    query: "turtle_feed=1",
+  });
+  for (const rewrite of feedRewrites()) {
+    assert(config.rewrites.some((existing) => existing.path === rewrite.path && existing.query === rewrite.query));
+    for (const [server, text] of Object.entries(servers)) {
+      assert(text.includes(`index.php?${rewrite.query}`), `${server} does not rewrite ${rewrite.path}`);
+    }
+  }
+});
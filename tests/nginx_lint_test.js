@@ -0,0 +1,94 @@
+/**
+ * Tests for the nginx configuration linter
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assertEquals } from "@std/assert";
+import { lintNginx } from "../scripts/lint-nginx-config.js";
+
+const messages = (text, options) => lintNginx(text, options).map(({ line, message }) => `${line}: ${message}`);
+
+Deno.test("Nginx lint - a sound configuration has no problems", async () => {
+  const text = await Deno.readTextFile(new URL("../config/nginx.conf", import.meta.url));
+
+  assertEquals(lintNginx(text), []);
+});
+
+Deno.test("Nginx lint - unbalanced blocks", () => {
+  assertEquals(messages("http {\n    server {\n        listen 80;\n    }\n"), ["1: http { is never closed"]);
+  assertEquals(messages("events {\n}\n}\n"), ["3: } without a block to close"]);
+  assertEquals(messages("server {\n    listen 80\n}\n"), ['2: "listen" is missing its ;']);
+});
+
+Deno.test("Nginx lint - braces and # inside strings and comments do not count", () => {
+  const text = [
+    "http {",
+    "    # a comment with a { brace",
+    `    log_format main '"$request" {$status}';`,
+    '    return 200 "}\\";";',
+    "    set $path ${uri}x;",
+    "}",
+    "",
+  ].join("\n");
+
+  assertEquals(messages(text), []);
+  assertEquals(messages('server {\n    return 200 "ok;\n}\n'), ["2: unterminated string"]);
+});
+
+Deno.test("Nginx lint - a location with add_header of its own drops the inherited headers", () => {
+  const text = [
+    "server {",
+    '    add_header X-Frame-Options "SAMEORIGIN" always;',
+    '    add_header Alt-Svc \'h3=":443"\' always;',
+    "    location /static/ {",
+    '        add_header Cache-Control "public" always;',
+    "    }",
+    "    location / {",
+    "        try_files $uri /index.php;",
+    "    }",
+    "}",
+    "",
+  ].join("\n");
+
+  assertEquals(messages(text), [
+    "5: add_header here stops location /static/ inheriting X-Frame-Options, Alt-Svc from line 2; repeat them in this block",
+  ]);
+});
+
+Deno.test("Nginx lint - includes are followed for their headers", () => {
+  const includes = (path) => (path === "/etc/nginx/headers.conf" ? 'add_header X-Frame-Options "DENY";\n' : undefined);
+  const text = (location) =>
+    [
+      "server {",
+      "    include /etc/nginx/headers.conf;",
+      "    location ~* \\.css$ {",
+      ...location,
+      '        add_header Cache-Control "public";',
+      "    }",
+      "}",
+      "",
+    ].join("\n");
+
+  assertEquals(messages(text(["        include /etc/nginx/headers.conf;"]), { includes }), []);
+  assertEquals(messages(text([]), { includes }), [
+    "4: add_header here stops location ~* \\.css$ inheriting X-Frame-Options from line 2; repeat them in this block",
+  ]);
+  // Unknown includes are not guessed at
+  assertEquals(messages(text([])), []);
+});
+
+Deno.test("Nginx lint - a header added twice in one block", () => {
+  const text = [
+    "server {",
+    '    add_header Vary "Accept";',
+    '    add_header vary "Accept-Encoding";',
+    '    add_header Link "</a.css>; rel=preload";',
+    '    add_header Link "</b.js>; rel=preload";',
+    "}",
+    "",
+  ].join("\n");
+
+  assertEquals(messages(text), ["3: add_header vary is set more than once in this block"]);
+});
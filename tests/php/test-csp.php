@@ -0,0 +1,243 @@
+<?php
+/**
+ * Tests for inc/csp.php
+ *
+ * @package Sinople
+ */
+
+declare(strict_types=1);
+
+/**
+ * Class Test_Sinople_CSP
+ */
+class Test_Sinople_CSP extends SinopleTestCase {
+	/**
+	 * Fixed inline hashes
+	 */
+	private const HASHES = array(
+		'scripts' => array( "'sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU='" ),
+		'styles'  => array( "'sha256-Xy3Ue4ZVxbJNzd1u0sjGtNsfP/cOKC8eEcbDoUWu6Cg='" ),
+	);
+
+	/**
+	 * Set up before each test
+	 */
+	public function setUp(): void {
+		parent::setUp();
+
+		add_filter(
+			'sinople_csp_hashes',
+			function () {
+				return self::HASHES;
+			}
+		);
+	}
+
+	/**
+	 * Tear down after each test
+	 */
+	public function tearDown(): void {
+		remove_all_filters( 'sinople_csp_hashes' );
+		remove_all_filters( 'sinople_external_font_origins' );
+		remove_theme_mods();
+		delete_option( SINOPLE_CSP_REPORTS_OPTION );
+
+		parent::tearDown();
+	}
+
+	/**
+	 * Test the nonce is the same throughout a request
+	 */
+	public function test_sinople_csp_nonce(): void {
+		$nonce = sinople_csp_nonce();
+
+		$this->assertSame( $nonce, sinople_csp_nonce() );
+		$this->assertSame( 18, strlen( base64_decode( $nonce, true ) ) );
+	}
+
+	/**
+	 * Test inline blocks are allowed by the nonce and the hashes
+	 */
+	public function test_policy_allows_inline_blocks_by_hash_and_nonce(): void {
+		$policy = sinople_content_security_policy();
+		$nonce  = "'nonce-" . sinople_csp_nonce() . "'";
+
+		$this->assertStringContainsString( "script-src 'self' 'wasm-unsafe-eval' {$nonce} " . self::HASHES['scripts'][0] . ';', $policy );
+		$this->assertStringContainsString( "style-src 'self' {$nonce} " . self::HASHES['styles'][0] . ';', $policy );
+		$this->assertStringContainsString( "style-src-attr 'unsafe-inline'", $policy );
+		$this->assertStringNotContainsString( 'report-to', $policy );
+		$this->assertSame( 'Content-Security-Policy', sinople_csp_header_name() );
+	}
+
+	/**
+	 * Test nonce mode leaves out the hashes
+	 */
+	public function test_nonce_mode(): void {
+		set_theme_mod( 'sinople_csp_nonces', true );
+		$policy = sinople_content_security_policy();
+
+		$this->assertStringContainsString( "script-src 'self' 'wasm-unsafe-eval' 'nonce-" . sinople_csp_nonce() . "';", $policy );
+		$this->assertStringNotContainsString( 'sha256-', $policy );
+	}
+
+	/**
+	 * Test the report-only rollout and reporting to the collector
+	 */
+	public function test_report_only_and_reporting(): void {
+		set_theme_mod( 'sinople_csp_report_only', true );
+		set_theme_mod( 'sinople_csp_reporting', true );
+
+		$this->assertSame( 'Content-Security-Policy-Report-Only', sinople_csp_header_name() );
+		$this->assertStringEndsWith( '/sinople/v1/csp-reports; report-to csp', sinople_content_security_policy() );
+	}
+
+	/**
+	 * Test WordPress's inline scripts and styles get the nonce
+	 */
+	public function test_wordpress_inline_blocks_get_the_nonce(): void {
+		$nonce = sinople_csp_nonce();
+
+		$this->assertSame( $nonce, apply_filters( 'wp_inline_script_attributes', array( 'id' => 'a-js-after' ) )['nonce'] );
+		$this->assertSame(
+			'<style nonce="' . $nonce . '" id="a-inline-css">a{}</style><style nonce="x">b{}</style>',
+			sinople_csp_style_nonces( '<style id="a-inline-css">a{}</style><style nonce="x">b{}</style>' )
+		);
+	}
+
+	/**
+	 * Test the Customizer's Additional CSS, printed late in wp_head, gets the nonce
+	 */
+	public function test_additional_css_gets_the_nonce(): void {
+		wp_update_custom_css_post( 'body{color:teal}' );
+
+		ob_start();
+		do_action( 'wp_head' );
+		$head = ob_get_clean();
+
+		$this->assertMatchesRegularExpression( '#<style nonce="' . preg_quote( sinople_csp_nonce(), '#' ) . '"[^>]*\sid="wp-custom-css"#', $head );
+	}
+
+	/**
+	 * Test consented fonts are allowed from the origins serving their files
+	 */
+	public function test_external_font_origins(): void {
+		$this->assertStringContainsString( "font-src 'self' data:;", sinople_content_security_policy() );
+
+		set_theme_mod( 'sinople_external_fonts_url', 'https://fonts.googleapis.com/css2?family=Inter' );
+		$policy = sinople_content_security_policy();
+		$this->assertMatchesRegularExpression( '#style-src [^;]* https://fonts\.googleapis\.com;#', $policy );
+		$this->assertStringContainsString( "font-src 'self' data: https://fonts.gstatic.com;", $policy );
+
+		set_theme_mod( 'sinople_external_fonts_url', 'https://fonts.bunny.net/css?family=inter' );
+		$this->assertStringContainsString( "font-src 'self' data: https://fonts.bunny.net;", sinople_content_security_policy() );
+
+		add_filter(
+			'sinople_external_font_origins',
+			function () {
+				return array( 'https://files.fonts.example' );
+			}
+		);
+		$this->assertStringContainsString( "font-src 'self' data: https://files.fonts.example;", sinople_content_security_policy() );
+	}
+
+	/**
+	 * Test both report formats are read, and other report types skipped
+	 */
+	public function test_sinople_csp_parse_reports(): void {
+		$reporting_api = wp_json_encode(
+			array(
+				array(
+					'type' => 'csp-violation',
+					'url'  => 'https://example.org/post/?p=1',
+					'body' => array(
+						'documentURL'        => 'https://example.org/post/?p=1',
+						'blockedURL'         => 'inline',
+						'effectiveDirective' => 'script-src-elem',
+						'sourceFile'         => 'https://example.org/post/',
+						'lineNumber'         => 12,
+						'sample'             => 'alert(1)',
+						'disposition'        => 'report',
+					),
+				),
+				array(
+					'type' => 'deprecation',
+					'body' => array(),
+				),
+			)
+		);
+		$report_uri    = wp_json_encode(
+			array(
+				'csp-report' => array(
+					'document-uri'       => 'https://example.org/#comments',
+					'blocked-uri'        => 'https://evil.example/x.js?token=1',
+					'violated-directive' => 'script-src',
+				),
+			)
+		);
+
+		$this->assertSame(
+			array(
+				array(
+					'directive'   => 'script-src-elem',
+					'blocked'     => 'inline',
+					'document'    => 'https://example.org/post/',
+					'source'      => 'https://example.org/post/',
+					'line'        => 12,
+					'sample'      => 'alert(1)',
+					'disposition' => 'report',
+				),
+			),
+			sinople_csp_parse_reports( $reporting_api )
+		);
+
+		$violations = sinople_csp_parse_reports( $report_uri );
+		$this->assertSame( 'script-src', $violations[0]['directive'] );
+		$this->assertSame( 'https://evil.example/x.js', $violations[0]['blocked'] );
+		$this->assertSame( 'https://example.org/', $violations[0]['document'] );
+		$this->assertSame( 'enforce', $violations[0]['disposition'] );
+
+		$this->assertSame( array(), sinople_csp_parse_reports( 'not json' ) );
+	}
+
+	/**
+	 * Test repeats of a violation are counted, not stored again
+	 */
+	public function test_sinople_csp_store_violations(): void {
+		$violation = sinople_csp_parse_reports( wp_json_encode( array( 'csp-report' => array( 'violated-directive' => 'style-src' ) ) ) )[0];
+
+		sinople_csp_store_violations( array( $violation ) );
+		sinople_csp_store_violations( array( $violation, array_merge( $violation, array( 'directive' => 'img-src' ) ) ) );
+
+		$stored = get_option( SINOPLE_CSP_REPORTS_OPTION );
+		$this->assertEquals(
+			array(
+				'style-src' => 2,
+				'img-src'   => 1,
+			),
+			wp_list_pluck( $stored, 'count', 'directive' )
+		);
+	}
+
+	/**
+	 * Test the collector only takes reports while reporting is on
+	 */
+	public function test_collector(): void {
+		do_action( 'rest_api_init' );
+
+		$request = new WP_REST_Request( 'POST', '/sinople/v1/csp-reports' );
+		$request->set_header( 'Content-Type', 'application/csp-report' );
+		$request->set_body( wp_json_encode( array( 'csp-report' => array( 'violated-directive' => 'script-src' ) ) ) );
+
+		$this->assertSame( 404, rest_do_request( $request )->get_status() );
+
+		set_theme_mod( 'sinople_csp_reporting', true );
+		$this->assertSame( 204, rest_do_request( $request )->get_status() );
+		$this->assertCount( 1, get_option( SINOPLE_CSP_REPORTS_OPTION ) );
+
+		$request->set_body( '[]' );
+		$this->assertSame( 400, rest_do_request( $request )->get_status() );
+
+		$request->set_body( str_repeat( ' ', SINOPLE_CSP_REPORT_MAX_BYTES + 1 ) );
+		$this->assertSame( 413, rest_do_request( $request )->get_status() );
+	}
+}
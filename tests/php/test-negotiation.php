@@ -0,0 +1,164 @@
+<?php
+/**
+ * Tests for inc/negotiation.php
+ *
+ * @package Sinople
+ */
+
+declare(strict_types=1);
+
+/**
+ * Class Test_Sinople_Negotiation
+ */
+class Test_Sinople_Negotiation extends SinopleTestCase {
+	/**
+	 * Accept header matrix shared with tests/negotiation_test.js
+	 */
+	private function matrix(): array {
+		return json_decode( (string) file_get_contents( dirname( __DIR__ ) . '/fixtures/negotiation-matrix.json' ), true )['cases'];
+	}
+
+	/**
+	 * Answers of a matrix case given the functions that exist here
+	 */
+	private function expected( array $case ): array {
+		foreach ( $case['without'] ?? array() as $function => $answers ) {
+			if ( ! function_exists( $function ) ) {
+				return $answers;
+			}
+		}
+		return $case;
+	}
+
+	/**
+	 * Test entries and the feed conform to the Accept header matrix
+	 */
+	public function test_conforms_to_the_accept_header_matrix(): void {
+		$rules = sinople_negotiation_rules();
+
+		foreach ( array( 'entry', 'feed' ) as $resource ) {
+			foreach ( $this->matrix() as $case ) {
+				$chosen = sinople_negotiate( $case['accept'], $rules[ $resource ]['representations'] );
+				$this->assertSame( $this->expected( $case )[ $resource ], $chosen['type'], $resource . ' for Accept: ' . var_export( $case['accept'], true ) );
+			}
+		}
+	}
+
+	/**
+	 * Test MessagePack is offered only where the msgpack extension is loaded
+	 */
+	public function test_msgpack_requires_the_extension(): void {
+		foreach ( array( 'entry', 'feed' ) as $resource ) {
+			$types = array_column( sinople_negotiation_rules()[ $resource ]['representations'], 'type' );
+			$this->assertSame( function_exists( 'msgpack_pack' ), in_array( 'application/msgpack', $types, true ), $resource );
+		}
+	}
+
+	/**
+	 * Test parsing Accept headers
+	 */
+	public function test_sinople_parse_accept(): void {
+		$this->assertSame(
+			array(
+				array(
+					'type'    => 'text',
+					'subtype' => 'html',
+					'q'       => 0.5,
+				),
+				array(
+					'type'    => '*',
+					'subtype' => '*',
+					'q'       => 1.0,
+				),
+			),
+			sinople_parse_accept( 'Text/HTML;level=1;q=0.5, */*' )
+		);
+
+		$this->assertSame(
+			array(
+				array(
+					'type'    => 'text',
+					'subtype' => 'csv',
+					'q'       => 0.125,
+				),
+			),
+			sinople_parse_accept( 'html, */json, text/plain;q=1.5, text/css;q=.5, , text/csv;q=0.125' )
+		);
+	}
+
+	/**
+	 * Test an entry negotiated to Turtle sets the format and its headers
+	 */
+	public function test_entry_negotiated_to_turtle(): void {
+		$post_id = $this->create_test_post();
+		$this->go_to( get_permalink( $post_id ) );
+
+		$_SERVER['HTTP_ACCEPT'] = 'text/turtle, text/html;q=0.5';
+		$resource               = sinople_negotiated_resource();
+		$chosen                 = sinople_negotiate( $_SERVER['HTTP_ACCEPT'], sinople_negotiation_rules()[ $resource ]['representations'] );
+		$headers                = sinople_negotiation_headers( $resource, $chosen );
+		unset( $_SERVER['HTTP_ACCEPT'] );
+
+		$permalink = get_permalink( $post_id );
+		$msgpack   = function_exists( 'msgpack_pack' ) ? ', <' . add_query_arg( 'msgpack', '1', $permalink ) . '>; rel="alternate"; type="application/msgpack"' : '';
+		$this->assertSame( 'entry', $resource );
+		$this->assertSame( 'format=ttl', $chosen['query'] );
+		$this->assertSame(
+			array(
+				'Vary: Accept',
+				'Link: <' . $permalink . '>; rel="alternate"; type="text/html", <' . add_query_arg( 'format', 'rdf', $permalink ) . '>; rel="alternate"; type="application/rdf+xml"' . $msgpack,
+				'Content-Location: ' . add_query_arg( 'format', 'ttl', $permalink ),
+			),
+			$headers
+		);
+	}
+
+	/**
+	 * Test the HTML entry names its alternates without a Content-Location
+	 */
+	public function test_entry_as_html(): void {
+		$this->go_to( get_permalink( $this->create_test_post() ) );
+
+		$headers = sinople_negotiation_headers( 'entry', sinople_negotiation_rules()['entry']['representations'][0] );
+
+		$this->assertCount( 2, $headers );
+		$this->assertStringContainsString( 'type="text/turtle"', $headers[1] );
+	}
+
+	/**
+	 * Test only the site feed and unqualified entries are negotiated
+	 */
+	public function test_sinople_negotiated_resource(): void {
+		$post_id = $this->create_test_post();
+
+		$this->go_to( home_url( '/?feed=feed' ) );
+		$this->assertSame( 'feed', sinople_negotiated_resource() );
+
+		$this->go_to( home_url( '/?feed=atom' ) );
+		$this->assertNull( sinople_negotiated_resource() );
+
+		$this->go_to( add_query_arg( 'format', 'rdf', get_permalink( $post_id ) ) );
+		$this->assertNull( sinople_negotiated_resource() );
+
+		$this->go_to( add_query_arg( 'msgpack', '1', get_permalink( $post_id ) ) );
+		$this->assertNull( sinople_negotiated_resource() );
+
+		$this->go_to( home_url( '/' ) );
+		$this->assertNull( sinople_negotiated_resource() );
+	}
+
+	/**
+	 * Test the feed always names the URL of the representation sent
+	 */
+	public function test_feed_headers(): void {
+		$representations = sinople_negotiation_rules()['feed']['representations'];
+		$json            = $representations[3];
+
+		$headers = sinople_negotiation_headers( 'feed', $json );
+
+		$this->assertSame( 'application/feed+json', $json['type'] );
+		$this->assertSame( 'Content-Location: ' . home_url( '/feed/json/' ), $headers[2] );
+		$this->assertStringContainsString( '<' . home_url( '/feed/rss2/' ) . '>; rel="alternate"; type="application/rss+xml"', $headers[1] );
+		$this->assertStringNotContainsString( 'application/feed+json', $headers[1] );
+	}
+}
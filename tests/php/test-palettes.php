@@ -0,0 +1,125 @@
+<?php
+/**
+ * Tests for inc/palettes.php
+ *
+ * @package Sinople
+ */
+
+declare(strict_types=1);
+
+/**
+ * Class Test_Sinople_Palettes
+ */
+class Test_Sinople_Palettes extends SinopleTestCase {
+	/**
+	 * Test contrast ratios against known WCAG values
+	 */
+	public function test_sinople_contrast_ratio(): void {
+		$this->assertEqualsWithDelta( 21.0, sinople_contrast_ratio( '#000000', '#ffffff' ), 0.001 );
+		$this->assertEqualsWithDelta( 1.0, sinople_contrast_ratio( '#777777', '#777777' ), 0.001 );
+		$this->assertEqualsWithDelta( 4.48, sinople_contrast_ratio( '#777777', '#ffffff' ), 0.01 );
+		$this->assertEqualsWithDelta( sinople_contrast_ratio( '#ffffff', '#336699' ), sinople_contrast_ratio( '#336699', '#ffffff' ), 0.001 );
+	}
+
+	/**
+	 * Test colour mixing
+	 */
+	public function test_sinople_mix_colors(): void {
+		$this->assertSame( '#ff0000', sinople_mix_colors( '#ff0000', '#0000ff', 0 ) );
+		$this->assertSame( '#0000ff', sinople_mix_colors( '#ff0000', '#0000ff', 1 ) );
+		$this->assertSame( '#808080', sinople_mix_colors( '#000000', '#ffffff', 0.5 ) );
+	}
+
+	/**
+	 * Test colours are adjusted only as far as needed
+	 */
+	public function test_sinople_ensure_contrast(): void {
+		$this->assertSame( '#000000', sinople_ensure_contrast( '#000000', array( '#ffffff' ), 7 ) );
+
+		$adjusted = sinople_ensure_contrast( '#4a9978', array( '#f5f7fa' ), 7 );
+		$this->assertGreaterThanOrEqual( 7, sinople_contrast_ratio( $adjusted, '#f5f7fa' ) );
+		// Darkened a step at a time, so not far past the target
+		$this->assertLessThan( 7.5, sinople_contrast_ratio( $adjusted, '#f5f7fa' ) );
+	}
+
+	/**
+	 * Test every named palette meets AAA, in normal and high contrast
+	 */
+	public function test_named_palettes_meet_targets(): void {
+		foreach ( sinople_palettes() as $theme => $palette ) {
+			$colors = sinople_accessible_palette( $palette['colors'] );
+			$this->assertSame( array(), sinople_palette_contrast_failures( $colors ), $theme );
+
+			$high = sinople_high_contrast_palette( $colors, $palette['scheme'] );
+			$this->assertSame( array(), sinople_palette_contrast_failures( $high, true ), $theme . ' high contrast' );
+		}
+	}
+
+	/**
+	 * Test tints meet AAA whatever the term colour
+	 */
+	public function test_tints_meet_targets(): void {
+		$samples = array( '#ff0000', '#ffff00', '#00ff00', '#0000ff', '#ff00ff', '#808080', '#123456', '#fefefe', '#010101' );
+
+		foreach ( $samples as $color ) {
+			foreach ( array( 'light', 'dark' ) as $scheme ) {
+				$tint = sinople_tint_palette( $color, $scheme );
+				$this->assertSame( array(), sinople_palette_contrast_failures( $tint ), $color . ' ' . $scheme );
+				$this->assertSame( array(), sinople_palette_contrast_failures( sinople_high_contrast_palette( $tint, $scheme ), true ), $color . ' ' . $scheme . ' high contrast' );
+			}
+		}
+	}
+
+	/**
+	 * Test palette CSS covers every theme and high contrast
+	 */
+	public function test_sinople_palette_styles(): void {
+		ob_start();
+		sinople_palette_styles();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'id="sinople-palettes"', $output );
+		foreach ( array_keys( sinople_palettes() ) as $theme ) {
+			$this->assertStringContainsString( ':root[data-theme="' . $theme . '"]', $output );
+			$this->assertStringContainsString( ':root[data-contrast="high"][data-theme="' . $theme . '"]', $output );
+		}
+		$this->assertStringContainsString( '@media (prefers-color-scheme: dark)', $output );
+		$this->assertStringContainsString( '@media (prefers-contrast: more)', $output );
+	}
+
+	/**
+	 * Test entries are tinted with their colour term
+	 */
+	public function test_sinople_entry_tint_styles(): void {
+		$post_id = $this->create_test_post();
+		$term    = wp_insert_term( 'Ochre', 'color' );
+		update_term_meta( $term['term_id'], 'color_hex', '#cc7722' );
+		wp_set_object_terms( $post_id, array( $term['term_id'] ), 'color' );
+
+		$this->assertSame( '#cc7722', sinople_entry_tint_color( $post_id ) );
+
+		$this->go_to( get_permalink( $post_id ) );
+		ob_start();
+		sinople_entry_tint_styles();
+		$output = ob_get_clean();
+
+		$this->assertStringContainsString( 'id="sinople-entry-tint"', $output );
+		$this->assertStringContainsString( ':root[data-entry-tint][data-theme="sepia"]', $output );
+		$this->assertStringContainsString( '--color-accent:', $output );
+	}
+
+	/**
+	 * Test entries without a coloured term get no tint
+	 */
+	public function test_sinople_entry_tint_styles_without_color(): void {
+		$post_id = $this->create_test_post();
+		$this->go_to( get_permalink( $post_id ) );
+
+		ob_start();
+		sinople_entry_tint_styles();
+		$output = ob_get_clean();
+
+		$this->assertNull( sinople_entry_tint_color( $post_id ) );
+		$this->assertSame( '', $output );
+	}
+}
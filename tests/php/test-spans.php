@@ -0,0 +1,61 @@
+<?php
+/**
+ * Tests for inc/spans.php
+ *
+ * @package Sinople
+ */
+
+declare(strict_types=1);
+
+/**
+ * Class Test_Sinople_Spans
+ */
+class Test_Sinople_Spans extends SinopleTestCase {
+	/**
+	 * Test portal URLs keep only http(s)
+	 */
+	public function test_sinople_sanitize_portal_url(): void {
+		$this->assertSame( 'https://indieweb.org/', sinople_sanitize_portal_url( ' https://indieweb.org/ ' ) );
+		$this->assertSame( 'http://example.onion/', sinople_sanitize_portal_url( 'http://example.onion/' ) );
+		$this->assertSame( '', sinople_sanitize_portal_url( 'javascript:alert(1)' ) );
+		$this->assertSame( '', sinople_sanitize_portal_url( 'data:text/html,hi' ) );
+		$this->assertSame( '', sinople_sanitize_portal_url( array( 'https://indieweb.org/' ) ) );
+	}
+
+	/**
+	 * Test rel keeps known relationships once each
+	 */
+	public function test_sinople_sanitize_portal_rel(): void {
+		$this->assertSame( 'me friend', sinople_sanitize_portal_rel( 'ME friend  me nofollow' ) );
+		$this->assertSame( '', sinople_sanitize_portal_rel( 'sponsored ugc' ) );
+		$this->assertSame( '', sinople_sanitize_portal_rel( null ) );
+	}
+
+	/**
+	 * Test trust accepts only a known level
+	 */
+	public function test_sinople_sanitize_portal_trust(): void {
+		$this->assertSame( 'ugc', sinople_sanitize_portal_trust( 'ugc' ) );
+		$this->assertSame( '', sinople_sanitize_portal_trust( 'Trusted' ) );
+		$this->assertSame( '', sinople_sanitize_portal_trust( 'verified' ) );
+	}
+
+	/**
+	 * Test preview fields are in the REST API and sanitized on save
+	 */
+	public function test_portal_meta_is_registered(): void {
+		$registered = get_registered_meta_keys( 'post', 'portal' );
+
+		foreach ( array( 'sinople_portal_url', 'sinople_portal_site_name', 'sinople_portal_favicon', 'sinople_portal_archive_url', 'sinople_portal_reading_time', 'sinople_portal_rel', 'sinople_portal_trust' ) as $key ) {
+			$this->assertArrayHasKey( $key, $registered );
+			$this->assertTrue( (bool) $registered[ $key ]['show_in_rest'], $key );
+		}
+
+		$post_id = $this->create_test_post( array( 'post_type' => 'portal' ) );
+		update_post_meta( $post_id, 'sinople_portal_url', 'javascript:alert(1)' );
+		update_post_meta( $post_id, 'sinople_portal_trust', 'sponsored' );
+
+		$this->assertSame( '', get_post_meta( $post_id, 'sinople_portal_url', true ) );
+		$this->assertSame( 'sponsored', get_post_meta( $post_id, 'sinople_portal_trust', true ) );
+	}
+}
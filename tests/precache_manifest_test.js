@@ -0,0 +1,101 @@
+/**
+ * Tests for the precache manifest generator
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assertEquals, assertNotEquals } from "@std/assert";
+import { join } from "@std/path";
+import { buildManifest, renderManifest } from "../scripts/generate-precache-manifest.js";
+
+// Lay out a fake theme build in a temporary directory
+async function createThemeBuild(files) {
+  const root = await Deno.makeTempDir({ prefix: "sinople-precache-" });
+
+  for (const [path, contents] of Object.entries(files)) {
+    const absolute = join(root, path);
+    await Deno.mkdir(join(absolute, ".."), { recursive: true });
+    await Deno.writeTextFile(absolute, contents);
+  }
+
+  return root;
+}
+
+const BUILD = {
+  "assets/css/main.css": "body{margin:0}",
+  "assets/css/print.css": "@media print{}",
+  "assets/css/main.css.map": "{}",
+  "assets/js/dist/main.js": "export {};",
+  "assets/js/dist/sinople.wasm": "\0asm",
+  "assets/scss/main.scss": "// source, not build output",
+  "style.css": "/* Theme Name: Sinople */",
+};
+
+Deno.test("Precache manifest - lists built CSS, JS and WASM only", async () => {
+  const root = await createThemeBuild(BUILD);
+
+  try {
+    const manifest = await buildManifest(root);
+
+    assertEquals(manifest.assets.map((asset) => asset.url), [
+      "assets/css/main.css",
+      "assets/css/print.css",
+      "assets/js/dist/main.js",
+      "assets/js/dist/sinople.wasm",
+    ]);
+  } finally {
+    await Deno.remove(root, { recursive: true });
+  }
+});
+
+Deno.test("Precache manifest - revisions are content hashes", async () => {
+  const root = await createThemeBuild(BUILD);
+
+  try {
+    const before = await buildManifest(root);
+    await Deno.writeTextFile(join(root, "assets/css/main.css"), "body{margin:1rem}");
+    const after = await buildManifest(root);
+
+    const revision = (manifest, url) => manifest.assets.find((asset) => asset.url === url).revision;
+
+    assertEquals(revision(before, "assets/css/main.css").length, 16);
+    assertNotEquals(revision(before, "assets/css/main.css"), revision(after, "assets/css/main.css"));
+    assertEquals(revision(before, "assets/js/dist/main.js"), revision(after, "assets/js/dist/main.js"));
+    assertNotEquals(before.version, after.version);
+  } finally {
+    await Deno.remove(root, { recursive: true });
+  }
+});
+
+Deno.test("Precache manifest - identical builds get identical versions", async () => {
+  const first = await createThemeBuild(BUILD);
+  const second = await createThemeBuild(BUILD);
+
+  try {
+    assertEquals(await buildManifest(first), await buildManifest(second));
+  } finally {
+    await Deno.remove(first, { recursive: true });
+    await Deno.remove(second, { recursive: true });
+  }
+});
+
+Deno.test("Precache manifest - missing build directories yield an empty manifest", async () => {
+  const root = await createThemeBuild({ "style.css": "" });
+
+  try {
+    const manifest = await buildManifest(root);
+    assertEquals(manifest.assets, []);
+  } finally {
+    await Deno.remove(root, { recursive: true });
+  }
+});
+
+Deno.test("Precache manifest - renders a script that defines self.SINOPLE_PRECACHE", () => {
+  const manifest = { version: "abc123", assets: [{ url: "assets/css/main.css", revision: "f00d" }] };
+  const self = {};
+
+  new Function("self", renderManifest(manifest))(self);
+
+  assertEquals(self.SINOPLE_PRECACHE, manifest);
+});
@@ -0,0 +1,181 @@
+/**
+ * Tests for reading preferences
+ *
+ * Runs Preferences.res as built by `deno task build:rescript`, against the
+ * DOM shim.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assert, assertEquals } from "@std/assert";
+import { importBuilt, installDom } from "./dom_shim.js";
+
+// Preferences.res as built by `deno task build:rescript`
+const Preferences = await importBuilt("Preferences");
+
+function builtTest(name, fn) {
+  Deno.test({
+    name,
+    ignore: Preferences === null,
+    fn: () => {
+      const { document, restore } = installDom();
+      try {
+        return fn(document);
+      } finally {
+        Preferences.current.contents = Preferences.defaults;
+        restore();
+      }
+    },
+  });
+}
+
+// Attributes and custom properties on <html>
+function rootOf(document) {
+  const root = document.documentElement;
+  return {
+    attributes: Object.fromEntries(root.attributes.map(({ name, value }) => [name, value])),
+    properties: Object.fromEntries(root.style.values),
+  };
+}
+
+builtTest("Preferences - defaults leave the page untouched", (document) => {
+  Preferences.applyToRoot(Preferences.defaults);
+  const { attributes, properties } = rootOf(document);
+
+  assertEquals(attributes, {});
+  assertEquals(properties["--text-scale"], "1");
+  assertEquals(properties["--leading-body"], "1.5");
+});
+
+builtTest("Preferences - every setting reaches <html>, and is taken back off", (document) => {
+  Preferences.applyToRoot({
+    ...Preferences.defaults,
+    fontScale: 1.3,
+    lineHeight: 2,
+    letterSpacing: 0.12,
+    wordSpacing: 0.16,
+    theme: "sepia",
+    highContrast: true,
+    entryTint: true,
+    dyslexiaFont: true,
+    motion: "reduce",
+    underlineLinks: true,
+    readingWidth: "narrow",
+  });
+  const { attributes, properties } = rootOf(document);
+
+  assertEquals(attributes, {
+    "data-line-height": "",
+    "data-text-spacing": "",
+    "data-theme": "sepia",
+    "data-contrast": "high",
+    "data-entry-tint": "",
+    "data-font": "dyslexia",
+    "data-motion": "reduce",
+    "data-underline-links": "",
+    "data-reading-width": "narrow",
+  });
+  assertEquals(properties["--text-scale"], "1.3");
+  assertEquals(properties["--letter-spacing"], "0.12em");
+  assertEquals(properties["--word-spacing"], "0.16em");
+
+  Preferences.applyToRoot(Preferences.defaults);
+  assertEquals(rootOf(document).attributes, {});
+});
+
+builtTest("Preferences - stored copies are validated field by field", () => {
+  const prefs = Preferences.parse(JSON.stringify({
+    fontScale: 4,
+    lineHeight: 0.5,
+    letterSpacing: "wide",
+    theme: "purple",
+    motion: "full",
+    highContrast: "yes",
+    underlineLinks: true,
+    readingWidth: "wide",
+    updated: -1,
+    script: "<script>alert(1)</script>",
+  }));
+
+  assertEquals(prefs, {
+    ...Preferences.defaults,
+    fontScale: 1.5,
+    lineHeight: 1.2,
+    motion: "full",
+    underlineLinks: true,
+    readingWidth: "wide",
+  });
+  assertEquals(Preferences.parse("not json"), undefined);
+  assertEquals(Preferences.parse("[1, 2]"), undefined);
+});
+
+builtTest("Preferences - an import is applied, stored and announced", (document) => {
+  const heard = [];
+  Preferences.onChange((prefs) => heard.push(prefs.theme));
+
+  const imported = Preferences.$$import(JSON.stringify({ theme: "night", dyslexiaFont: true }));
+
+  assertEquals(imported.theme, "night");
+  assertEquals(imported.dyslexiaFont, true);
+  assert(imported.updated > 0);
+  assertEquals(Preferences.current.contents, imported);
+  assertEquals(rootOf(document).attributes["data-theme"], "night");
+  assertEquals(JSON.parse(localStorage.getItem(Preferences.storageKey)), imported);
+  assertEquals(heard, ["night"]);
+  Preferences.listeners.length = 0;
+});
+
+builtTest("Preferences - files that aren't an export are refused, leaving the settings alone", () => {
+  Preferences.$$import(JSON.stringify({ fontScale: 1.2 }));
+  const before = Preferences.current.contents;
+
+  assertEquals(Preferences.$$import("not json"), undefined);
+  assertEquals(Preferences.$$import("[1, 2]"), undefined);
+  assertEquals(Preferences.$$import("null"), undefined);
+  assertEquals(Preferences.$$import('"dark"'), undefined);
+  assertEquals(Preferences.$$import("{}"), undefined);
+  assertEquals(Preferences.$$import(JSON.stringify({ name: "sinople", version: "0.1.0" })), undefined);
+  assertEquals(Preferences.current.contents, before);
+});
+
+builtTest("Preferences - export round-trips", () => {
+  const prefs = { ...Preferences.defaults, fontScale: 1.2, theme: "light", dyslexiaFont: true, updated: 1700000000000 };
+  assertEquals(Preferences.parse(Preferences.$$export(prefs)), prefs);
+});
+
+builtTest("Preferences - the newer copy wins, the local one on a tie", () => {
+  const { defaults, newest } = Preferences;
+  const local = { ...defaults, theme: "dark", updated: 200 };
+  const server = { ...defaults, theme: "light", updated: 100 };
+
+  assertEquals(newest(local, server), local);
+  assertEquals(newest(local, { ...server, updated: 300 }).theme, "light");
+  assertEquals(newest(local, { ...server, updated: 200 }), local);
+  assertEquals(newest(undefined, server), server);
+  assertEquals(newest(local, undefined), local);
+  assertEquals(newest(undefined, undefined), undefined);
+});
+
+builtTest("Preferences - old separate toggles are carried over", () => {
+  assertEquals(Preferences.load(), undefined);
+
+  localStorage.setItem("font-scale", "1.2000000000000002");
+  localStorage.setItem("theme", "dark");
+  localStorage.setItem("contrast", "high");
+  const migrated = Preferences.load();
+
+  assertEquals(migrated.fontScale, 1.2000000000000002);
+  assertEquals(migrated.theme, "dark");
+  assertEquals(migrated.highContrast, true);
+  assert(migrated.updated > 0);
+  // Moved to the one key
+  assertEquals(Preferences.legacyKeys.map((key) => localStorage.getItem(key)), [null, null, null]);
+  assertEquals(Preferences.load(), migrated);
+
+  localStorage.clear();
+  localStorage.setItem("font-scale", "9");
+  localStorage.setItem("theme", "purple");
+  assertEquals(Preferences.fromLegacy().fontScale, 1.5);
+  assertEquals(Preferences.fromLegacy().theme, "system");
+});
@@ -0,0 +1,151 @@
+/**
+ * Tests for intent and viewport prefetching
+ *
+ * Runs Prefetch.res as built by `deno task build:rescript`, against the
+ * DOM shim, on a page at HERE, with pages served by a scripted fetch.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assertEquals } from "@std/assert";
+import { importBuilt, installDom, withGlobals } from "./dom_shim.js";
+
+// Prefetch.res and the router it fetches through, as built by
+// `deno task build:rescript`
+const Prefetch = await importBuilt("Prefetch");
+const ViewTransitions = await importBuilt("ViewTransitions");
+
+const HERE = "https://example.org/2024/03/salt-marsh/";
+
+// Each test starts a page: no budget spent, nothing cached
+function builtTest(name, fn, { media = [] } = {}) {
+  Deno.test({
+    name,
+    ignore: Prefetch === null,
+    fn: () => {
+      const { document, restore } = installDom({ media });
+      Prefetch.spent.requests = 0;
+      Prefetch.spent.bytes = 0;
+      Prefetch.speculated.clear();
+      ViewTransitions.cache.clear();
+      return withGlobals({ location: { href: HERE, origin: new URL(HERE).origin } }, () => fn(document))
+        .finally(restore);
+    },
+  });
+}
+
+// A fetch answering every page with `size` characters of HTML (or with
+// `status`), recording the URLs asked for
+function pages({ size = 1024, status = 200 } = {}) {
+  const fetched = [];
+  const fetch = (url) => {
+    fetched.push(url);
+    const response = new Response("x".repeat(size), { status, headers: { "content-type": "text/html" } });
+    Object.defineProperty(response, "url", { value: new URL(url, HERE).href });
+    return Promise.resolve(response);
+  };
+  return { fetch, fetched };
+}
+
+builtTest("Prefetch - stops after the request budget", async () => {
+  const { fetch, fetched } = pages();
+
+  await withGlobals({ fetch }, async () => {
+    for (let i = 0; i < Prefetch.requestBudget + 5; i++) {
+      await Prefetch.warm(`/page/${i}/`);
+    }
+  });
+
+  assertEquals(fetched.length, Prefetch.requestBudget);
+});
+
+builtTest("Prefetch - stops after the byte budget", async () => {
+  const { fetch, fetched } = pages({ size: 600 * 1024 });
+
+  await withGlobals({ fetch }, async () => {
+    for (let i = 0; i < 5; i++) {
+      await Prefetch.warm(`/page/${i}/`);
+    }
+  });
+
+  // The second page crosses the budget; nothing is fetched after it
+  assertEquals(fetched, ["/page/0/", "/page/1/"]);
+});
+
+builtTest("Prefetch - cached pages and failed fetches", async () => {
+  const cached = pages();
+  await withGlobals({ fetch: cached.fetch }, async () => {
+    await Prefetch.warm("/about/");
+    await Prefetch.warm("/about/#contact");
+  });
+  assertEquals(cached.fetched, ["/about/"]);
+
+  const missing = pages({ status: 404 });
+  await withGlobals({ fetch: missing.fetch }, () => Prefetch.warm("/missing/"));
+
+  assertEquals(missing.fetched, ["/missing/"]);
+  // A failed fetch still spends a request, so a broken link can't be retried forever
+  assertEquals(Prefetch.spent, { requests: 2, bytes: 1024 });
+});
+
+builtTest("Prefetch - pages the router won't swap in aren't fetched", async () => {
+  const { fetch, fetched } = pages();
+
+  await withGlobals({ fetch }, async () => {
+    await Prefetch.warm("https://elsewhere.example/");
+    await Prefetch.warm("/wp-admin/post.php?post=1");
+    await Prefetch.warm("#comments");
+  });
+
+  assertEquals(fetched, []);
+  assertEquals(Prefetch.spent, { requests: 0, bytes: 0 });
+});
+
+builtTest("Prefetch - nothing is fetched when the connection saves data", async () => {
+  const { fetch, fetched } = pages();
+
+  await withGlobals({ fetch, navigator: { connection: { saveData: true } } }, async () => {
+    assertEquals(Prefetch.savesData(), true);
+    await Prefetch.warm("/about/");
+  });
+  assertEquals(fetched, []);
+
+  await withGlobals({ navigator: { connection: { saveData: false } } }, () => {
+    assertEquals(Prefetch.savesData(), false);
+  });
+  await withGlobals({ navigator: {} }, () => {
+    assertEquals(Prefetch.savesData(), false);
+  });
+});
+
+builtTest("Prefetch - nothing is fetched when the reader prefers reduced data", () =>
+  withGlobals({ navigator: {} }, () => {
+    assertEquals(Prefetch.savesData(), true);
+  }), { media: ["(prefers-reduced-data: reduce)"] });
+
+builtTest("Prefetch - list rules name a single page", () => {
+  const rules = JSON.parse(JSON.stringify(Prefetch.listRules("https://example.org/page/2/")));
+  assertEquals(rules, { prefetch: [{ source: "list", urls: ["https://example.org/page/2/"] }] });
+});
+
+builtTest("Prefetch - each page is speculated once, in a script with the page's nonce", async (document) => {
+  const style = document.createElement("style");
+  style.setAttribute("nonce", "abc123");
+  document.head.append(style);
+
+  await withGlobals({ navigator: {} }, () => {
+    Prefetch.speculate("/about/");
+    Prefetch.speculate("/about/#contact");
+    Prefetch.speculate("https://elsewhere.example/");
+  });
+
+  const scripts = document.head.querySelectorAll("script");
+  assertEquals(scripts.length, 1);
+  assertEquals(scripts[0].type, "speculationrules");
+  assertEquals(scripts[0].nonce, "abc123");
+  assertEquals(JSON.parse(scripts[0].textContent), {
+    prefetch: [{ source: "list", urls: ["https://example.org/about/"] }],
+  });
+  assertEquals(Prefetch.spent.requests, 1);
+});
@@ -0,0 +1,45 @@
+/**
+ * Tests for the allow-list HTML sanitizer
+ *
+ * The fixture is also checked by the unit tests in assets/wasm/sanitize.rs,
+ * so agreement with it here means WASM and the JS fallback sanitize alike.
+ * Runs Sanitize.res as built by `deno task build:rescript`.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assertEquals } from "@std/assert";
+import { importBuilt } from "./dom_shim.js";
+
+const FIXTURE = JSON.parse(
+  await Deno.readTextFile(new URL("./fixtures/sanitizer-corpus.json", import.meta.url)),
+);
+
+// Sanitize.res as built by `deno task build:rescript`
+const Sanitize = await importBuilt("Sanitize");
+
+function builtTest(name, fn) {
+  Deno.test({ name, ignore: Sanitize === null, fn });
+}
+
+for (const { name, input, expected } of FIXTURE.cases) {
+  builtTest(`Sanitizer - ${name}`, () => {
+    assertEquals(Sanitize.html(input), expected);
+  });
+}
+
+builtTest("Sanitizer - sanitized output is left unchanged by a second pass", () => {
+  for (const { input } of FIXTURE.cases) {
+    const once = Sanitize.html(input);
+    assertEquals(Sanitize.html(once), once);
+  }
+});
+
+builtTest("Sanitizer - output never contains event handlers or script URLs", () => {
+  for (const { input } of FIXTURE.cases) {
+    const output = Sanitize.html(input);
+    assertEquals(/<[^>]*\son\w+=/i.test(output), false, input);
+    assertEquals(/(href|src|cite)="\s*(javascript|vbscript|data):/i.test(output), false, input);
+  }
+});
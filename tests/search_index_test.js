@@ -0,0 +1,212 @@
+/**
+ * Tests for the client-side search index
+ *
+ * Runs SearchIndex.res as built by `deno task build:rescript`, against the
+ * DOM shim, with the NDJSON feed served by a scripted fetch.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assertEquals, assertRejects } from "@std/assert";
+import { importBuilt, installDom, withGlobals } from "./dom_shim.js";
+
+// SearchIndex.res as built by `deno task build:rescript`
+const SearchIndex = await importBuilt("SearchIndex");
+
+function builtTest(name, fn) {
+  Deno.test({
+    name,
+    ignore: SearchIndex === null,
+    fn: async () => {
+      const { restore } = installDom();
+      try {
+        await fn();
+      } finally {
+        restore();
+      }
+    },
+  });
+}
+
+const ENTRIES = [
+  {
+    id: 1,
+    title: "Walking the salt marsh",
+    excerpt: "Herons and the tide at dusk.",
+    url: "https://example.com/walking-the-salt-marsh/",
+    span_type: "field-note",
+    emotions: ["Longing"],
+    motifs: ["Water"],
+    published: "2024-03-01T09:00:00+00:00",
+    modified: "2024-03-01T09:00:00+00:00",
+  },
+  {
+    id: 2,
+    title: "The Ferryman",
+    excerpt: "A construct who crosses water.",
+    url: "https://example.com/the-ferryman/",
+    span_type: "construct",
+    symbols: ["River"],
+    archetypes: ["Psychopomp"],
+    published: "2024-04-01T09:00:00+00:00",
+    modified: "2024-04-02T10:00:00+00:00",
+  },
+  {
+    id: 3,
+    title: "Notes on longing",
+    excerpt: "Why the marsh keeps coming back.",
+    url: "https://example.com/notes-on-longing/",
+    span_type: null,
+    published: "2024-05-01T09:00:00+00:00",
+    modified: "2024-05-01T09:00:00+00:00",
+  },
+];
+
+function buildIndex(entries = ENTRIES) {
+  const index = SearchIndex.empty();
+  entries.forEach((entry) => SearchIndex.upsert(index, entry));
+  return index;
+}
+
+// A fetch serving each URL's chunks as a streamed body, recording the URLs
+function feed(pages) {
+  const requested = [];
+  const fetch = (url) => {
+    requested.push(url);
+    const chunks = typeof pages === "function" ? pages(url) : pages;
+    const encoder = new TextEncoder();
+    const body = new ReadableStream({
+      start(controller) {
+        chunks.forEach((chunk) => controller.enqueue(encoder.encode(chunk)));
+        controller.close();
+      },
+    });
+    return Promise.resolve(new Response(body));
+  };
+  return { fetch, requested };
+}
+
+const ndjson = (lines) => lines.map((line) => JSON.stringify(line) + "\n").join("");
+
+builtTest("Search index - taxonomy terms are stored with the span type", () => {
+  const index = buildIndex();
+
+  assertEquals(index.documents[1].taxonomy, "field-note Longing Water");
+  assertEquals(index.documents[2].taxonomy, "construct River Psychopomp");
+  assertEquals(index.documents[3].taxonomy, "entry");
+  assertEquals(SearchIndex.size(index), 3);
+});
+
+builtTest("Search index - entities in titles and excerpts are decoded", () => {
+  const index = buildIndex([{ ...ENTRIES[0], title: "Salt &amp; reeds", excerpt: "It&#8217;s &ldquo;low&rdquo; tide" }]);
+
+  assertEquals(index.documents[1].title, "Salt & reeds");
+  assertEquals(index.documents[1].excerpt, "It’s “low” tide");
+});
+
+builtTest("Search index - long excerpts are trimmed", () => {
+  const index = buildIndex([{ ...ENTRIES[0], excerpt: "word ".repeat(60) }]);
+
+  assertEquals(index.documents[1].excerpt.length, SearchIndex.excerptLength);
+  assertEquals(index.documents[1].excerpt.endsWith("…"), true);
+});
+
+builtTest("Search index - updating an entry replaces it and advances the sync point", () => {
+  const index = buildIndex();
+  SearchIndex.upsert(index, { ...ENTRIES[0], title: "Walking the estuary", modified: "2024-06-01T00:00:00+00:00" });
+
+  assertEquals(SearchIndex.size(index), 3);
+  assertEquals(index.documents[1].title, "Walking the estuary");
+  assertEquals(index.syncedAt, "2024-06-01T00:00:00+00:00");
+});
+
+builtTest("Search index - sync point is the newest modification", () => {
+  assertEquals(buildIndex().syncedAt, "2024-05-01T09:00:00+00:00");
+});
+
+builtTest("Search index - results follow the corpus ranking", () => {
+  const corpus = { rank: () => [3, 1] };
+  const results = SearchIndex.search({ index: buildIndex(), corpus }, "marsh", 20);
+
+  assertEquals(results.map((result) => result.document.title), ["Notes on longing", "Walking the salt marsh"]);
+});
+
+builtTest("Search index - ranked ids without a stored document are skipped", () => {
+  const corpus = { rank: () => [99, 2] };
+  const results = SearchIndex.search({ index: buildIndex(), corpus }, "ferryman", 20);
+
+  assertEquals(results.map((result) => result.document.id), [2]);
+});
+
+builtTest("Search index - NDJSON lines split across chunks are reassembled", async () => {
+  const { fetch } = feed(['{"feed_version":"1.0","count":2}\n{"id":', '1}\n\n{"id":2}']);
+  const lines = [];
+
+  await withGlobals({ fetch }, () => SearchIndex.streamLines("/feed", (line) => lines.push(line)));
+
+  assertEquals(lines, [{ feed_version: "1.0", count: 2 }, { id: 1 }, { id: 2 }]);
+});
+
+builtTest("Search index - a failed feed request rejects", async () => {
+  const fetch = () => Promise.resolve(new Response("", { status: 503 }));
+
+  await withGlobals({ fetch }, () =>
+    assertRejects(() => SearchIndex.streamLines("/feed", () => {}), Error, "Search feed request failed: 503"));
+});
+
+builtTest("Search index - feed parameters are appended to the endpoint", () => {
+  assertEquals(
+    SearchIndex.feedUrl("/feed/ndjson", [["ndjson_limit", "500"], ["ndjson_modified_after", "2024-05-01T09:00:00+00:00"]]),
+    "/feed/ndjson?ndjson_limit=500&ndjson_modified_after=2024-05-01T09%3A00%3A00%2B00%3A00",
+  );
+  assertEquals(SearchIndex.feedUrl("/?feed=ndjson", [["ndjson_offset", "0"]]), "/?feed=ndjson&ndjson_offset=0");
+});
+
+builtTest("Search index - a rebuild pages through the feed until a short page", async () => {
+  const { pageSize } = SearchIndex;
+  const { fetch, requested } = feed((url) => {
+    const offset = Number(new URL(url, "https://example.com").searchParams.get("ndjson_offset"));
+    const entries = offset === 0 ? ENTRIES.slice(0, 2) : ENTRIES.slice(2);
+    const count = offset === 0 ? pageSize : 1;
+    return [ndjson([{ feed_version: "1.0", count, total: pageSize + 1 }, ...entries])];
+  });
+
+  const index = await withGlobals({ fetch }, () => SearchIndex.rebuild("/feed"));
+
+  assertEquals(requested, [
+    `/feed?ndjson_limit=${pageSize}&ndjson_offset=0`,
+    `/feed?ndjson_limit=${pageSize}&ndjson_offset=${pageSize}`,
+  ]);
+  assertEquals(SearchIndex.size(index), 3);
+  assertEquals(index.syncedAt, "2024-05-01T09:00:00+00:00");
+});
+
+builtTest("Search index - a refresh fetches changes since the sync point", async () => {
+  const index = buildIndex();
+  const changed = { ...ENTRIES[1], title: "The Ferryman returns", modified: "2024-07-01T00:00:00+00:00" };
+  const { fetch, requested } = feed([ndjson([{ feed_version: "1.0", count: 1, total: 3 }, changed])]);
+
+  const refreshed = await withGlobals({ fetch }, () => SearchIndex.refresh(index, "/feed"));
+
+  assertEquals(requested, [
+    "/feed?ndjson_modified_after=2024-05-01T09%3A00%3A00%2B00%3A00&ndjson_limit=1000",
+  ]);
+  assertEquals(refreshed, index);
+  assertEquals(refreshed.documents[2].title, "The Ferryman returns");
+  assertEquals(refreshed.syncedAt, "2024-07-01T00:00:00+00:00");
+});
+
+builtTest("Search index - a refresh whose total disagrees rebuilds", async () => {
+  const index = buildIndex();
+  const { fetch, requested } = feed((url) =>
+    url.includes("ndjson_modified_after")
+      ? [ndjson([{ feed_version: "1.0", count: 0, total: 2 }])]
+      : [ndjson([{ feed_version: "1.0", count: 2, total: 2 }, ...ENTRIES.slice(0, 2)])]
+  );
+
+  const refreshed = await withGlobals({ fetch }, () => SearchIndex.refresh(index, "/feed"));
+
+  assertEquals(requested.length, 2);
+  assertEquals(Object.keys(refreshed.documents), ["1", "2"]);
+});
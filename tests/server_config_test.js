@@ -0,0 +1,327 @@
+/**
+ * Tests for the nginx, Apache and Caddy config generators
+ *
+ * Each renderer is compared with a golden file in fixtures/server/, and
+ * the three are checked to carry everything in the shared model. After an
+ * intended change, regenerate the golden files with
+ * `UPDATE_GOLDEN=1 deno test --allow-read --allow-write --allow-env tests/server_config_test.js`
+ * and review the diff.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assert, assertEquals, assertStringIncludes } from "@std/assert";
+import { cacheControl, CSP_REPORT_PATH, quoted, serverConfig } from "../scripts/server-config.js";
+import { settingsFromEnv } from "../scripts/server-settings.js";
+import { lintNginxFiles, renderNginx, renderSecurityHeaders } from "../scripts/generate-nginx-config.js";
+import { renderApacheVhost, renderHtaccess } from "../scripts/generate-apache-config.js";
+import { CADDY_CIPHERS, renderCaddyfile } from "../scripts/generate-caddy-config.js";
+
+const GOLDEN = new URL("./fixtures/server/", import.meta.url);
+const UPDATE = Deno.env.get("UPDATE_GOLDEN") === "1";
+
+// Fixed hashes, so the golden files do not change with the theme's inline blocks
+const INLINE_HASHES = {
+  scripts: ["'sha256-47DEQpj8HBSa+/TImW+5JCeuQeRkm5NMpJWZG3hSuFU='"],
+  styles: ["'sha256-Xy3Ue4ZVxbJNzd1u0sjGtNsfP/cOKC8eEcbDoUWu6Cg='"],
+};
+
+const config = serverConfig({ serverNames: ["example.org"] }, { inlineHashes: INLINE_HASHES });
+
+const RENDERED = {
+  "nginx-prod.conf": renderNginx(config),
+  "security-headers.conf": renderSecurityHeaders(config),
+  "apache-vhost.conf": renderApacheVhost(config),
+  "apache.htaccess": renderHtaccess(config),
+  "Caddyfile": renderCaddyfile(config),
+};
+
+// Everything each server is configured with, across its files
+const SERVERS = {
+  nginx: RENDERED["nginx-prod.conf"] + RENDERED["security-headers.conf"],
+  apache: RENDERED["apache-vhost.conf"] + RENDERED["apache.htaccess"],
+  caddy: RENDERED["Caddyfile"],
+};
+
+for (const [file, rendered] of Object.entries(RENDERED)) {
+  Deno.test(`Server config - ${file} matches its golden file`, async () => {
+    const golden = new URL(file, GOLDEN);
+    if (UPDATE) {
+      await Deno.mkdir(GOLDEN, { recursive: true });
+      await Deno.writeTextFile(golden, rendered);
+    }
+    assertEquals(rendered, await Deno.readTextFile(golden));
+  });
+}
+
+for (const [server, text] of Object.entries(SERVERS)) {
+  Deno.test(`Server config - ${server} sets every security header`, () => {
+    for (const [name, value] of config.headers) {
+      assert(
+        text.split("\n").some((line) => line.includes(name) && line.includes(`"${value}"`)),
+        `${name} is missing`,
+      );
+    }
+  });
+
+  Deno.test(`Server config - ${server} caches every static asset type`, () => {
+    for (const rule of config.caching) {
+      const extensions = server === "caddy"
+        ? rule.extensions.map((extension) => `*.${extension}`).join(" ")
+        : rule.extensions.join("|");
+      assertStringIncludes(text, extensions);
+      assertStringIncludes(text, `Cache-Control "${cacheControl(rule)}"`);
+    }
+  });
+
+  Deno.test(`Server config - ${server} rewrites the theme endpoints and answers the health check`, () => {
+    for (const rewrite of config.rewrites) {
+      assertStringIncludes(text, `index.php?${rewrite.query}`);
+    }
+    assertStringIncludes(text, server === "apache" ? "^health$" : config.health.path);
+  });
+
+  Deno.test(`Server config - ${server} denies hidden and sensitive files`, () => {
+    assertStringIncludes(text, "well-known/");
+    for (const file of config.denied.files) {
+      assertStringIncludes(text, server === "caddy" ? file : file.replaceAll(".", "\\."));
+    }
+  });
+
+  Deno.test(`Server config - ${server} uses the certificate, protocols and ciphers`, () => {
+    assertStringIncludes(text, config.tls.certificate);
+    assertStringIncludes(text, config.tls.key);
+    for (const protocol of config.tls.protocols) {
+      assertStringIncludes(text, server === "caddy" ? protocol.replace("TLSv", "tls") : protocol);
+    }
+    for (const cipher of config.tls.ciphers) {
+      assertStringIncludes(text, server === "caddy" ? CADDY_CIPHERS[cipher] : cipher);
+    }
+  });
+}
+
+Deno.test("Server config - nginx and Caddy define every rate-limit zone", () => {
+  for (const limit of config.rateLimits) {
+    assertStringIncludes(SERVERS.nginx, `zone=${limit.zone}:10m`);
+    assertStringIncludes(SERVERS.caddy, `zone ${limit.zone} {`);
+  }
+});
+
+// Requests, given the files on disk, and the zone each server counts them in
+const ON_DISK = new Set(["/index.php", "/wp-login.php", "/xmlrpc.php", "/wp-content/themes/sinople/style.css"]);
+const LIMITED = [
+  ["/2024/03/salt-marsh/", "api"],
+  ["/xmlrpc.php", "api"],
+  ["/wp-login.php", "login"],
+  ["/wp-content/themes/sinople/style.css", "general"],
+  [config.health.path, "general"],
+];
+
+// Zones nginx's HTTPS server counts a request in: those of the location it
+// is handled in, following try_files to its fallback, else the server's
+function nginxZones(text, path) {
+  const server = text.slice(text.indexOf("# HTTPS server"));
+  const zones = (block) => [...block.matchAll(/limit_req zone=(\w+)/g)].map(([, zone]) => zone);
+  const locations = [...server.matchAll(/^ {8}location (?:(=|~\*?) )?(\S+) \{\n([\s\S]*?)^ {8}\}/gm)]
+    .map(([, modifier, pattern, body]) => ({ modifier, pattern, body }));
+  const matches = (location, uri) =>
+    location.modifier === "="
+      ? uri === location.pattern
+      : location.modifier
+      ? new RegExp(location.pattern, location.modifier === "~*" ? "i" : "").test(uri)
+      : uri.startsWith(location.pattern);
+
+  const location = locations.find((location) => location.modifier === "=" && matches(location, path)) ??
+    locations.find((location) => location.modifier?.startsWith("~") && matches(location, path)) ??
+    locations.filter((location) => !location.modifier && matches(location, path))
+      .sort((a, b) => b.pattern.length - a.pattern.length)[0];
+  const fallback = location.body.match(/try_files \$uri (?:\$uri\/ )?(\/\S+);/)?.[1];
+  if (fallback && !fallback.startsWith("=") && !ON_DISK.has(path)) {
+    return nginxZones(text, fallback.replace(/\?.*/, ""));
+  }
+  const own = zones(location.body);
+  return own.length > 0 ? own : zones(server.replace(/^ {8}location[\s\S]*?^ {8}\}/gm, ""));
+}
+
+// Zones caddy-ratelimit counts a request in: those with a match block
+// whose matchers all hold
+function caddyZones(text, path) {
+  const glob = (pattern) => new RegExp(`^${pattern.replace(/[.+?^${}()|[\]\\]/g, "\\$&").replaceAll("*", ".*")}$`);
+  const holds = (matcher) => {
+    const [, not, name, value] = matcher.match(/^(not )?(\w+) (.*)$/);
+    const result = name === "file" ? ON_DISK.has(path) : glob(value).test(path);
+    return not ? !result : result;
+  };
+  return [...text.matchAll(/^\t\tzone (\w+) \{\n([\s\S]*?)^\t\t\}/gm)]
+    .filter(([, , body]) =>
+      [...body.matchAll(/match \{\n([\s\S]*?)\n\t+\}/g)]
+        .some(([, block]) => block.split("\n").map((line) => line.trim()).every(holds))
+    )
+    .map(([, zone]) => zone);
+}
+
+Deno.test("Server config - nginx and Caddy count permalinks routed to index.php as PHP requests", () => {
+  for (const [path, zone] of LIMITED) {
+    assertEquals(nginxZones(SERVERS.nginx, path), [zone], `nginx: ${path}`);
+    assertEquals(caddyZones(SERVERS.caddy, path), [zone], `Caddy: ${path}`);
+  }
+});
+
+Deno.test("Server config - Apache limits the whole site and lists the zones it cannot enforce", () => {
+  assertStringIncludes(SERVERS.apache, "DOSSiteCount 30");
+  assertStringIncludes(SERVERS.apache, "Not enforced by Apache: login zone");
+  assertStringIncludes(SERVERS.apache, "Not enforced by Apache: api zone");
+});
+
+for (const [server, text] of Object.entries(SERVERS)) {
+  Deno.test(`Server config - ${server} sends the policy only where PHP sent none`, () => {
+    const line = text.split("\n").find((line) => line.includes(`"${config.csp.policy}"`));
+
+    assert(line, "the policy is missing");
+    assertStringIncludes(config.csp.policy, `script-src 'self' 'wasm-unsafe-eval' ${INLINE_HASHES.scripts[0]};`);
+    assertStringIncludes(config.csp.policy, `style-src 'self' ${INLINE_HASHES.styles[0]};`);
+    assert(!/(add_header |Header set |\t)Content-Security-Policy-Report-Only /.test(text));
+  });
+}
+
+// Whether a server adds its policy to a response PHP sent `upstream`
+// headers with, by the condition it renders
+function addsPolicy(server, text, upstream) {
+  const sent = (header) => Object.hasOwn(upstream, header);
+  switch (server) {
+    case "nginx": {
+      const [, key] = text.match(/map (\S+) \$csp_policy \{/);
+      const value = key.replace(
+        /\$upstream_http_(\w+)/g,
+        (_, name) => Object.entries(upstream).find(([header]) => header.toLowerCase().replaceAll("-", "_") === name)?.[1] ?? "",
+      );
+      return value === "";
+    }
+    case "apache": {
+      const [, condition] = text.match(/Header set Content-Security-Policy(?:-Report-Only)? ".*" "expr=(.*)"$/m);
+      return condition.split(" && ").every((test) => !sent(test.match(/^-z resp\('(.*)'\)$/)[1]));
+    }
+    case "caddy": {
+      const [, block] = text.match(/\tmatch \{\n([\s\S]*?)\n\t+\}\n\t\}/);
+      return block.split("\n").every((line) => !sent(line.trim().match(/^header !(\S+)$/)[1]));
+    }
+  }
+}
+
+Deno.test("Server config - each server's condition on PHP's policy", () => {
+  assertStringIncludes(
+    SERVERS.nginx,
+    "map $upstream_http_content_security_policy$upstream_http_content_security_policy_report_only $csp_policy {",
+  );
+  assertStringIncludes(SERVERS.nginx, "add_header Content-Security-Policy $csp_policy always;");
+  assertStringIncludes(
+    SERVERS.apache,
+    `"expr=-z resp('Content-Security-Policy') && -z resp('Content-Security-Policy-Report-Only')"`,
+  );
+  assertStringIncludes(SERVERS.caddy, "\t\theader !Content-Security-Policy\n\t\t\theader !Content-Security-Policy-Report-Only\n");
+});
+
+for (const [server, text] of Object.entries(SERVERS)) {
+  Deno.test(`Server config - ${server} sends no enforcing policy over PHP's report-only one`, () => {
+    assertEquals(config.csp.header, "Content-Security-Policy");
+    assertEquals(addsPolicy(server, text, {}), true);
+    assertEquals(addsPolicy(server, text, { "Content-Security-Policy": "default-src 'self'" }), false);
+    assertEquals(addsPolicy(server, text, { "Content-Security-Policy-Report-Only": "default-src 'self'" }), false);
+  });
+}
+
+Deno.test("Server config - report-only rollout and reporting to the theme", () => {
+  const staging = serverConfig({ csp: { reportOnly: true, report: true } });
+  const files = { "nginx-prod.conf": renderNginx(staging), "security-headers.conf": renderSecurityHeaders(staging) };
+
+  assertEquals(staging.csp.header, "Content-Security-Policy-Report-Only");
+  assert(staging.csp.policy.endsWith(`; report-uri ${CSP_REPORT_PATH}; report-to csp`));
+  assertEquals(
+    files["nginx-prod.conf"].split("\n").filter((line) => line.includes("add_header Reporting-Endpoints")).length,
+    1 + staging.caching.length,
+  );
+  assertStringIncludes(files["nginx-prod.conf"], "add_header Content-Security-Policy-Report-Only $csp_policy always;");
+  assertStringIncludes(renderCaddyfile(staging), "\t\tContent-Security-Policy-Report-Only ");
+  assertStringIncludes(renderHtaccess(staging), `Header always set Reporting-Endpoints "csp=\\"${CSP_REPORT_PATH}\\""`);
+  assertEquals(lintNginxFiles(files), []);
+
+  assert(!config.csp.policy.includes("report-"));
+  assertEquals(config.csp.reportingEndpoints, null);
+  assert(!SERVERS.nginx.includes("Reporting-Endpoints"));
+});
+
+Deno.test("Server config - each server lets the theme's service worker control the site", () => {
+  const pattern = new RegExp(config.serviceWorker.pattern);
+  assert(pattern.test("/wp-content/themes/sinople/sw.js"));
+  assert(!pattern.test("/sw.js") && !pattern.test("/wp-content/themes/sinople/assets/sw.js"));
+
+  assertStringIncludes(SERVERS.nginx, `${quoted(`~${config.serviceWorker.pattern}`)} "/";`);
+  assertEquals(
+    SERVERS.nginx.split("\n").filter((line) => line.includes("add_header Service-Worker-Allowed $service_worker_allowed always;"))
+      .length,
+    1 + config.caching.length,
+  );
+  assertStringIncludes(
+    SERVERS.apache,
+    `<If "%{REQUEST_URI} =~ m#${config.serviceWorker.pattern}#">\n        Header always set Service-Worker-Allowed "/"`,
+  );
+  assertStringIncludes(SERVERS.caddy, `@serviceWorker path_regexp ${config.serviceWorker.pattern}\n`);
+  assertStringIncludes(SERVERS.caddy, 'header @serviceWorker Service-Worker-Allowed "/"');
+});
+
+Deno.test("Server config - environment selects the server name and protocols", () => {
+  const http3 = serverConfig(
+    settingsFromEnv({ SERVER_NAME: "blog.example", ENABLE_HTTP2: "false", ENABLE_HTTP3: "true" }),
+  );
+
+  assertStringIncludes(renderNginx(http3), "listen 443 ssl;");
+  assertStringIncludes(renderNginx(http3), "listen 443 quic reuseport;");
+  assertStringIncludes(renderNginx(http3), "server_name blog.example;");
+  assertStringIncludes(renderCaddyfile(http3), "protocols h1 h3");
+  assertStringIncludes(renderCaddyfile(http3), "blog.example {");
+  assertStringIncludes(renderApacheVhost(http3), "Apache does not support it");
+});
+
+Deno.test("Server config - nginx repeats Alt-Svc wherever it repeats the security headers", () => {
+  const http3 = serverConfig({ tls: { http3: true } });
+  const files = { "nginx-prod.conf": renderNginx(http3), "security-headers.conf": renderSecurityHeaders(http3) };
+  const altSvc = files["nginx-prod.conf"].split("\n").filter((line) => line.includes("add_header Alt-Svc"));
+
+  assertEquals(altSvc.length, 1 + config.caching.length);
+  assertEquals(lintNginxFiles(files), []);
+});
+
+Deno.test("Server config - several server names and upstreams", () => {
+  const cluster = serverConfig({
+    serverNames: ["sinople.example", "www.sinople.example"],
+    upstreams: ["php1:9000", "unix:/run/php/fpm.sock"],
+    clientMaxBodySize: "8M",
+  });
+
+  const nginx = renderNginx(cluster);
+  assertStringIncludes(nginx, "server_name sinople.example www.sinople.example;");
+  assertStringIncludes(nginx, "server php1:9000;\n        server unix:/run/php/fpm.sock;");
+  assertStringIncludes(nginx, "client_max_body_size 8M;");
+
+  const apache = renderApacheVhost(cluster);
+  assertStringIncludes(apache, "ServerName sinople.example\n    ServerAlias www.sinople.example");
+  assertStringIncludes(apache, 'BalancerMember "fcgi://php1:9000"');
+  assertStringIncludes(apache, 'BalancerMember "unix:/run/php/fpm.sock|fcgi://localhost"');
+  assertStringIncludes(apache, "LimitRequestBody 8388608");
+
+  const caddy = renderCaddyfile(cluster);
+  assertStringIncludes(caddy, "sinople.example, www.sinople.example {");
+  assertStringIncludes(caddy, "php_fastcgi php1:9000 unix//run/php/fpm.sock");
+  assertStringIncludes(caddy, "max_size 8MiB");
+});
+
+Deno.test("Server config - defaults without settings", () => {
+  const defaults = serverConfig();
+
+  assertEquals(defaults.serverNames, ["localhost"]);
+  assertEquals(defaults.upstreams, ["wordpress:9000"]);
+  assertEquals(defaults.profile, "prod");
+  assertEquals(defaults.tls.http2, true);
+  assertEquals(defaults.tls.http3, false);
+});
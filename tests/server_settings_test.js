@@ -0,0 +1,226 @@
+/**
+ * Tests for the server generators' settings, profiles and --check mode
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assert, assertEquals, assertRejects, assertStringIncludes, assertThrows } from "@std/assert";
+import { join } from "@std/path";
+import {
+  DEFAULT_SETTINGS,
+  loadSettings,
+  ServerSettingsError,
+  settingsFromEnv,
+  validateSettings,
+  validateSettingsFile,
+} from "../scripts/server-settings.js";
+import { parseGeneratorArgs, profileFileName, runGenerator, serverConfig } from "../scripts/server-config.js";
+import { renderNginxFiles } from "../scripts/generate-nginx-config.js";
+import { unifiedDiff } from "../scripts/unified-diff.js";
+
+const SETTINGS_FILE = new URL("../config/server.json", import.meta.url);
+
+/**
+ * Run a generator against a settings document in a temporary directory,
+ * collecting its output
+ */
+async function generate(document, args, { render = renderNginxFiles, lint, before } = {}) {
+  const dir = await Deno.makeTempDir();
+  try {
+    const file = join(dir, "server.json");
+    await Deno.writeTextFile(file, JSON.stringify(document));
+    await before?.(dir);
+
+    const output = [];
+    const status = await runGenerator(render, {
+      args: ["--config", file, ...args],
+      env: {},
+      configDir: dir,
+      themeRoot: dir,
+      lint,
+      log: (line) => output.push(line),
+      error: (line) => output.push(line),
+    });
+    const written = Object.fromEntries(
+      [...Deno.readDirSync(dir)]
+        .filter((entry) => entry.name !== "server.json")
+        .map((entry) => [entry.name, Deno.readTextFileSync(join(dir, entry.name))]),
+    );
+    return { status, output: output.join("\n"), written };
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+}
+
+const DOCUMENT = {
+  defaults: { upstreams: ["php:9000"] },
+  profiles: {
+    dev: { serverNames: ["localhost"], clientMaxBodySize: "256M" },
+    prod: { serverNames: ["sinople.example", "www.sinople.example"] },
+  },
+};
+
+Deno.test("Server settings - the defaults are valid", () => {
+  assertEquals(validateSettings(DEFAULT_SETTINGS), []);
+});
+
+Deno.test("Server settings - config/server.json is valid and has dev, staging and prod", async () => {
+  const document = JSON.parse(await Deno.readTextFile(SETTINGS_FILE));
+
+  assertEquals(validateSettingsFile(document), []);
+  assertEquals(Object.keys(document.profiles), ["dev", "staging", "prod"]);
+});
+
+Deno.test("Server settings - problems name the setting and what was expected", () => {
+  const problems = validateSettingsFile({
+    profiles: {
+      prod: {
+        serverNames: [],
+        upstreams: ["wordpress"],
+        clientMaxBodySize: "64 megabytes",
+        tls: { http3: "yes" },
+        rateLimits: [{ zone: "login", requests: 0, per: "hour", scope: "login" }],
+        serverName: "sinople.example",
+      },
+    },
+  });
+
+  assertEquals(problems, [
+    "profiles.prod.serverNames: needs at least 1 entry",
+    'profiles.prod.upstreams[0]: "wordpress" is not host:port or unix:/path',
+    'profiles.prod.clientMaxBodySize: "64 megabytes" is not a size such as 64M',
+    'profiles.prod.tls.http3: expected true or false, got "yes"',
+    "profiles.prod.rateLimits[0].requests: expected a whole number of at least 1, got 0",
+    'profiles.prod.rateLimits[0].per: expected one of "second", "minute", got "hour"',
+    'profiles.prod: unknown setting "serverName"',
+  ]);
+});
+
+Deno.test("Server settings - a file needs profiles, and zone names must be unique", () => {
+  assertEquals(validateSettingsFile({ defaults: {} }), ['(top level): missing "profiles"']);
+
+  const zone = { zone: "general", requests: 1, per: "second", scope: "site" };
+  assertEquals(validateSettings({ rateLimits: [zone, zone] }), ['rateLimits: zone "general" is defined more than once']);
+});
+
+Deno.test("Server settings - serverConfig rejects invalid settings", () => {
+  const error = assertThrows(() => serverConfig({ resolvers: ["dns.example"] }), ServerSettingsError);
+
+  assertEquals(error.problems, ['resolvers[0]: "dns.example" is not an IP address']);
+  assertStringIncludes(error.message, "Server settings is invalid:\n  - resolvers[0]");
+});
+
+Deno.test("Server settings - a profile overrides the defaults and the environment overrides both", async () => {
+  const dir = await Deno.makeTempDir();
+  try {
+    const file = join(dir, "server.json");
+    await Deno.writeTextFile(file, JSON.stringify(DOCUMENT));
+
+    const dev = await loadSettings({ file, profile: "dev" });
+    assertEquals(dev.serverNames, ["localhost"]);
+    assertEquals(dev.upstreams, ["php:9000"]);
+    assertEquals(dev.clientMaxBodySize, "256M");
+    assertEquals(dev.tls.key, DEFAULT_SETTINGS.tls.key);
+
+    const prod = await loadSettings({ file, profile: "prod", env: { SERVER_NAME: "a.example, b.example", ENABLE_HTTP3: "true" } });
+    assertEquals(prod.serverNames, ["a.example", "b.example"]);
+    assertEquals(prod.tls.http3, true);
+    assertEquals(prod.tls.http2, true);
+
+    const unknown = await assertRejects(() => loadSettings({ file, profile: "qa" }), ServerSettingsError);
+    assertEquals(unknown.problems, ['unknown profile "qa" (profiles: dev, prod)']);
+  } finally {
+    await Deno.remove(dir, { recursive: true });
+  }
+});
+
+Deno.test("Server settings - environment variables", () => {
+  assertEquals(settingsFromEnv({}), {});
+  assertEquals(settingsFromEnv({ SERVER_NAME: "one.example two.example", ENABLE_HTTP2: "false", SSL_KEY: "/k.pem" }), {
+    serverNames: ["one.example", "two.example"],
+    tls: { key: "/k.pem", http2: false },
+  });
+});
+
+Deno.test("Server settings - command line", () => {
+  assertEquals(parseGeneratorArgs(["--profile", "dev", "--check"]).profile, "dev");
+  assertEquals(parseGeneratorArgs(["--config=custom.json"]).config, "custom.json");
+  assertEquals(parseGeneratorArgs([]).check, false);
+  assertThrows(() => parseGeneratorArgs(["--profile"]), Error, "--profile needs a value");
+  assertThrows(() => parseGeneratorArgs(["--dry-run"]), Error, "Unknown argument: --dry-run");
+});
+
+Deno.test("Server settings - file names per profile", () => {
+  assertEquals(profileFileName("apache-vhost.conf", "prod"), "apache-vhost.conf");
+  assertEquals(profileFileName("apache-vhost.conf", "dev"), "apache-vhost.dev.conf");
+  assertEquals(profileFileName("Caddyfile", "staging"), "Caddyfile.staging");
+});
+
+Deno.test("Server settings - generating writes the profile's files", async () => {
+  const { status, written } = await generate(DOCUMENT, ["--profile", "dev"]);
+
+  assertEquals(status, 0);
+  assertEquals(Object.keys(written).sort(), ["nginx-dev.conf", "security-headers.conf"]);
+  assertStringIncludes(written["nginx-dev.conf"], "client_max_body_size 256M;");
+  assertStringIncludes(written["nginx-dev.conf"], "server php:9000;");
+});
+
+Deno.test("Server settings - --check passes when the files are up to date", async () => {
+  const { status, output, written } = await generate(DOCUMENT, ["--check"], {
+    before: async (dir) => {
+      const files = renderNginxFiles(serverConfig({ ...DOCUMENT.defaults, ...DOCUMENT.profiles.prod }));
+      for (const [name, contents] of Object.entries(files)) {
+        await Deno.writeTextFile(join(dir, name), contents);
+      }
+    },
+  });
+
+  assertEquals(status, 0);
+  assertStringIncludes(output, "✓ Up to date:");
+  assertEquals(Object.keys(written).length, 2);
+});
+
+Deno.test("Server settings - --check prints a diff and fails on drift without writing", async () => {
+  const stale = (dir) =>
+    Deno.writeTextFile(
+      join(dir, "nginx-prod.conf"),
+      renderNginxFiles(serverConfig({ serverNames: ["old.example"], upstreams: ["php:9000"] }))["nginx-prod.conf"],
+    );
+  const { status, output, written } = await generate(DOCUMENT, ["--check"], { before: stale });
+
+  assertEquals(status, 1);
+  assertStringIncludes(output, "-        server_name old.example;\n+        server_name sinople.example www.sinople.example;");
+  assertStringIncludes(output, "--- /dev/null");
+  assertStringIncludes(output, "✗ 2 files differ from the prod profile");
+  assertStringIncludes(written["nginx-prod.conf"], "server_name old.example;");
+  assert(!("security-headers.conf" in written));
+});
+
+Deno.test("Server settings - invalid settings, lint problems and bad arguments stop the run", async () => {
+  const invalid = await generate({ profiles: { prod: { upstreams: [] } } }, []);
+  assertEquals(invalid.status, 1);
+  assertStringIncludes(invalid.output, "profiles.prod.upstreams: needs at least 1 entry");
+  assertEquals(invalid.written, {});
+
+  const linted = await generate(DOCUMENT, [], { lint: () => ["nginx-prod.conf:1: broken"] });
+  assertEquals(linted.status, 1);
+  assertStringIncludes(linted.output, "✗ nginx-prod.conf:1: broken");
+  assertEquals(linted.written, {});
+
+  const usage = await generate(DOCUMENT, ["--force"]);
+  assertEquals(usage.status, 2);
+  assertStringIncludes(usage.output, "Unknown argument: --force");
+});
+
+Deno.test("Unified diff - hunks with context and line ranges", () => {
+  const before = ["a", "b", "c", "d", "e", "f", "g", "h", "i", "j"].join("\n") + "\n";
+  const after = ["a", "B", "c", "d", "e", "f", "g", "h", "i", "j", "k"].join("\n") + "\n";
+
+  assertEquals(unifiedDiff(before, before), "");
+  assertEquals(
+    unifiedDiff(before, after, { from: "old", to: "new", context: 1 }),
+    ["--- old", "+++ new", "@@ -1,3 +1,3 @@", " a", "-b", "+B", " c", "@@ -10 +10,2 @@", " j", "+k", ""].join("\n"),
+  );
+  assertEquals(unifiedDiff("", "x\n"), ["--- a", "+++ b", "@@ -0,0 +1 @@", "+x", ""].join("\n"));
+});
@@ -0,0 +1,751 @@
+/**
+ * Tests for the service worker
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assertEquals, assertExists } from "@std/assert";
+
+const ORIGIN = "https://journal.example";
+
+// In-memory CacheStorage keyed by URL
+function createMockCaches() {
+  const stores = new Map();
+
+  const open = (name) => {
+    if (!stores.has(name)) {
+      stores.set(name, new Map());
+    }
+    const store = stores.get(name);
+
+    return Promise.resolve({
+      match: (request, options = {}) => {
+        const url = new URL(typeof request === "string" ? request : request.url);
+        if (options.ignoreSearch) {
+          url.search = "";
+        }
+        const hit = store.get(url.href);
+        return Promise.resolve(hit ? hit.clone() : undefined);
+      },
+      put: (request, response) => {
+        store.set(typeof request === "string" ? request : request.url, response);
+        return Promise.resolve();
+      },
+      keys: () => Promise.resolve([...store.keys()].map((url) => ({ url }))),
+      delete: (request) => Promise.resolve(store.delete(request.url ?? request)),
+    });
+  };
+
+  return {
+    stores,
+    open,
+    keys: () => Promise.resolve([...stores.keys()]),
+    delete: (name) => Promise.resolve(stores.delete(name)),
+  };
+}
+
+// Minimal IndexedDB: one transaction per request, completing on the next microtask
+function createMockIndexedDB() {
+  const databases = new Map();
+
+  const createDatabase = () => {
+    const stores = new Map();
+
+    return {
+      stores,
+      version: 0,
+      objectStoreNames: { contains: (name) => stores.has(name) },
+      createObjectStore: (name, options = {}) => {
+        stores.set(name, { ...options, records: new Map(), nextKey: 1 });
+      },
+      transaction: (name) => {
+        const store = stores.get(name);
+        const done = (result) => ({ result });
+        const transaction = {
+          objectStore: () => ({
+            put: (value) => {
+              let key = value[store.keyPath];
+              if (key === undefined && store.autoIncrement) {
+                key = store.nextKey++;
+                value = { ...value, [store.keyPath]: key };
+              }
+              store.records.set(key, structuredClone(value));
+              return done(key);
+            },
+            get: (key) => done(structuredClone(store.records.get(key))),
+            getAll: () => done([...store.records.values()].map((value) => structuredClone(value))),
+            delete: (key) => done(store.records.delete(key) && undefined),
+          }),
+        };
+        queueMicrotask(() => transaction.oncomplete?.());
+        return transaction;
+      },
+      close: () => {},
+    };
+  };
+
+  return {
+    databases,
+    open: (name, version) => {
+      const request = {};
+      queueMicrotask(() => {
+        if (!databases.has(name)) {
+          databases.set(name, createDatabase());
+        }
+        const db = databases.get(name);
+        request.result = db;
+        if (db.version < version) {
+          db.version = version;
+          request.onupgradeneeded?.();
+        }
+        request.onsuccess?.();
+      });
+      return request;
+    },
+  };
+}
+
+// Responses from fetch() in a browser are "basic" for same-origin requests
+function basicResponse(body, init = {}) {
+  const response = new Response(body, { status: 200, ...init });
+  const clone = response.clone.bind(response);
+  Object.defineProperty(response, "type", { value: "basic" });
+  response.clone = () => basicResponse(clone().body, init);
+  return response;
+}
+
+function makeRequest(path, options = {}) {
+  return {
+    url: new URL(path, ORIGIN).href,
+    method: options.method || "GET",
+    mode: options.mode || "cors",
+    destination: options.destination || "",
+    headers: new Headers(options.headers || {}),
+  };
+}
+
+// Evaluate sw.js against mocked worker globals and capture its listeners.
+// Without a manifest, importScripts() fails as it does on an unbuilt theme.
+// `timeout` replaces the worker's setTimeout delays, to test slow networks.
+async function loadServiceWorker(fetchImpl, manifest = null, timeout = null) {
+  const source = await Deno.readTextFile(new URL("../sw.js", import.meta.url));
+  const handlers = {};
+  const caches = createMockCaches();
+  const indexedDB = createMockIndexedDB();
+  const fetched = [];
+  const syncTags = [];
+  const broadcasts = [];
+
+  const self = {
+    location: new URL("/wp-content/themes/sinople/sw.js", ORIGIN),
+    addEventListener: (type, handler) => {
+      handlers[type] = handler;
+    },
+    skipWaiting: () => Promise.resolve(),
+    registration: {
+      sync: {
+        register: (tag) => {
+          syncTags.push(tag);
+          return Promise.resolve();
+        },
+      },
+    },
+    clients: {
+      claim: () => Promise.resolve(),
+      matchAll: () => Promise.resolve([{ postMessage: (message) => broadcasts.push(message) }]),
+    },
+  };
+
+  const importScripts = () => {
+    if (!manifest) {
+      throw new TypeError("Failed to load precache-manifest.js");
+    }
+    self.SINOPLE_PRECACHE = manifest;
+  };
+
+  const fetch = (request) => {
+    const url = typeof request === "string" ? request : request.url;
+    fetched.push(url);
+    return Promise.resolve().then(() => fetchImpl({ url, request }));
+  };
+
+  const setTimeout = (callback, delay) => globalThis.setTimeout(callback, timeout ?? delay);
+
+  new Function("self", "caches", "fetch", "indexedDB", "importScripts", "setTimeout", source)(
+    self,
+    caches,
+    fetch,
+    indexedDB,
+    importScripts,
+    setTimeout,
+  );
+
+  return { handlers, caches, indexedDB, fetched, syncTags, broadcasts };
+}
+
+// Dispatch a fetch event; resolves to the response, or null if not intercepted.
+// As in a browser, waitUntil throws once the event and its promises are done.
+async function dispatchFetch(handlers, request) {
+  const pending = [];
+  let responded = null;
+  let dispatching = true;
+  let unsettled = 0;
+
+  const extend = (promise) => {
+    if (!dispatching && unsettled === 0) {
+      throw new DOMException("The event has finished", "InvalidStateError");
+    }
+    unsettled++;
+    promise.then(() => unsettled--, () => unsettled--);
+    return promise;
+  };
+
+  handlers.fetch({
+    request,
+    respondWith: (promise) => {
+      responded = extend(promise);
+    },
+    waitUntil: (promise) => pending.push(extend(promise)),
+  });
+  dispatching = false;
+
+  const response = responded ? await responded : null;
+  await Promise.all(pending);
+  return response;
+}
+
+// Run an install or activate handler to completion
+async function dispatchLifecycle(handlers, type) {
+  const pending = [];
+  handlers[type]({ waitUntil: (promise) => pending.push(promise) });
+  await Promise.all(pending);
+}
+
+// Post a message to the worker and resolve with its reply
+async function postMessage(handlers, data) {
+  const replies = [];
+  const pending = [];
+
+  handlers.message({
+    data,
+    ports: [{ postMessage: (reply) => replies.push(reply) }],
+    waitUntil: (promise) => pending.push(promise),
+  });
+
+  await Promise.all(pending);
+  return replies[0];
+}
+
+Deno.test("Service worker - POST requests are never intercepted", async () => {
+  const { handlers, fetched } = await loadServiceWorker(() => basicResponse("ok"));
+  const response = await dispatchFetch(
+    handlers,
+    makeRequest("/wp-json/wp/v2/posts", { method: "POST" }),
+  );
+
+  assertEquals(response, null);
+  assertEquals(fetched.length, 0);
+});
+
+Deno.test("Service worker - admin and AJAX requests are never intercepted", async () => {
+  const { handlers } = await loadServiceWorker(() => basicResponse("ok"));
+
+  assertEquals(await dispatchFetch(handlers, makeRequest("/wp-admin/admin-ajax.php")), null);
+  assertEquals(
+    await dispatchFetch(handlers, makeRequest("/wp-admin/edit.php", { mode: "navigate" })),
+    null,
+  );
+});
+
+Deno.test("Service worker - SSE stream is never intercepted", async () => {
+  const { handlers } = await loadServiceWorker(() => basicResponse("ok"));
+
+  assertEquals(await dispatchFetch(handlers, makeRequest("/feed/ndjson/stream?since=4")), null);
+  assertEquals(
+    await dispatchFetch(
+      handlers,
+      makeRequest("/?ndjson_stream=1", { headers: { Accept: "text/event-stream" } }),
+    ),
+    null,
+  );
+});
+
+Deno.test("Service worker - cross-origin requests are never intercepted", async () => {
+  const { handlers } = await loadServiceWorker(() => basicResponse("ok"));
+
+  assertEquals(
+    await dispatchFetch(handlers, makeRequest("https://cdn.example/lib.js", { destination: "script" })),
+    null,
+  );
+});
+
+Deno.test("Service worker - navigations are network-first and cached", async () => {
+  const { handlers, caches } = await loadServiceWorker(() => basicResponse("<p>fresh</p>"));
+  const response = await dispatchFetch(
+    handlers,
+    makeRequest("/2025/field-notes/fog/", { mode: "navigate" }),
+  );
+
+  assertEquals(await response.text(), "<p>fresh</p>");
+  assertExists(caches.stores.get("sinople-pages").get(`${ORIGIN}/2025/field-notes/fog/`));
+});
+
+Deno.test("Service worker - navigations fall back to the cache when offline", async () => {
+  const { handlers, caches } = await loadServiceWorker(() => Promise.reject(new TypeError("offline")));
+  const pages = await caches.open("sinople-pages");
+  await pages.put(makeRequest("/about/"), new Response("<p>cached</p>"));
+
+  const response = await dispatchFetch(handlers, makeRequest("/about/", { mode: "navigate" }));
+
+  assertEquals(await response.text(), "<p>cached</p>");
+});
+
+Deno.test("Service worker - slow navigations answer from the cache and still cache the page", async () => {
+  const { handlers, caches } = await loadServiceWorker(
+    () => new Promise((resolve) => setTimeout(() => resolve(basicResponse("<p>fresh</p>")), 20)),
+    null,
+    0,
+  );
+  const pages = await caches.open("sinople-pages");
+  await pages.put(makeRequest("/about/"), new Response("<p>cached</p>"));
+
+  const response = await dispatchFetch(handlers, makeRequest("/about/", { mode: "navigate" }));
+
+  assertEquals(await response.text(), "<p>cached</p>");
+  const stored = await pages.match(makeRequest("/about/"));
+  assertEquals(await stored.text(), "<p>fresh</p>");
+});
+
+Deno.test("Service worker - a slow navigation that then fails is not an unhandled rejection", async () => {
+  const { handlers, caches } = await loadServiceWorker(
+    () => new Promise((_, reject) => setTimeout(() => reject(new TypeError("offline")), 20)),
+    null,
+    0,
+  );
+  const pages = await caches.open("sinople-pages");
+  await pages.put(makeRequest("/about/"), new Response("<p>cached</p>"));
+
+  const response = await dispatchFetch(handlers, makeRequest("/about/", { mode: "navigate" }));
+  await new Promise((resolve) => setTimeout(resolve, 40));
+
+  assertEquals(await response.text(), "<p>cached</p>");
+});
+
+Deno.test("Service worker - private responses are not cached", async () => {
+  const { handlers, caches } = await loadServiceWorker(() =>
+    basicResponse("<p>hello, admin</p>", { headers: { "Cache-Control": "private" } })
+  );
+
+  await dispatchFetch(handlers, makeRequest("/", { mode: "navigate" }));
+
+  assertEquals(caches.stores.get("sinople-pages")?.size ?? 0, 0);
+});
+
+Deno.test("Service worker - no-cache responses are not cached", async () => {
+  const { handlers, caches } = await loadServiceWorker(() =>
+    basicResponse("<p>changes</p>", { headers: { "Cache-Control": "no-cache" } })
+  );
+
+  await dispatchFetch(handlers, makeRequest("/", { mode: "navigate" }));
+
+  assertEquals(caches.stores.get("sinople-pages")?.size ?? 0, 0);
+});
+
+Deno.test("Service worker - styles are served stale while revalidating", async () => {
+  const { handlers, caches, fetched } = await loadServiceWorker(() => basicResponse("body{color:red}"));
+  const assets = await caches.open("sinople-assets");
+  await assets.put(makeRequest("/style.css"), new Response("body{}"));
+
+  const response = await dispatchFetch(handlers, makeRequest("/style.css", { destination: "style" }));
+
+  assertEquals(await response.text(), "body{}");
+  assertEquals(fetched, [`${ORIGIN}/style.css`]);
+
+  const refreshed = await assets.match(makeRequest("/style.css"));
+  assertEquals(await refreshed.text(), "body{color:red}");
+});
+
+Deno.test("Service worker - images are cache-first until they expire", async () => {
+  const { handlers, caches, fetched } = await loadServiceWorker(() => basicResponse("new-image"));
+  const media = await caches.open("sinople-media");
+
+  await media.put(
+    makeRequest("/fresh.webp"),
+    new Response("cached-image", { headers: { "sw-cached-at": String(Date.now()) } }),
+  );
+  await media.put(
+    makeRequest("/stale.webp"),
+    new Response("old-image", { headers: { "sw-cached-at": "1" } }),
+  );
+
+  const fresh = await dispatchFetch(handlers, makeRequest("/fresh.webp", { destination: "image" }));
+  assertEquals(await fresh.text(), "cached-image");
+  assertEquals(fetched.length, 0);
+
+  const stale = await dispatchFetch(handlers, makeRequest("/stale.webp", { destination: "image" }));
+  assertEquals(await stale.text(), "new-image");
+  assertEquals(fetched, [`${ORIGIN}/stale.webp`]);
+});
+
+Deno.test("Service worker - the WASM module uses the media cache", async () => {
+  const { handlers, caches } = await loadServiceWorker(() => basicResponse("\0asm"));
+
+  await dispatchFetch(handlers, makeRequest("/wp-content/themes/sinople/assets/js/dist/sinople.wasm"));
+
+  assertEquals(caches.stores.get("sinople-media").size, 1);
+});
+
+Deno.test("Service worker - activate removes caches no route owns", async () => {
+  const { handlers, caches } = await loadServiceWorker(() => basicResponse("ok"));
+  await caches.open("sinople-v1");
+  await caches.open("sinople-pages");
+
+  await dispatchLifecycle(handlers, "activate");
+
+  assertEquals((await caches.keys()).sort(), ["sinople-pages", "sinople-precache"]);
+});
+
+const ENTRY_HTML = `<article>
+  <img src="/wp-content/uploads/fog.webp" srcset="/wp-content/uploads/fog-800.webp 800w, /wp-content/uploads/fog.webp 1600w">
+  <img src="https://elsewhere.example/tracker.gif">
+</article>`;
+
+// Serves the sample entry for its permalink and a placeholder body for images
+function entryServer({ url }) {
+  if (url.endsWith("/fog-breathing/")) {
+    return basicResponse(ENTRY_HTML, { headers: { "Content-Type": "text/html" } });
+  }
+  return basicResponse("image-bytes");
+}
+
+async function saveSampleEntry(handlers) {
+  return await postMessage(handlers, {
+    type: "offline:save",
+    entry: {
+      url: `${ORIGIN}/field-notes/fog-breathing/`,
+      title: "Fog <breathing>",
+      excerpt: "The valley exhales.",
+      published: "2025-03-02T06:10:00+00:00",
+    },
+  });
+}
+
+Deno.test("Service worker - saving an entry stores its HTML, images and metadata", async () => {
+  const { handlers, caches, indexedDB } = await loadServiceWorker(entryServer);
+  const reply = await saveSampleEntry(handlers);
+
+  assertEquals(reply.ok, true);
+  assertEquals(reply.result.images.sort(), [
+    `${ORIGIN}/wp-content/uploads/fog-800.webp`,
+    `${ORIGIN}/wp-content/uploads/fog.webp`,
+  ]);
+
+  const offline = caches.stores.get("sinople-offline-entries");
+  assertEquals(offline.size, 3);
+  assertEquals(offline.has("https://elsewhere.example/tracker.gif"), false);
+
+  const saved = indexedDB.databases.get("sinople-offline").stores.get("saved-entries");
+  assertEquals(saved.records.get(`${ORIGIN}/field-notes/fog-breathing/`).title, "Fog <breathing>");
+});
+
+Deno.test("Service worker - saved entries are served when offline", async () => {
+  let online = true;
+  const { handlers } = await loadServiceWorker((request) =>
+    online ? entryServer(request) : Promise.reject(new TypeError("offline"))
+  );
+  await saveSampleEntry(handlers);
+  online = false;
+
+  const response = await dispatchFetch(
+    handlers,
+    makeRequest("/field-notes/fog-breathing/", { mode: "navigate" }),
+  );
+
+  assertEquals(await response.text(), ENTRY_HTML);
+});
+
+Deno.test("Service worker - offline fallback page lists saved entries", async () => {
+  let online = true;
+  const { handlers } = await loadServiceWorker((request) =>
+    online ? entryServer(request) : Promise.reject(new TypeError("offline"))
+  );
+  await saveSampleEntry(handlers);
+  online = false;
+
+  const response = await dispatchFetch(handlers, makeRequest("/never-visited/", { mode: "navigate" }));
+  const html = await response.text();
+
+  assertEquals(response.status, 503);
+  assertEquals(html.includes(`href="${ORIGIN}/field-notes/fog-breathing/"`), true);
+  assertEquals(html.includes("Fog &lt;breathing&gt;"), true);
+  assertEquals(html.includes("The valley exhales."), true);
+});
+
+Deno.test("Service worker - removing an entry drops its cache and metadata", async () => {
+  const { handlers, caches } = await loadServiceWorker(entryServer);
+  await saveSampleEntry(handlers);
+
+  const url = `${ORIGIN}/field-notes/fog-breathing/`;
+  assertEquals((await postMessage(handlers, { type: "offline:has", url })).result, true);
+
+  await postMessage(handlers, { type: "offline:remove", url });
+
+  assertEquals((await postMessage(handlers, { type: "offline:has", url })).result, false);
+  assertEquals((await postMessage(handlers, { type: "offline:list" })).result, []);
+  assertEquals(caches.stores.get("sinople-offline-entries").size, 0);
+});
+
+Deno.test("Service worker - activate keeps saved entries", async () => {
+  const { handlers, caches } = await loadServiceWorker(entryServer);
+  await saveSampleEntry(handlers);
+
+  await dispatchLifecycle(handlers, "activate");
+
+  assertEquals((await caches.keys()).includes("sinople-offline-entries"), true);
+});
+
+const THEME = `${ORIGIN}/wp-content/themes/sinople`;
+
+const MANIFEST = {
+  version: "3f2a9c1b7d4e",
+  assets: [
+    { url: "assets/css/main.css", revision: "aaaa1111" },
+    { url: "assets/js/dist/main.js", revision: "bbbb2222" },
+    { url: "assets/js/dist/sinople.wasm", revision: "cccc3333" },
+  ],
+};
+
+Deno.test("Service worker - install precaches exactly the manifest", async () => {
+  const { handlers, caches, fetched } = await loadServiceWorker(
+    ({ url }) => basicResponse(`built:${url}`),
+    MANIFEST,
+  );
+
+  await dispatchLifecycle(handlers, "install");
+
+  const precache = caches.stores.get("sinople-precache");
+  assertEquals([...precache.keys()].sort(), [
+    `${THEME}/assets/css/main.css`,
+    `${THEME}/assets/js/dist/main.js`,
+    `${THEME}/assets/js/dist/sinople.wasm`,
+  ]);
+  assertEquals(precache.get(`${THEME}/assets/css/main.css`).headers.get("sw-precache-revision"), "aaaa1111");
+  assertEquals(fetched.length, 3);
+});
+
+Deno.test("Service worker - install skips files whose revision is unchanged", async () => {
+  const { handlers, caches, fetched } = await loadServiceWorker(
+    () => basicResponse("built"),
+    MANIFEST,
+  );
+  const precache = await caches.open("sinople-precache");
+  await precache.put(
+    `${THEME}/assets/css/main.css`,
+    new Response("main.css", { headers: { "sw-precache-revision": "aaaa1111" } }),
+  );
+  await precache.put(
+    `${THEME}/assets/js/dist/main.js`,
+    new Response("old main.js", { headers: { "sw-precache-revision": "0ld0ld00" } }),
+  );
+
+  await dispatchLifecycle(handlers, "install");
+
+  assertEquals(fetched.sort(), [
+    `${THEME}/assets/js/dist/main.js`,
+    `${THEME}/assets/js/dist/sinople.wasm`,
+  ]);
+});
+
+Deno.test("Service worker - install fails when a manifest file is missing", async () => {
+  const { handlers } = await loadServiceWorker(
+    ({ url }) => url.endsWith(".wasm") ? new Response("", { status: 404 }) : basicResponse("built"),
+    MANIFEST,
+  );
+
+  let failed = false;
+  await dispatchLifecycle(handlers, "install").catch(() => {
+    failed = true;
+  });
+
+  assertEquals(failed, true);
+});
+
+Deno.test("Service worker - activate deletes only precache entries not in the manifest", async () => {
+  const { handlers, caches } = await loadServiceWorker(() => basicResponse("built"), MANIFEST);
+  await dispatchLifecycle(handlers, "install");
+
+  const precache = await caches.open("sinople-precache");
+  await precache.put(`${THEME}/assets/css/old-layout.css`, new Response("gone"));
+
+  await dispatchLifecycle(handlers, "activate");
+
+  assertEquals(caches.stores.get("sinople-precache").size, 3);
+  assertEquals(caches.stores.get("sinople-precache").has(`${THEME}/assets/css/old-layout.css`), false);
+});
+
+Deno.test("Service worker - precached assets are served despite ?ver= query", async () => {
+  const { handlers, fetched } = await loadServiceWorker(({ url }) => basicResponse(`built:${url}`), MANIFEST);
+  await dispatchLifecycle(handlers, "install");
+  fetched.length = 0;
+
+  const response = await dispatchFetch(
+    handlers,
+    makeRequest("/wp-content/themes/sinople/assets/css/main.css?ver=0.1.0", { destination: "style" }),
+  );
+
+  assertEquals(await response.text(), `built:${THEME}/assets/css/main.css`);
+  assertEquals(fetched.length, 0);
+});
+
+Deno.test("Service worker - an unbuilt theme installs with an empty precache", async () => {
+  const { handlers, fetched } = await loadServiceWorker(() => basicResponse("ok"));
+
+  await dispatchLifecycle(handlers, "install");
+
+  assertEquals(fetched.length, 0);
+});
+
+function offline() {
+  throw new TypeError("Failed to fetch");
+}
+
+function formPost(path, fields) {
+  return new Request(new URL(path, ORIGIN), {
+    method: "POST",
+    body: new URLSearchParams(fields),
+  });
+}
+
+// Dispatch a sync event for the outbox; resolves to the replay's error, if any
+async function dispatchSync(handlers) {
+  const pending = [];
+  handlers.sync({ tag: "sinople-outbox", waitUntil: (promise) => pending.push(promise) });
+  try {
+    await Promise.all(pending);
+    return null;
+  } catch (error) {
+    return error;
+  }
+}
+
+Deno.test("Service worker - comments posted offline are queued for sync", async () => {
+  const { handlers, syncTags, broadcasts } = await loadServiceWorker(offline);
+
+  const response = await dispatchFetch(
+    handlers,
+    formPost("/wp-comments-post.php", { comment: "Lovely field notes", comment_post_ID: "42" }),
+  );
+
+  assertEquals(response.status, 202);
+  assertEquals((await response.json()).data.queued, true);
+  assertEquals(syncTags, ["sinople-outbox"]);
+
+  const { result: items } = await postMessage(handlers, { type: "outbox:list" });
+  assertEquals(items.length, 1);
+  assertEquals(items[0].kind, "comment");
+  assertEquals(items[0].summary, "Lovely field notes");
+  assertEquals(items[0].status, "queued");
+  assertEquals(broadcasts.at(-1).type, "outbox:changed");
+});
+
+Deno.test("Service worker - queueable posts go straight through when online", async () => {
+  const { handlers, fetched } = await loadServiceWorker(() => basicResponse("posted"));
+
+  const response = await dispatchFetch(
+    handlers,
+    formPost("/wp-comments-post.php", { comment: "Hello" }),
+  );
+
+  assertEquals(await response.text(), "posted");
+  assertEquals(fetched, [`${ORIGIN}/wp-comments-post.php`]);
+  assertEquals((await postMessage(handlers, { type: "outbox:list" })).result, []);
+});
+
+Deno.test("Service worker - only allow-listed AJAX actions are queued", async () => {
+  const { handlers } = await loadServiceWorker(offline);
+
+  const consent = await dispatchFetch(
+    handlers,
+    formPost("/wp-admin/admin-ajax.php", { action: "sinople_set_consent", consent_fonts: "1" }),
+  );
+  assertEquals(consent.status, 202);
+
+  let error = null;
+  try {
+    await dispatchFetch(handlers, formPost("/wp-admin/admin-ajax.php", { action: "heartbeat" }));
+  } catch (caught) {
+    error = caught;
+  }
+  assertExists(error);
+
+  const { result: items } = await postMessage(handlers, { type: "outbox:list" });
+  assertEquals(items.map((item) => item.kind), ["consent"]);
+});
+
+Deno.test("Service worker - sync replays the outbox in order", async () => {
+  let online = false;
+  const replayed = [];
+  const { handlers } = await loadServiceWorker(async ({ request }) => {
+    if (!online) {
+      offline();
+    }
+    replayed.push([request.url, await request.text()]);
+    return basicResponse("ok");
+  });
+
+  await dispatchFetch(handlers, formPost("/wp-comments-post.php", { comment: "first" }));
+  await dispatchFetch(handlers, formPost("/micropub", { h: "entry", content: "second" }));
+
+  online = true;
+  assertEquals(await dispatchSync(handlers), null);
+
+  assertEquals(replayed, [
+    [`${ORIGIN}/wp-comments-post.php`, "comment=first"],
+    [`${ORIGIN}/micropub`, "h=entry&content=second"],
+  ]);
+  assertEquals((await postMessage(handlers, { type: "outbox:list" })).result, []);
+});
+
+Deno.test("Service worker - rejected replays are kept as failed", async () => {
+  let online = false;
+  const { handlers } = await loadServiceWorker(() => {
+    if (!online) {
+      offline();
+    }
+    return basicResponse("Duplicate comment", { status: 409, statusText: "Conflict" });
+  });
+
+  await dispatchFetch(handlers, formPost("/wp-comments-post.php", { comment: "again" }));
+
+  online = true;
+  await dispatchSync(handlers);
+
+  const { result: items } = await postMessage(handlers, { type: "outbox:list" });
+  assertEquals(items[0].status, "failed");
+  assertEquals(items[0].error, "409 Conflict");
+  assertEquals(items[0].attempts, 1);
+});
+
+Deno.test("Service worker - sync still offline keeps items queued and retries", async () => {
+  const { handlers } = await loadServiceWorker(offline);
+
+  await dispatchFetch(handlers, formPost("/webmention", { source: "https://elsewhere.example/reply" }));
+
+  assertExists(await dispatchSync(handlers));
+
+  const { result: items } = await postMessage(handlers, { type: "outbox:list" });
+  assertEquals(items[0].status, "queued");
+  assertEquals(items[0].kind, "webmention");
+});
+
+Deno.test("Service worker - cancelling removes a queued post", async () => {
+  const { handlers } = await loadServiceWorker(offline);
+
+  await dispatchFetch(handlers, formPost("/wp-comments-post.php", { comment: "never mind" }));
+  const { result: [item] } = await postMessage(handlers, { type: "outbox:list" });
+
+  await postMessage(handlers, { type: "outbox:cancel", id: item.id });
+
+  assertEquals((await postMessage(handlers, { type: "outbox:list" })).result, []);
+});
@@ -0,0 +1,260 @@
+/**
+ * Tests for the soft-navigation router
+ *
+ * Runs ViewTransitions.res as built by `deno task build:rescript`, against
+ * the DOM shim, on a page at HERE.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assertEquals } from "@std/assert";
+import { Document, Event, importBuilt, installDom, withGlobals } from "./dom_shim.js";
+
+// ViewTransitions.res as built by `deno task build:rescript`
+const ViewTransitions = await importBuilt("ViewTransitions");
+
+const HERE = "https://example.org/2024/03/salt-marsh/?preview=1#comments";
+
+function builtTest(name, fn) {
+  Deno.test({
+    name,
+    ignore: ViewTransitions === null,
+    fn: () => {
+      const { document, restore } = installDom();
+      return withGlobals({ location: { href: HERE, origin: new URL(HERE).origin } }, () => fn(document))
+        .finally(restore);
+    },
+  });
+}
+
+// An element with attributes and text
+function element(document, name, attributes = {}, text = "") {
+  const node = document.createElement(name);
+  for (const [attribute, value] of Object.entries(attributes)) {
+    node.setAttribute(attribute, value);
+  }
+  node.textContent = text;
+  return node;
+}
+
+// The link clicked on a page holding a link with `attributes`, for a
+// click on its text with `init`
+function clickedLink(document, attributes = {}, init = {}, { prevented = false } = {}) {
+  const link = element(document, "a", { href: "/about/", ...attributes });
+  const text = element(document, "span", {}, "About");
+  link.append(text);
+  document.body.append(link);
+
+  const event = new Event("click", { bubbles: true, ...init });
+  event.target = text;
+  if (prevented) {
+    event.preventDefault();
+  }
+  return ViewTransitions.clickedLink(event);
+}
+
+// Head nodes as markup-like strings, for comparing
+function describe(nodes) {
+  return nodes.map((node) =>
+    `<${node.localName}${node.attributes.map(({ name, value }) => ` ${name}="${value}"`).join("")}>${node.text}`
+  );
+}
+
+builtTest("View transitions - same-origin pages are routed", () => {
+  assertEquals(ViewTransitions.isRoutable("/about/"), true);
+  assertEquals(ViewTransitions.isRoutable("https://example.org/2024/04/ferryman/#respond"), true);
+  assertEquals(ViewTransitions.isRoutable("/2024/03/salt-marsh/"), true);
+});
+
+builtTest("View transitions - other origins, schemes and the admin load normally", () => {
+  assertEquals(ViewTransitions.isRoutable("https://elsewhere.example/"), false);
+  assertEquals(ViewTransitions.isRoutable("http://example.org/about/"), false);
+  assertEquals(ViewTransitions.isRoutable("mailto:hello@example.org"), false);
+  assertEquals(ViewTransitions.isRoutable("/wp-admin/post.php?post=1"), false);
+  assertEquals(ViewTransitions.isRoutable("/wp-login.php?action=logout"), false);
+});
+
+builtTest("View transitions - fragment links within the page are left to the browser", () => {
+  assertEquals(ViewTransitions.isRoutable("#respond"), false);
+  assertEquals(ViewTransitions.isRoutable("/2024/03/salt-marsh/?preview=1#respond"), false);
+  // Same path, different query: another page
+  assertEquals(ViewTransitions.isRoutable("/2024/03/salt-marsh/#respond"), true);
+});
+
+builtTest("View transitions - modified clicks, other targets and opted-out links keep their default", (document) => {
+  assertEquals(clickedLink(document), "https://example.org/about/");
+  assertEquals(clickedLink(document, { target: "_self" }), "https://example.org/about/");
+
+  assertEquals(clickedLink(document, {}, { metaKey: true }), undefined);
+  assertEquals(clickedLink(document, {}, { ctrlKey: true }), undefined);
+  assertEquals(clickedLink(document, {}, { shiftKey: true }), undefined);
+  assertEquals(clickedLink(document, {}, { button: 1 }), undefined);
+  assertEquals(clickedLink(document, {}, {}, { prevented: true }), undefined);
+  assertEquals(clickedLink(document, { target: "_blank" }), undefined);
+  assertEquals(clickedLink(document, { download: "" }), undefined);
+  assertEquals(clickedLink(document, { "data-view-transition": "false" }), undefined);
+});
+
+builtTest("View transitions - pages are cached without their fragment", () => {
+  assertEquals(ViewTransitions.pageUrl("/about/#team"), "https://example.org/about/");
+  assertEquals(ViewTransitions.pageUrl(HERE), "https://example.org/2024/03/salt-marsh/?preview=1");
+});
+
+builtTest("View transitions - redirected pages keep the link's fragment", () => {
+  assertEquals(
+    ViewTransitions.withFragment("https://example.org/about-us/", "/about/#team"),
+    "https://example.org/about-us/#team",
+  );
+  assertEquals(
+    ViewTransitions.withFragment("https://example.org/about-us/", "/about/"),
+    "https://example.org/about-us/",
+  );
+});
+
+builtTest("View transitions - cache evicts the least recently visited page", () => {
+  const { cache, cacheLimit, remember } = ViewTransitions;
+  cache.clear();
+  const page = (url) => ({ url, html: "<main></main>", nonce: "" });
+  for (let i = 0; i < cacheLimit; i++) {
+    remember(`/page/${i}/`, page(`/page/${i}/`));
+  }
+  // Revisiting moves a page to the back of the queue
+  remember("/page/0/", page("/page/0/"));
+  remember("/page/new/", page("/page/new/"));
+
+  assertEquals(cache.size, cacheLimit);
+  assertEquals(cache.has("/page/0/"), true);
+  assertEquals(cache.has("/page/1/"), false);
+  assertEquals([...cache.keys()].at(-1), "/page/new/");
+  cache.clear();
+});
+
+builtTest("View transitions - head diff keeps shared nodes and swaps page-specific ones", (document) => {
+  const stylesheet = element(document, "link", { rel: "stylesheet", href: "/style.css" });
+  document.head.append(
+    element(document, "meta", { charset: "UTF-8" }),
+    element(document, "title", {}, "Walking the salt marsh"),
+    stylesheet,
+    element(document, "link", { rel: "alternate", type: "text/turtle", href: "/2024/03/salt-marsh/?format=turtle" }),
+    element(document, "script", { type: "application/ld+json" }, '{"name":"Walking the salt marsh"}'),
+  );
+
+  const next = new Document();
+  next.head.append(
+    element(next, "meta", { charset: "UTF-8" }),
+    element(next, "title", {}, "The Ferryman"),
+    element(next, "link", { rel: "stylesheet", href: "/style.css" }),
+    element(next, "link", { rel: "alternate", type: "text/turtle", href: "/2024/04/ferryman/?format=turtle" }),
+    element(next, "script", { type: "application/ld+json" }, '{"name":"The Ferryman"}'),
+  );
+
+  ViewTransitions.updateHead(next, "");
+
+  assertEquals(describe(document.head.children).toSorted(), describe(next.head.children).toSorted());
+  // The stylesheet stays in place rather than being re-added and reloaded
+  assertEquals(document.head.children.includes(stylesheet), true);
+  assertEquals(document.head.children.every((node) => node.ownerDocument === document), true);
+});
+
+builtTest("View transitions - inline styles and scripts differing only in nonce stay put", (document) => {
+  // Once parsed, this page's nonce attributes read empty
+  const served = (name, attributes, text) => {
+    const node = element(document, name, { ...attributes, nonce: "" }, text);
+    node.nonce = "cGFnZQ";
+    return node;
+  };
+  const focusStyles = served("style", { id: "sinople-focus-styles" }, ":root{}");
+  document.head.append(focusStyles, served("style", { id: "sinople-entry-tint" }, "a{}"));
+
+  const next = new Document();
+  next.head.append(
+    element(next, "style", { id: "sinople-focus-styles", nonce: "Zm9vYmFy" }, ":root{}"),
+    element(next, "style", { id: "sinople-entry-tint", nonce: "Zm9vYmFy" }, "b{}"),
+  );
+
+  ViewTransitions.updateHead(next, "Zm9vYmFy");
+
+  const [kept, added] = document.head.children;
+  assertEquals(kept, focusStyles);
+  assertEquals(describe([added]), ['<style id="sinople-entry-tint" nonce="cGFnZQ">b{}']);
+});
+
+builtTest("View transitions - nodes with a nonce their page's policy didn't name are dropped", (document) => {
+  const style = element(document, "style", { nonce: "" }, ":root{}");
+  style.nonce = "cGFnZQ";
+  document.head.append(style);
+
+  const next = new Document();
+  next.head.append(
+    element(next, "style", { nonce: "Zm9vYmFy" }, ":root{}"),
+    element(next, "script", { nonce: "Zm9vYmFy" }, "issued()"),
+    element(next, "script", { nonce: "ZXZpbA" }, "injected()"),
+    element(next, "script", { nonce: "" }, "emptied()"),
+    element(next, "script", {}, "hashed()"),
+  );
+  const main = element(next, "main");
+  main.append(element(next, "script", { nonce: "ZXZpbA" }, "injected()"));
+  next.body.append(main);
+  document.body.append(element(document, "main"));
+
+  ViewTransitions.updateHead(next, "Zm9vYmFy");
+  ViewTransitions.updateBody(next, "Zm9vYmFy");
+
+  assertEquals(describe(document.head.children.slice(1)), [
+    '<script nonce="cGFnZQ">issued()',
+    "<script>hashed()",
+  ]);
+  assertEquals(document.querySelector("main").children, []);
+  // Without a nonce in the response's policy, none is issued
+  assertEquals(ViewTransitions.revive(next.head.children[1], ""), undefined);
+});
+
+builtTest("View transitions - the nonce is read from the response's policy", () => {
+  const { policyNonce } = ViewTransitions;
+  assertEquals(policyNonce("default-src 'self'; script-src 'self' 'nonce-Zm9v+YmFy/0=' 'sha256-abc='"), "Zm9v+YmFy/0=");
+  assertEquals(policyNonce("default-src 'self'; script-src 'self'"), "");
+  assertEquals(policyNonce("script-src 'nonce-'"), "");
+});
+
+builtTest("View transitions - an entry morphs between its archive card and its page", () => {
+  const { sharedEntry } = ViewTransitions;
+  // Archive to entry, and back
+  assertEquals(sharedEntry(["12", "9", "4"], ["9"]), "9");
+  assertEquals(sharedEntry(["9"], ["12", "9", "4"]), "9");
+  // Not on the archive, or entry to entry
+  assertEquals(sharedEntry(["12", "4"], ["9"]), undefined);
+  assertEquals(sharedEntry(["9"], ["10"]), undefined);
+  assertEquals(sharedEntry(["9"], ["9"]), "9");
+  // Archive pages share nothing, even with entries in common
+  assertEquals(sharedEntry(["12", "9"], ["9", "4"]), undefined);
+  assertEquals(sharedEntry([], ["9"]), undefined);
+});
+
+builtTest("View transitions - shared element names are unique to the entry, and cleared after", (document) => {
+  const article = element(document, "article", { id: "post-9" });
+  const thumbnail = element(document, "div", { class: "entry-thumbnail" });
+  thumbnail.append(element(document, "img", { src: "/heron.jpg" }));
+  article.append(
+    element(document, "h2", { class: "entry-title" }, "Walking the salt marsh"),
+    thumbnail,
+    element(document, "a", { class: "term-chip", "data-term-id": "3" }, "Marsh"),
+    element(document, "a", { class: "term-chip", "data-term-id": "17" }, "Birds"),
+  );
+  document.body.append(article);
+  const names = () =>
+    [...article.descendants()]
+      .map((node) => node.style.getPropertyValue("view-transition-name"))
+      .filter(Boolean);
+
+  ViewTransitions.nameEntry("9");
+
+  assertEquals(names(), ["entry-title-9", "entry-image-9", "entry-9-term-3", "entry-9-term-17"]);
+  // Names are CSS identifiers: no leading digit, nothing to escape
+  for (const name of names()) {
+    assertEquals(/^[a-z][a-z0-9-]*$/.test(name), true, name);
+  }
+
+  ViewTransitions.clearNames();
+  assertEquals(names(), []);
+});
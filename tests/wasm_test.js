@@ -1,73 +1,124 @@
 /**
  * Tests for WASM integration
  *
+ * Runs WasmLoader.res as built by `deno task build:rescript`, against the
+ * real module from `deno task build:wasm`; tests that need the module are
+ * skipped until it has been built.
+ *
  * @module
  * @package Sinople
  */
 
-import { assertEquals, assertExists } from "@std/assert";
+import { assertEquals, assertThrows } from "@std/assert";
+import { importBuilt, installDom } from "./dom_shim.js";
 
-// Create mock WASM module
-function createMockWasm() {
-  return {
-    calculate_reading_time: (content) => {
-      const wordCount = content.split(/\s+/).filter((w) => w.length > 0).length;
-      return Math.ceil(wordCount / 200);
-    },
-    sanitize_html: (html) => {
-      // Basic sanitization - remove script tags
-      return html.replace(/<script\b[^<]*(?:(?!<\/script>)<[^<]*)*<\/script>/gi, "");
-    },
-    hash_password: (_password) => {
-      // Mock hash - in real WASM this would use proper hashing
-      return "mocked_hash_" + _password.length;
-    },
-  };
+// WasmLoader.res as built by `deno task build:rescript`
+const WasmLoader = await importBuilt("WasmLoader");
+
+const DIST = new URL("../assets/js/dist/", import.meta.url);
+
+async function isBuilt() {
+  try {
+    await Deno.stat(new URL("sinople.js", DIST));
+    await Deno.stat(new URL("sinople_bg.wasm", DIST));
+    return true;
+  } catch {
+    return false;
+  }
+}
+
+// Load the wasm-bindgen glue and instantiate the module it wraps
+async function loadWasm() {
+  const glue = await import(new URL("sinople.js", DIST).href);
+  await glue.default({ module_or_path: await Deno.readFile(new URL("sinople_bg.wasm", DIST)) });
+  return glue;
+}
+
+const wasm = (await isBuilt()) ? await loadWasm() : null;
+
+function loaderTest(name, fn) {
+  Deno.test({ name, ignore: WasmLoader === null, fn });
 }
 
-// JavaScript fallback implementations (mirrors WasmLoader.res)
-function calculateReadingTimeFallback(content) {
-  const wordCount = content.split(" ").filter((w) => w.length > 0).length;
-  return Math.ceil(wordCount / 200);
+function wasmTest(name, fn) {
+  Deno.test({ name, ignore: WasmLoader === null || wasm === null, fn: () => fn(wasm) });
 }
 
-async function hashPasswordFallback(password) {
-  const encoder = new TextEncoder();
-  const data = encoder.encode(password);
-  const hashBuffer = await crypto.subtle.digest("SHA-256", data);
-  const hashArray = Array.from(new Uint8Array(hashBuffer));
-  return hashArray.map((b) => b.toString(16).padStart(2, "0")).join("");
+// Run `fn` with WasmLoader holding `exports` as loaded; null for the JS
+// fallbacks
+function withExports(exports, fn) {
+  WasmLoader.loaded.contents = exports ?? undefined;
+  WasmLoader.loading.contents = Promise.resolve(exports ?? undefined);
+  try {
+    return fn();
+  } finally {
+    WasmLoader.loaded.contents = undefined;
+    WasmLoader.loading.contents = undefined;
+  }
 }
 
-Deno.test("WASM - calculate reading time for short content", () => {
-  const wasm = createMockWasm();
+const calculateReadingTime = (exports, content) =>
+  withExports(exports, () => WasmLoader.calculateReadingTime(content));
+
+wasmTest("WASM - built exports match their declared signatures", (wasm) => {
+  assertEquals(WasmLoader.signatureMismatches(wasm), []);
+});
+
+loaderTest("WASM - signature check reports missing and mis-sized exports", () => {
+  const glue = {
+    calculate_reading_time: (text) => text.length,
+    sanitize_html: (html) => html,
+    stem: (word) => word,
+    hash_password: (_password, _salt, _memoryCost, _timeCost, _parallelism) => "",
+    verify_password: (_password) => false,
+    SearchCorpus: class {
+      add_entry(_id, _title, _taxonomy, _excerpt) {}
+      remove_entry(_id) {}
+      size() {}
+      rank(_query) {}
+    },
+  };
+
+  assertEquals(WasmLoader.signatureMismatches(glue), [
+    "calculate_reading_time",
+    "tokenize",
+    "verify_password",
+    "SearchCorpus.prototype.rank",
+  ]);
+});
+
+wasmTest("WASM - calculate reading time for short content", (wasm) => {
   const content = "Hello world this is a test";
-  const readingTime = wasm.calculate_reading_time(content);
+  const readingTime = calculateReadingTime(wasm, content);
 
-  // 5 words / 200 wpm = ~1 minute
+  // 6 words / 200 wpm = ~1 minute
   assertEquals(readingTime, 1);
 });
 
-Deno.test("WASM - calculate reading time for longer content", () => {
-  const wasm = createMockWasm();
+wasmTest("WASM - calculate reading time for longer content", (wasm) => {
   // Create content with ~400 words
   const words = Array(400).fill("word").join(" ");
-  const readingTime = wasm.calculate_reading_time(words);
+  const readingTime = calculateReadingTime(wasm, words);
 
   // 400 words / 200 wpm = 2 minutes
   assertEquals(readingTime, 2);
 });
 
-Deno.test("WASM - JS fallback reading time calculation", () => {
+loaderTest("WASM - JS fallback reading time calculation", () => {
   const content = "This is a sample text with ten words in it.";
-  const readingTime = calculateReadingTimeFallback(content);
+  const readingTime = calculateReadingTime(null, content);
 
   // 10 words / 200 wpm = 1 minute (rounded up)
   assertEquals(readingTime, 1);
 });
 
-Deno.test("WASM - sanitize HTML removes script tags", () => {
-  const wasm = createMockWasm();
+wasmTest("WASM - JS fallback reading time matches WASM", (wasm) => {
+  for (const content of ["", "  spaced\tout\n words ", Array(401).fill("word").join("\n")]) {
+    assertEquals(calculateReadingTime(null, content), calculateReadingTime(wasm, content));
+  }
+});
+
+wasmTest("WASM - sanitize HTML removes script tags", (wasm) => {
   const dirtyHtml = '<p>Hello</p><script>alert("xss")</script><p>World</p>';
   const cleanHtml = wasm.sanitize_html(dirtyHtml);
 
@@ -76,81 +127,172 @@ Deno.test("WASM - sanitize HTML removes script tags", () => {
   assertEquals(cleanHtml.includes("<p>World</p>"), true);
 });
 
-Deno.test("WASM - sanitize HTML preserves safe content", () => {
-  const wasm = createMockWasm();
+wasmTest("WASM - sanitize HTML preserves safe content", (wasm) => {
   const safeHtml = "<p>This is <strong>safe</strong> content</p>";
   const result = wasm.sanitize_html(safeHtml);
 
   assertEquals(result, safeHtml);
 });
 
-Deno.test("WASM - hash password returns consistent length", () => {
-  const wasm = createMockWasm();
-  const hash1 = wasm.hash_password("password123");
-  const hash2 = wasm.hash_password("differentpassword");
-
-  assertExists(hash1);
-  assertExists(hash2);
-  assertEquals(typeof hash1, "string");
-  assertEquals(typeof hash2, "string");
+wasmTest("WASM - sanitizer output matches the conformance corpus", async (wasm) => {
+  const fixture = JSON.parse(
+    await Deno.readTextFile(new URL("./fixtures/sanitizer-corpus.json", import.meta.url)),
+  );
+  for (const { name, input, expected } of fixture.cases) {
+    assertEquals(wasm.sanitize_html(input), expected, name);
+  }
 });
 
-Deno.test("WASM - JS fallback hash produces valid SHA-256", async () => {
-  const hash = await hashPasswordFallback("test");
+const kdfVectors = JSON.parse(
+  await Deno.readTextFile(new URL("./fixtures/kdf-vectors.json", import.meta.url)),
+);
 
-  // SHA-256 produces 64 character hex string
-  assertEquals(hash.length, 64);
-  // Should be valid hex
-  assertEquals(/^[0-9a-f]+$/.test(hash), true);
-});
+const hex = (text) => Uint8Array.from(text.match(/../g) ?? [], (byte) => parseInt(byte, 16));
 
-Deno.test("WASM - JS fallback hash is deterministic", async () => {
-  const hash1 = await hashPasswordFallback("same_password");
-  const hash2 = await hashPasswordFallback("same_password");
+wasmTest("WASM - Argon2id hashes match the known-answer vectors", (wasm) => {
+  for (const vector of kdfVectors.argon2id) {
+    const encoded = wasm.hash_password(
+      vector.password,
+      hex(vector.salt),
+      vector.memoryCost,
+      vector.timeCost,
+      vector.parallelism,
+    );
+    assertEquals(encoded, vector.encoded, vector.name);
+  }
+});
 
-  assertEquals(hash1, hash2);
+wasmTest("WASM - Argon2id verifies only the right password", (wasm) => {
+  for (const vector of kdfVectors.argon2id) {
+    assertEquals(wasm.verify_password(vector.password, vector.encoded), true, vector.name);
+    assertEquals(wasm.verify_password("wrong password", vector.encoded), false, vector.name);
+  }
 });
 
-Deno.test("WASM - JS fallback hash differs for different inputs", async () => {
-  const hash1 = await hashPasswordFallback("password1");
-  const hash2 = await hashPasswordFallback("password2");
+wasmTest("WASM - Argon2id rejects tampered and foreign hashes", (wasm) => {
+  const { encoded } = kdfVectors.argon2id[0];
+
+  assertEquals(wasm.verify_password("password", encoded.replace("t=2", "t=3")), false);
+  assertEquals(wasm.verify_password("password", encoded.slice(0, -1)), false);
+  assertEquals(wasm.verify_password("passwd", kdfVectors["pbkdf2-sha256"][0].encoded), false);
+  assertEquals(wasm.verify_password("password", "not a hash"), false);
+});
 
-  assertEquals(hash1 !== hash2, true);
+wasmTest("WASM - Argon2id rejects short salts", (wasm) => {
+  assertThrows(() => wasm.hash_password("password", new Uint8Array(4), 256, 2, 1));
 });
 
 Deno.test("WASM - WebAssembly detection check", () => {
-  // In Deno, WebAssembly should be available
+  // In Deno, WebAssembly should be available, with streaming instantiation
   const hasWasm =
     typeof WebAssembly !== "undefined" &&
-    typeof WebAssembly.instantiate === "function";
+    typeof WebAssembly.instantiateStreaming === "function";
 
   assertEquals(hasWasm, true);
 });
 
-Deno.test("WASM - module path resolution", () => {
-  // Test that we can construct the correct WASM path
-  const themeUri = "/wp-content/themes/sinople";
-  const wasmPath = `${themeUri}/assets/js/dist/sinople.wasm`;
+loaderTest("WASM - module path resolution", () => {
+  const { window, restore } = installDom();
+  try {
+    assertEquals(WasmLoader.distPath("sinople.js"), "/wp-content/themes/sinople/assets/js/dist/sinople.js");
 
-  assertEquals(
-    wasmPath,
-    "/wp-content/themes/sinople/assets/js/dist/sinople.wasm",
-  );
+    window.sinople = { themeUri: "https://cdn.example.org/themes/sinople" };
+    assertEquals(
+      WasmLoader.distPath("sinople_bg.wasm"),
+      "https://cdn.example.org/themes/sinople/assets/js/dist/sinople_bg.wasm",
+    );
+  } finally {
+    restore();
+  }
 });
 
-Deno.test("WASM - empty content handling", () => {
-  const wasm = createMockWasm();
-  const readingTime = wasm.calculate_reading_time("");
+wasmTest("WASM - empty content handling", (wasm) => {
+  const readingTime = calculateReadingTime(wasm, "");
 
-  // Empty content should return 0 or 1 minute minimum
-  assertEquals(readingTime >= 0, true);
+  // Empty content takes no time to read
+  assertEquals(readingTime, 0);
 });
 
-Deno.test("WASM - reading time rounds up correctly", () => {
-  const wasm = createMockWasm();
+wasmTest("WASM - reading time rounds up correctly", (wasm) => {
   // 250 words should be ~1.25 minutes, rounded up to 2
   const words = Array(250).fill("word").join(" ");
-  const readingTime = wasm.calculate_reading_time(words);
+  const readingTime = calculateReadingTime(wasm, words);
 
   assertEquals(readingTime, 2);
 });
+
+// Search fallback. The WASM side is pinned to the same fixture by the unit
+// tests in assets/wasm/search.rs, so agreement with the fixture here means
+// both implementations rank identically.
+const searchFixture = JSON.parse(
+  await Deno.readTextFile(new URL("./fixtures/search-corpus.json", import.meta.url)),
+);
+
+function fixtureCorpus() {
+  const corpus = WasmLoader.searchCorpusFallback();
+  for (const entry of searchFixture.entries) {
+    corpus.addEntry(entry.id, entry.title, entry.taxonomy, entry.excerpt);
+  }
+  return corpus;
+}
+
+loaderTest("WASM - JS fallback stems match the WASM stemmer", () => {
+  for (const [word, expected] of Object.entries(searchFixture.stems)) {
+    assertEquals(WasmLoader.stemFallback(word), expected, `stem(${word})`);
+  }
+});
+
+loaderTest("WASM - JS fallback tokens match the WASM tokenizer", () => {
+  for (const { text, expected } of searchFixture.tokens) {
+    assertEquals(WasmLoader.tokenizeFallback(text), expected);
+  }
+});
+
+loaderTest("WASM - JS fallback BM25 rankings match the WASM ranking", () => {
+  const corpus = fixtureCorpus();
+  for (const { query, expected } of searchFixture.queries) {
+    assertEquals(corpus.rank(query, 20), expected, `rank(${query})`);
+  }
+});
+
+loaderTest("WASM - JS fallback ranking is independent of insertion order", () => {
+  const corpus = WasmLoader.searchCorpusFallback();
+  for (const entry of [...searchFixture.entries].reverse()) {
+    corpus.addEntry(entry.id, entry.title, entry.taxonomy, entry.excerpt);
+  }
+  for (const { query, expected } of searchFixture.queries) {
+    assertEquals(corpus.rank(query, 20), expected, `rank(${query})`);
+  }
+});
+
+loaderTest("WASM - JS fallback corpus re-indexes and removes entries", () => {
+  const corpus = fixtureCorpus();
+  corpus.addEntry(107, "The Lantern Keeper", "Light Guide construct", "She keeps the lantern lit.");
+  assertEquals(corpus.rank("marsh", 20), [101, 103]);
+
+  corpus.removeEntry(101);
+  assertEquals(corpus.rank("marsh", 20), [103]);
+  assertEquals(corpus.size(), searchFixture.entries.length - 1);
+});
+
+wasmTest("WASM - stems and tokens match the fixture", (wasm) => {
+  for (const [word, expected] of Object.entries(searchFixture.stems)) {
+    assertEquals(wasm.stem(word), expected, `stem(${word})`);
+  }
+  for (const { text, expected } of searchFixture.tokens) {
+    assertEquals(wasm.tokenize(text), expected);
+  }
+});
+
+wasmTest("WASM - BM25 rankings match the fixture", (wasm) => {
+  const corpus = new wasm.SearchCorpus();
+  for (const entry of searchFixture.entries) {
+    corpus.add_entry(entry.id, entry.title, entry.taxonomy, entry.excerpt);
+  }
+
+  assertEquals(corpus.size(), searchFixture.entries.length);
+  for (const { query, expected } of searchFixture.queries) {
+    assertEquals(Array.from(corpus.rank(query, 20)), expected, `rank(${query})`);
+  }
+  corpus.free();
+});
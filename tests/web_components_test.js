@@ -0,0 +1,194 @@
+/**
+ * Tests for the web components
+ *
+ * Runs WebComponents.res as built by `deno task build:rescript`.
+ *
+ * @module
+ * @package Sinople
+ */
+
+import { assertEquals } from "@std/assert";
+import { importBuilt, installDom, withGlobals } from "./dom_shim.js";
+
+// WebComponents.res as built by `deno task build:rescript`
+const WebComponents = await importBuilt("WebComponents");
+
+function builtTest(name, fn) {
+  Deno.test({ name, ignore: WebComponents === null, fn });
+}
+
+const PAGE = "https://sinople.example/journal/misty-edges/";
+
+// DOMParser stand-in for reading rendered fields: tags dropped, text kept
+class TextParser {
+  parseFromString(html) {
+    return { body: { textContent: html.replace(/<[^>]*>/g, "") } };
+  }
+}
+
+// Run `fn` on a page at PAGE, with the REST API answered by `respond`
+// (slug => posts, or a rejection) and an empty span cache
+async function withRestApi(respond, fn) {
+  const { restore } = installDom();
+  WebComponents.spanCache.clear();
+  WebComponents.glossEndpoint.contents = "/wp-json/wp/v2/gloss";
+  const fetch = (url) => {
+    const slug = new URL(url).searchParams.get("slug");
+    return Promise.resolve(respond(slug)).then((posts) => new Response(JSON.stringify(posts)));
+  };
+  try {
+    await withGlobals({ location: { href: PAGE }, DOMParser: TextParser, fetch }, fn);
+  } finally {
+    WebComponents.spanCache.clear();
+    WebComponents.glossEndpoint.contents = "";
+    restore();
+  }
+}
+
+const VIEWPORT = { width: 360, height: 640 };
+
+builtTest("Gloss - definitions open above the term when there's room", () => {
+  const placement = WebComponents.placeGloss({ top: 300, left: 100, width: 60, height: 20 }, { width: 200, height: 80 }, VIEWPORT);
+
+  assertEquals(placement, { top: 214, left: 30, side: "above" });
+});
+
+builtTest("Gloss - definitions flip below near the top of the viewport", () => {
+  const placement = WebComponents.placeGloss({ top: 40, left: 100, width: 60, height: 20 }, { width: 200, height: 80 }, VIEWPORT);
+
+  assertEquals(placement.side, "below");
+  assertEquals(placement.top, 66);
+});
+
+builtTest("Gloss - definitions too tall for either side take the roomier one", () => {
+  const tip = { width: 200, height: 400 };
+
+  assertEquals(WebComponents.placeGloss({ top: 300, left: 100, width: 60, height: 20 }, tip, VIEWPORT).side, "below");
+  assertEquals(WebComponents.placeGloss({ top: 380, left: 100, width: 60, height: 20 }, tip, VIEWPORT).side, "above");
+});
+
+builtTest("Gloss - definitions stay inside the viewport horizontally", () => {
+  const tip = { width: 200, height: 80 };
+
+  assertEquals(WebComponents.placeGloss({ top: 300, left: 0, width: 40, height: 20 }, tip, VIEWPORT).left, WebComponents.viewportMargin);
+  assertEquals(WebComponents.placeGloss({ top: 300, left: 330, width: 30, height: 20 }, tip, VIEWPORT).left, 152);
+  // Wider than the viewport (the stylesheet caps it): pinned to the start
+  assertEquals(WebComponents.placeGloss({ top: 300, left: 100, width: 40, height: 20 }, { width: 400, height: 80 }, VIEWPORT).left, WebComponents.viewportMargin);
+});
+
+builtTest("Gloss - entries come from the excerpt, else the content", async () => {
+  await withRestApi(() => [], () => {
+    assertEquals(
+      WebComponents.readGloss({
+        title: { rendered: "Sinople" },
+        excerpt: { rendered: "<p>The heraldic tincture green.</p>\n" },
+        content: { rendered: "<p>Longer text.</p>" },
+      }),
+      { term: "Sinople", definition: "The heraldic tincture green." },
+    );
+    assertEquals(
+      WebComponents.readGloss({ title: { rendered: "Vert" }, excerpt: { rendered: "" }, content: { rendered: "<p>Green.</p>" } }),
+      { term: "Vert", definition: "Green." },
+    );
+  });
+});
+
+builtTest("Gloss - unknown slugs and API errors are no gloss", async () => {
+  await withRestApi((slug) => (slug === "missing" ? [] : { code: "rest_no_route" }), async () => {
+    assertEquals(await WebComponents.fetchGloss("missing"), undefined);
+    assertEquals(await WebComponents.fetchGloss("broken"), undefined);
+  });
+});
+
+builtTest("Gloss - each slug is fetched once, and retried after a failure", async () => {
+  const requested = [];
+  let online = false;
+  const respond = (slug) => {
+    requested.push(slug);
+    return online
+      ? [{ title: { rendered: slug }, excerpt: { rendered: "Defined." } }]
+      : Promise.reject(new TypeError("offline"));
+  };
+
+  await withRestApi(respond, async () => {
+    assertEquals(await WebComponents.fetchGloss("vert"), undefined);
+    online = true;
+    assertEquals(await WebComponents.fetchGloss("vert"), { term: "vert", definition: "Defined." });
+    await WebComponents.fetchGloss("vert");
+    await Promise.all([WebComponents.fetchGloss("or"), WebComponents.fetchGloss("or")]);
+  });
+
+  assertEquals(requested, ["vert", "vert", "or"]);
+});
+
+builtTest("Fieldnote - geo: URIs and bare coordinates parse", () => {
+  assertEquals(WebComponents.parseGeo("geo:51.5074,-0.1278"), { latitude: 51.5074, longitude: -0.1278, altitude: undefined });
+  assertEquals(WebComponents.parseGeo("GEO:-33.86,151.2,58;u=35;crs=wgs84"), { latitude: -33.86, longitude: 151.2, altitude: 58 });
+  assertEquals(WebComponents.parseGeo(" 48.8584, 2.2945 "), { latitude: 48.8584, longitude: 2.2945, altitude: undefined });
+  assertEquals(WebComponents.parseGeo("48.8584 2.2945"), { latitude: 48.8584, longitude: 2.2945, altitude: undefined });
+});
+
+builtTest("Fieldnote - place names and out-of-range coordinates aren't coordinates", () => {
+  assertEquals(WebComponents.parseGeo("Hackney Marshes"), undefined);
+  assertEquals(WebComponents.parseGeo("geo:91,0"), undefined);
+  assertEquals(WebComponents.parseGeo("geo:0,181"), undefined);
+  assertEquals(WebComponents.parseGeo("geo:"), undefined);
+  assertEquals(WebComponents.parseGeo("https://maps.example/?q=51.5,-0.1"), undefined);
+});
+
+builtTest("Fieldnote - coordinates read as hemispheres in the reader's locale", () => {
+  const english = new Intl.NumberFormat("en", { maximumFractionDigits: 4 });
+  const german = new Intl.NumberFormat("de", { maximumFractionDigits: 4 });
+  const coordinates = WebComponents.parseGeo("geo:51.50735,-0.12776");
+
+  assertEquals(WebComponents.geoLabel(coordinates, (value) => english.format(value)), "51.5074° N, 0.1278° W");
+  assertEquals(WebComponents.geoLabel(coordinates, (value) => german.format(value)), "51,5074° N, 0,1278° W");
+  assertEquals(WebComponents.geoLabel({ latitude: -33.86, longitude: 151.2 }, String), "33.86° S, 151.2° E");
+});
+
+builtTest("Fieldnote - relative time uses the largest whole unit", () => {
+  assertEquals(WebComponents.relativeTime(-30), [-30, "second"]);
+  assertEquals(WebComponents.relativeTime(-90), [-1, "minute"]);
+  assertEquals(WebComponents.relativeTime(-3 * 86400 - 60), [-3, "day"]);
+  assertEquals(WebComponents.relativeTime(-10 * 86400), [-1, "week"]);
+  assertEquals(WebComponents.relativeTime(-400 * 86400), [-1, "year"]);
+  assertEquals(WebComponents.relativeTime(7200), [2, "hour"]);
+
+  const [value, unit] = WebComponents.relativeTime(-86400);
+  assertEquals(new Intl.RelativeTimeFormat("en", { numeric: "auto" }).format(value, unit), "yesterday");
+});
+
+builtTest("Portal - only http(s) hrefs become links", () => {
+  assertEquals(WebComponents.portalLink("https://indieweb.org/", PAGE)?.href, "https://indieweb.org/");
+  assertEquals(WebComponents.portalLink("http://xmlns.com/foaf/0.1/", PAGE)?.hostname, "xmlns.com");
+  assertEquals(WebComponents.portalLink("javascript:alert(1)", PAGE), undefined);
+  assertEquals(WebComponents.portalLink("data:text/html,<script>", PAGE), undefined);
+  assertEquals(WebComponents.portalLink("mailto:someone@example.org", PAGE), undefined);
+  assertEquals(WebComponents.portalLink("https://", PAGE), undefined);
+  assertEquals(WebComponents.portalLink("", PAGE), undefined);
+});
+
+builtTest("Portal - external and onion links are marked", () => {
+  assertEquals(WebComponents.portalLink("/portal/indieweb/", PAGE), {
+    href: "https://sinople.example/portal/indieweb/",
+    hostname: "sinople.example",
+    external: false,
+    onion: false,
+  });
+  assertEquals(WebComponents.portalLink("https://archive.org/", PAGE)?.external, true);
+  // Same host on another port is another site
+  assertEquals(WebComponents.portalLink("https://sinople.example:8443/", PAGE)?.external, true);
+
+  const onion = WebComponents.portalLink("http://duckduckgogg42xjoc72x3sjasowoarfbgcmvfimaftt6twagswzczad.onion./", PAGE);
+  assertEquals(onion?.onion, true);
+  assertEquals(onion?.hostname.endsWith(".onion"), true);
+});
+
+builtTest("Portal - rel combines relationships, trust and external", () => {
+  assertEquals(WebComponents.portalRel("me", "trusted", false), "me");
+  assertEquals(WebComponents.portalRel("Friend muse friend", "unvetted", true), "friend muse nofollow external noreferrer");
+  assertEquals(WebComponents.portalRel("", "sponsored", true), "sponsored nofollow external noreferrer");
+  assertEquals(WebComponents.portalRel("", "ugc", false), "ugc nofollow");
+  // Unknown relationships and trust levels add nothing
+  assertEquals(WebComponents.portalRel("follow stylesheet", "verified", false), "");
+});